@@ -10,8 +10,13 @@ import { vi } from 'vitest';
  * @param {Object} options.members - Mock implementations for members methods
  * @param {Object} options.newsletters - Mock implementations for newsletters methods
  * @param {Object} options.tiers - Mock implementations for tiers methods
+ * @param {Object} options.webhooks - Mock implementations for webhooks methods
+ * @param {Object} options.users - Mock implementations for users methods
+ * @param {Object} options.themes - Mock implementations for themes methods
  * @param {Object} options.site - Mock implementations for site methods
  * @param {Object} options.images - Mock implementations for images methods
+ * @param {Object} options.media - Mock implementations for media methods
+ * @param {Object} options.files - Mock implementations for files methods
  * @returns {Object} Mock Ghost Admin API instance
  *
  * @example
@@ -76,6 +81,22 @@ export function createMockGhostApi(options = {}) {
       delete: vi.fn(),
       ...options.tiers,
     },
+    webhooks: {
+      add: vi.fn(),
+      edit: vi.fn(),
+      delete: vi.fn(),
+      ...options.webhooks,
+    },
+    users: {
+      browse: vi.fn(),
+      read: vi.fn(),
+      ...options.users,
+    },
+    themes: {
+      upload: vi.fn(),
+      activate: vi.fn(),
+      ...options.themes,
+    },
     site: {
       read: vi.fn(),
       ...options.site,
@@ -84,6 +105,14 @@ export function createMockGhostApi(options = {}) {
       upload: vi.fn(),
       ...options.images,
     },
+    media: {
+      upload: vi.fn(),
+      ...options.media,
+    },
+    files: {
+      upload: vi.fn(),
+      ...options.files,
+    },
   };
 }
 
@@ -126,3 +155,23 @@ export function mockGhostApiModule(options = {}) {
     default: createMockGhostApiConstructor(options),
   };
 }
+
+/**
+ * Creates a mock module for the SDK's token signer, which the direct Admin API
+ * requests in ghostApiClient.js use (the test API key cannot be signed).
+ * Pair it with an axios mock to answer those requests.
+ *
+ * @returns {Object} Mock module with default export
+ *
+ * @example
+ * const mockAxios = vi.fn();
+ * vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+ * vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+ *
+ * mockAxios.mockResolvedValue({ data: { settings: [] } });
+ */
+export function mockAdminTokenModule() {
+  return {
+    default: vi.fn(() => 'test-token'),
+  };
+}
@@ -0,0 +1,62 @@
+import zlib from 'zlib';
+
+/**
+ * Builds an in-memory ZIP archive for tests.
+ *
+ * CRC-32 fields are left as zero: the reader under test does not verify them.
+ *
+ * @param {Object<string, string|Buffer>} files - Entry name → contents (names ending in "/" are directories)
+ * @param {Object} [options={}]
+ * @param {boolean} [options.deflate=false] - Deflate file contents instead of storing them
+ * @returns {Buffer} ZIP archive bytes
+ *
+ * @example
+ * import { buildZip } from '../../__tests__/helpers/zipBuilder.js';
+ *
+ * const zip = buildZip({ 'package.json': '{"name":"x","version":"1.0.0"}' });
+ */
+export function buildZip(files, options = {}) {
+  const { deflate = false } = options;
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const raw = Buffer.isBuffer(contents) ? contents : Buffer.from(contents ?? '', 'utf8');
+    const method = deflate && raw.length > 0 ? 8 : 0;
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    localParts.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuf);
+
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, eocd]);
+}
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll, afterEach } from 'vitest';
 // zod/v4-mini is a subpath export of zod@^4 — used here because the MCP SDK's
 // internal JSON Schema converter (zod-json-schema-compat.js) uses this same module.
 import * as z4mini from 'zod/v4-mini';
@@ -6,12 +6,18 @@ import { assertZodShape } from './helpers/testUtils.js';
 
 // Mock the McpServer to capture tool registrations
 const mockTools = new Map();
+const mockResources = new Map();
 
 vi.mock('@modelcontextprotocol/sdk/server/mcp.js', () => {
   return {
     McpServer: class MockMcpServer {
       constructor(config) {
         this.config = config;
+        this.server = {
+          registerCapabilities() {},
+          setRequestHandler() {},
+          sendResourceUpdated: () => Promise.resolve(),
+        };
       }
 
       tool(name, description, schema, handler) {
@@ -28,10 +34,26 @@ vi.mock('@modelcontextprotocol/sdk/server/mcp.js', () => {
         });
       }
 
+      registerResource(name, template, metadata, readCallback) {
+        mockResources.set(name, { name, template, metadata, readCallback });
+      }
+
+      isConnected() {
+        return false;
+      }
+
+      sendResourceListChanged() {}
+
       connect(_transport) {
         return Promise.resolve();
       }
     },
+    ResourceTemplate: class MockResourceTemplate {
+      constructor(uriTemplate, callbacks) {
+        this.uriTemplate = uriTemplate;
+        this.callbacks = callbacks;
+      }
+    },
   };
 });
 
@@ -60,6 +82,8 @@ const mockCreateTag = vi.fn();
 const mockUpdateTag = vi.fn();
 const mockDeleteTag = vi.fn();
 const mockUploadImage = vi.fn();
+const mockUploadMedia = vi.fn();
+const mockUploadFile = vi.fn();
 const mockCreatePostService = vi.fn();
 const mockProcessImage = vi.fn();
 const mockValidateImageUrl = vi.fn();
@@ -67,6 +91,23 @@ const mockCreateSecureAxiosConfig = vi.fn();
 const mockUpdatePost = vi.fn();
 const mockDeletePost = vi.fn();
 const mockSearchPosts = vi.fn();
+const mockBulkUpdatePosts = vi.fn();
+const mockPublishPost = vi.fn();
+const mockSchedulePost = vi.fn();
+const mockGetScheduledPosts = vi.fn();
+const mockGetSettings = vi.fn();
+const mockGetPostAnalytics = vi.fn();
+const mockGetEmailReport = vi.fn();
+const mockGetMemberStats = vi.fn();
+const mockResolveReportRange = vi.fn();
+const mockCreateOffer = vi.fn();
+const mockUpdateOffer = vi.fn();
+const mockImportMembers = vi.fn();
+const mockAddLabelToMembers = vi.fn();
+const mockGetMemberSubscriptions = vi.fn();
+const mockGrantMemberComp = vi.fn();
+const mockRemoveMemberComp = vi.fn();
+const mockSearchContent = vi.fn();
 
 // Page mocks
 const mockGetPages = vi.fn();
@@ -98,6 +139,19 @@ const mockCreateTier = vi.fn();
 const mockUpdateTier = vi.fn();
 const mockDeleteTier = vi.fn();
 
+// User mocks
+const mockResolveAuthors = vi.fn();
+
+// Migration mocks
+const mockImportWordPress = vi.fn();
+const mockExportContent = vi.fn();
+const mockPreviewBulkDelete = vi.fn();
+const mockConfirmBulkDelete = vi.fn();
+const mockListRevisions = vi.fn();
+const mockDiffRevisions = vi.fn();
+const mockRestoreRevision = vi.fn();
+const mockPreviewUpdate = vi.fn();
+
 vi.mock('../services/postService.js', () => ({
   createPostService: (...args) => mockCreatePostService(...args),
 }));
@@ -117,6 +171,22 @@ vi.mock('../services/ghostServiceImproved.js', () => ({
   updatePost: (...args) => mockUpdatePost(...args),
   deletePost: (...args) => mockDeletePost(...args),
   searchPosts: (...args) => mockSearchPosts(...args),
+  bulkUpdatePosts: (...args) => mockBulkUpdatePosts(...args),
+  publishPost: (...args) => mockPublishPost(...args),
+  schedulePost: (...args) => mockSchedulePost(...args),
+  getScheduledPosts: (...args) => mockGetScheduledPosts(...args),
+  getPostAnalytics: (...args) => mockGetPostAnalytics(...args),
+  getEmailReport: (...args) => mockGetEmailReport(...args),
+  getMemberStats: (...args) => mockGetMemberStats(...args),
+  resolveReportRange: (...args) => mockResolveReportRange(...args),
+  createOffer: (...args) => mockCreateOffer(...args),
+  updateOffer: (...args) => mockUpdateOffer(...args),
+  importMembers: (...args) => mockImportMembers(...args),
+  addLabelToMembers: (...args) => mockAddLabelToMembers(...args),
+  getMemberSubscriptions: (...args) => mockGetMemberSubscriptions(...args),
+  grantMemberComp: (...args) => mockGrantMemberComp(...args),
+  removeMemberComp: (...args) => mockRemoveMemberComp(...args),
+  searchContent: (...args) => mockSearchContent(...args),
   // Tags
   getTags: (...args) => mockGetTags(...args),
   getTag: (...args) => mockGetTag(...args),
@@ -125,6 +195,8 @@ vi.mock('../services/ghostServiceImproved.js', () => ({
   deleteTag: (...args) => mockDeleteTag(...args),
   // Images
   uploadImage: (...args) => mockUploadImage(...args),
+  uploadMedia: (...args) => mockUploadMedia(...args),
+  uploadFile: (...args) => mockUploadFile(...args),
   // Pages
   getPages: (...args) => mockGetPages(...args),
   getPage: (...args) => mockGetPage(...args),
@@ -149,6 +221,34 @@ vi.mock('../services/ghostServiceImproved.js', () => ({
   createTier: (...args) => mockCreateTier(...args),
   updateTier: (...args) => mockUpdateTier(...args),
   deleteTier: (...args) => mockDeleteTier(...args),
+  // Users
+  resolveAuthors: (...args) => mockResolveAuthors(...args),
+  // Migration
+  importWordPress: (...args) => mockImportWordPress(...args),
+  exportContent: (...args) => mockExportContent(...args),
+  previewBulkDelete: (...args) => mockPreviewBulkDelete(...args),
+  confirmBulkDelete: (...args) => mockConfirmBulkDelete(...args),
+  listRevisions: (...args) => mockListRevisions(...args),
+  diffRevisions: (...args) => mockDiffRevisions(...args),
+  restoreRevision: (...args) => mockRestoreRevision(...args),
+  previewUpdate: (...args) => mockPreviewUpdate(...args),
+}));
+
+// Only loaded through the real scheduling.js used by the scheduling tool tests
+vi.mock('../services/posts.js', () => ({
+  getPost: (...args) => mockGetPost(...args),
+  getPosts: (...args) => mockGetPosts(...args),
+  updatePost: (...args) => mockUpdatePost(...args),
+}));
+
+vi.mock('../services/settings.js', () => ({
+  getSettings: (...args) => mockGetSettings(...args),
+}));
+
+// Only loaded through the real analytics.js used by the member stats tests
+vi.mock('../services/ghostApiClient.js', () => ({
+  handleApiRequest: vi.fn(),
+  readResource: vi.fn(),
 }));
 
 vi.mock('../services/imageProcessingService.js', () => ({
@@ -179,6 +279,7 @@ const mockTrackTempFile = vi.fn();
 const mockCleanupTempFiles = vi.fn().mockResolvedValue(undefined);
 vi.mock('../utils/tempFileManager.js', () => ({
   trackTempFile: (...args) => mockTrackTempFile(...args),
+  untrackTempFile: vi.fn(),
   cleanupTempFiles: (...args) => mockCleanupTempFiles(...args),
 }));
 
@@ -892,11 +993,56 @@ describe('mcp_server - ghost_update_post tool', () => {
       '507f1f77bcf86cd799439011',
       expect.objectContaining({
         title: 'Updated Title',
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('"title": "Updated Title"');
   });
 
+  it('should send markdown as converted html', async () => {
+    mockUpdatePost.mockResolvedValue({ id: '507f1f77bcf86cd799439011', title: 'T' });
+
+    const tool = mockTools.get('ghost_update_post');
+    await tool.handler({
+      id: '507f1f77bcf86cd799439011',
+      markdown: '```js\nconst x = 1;\n```',
+    });
+
+    expect(mockUpdatePost).toHaveBeenCalledWith(
+      '507f1f77bcf86cd799439011',
+      expect.objectContaining({
+        html: '<pre><code class="language-js">const x = 1;\n</code></pre>\n',
+      }),
+      { source: 'html' }
+    );
+    expect(mockUpdatePost.mock.calls[0][1]).not.toHaveProperty('markdown');
+  });
+
+  it.each([
+    ['ghost_update_post', mockUpdatePost],
+    ['ghost_update_page', mockUpdatePage],
+  ])('%s should mark html content as the source only when it is sent', async (name, mockUpdate) => {
+    const id = '507f1f77bcf86cd799439011';
+    mockUpdate.mockResolvedValue({ id, title: 'T' });
+    const tool = mockTools.get(name);
+
+    await tool.handler({ id, html: '<p>New</p>' });
+    await tool.handler({ id, title: 'New' });
+
+    expect(mockUpdate).toHaveBeenNthCalledWith(
+      1,
+      id,
+      expect.objectContaining({ html: '<p>New</p>' }),
+      { source: 'html' }
+    );
+    expect(mockUpdate).toHaveBeenNthCalledWith(
+      2,
+      id,
+      expect.objectContaining({ title: 'New' }),
+      {}
+    );
+  });
+
   it('should update post content', async () => {
     const mockUpdatedPost = {
       id: '507f1f77bcf86cd799439011',
@@ -917,7 +1063,8 @@ describe('mcp_server - ghost_update_post tool', () => {
       '507f1f77bcf86cd799439011',
       expect.objectContaining({
         html: '<p>Updated content</p>',
-      })
+      }),
+      { source: 'html' }
     );
     expect(result.content[0].text).toContain('Updated content');
   });
@@ -939,7 +1086,8 @@ describe('mcp_server - ghost_update_post tool', () => {
       '507f1f77bcf86cd799439011',
       expect.objectContaining({
         status: 'published',
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('"status": "published"');
   });
@@ -964,7 +1112,8 @@ describe('mcp_server - ghost_update_post tool', () => {
       '507f1f77bcf86cd799439011',
       expect.objectContaining({
         tags: ['tech', 'javascript'],
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('tech');
     expect(result.content[0].text).toContain('javascript');
@@ -992,7 +1141,8 @@ describe('mcp_server - ghost_update_post tool', () => {
       expect.objectContaining({
         feature_image: 'https://example.com/new-image.jpg',
         feature_image_alt: 'New image',
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('new-image.jpg');
   });
@@ -1019,7 +1169,8 @@ describe('mcp_server - ghost_update_post tool', () => {
       expect.objectContaining({
         meta_title: 'SEO Title',
         meta_description: 'SEO Description',
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('SEO Title');
     expect(result.content[0].text).toContain('SEO Description');
@@ -1052,7 +1203,8 @@ describe('mcp_server - ghost_update_post tool', () => {
         html: '<p>Updated content</p>',
         status: 'published',
         tags: ['tech'],
-      })
+      }),
+      { source: 'html' }
     );
     expect(result.content[0].text).toContain('Updated Title');
   });
@@ -1109,6 +1261,30 @@ describe('mcp_server - ghost_update_post tool', () => {
     expect(result.content[0].text).toContain('"title": "Updated Post"');
     expect(result.content[0].text).toContain('"status": "published"');
   });
+
+  it('should resolve author references to IDs before updating', async () => {
+    mockResolveAuthors.mockResolvedValue([{ id: '507f1f77bcf86cd799439022' }]);
+    mockUpdatePost.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+
+    const tool = mockTools.get('ghost_update_post');
+    await tool.handler({ id: '507f1f77bcf86cd799439011', authors: ['jane@example.com'] });
+
+    expect(mockResolveAuthors).toHaveBeenCalledWith(['jane@example.com']);
+    expect(mockUpdatePost).toHaveBeenCalledWith(
+      '507f1f77bcf86cd799439011',
+      expect.objectContaining({ authors: [{ id: '507f1f77bcf86cd799439022' }] }),
+      {}
+    );
+  });
+
+  it('should not look up authors when none are given', async () => {
+    mockUpdatePost.mockResolvedValue({ id: '507f1f77bcf86cd799439011' });
+
+    const tool = mockTools.get('ghost_update_post');
+    await tool.handler({ id: '507f1f77bcf86cd799439011', title: 'Updated' });
+
+    expect(mockResolveAuthors).not.toHaveBeenCalled();
+  });
 });
 
 describe('mcp_server - ghost_delete_post tool', () => {
@@ -1192,6 +1368,295 @@ describe('mcp_server - ghost_delete_post tool', () => {
   });
 });
 
+describe('mcp_server - ghost_publish_post tool', () => {
+  const id = '507f1f77bcf86cd799439011';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register with the publish schema', () => {
+    const tool = mockTools.get('ghost_publish_post');
+    expect(tool).toBeDefined();
+    assertZodShape(tool.schema, 'ghost_publish_post');
+    expect(tool.schema.shape.segment).toBeDefined();
+  });
+
+  it('should return a recipient preview unless confirmed', async () => {
+    mockPublishPost.mockResolvedValue({
+      published: false,
+      post: { id },
+      newsletter: { slug: 'weekly' },
+      segment: 'free',
+      recipient_count: 12,
+      email: null,
+    });
+
+    const tool = mockTools.get('ghost_publish_post');
+    const result = await tool.handler({ id, newsletter: 'weekly', segment: 'free' });
+
+    expect(mockPublishPost).toHaveBeenCalledWith(id, {
+      newsletter: 'weekly',
+      segment: 'free',
+      confirm: false,
+    });
+    expect(JSON.parse(result.content[0].text).recipient_count).toBe(12);
+  });
+
+  it('should pass confirm through and return the email status', async () => {
+    mockPublishPost.mockResolvedValue({
+      published: true,
+      post: { id, status: 'published' },
+      newsletter: { slug: 'weekly' },
+      segment: 'all',
+      recipient_count: 12,
+      email: { status: 'pending' },
+    });
+
+    const tool = mockTools.get('ghost_publish_post');
+    const result = await tool.handler({ id, newsletter: 'weekly', confirm: true });
+
+    expect(mockPublishPost.mock.calls[0][1].confirm).toBe(true);
+    expect(JSON.parse(result.content[0].text).email.status).toBe('pending');
+  });
+
+  it('should surface a refusal to re-send as an error', async () => {
+    mockPublishPost.mockRejectedValue(new Error('Post has already been sent as an email'));
+
+    const tool = mockTools.get('ghost_publish_post');
+    const result = await tool.handler({ id, newsletter: 'weekly', confirm: true });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('already been sent');
+  });
+});
+
+describe('mcp_server - scheduling tools', () => {
+  const id = '507f1f77bcf86cd799439011';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+    // Run the real scheduling service so the tools are tested end to end
+    // down to the post/settings calls.
+    const scheduling = await vi.importActual('../services/scheduling.js');
+    mockSchedulePost.mockImplementation(scheduling.schedulePost);
+    mockGetScheduledPosts.mockImplementation(scheduling.getScheduledPosts);
+    mockGetSettings.mockResolvedValue({ timezone: 'America/New_York' });
+    mockGetPost.mockResolvedValue({ id, title: 'Launch', status: 'draft' });
+    mockUpdatePost.mockImplementation(async (postId, data) => ({
+      id: postId,
+      title: 'Launch',
+      ...data,
+    }));
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2030-01-01T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should register both tools with their schemas', () => {
+    assertZodShape(mockTools.get('ghost_schedule_post').schema, 'ghost_schedule_post');
+    assertZodShape(mockTools.get('ghost_get_scheduled_posts').schema, 'ghost_get_scheduled_posts');
+  });
+
+  it('should reject publish_at with an offset and unknown timezones', async () => {
+    const tool = mockTools.get('ghost_schedule_post');
+
+    const withOffset = await tool.handler({ id, publish_at: '2030-07-01T09:30Z' });
+    expect(withOffset.isError).toBe(true);
+    expect(withOffset.content[0].text).toContain('publish_at must be a local date/time');
+
+    const badZone = await tool.handler({
+      id,
+      publish_at: '2030-07-01T09:30',
+      timezone: 'Mars/Base',
+    });
+    expect(badZone.isError).toBe(true);
+    expect(badZone.content[0].text).toContain('Invalid IANA timezone');
+
+    const badId = await tool.handler({ id: 'nope', publish_at: '2030-07-01T09:30' });
+    expect(badId.isError).toBe(true);
+
+    expect(mockSchedulePost).not.toHaveBeenCalled();
+  });
+
+  it('should convert publish_at from the given timezone to UTC and summarize the result', async () => {
+    const tool = mockTools.get('ghost_schedule_post');
+    const result = await tool.handler({
+      id,
+      publish_at: '2030-07-01T09:30',
+      timezone: 'Europe/London',
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(mockUpdatePost).toHaveBeenCalledWith(id, {
+      status: 'scheduled',
+      published_at: '2030-07-01T08:30:00.000Z',
+    });
+    expect(mockGetSettings).not.toHaveBeenCalled();
+    expect(JSON.parse(result.content[0].text)).toEqual({
+      id,
+      title: 'Launch',
+      status: 'scheduled',
+      published_at: '2030-07-01T08:30:00.000Z',
+      local_time: '2030-07-01 09:30',
+      timezone: 'Europe/London',
+      message:
+        'Scheduled "Launch" for 2030-07-01 09:30 Europe/London (2030-07-01T08:30:00.000Z UTC).',
+    });
+  });
+
+  it('should fall back to the site timezone', async () => {
+    const tool = mockTools.get('ghost_schedule_post');
+    const result = await tool.handler({ id, publish_at: '2030-01-15T09:00' });
+
+    expect(mockUpdatePost.mock.calls[0][1].published_at).toBe('2030-01-15T14:00:00.000Z');
+    expect(JSON.parse(result.content[0].text).timezone).toBe('America/New_York');
+  });
+
+  it('should reject times in the past without touching the post', async () => {
+    const tool = mockTools.get('ghost_schedule_post');
+    const result = await tool.handler({
+      id,
+      publish_at: '2030-01-01T11:59',
+      timezone: 'Etc/UTC',
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('is in the past');
+    expect(mockGetPost).not.toHaveBeenCalled();
+    expect(mockUpdatePost).not.toHaveBeenCalled();
+  });
+
+  it('should reject a malformed from date or out-of-range days for the calendar', async () => {
+    const tool = mockTools.get('ghost_get_scheduled_posts');
+
+    const badFrom = await tool.handler({ from: '2030-1-5' });
+    expect(badFrom.isError).toBe(true);
+    expect(badFrom.content[0].text).toContain('from must be a date');
+
+    const badDays = await tool.handler({ days: 0 });
+    expect(badDays.isError).toBe(true);
+
+    expect(mockGetScheduledPosts).not.toHaveBeenCalled();
+  });
+
+  it('should group scheduled posts by local day in the requested timezone', async () => {
+    mockGetPosts.mockResolvedValue([
+      { id: 'a', title: 'Late', slug: 'late', published_at: '2030-01-10T14:30:00.000Z' },
+      { id: 'b', title: 'Early', slug: 'early', published_at: '2030-01-10T15:30:00.000Z' },
+    ]);
+
+    const tool = mockTools.get('ghost_get_scheduled_posts');
+    const result = await tool.handler({ from: '2030-01-10', days: 2, timezone: 'Asia/Tokyo' });
+
+    expect(mockGetPosts).toHaveBeenCalledWith({
+      filter:
+        "status:scheduled+published_at:>='2030-01-09T15:00:00.000Z'+published_at:<'2030-01-11T15:00:00.000Z'",
+      order: 'published_at asc',
+      limit: 'all',
+    });
+    expect(JSON.parse(result.content[0].text)).toEqual({
+      timezone: 'Asia/Tokyo',
+      from: '2030-01-10',
+      to: '2030-01-11',
+      total: 2,
+      days: [
+        {
+          date: '2030-01-10',
+          weekday: 'Thursday',
+          posts: [
+            {
+              id: 'a',
+              title: 'Late',
+              slug: 'late',
+              local_time: '23:30',
+              published_at: '2030-01-10T14:30:00.000Z',
+            },
+          ],
+        },
+        {
+          date: '2030-01-11',
+          weekday: 'Friday',
+          posts: [
+            {
+              id: 'b',
+              title: 'Early',
+              slug: 'early',
+              local_time: '00:30',
+              published_at: '2030-01-10T15:30:00.000Z',
+            },
+          ],
+        },
+      ],
+    });
+  });
+});
+
+describe('mcp_server - ghost_bulk_update_posts tool', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register with the bulk update schema', () => {
+    const tool = mockTools.get('ghost_bulk_update_posts');
+    expect(tool).toBeDefined();
+    assertZodShape(tool.schema, 'ghost_bulk_update_posts');
+  });
+
+  it('should pass the patch and options to the service', async () => {
+    const report = {
+      filter: 'tag:recipes',
+      dry_run: true,
+      summary: { matched: 1, would_update: 1, unchanged: 0, failed: 0 },
+      new_tags: [],
+      posts: [{ id: 'post-1', status: 'would_update', changes: {} }],
+    };
+    mockBulkUpdatePosts.mockResolvedValue(report);
+
+    const tool = mockTools.get('ghost_bulk_update_posts');
+    const result = await tool.handler({
+      filter: 'tag:recipes',
+      patch: { add_tags: ['archive'], remove_tags: ['recipes'], featured: false },
+      dry_run: true,
+    });
+
+    expect(mockBulkUpdatePosts).toHaveBeenCalledWith(
+      'tag:recipes',
+      {
+        addTags: ['archive'],
+        removeTags: ['recipes'],
+        visibility: undefined,
+        featured: false,
+        status: undefined,
+        authors: undefined,
+      },
+      { dryRun: true, maxPosts: 1000, batchSize: 10, delayMs: 1000 }
+    );
+    expect(JSON.parse(result.content[0].text)).toEqual(report);
+  });
+
+  it('should reject an empty patch', async () => {
+    const tool = mockTools.get('ghost_bulk_update_posts');
+    const result = await tool.handler({ filter: 'tag:recipes', patch: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('patch must change at least one field');
+    expect(mockBulkUpdatePosts).not.toHaveBeenCalled();
+  });
+});
+
 describe('mcp_server - ghost_search_posts tool', () => {
   beforeEach(async () => {
     vi.clearAllMocks();
@@ -1698,7 +2163,7 @@ describe('tool schema JSON Schema output', () => {
     }
   });
 
-  it('should declare title and html as required for ghost_create_post and ghost_create_page', () => {
+  it('should declare title as required and html/markdown as content for ghost_create_post and ghost_create_page', () => {
     for (const toolName of ['ghost_create_post', 'ghost_create_page']) {
       const tool = mockTools.get(toolName);
       expect(tool, `${toolName}: tool not found in registry`).toBeDefined();
@@ -1706,9 +2171,10 @@ describe('tool schema JSON Schema output', () => {
 
       expect(jsonSchema.properties, `${toolName}: properties missing`).toBeDefined();
       expect(jsonSchema.required, `${toolName}: title not required`).toContain('title');
-      expect(jsonSchema.required, `${toolName}: html not required`).toContain('html');
       expect(jsonSchema.properties.title.type, `${toolName}: title type`).toBe('string');
+      // html and markdown are alternatives; the tool requires exactly one at runtime
       expect(jsonSchema.properties.html.type, `${toolName}: html type`).toBe('string');
+      expect(jsonSchema.properties.markdown.type, `${toolName}: markdown type`).toBe('string');
     }
   });
 });
@@ -1795,3 +2261,924 @@ describe('mcp_server - ghost_upload_image download size cap', () => {
     expect(destroyCalls[0]).toBeInstanceOf(Error);
   });
 });
+
+describe('mcp_server - ghost_upload_media / ghost_upload_file', () => {
+  let mediaHandler;
+  let fileHandler;
+
+  beforeAll(async () => {
+    if (mockTools.size === 0) await import('../mcp_server.js');
+    mediaHandler = mockTools.get('ghost_upload_media').handler;
+    fileHandler = mockTools.get('ghost_upload_file').handler;
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('requires exactly one media input', async () => {
+    const none = await mediaHandler({});
+    expect(none.isError).toBe(true);
+    expect(none.content[0].text).toMatch(/exactly one of mediaUrl, mediaPath, or mediaBase64/);
+
+    const both = await mediaHandler({
+      mediaUrl: 'https://example.com/a.mp4',
+      mediaBase64: 'AAAA',
+      mimeType: 'video/mp4',
+    });
+    expect(both.isError).toBe(true);
+    expect(mockUploadMedia).not.toHaveBeenCalled();
+  });
+
+  it('rejects more than one thumbnail input', async () => {
+    const result = await mediaHandler({
+      mediaUrl: 'https://example.com/a.mp4',
+      thumbnailUrl: 'https://example.com/a.jpg',
+      thumbnailBase64: 'AAAA',
+      thumbnailMimeType: 'image/jpeg',
+    });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/at most one of thumbnailUrl/);
+  });
+
+  it('acquires the thumbnail with the image rules and thumbnail input names', async () => {
+    const result = await mediaHandler({
+      mediaBase64: Buffer.from('ID3').toString('base64'),
+      mimeType: 'audio/mpeg',
+      thumbnailBase64: 'AAAA',
+      thumbnailMimeType: 'video/mp4',
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Unsupported mimeType: video\/mp4/);
+    expect(mockUploadMedia).not.toHaveBeenCalled();
+    const [mediaPath] = mockTrackTempFile.mock.calls[0];
+    expect(mediaPath).toMatch(/\.mp3$/);
+    expect(mockCleanupTempFiles).toHaveBeenCalledWith([mediaPath], console);
+
+    // tempFileManager is mocked, so remove the decoded file here
+    const fsp = await vi.importActual('fs/promises');
+    await fsp.unlink(mediaPath).catch(() => {});
+  });
+
+  it('applies the 100MB media cap to downloads', async () => {
+    mockValidateImageUrl.mockReturnValue({
+      isValid: true,
+      sanitizedUrl: 'https://example.com/talk.mp4',
+    });
+    mockCreateSecureAxiosConfig.mockReturnValue({ url: 'https://example.com/talk.mp4' });
+    const destroy = vi.fn();
+    mockAxios.mockResolvedValue({
+      headers: { 'content-length': String(100 * 1024 * 1024 + 1) },
+      data: { destroy, on: vi.fn(), pipe: vi.fn() },
+    });
+
+    const result = await mediaHandler({ mediaUrl: 'https://example.com/talk.mp4' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Media exceeds 104857600 byte limit/);
+    expect(destroy).toHaveBeenCalled();
+  });
+
+  it('rejects a base64 file with a MIME type outside the allowlist', async () => {
+    const result = await fileHandler({ fileBase64: 'AAAA', mimeType: 'application/x-msdownload' });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Unsupported mimeType/);
+    expect(mockUploadFile).not.toHaveBeenCalled();
+  });
+
+  it('uploads a base64 file and cleans up the temp file', async () => {
+    mockUploadFile.mockResolvedValue({ url: 'https://cdn/files/guide.pdf', ref: 'guide.pdf' });
+
+    const result = await fileHandler({
+      fileBase64: Buffer.from('%PDF-1.4').toString('base64'),
+      mimeType: 'application/pdf',
+      ref: 'guide.pdf',
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({
+      url: 'https://cdn/files/guide.pdf',
+      ref: 'guide.pdf',
+    });
+    const [uploadedPath, opts] = mockUploadFile.mock.calls[0];
+    expect(uploadedPath).toMatch(/\.pdf$/);
+    expect(opts).toEqual({ ref: 'guide.pdf' });
+    expect(mockTrackTempFile).toHaveBeenCalledWith(uploadedPath);
+    expect(mockCleanupTempFiles).toHaveBeenCalledWith([uploadedPath], console);
+
+    // tempFileManager is mocked, so remove the decoded file here
+    const fsp = await vi.importActual('fs/promises');
+    await fsp.unlink(uploadedPath).catch(() => {});
+  });
+});
+
+describe('mcp_server - ghost_search_content tool', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register with the content search schema', () => {
+    const tool = mockTools.get('ghost_search_content');
+    expect(tool).toBeDefined();
+    assertZodShape(tool.schema, 'ghost_search_content');
+    expect(tool.schema.shape.published_after).toBeDefined();
+  });
+
+  it('should pass filters to the service with date range names converted', async () => {
+    mockSearchContent.mockResolvedValue({ query: 'kubernetes', total: 0, results: [] });
+
+    const tool = mockTools.get('ghost_search_content');
+    const result = await tool.handler({
+      query: 'kubernetes',
+      type: 'post',
+      tag: 'devops',
+      published_after: '2024-01-01',
+    });
+
+    expect(mockSearchContent).toHaveBeenCalledWith('kubernetes', {
+      type: 'post',
+      status: 'all',
+      tag: 'devops',
+      limit: 10,
+      refresh: true,
+      publishedAfter: '2024-01-01',
+      publishedBefore: undefined,
+    });
+    expect(JSON.parse(result.content[0].text).total).toBe(0);
+  });
+
+  it('should reject an empty query before searching', async () => {
+    const tool = mockTools.get('ghost_search_content');
+    const result = await tool.handler({ query: '  ' });
+
+    expect(result.isError).toBe(true);
+    expect(mockSearchContent).not.toHaveBeenCalled();
+  });
+});
+
+describe('mcp_server - ghost:// resources', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register item and collection templates for each resource type', () => {
+    for (const type of ['post', 'page', 'tag', 'member', 'newsletter', 'tier']) {
+      expect(mockResources.has(`ghost-${type}`)).toBe(true);
+      expect(mockResources.has(`ghost-${type}s`)).toBe(true);
+    }
+    expect(mockResources.get('ghost-post').template.uriTemplate).toBe('ghost://post/{identifier}');
+  });
+
+  it('should read resources through the lazily loaded services', async () => {
+    mockGetTag.mockResolvedValue({ id: 'tag-1', name: 'News' });
+
+    const { readCallback } = mockResources.get('ghost-tag');
+    const result = await readCallback(new URL('ghost://tag/tag-1'));
+
+    expect(mockGetTag).toHaveBeenCalledWith('tag-1');
+    expect(JSON.parse(result.contents[0].text)).toEqual({ id: 'tag-1', name: 'News' });
+  });
+});
+
+describe('mcp_server - ghost_import_wordpress tool', () => {
+  let importRoot;
+  let wxrPath;
+
+  beforeAll(async () => {
+    if (mockTools.size === 0) await import('../mcp_server.js');
+    const fsp = await vi.importActual('fs/promises');
+    importRoot = await fsp.mkdtemp('/tmp/wordpress-import-');
+    wxrPath = `${importRoot}/export.xml`;
+    await fsp.writeFile(wxrPath, '<rss/>');
+  });
+
+  afterAll(async () => {
+    const fsp = await vi.importActual('fs/promises');
+    await fsp.rm(importRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.GHOST_MCP_IMPORT_ROOT = importRoot;
+  });
+
+  afterEach(() => {
+    delete process.env.GHOST_MCP_IMPORT_ROOT;
+  });
+
+  it('should register with the import schema', () => {
+    const tool = mockTools.get('ghost_import_wordpress');
+    expect(tool).toBeDefined();
+    assertZodShape(tool.schema, 'ghost_import_wordpress');
+  });
+
+  it('should import from a path inside the import root', async () => {
+    const report = {
+      dry_run: false,
+      summary: { total: 1, created: 1, skipped: 0, failed: 0, conflicts: 0, images_rehosted: 0 },
+      items: [{ type: 'post', status: 'created', id: 'post-1', slug: 'hello' }],
+    };
+    mockImportWordPress.mockResolvedValue(report);
+
+    const tool = mockTools.get('ghost_import_wordpress');
+    const result = await tool.handler({ wxr_path: wxrPath, author_map: { admin: 'a@b.com' } });
+
+    expect(mockImportWordPress).toHaveBeenCalledWith(wxrPath, {
+      dryRun: false,
+      types: ['post', 'page'],
+      authorMap: { admin: 'a@b.com' },
+      uploadImage: expect.any(Function),
+      batchSize: 5,
+      delayMs: 1000,
+    });
+    expect(JSON.parse(result.content[0].text)).toEqual(report);
+  });
+
+  it('should leave images remote when rehost_images is false', async () => {
+    mockImportWordPress.mockResolvedValue({
+      dry_run: true,
+      summary: { total: 0, would_create: 0, skipped: 0, failed: 0, conflicts: 0 },
+      items: [],
+    });
+
+    const tool = mockTools.get('ghost_import_wordpress');
+    await tool.handler({ wxr_path: wxrPath, dry_run: true, rehost_images: false });
+
+    expect(mockImportWordPress.mock.calls[0][1]).toMatchObject({
+      dryRun: true,
+      uploadImage: undefined,
+    });
+  });
+
+  it('should refuse paths when the import root is not configured', async () => {
+    delete process.env.GHOST_MCP_IMPORT_ROOT;
+
+    const tool = mockTools.get('ghost_import_wordpress');
+    const result = await tool.handler({ wxr_path: wxrPath });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/GHOST_MCP_IMPORT_ROOT is not set/);
+    expect(mockImportWordPress).not.toHaveBeenCalled();
+  });
+
+  it('should refuse paths outside the import root', async () => {
+    const tool = mockTools.get('ghost_import_wordpress');
+    const result = await tool.handler({ wxr_path: '/etc/passwd' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/outside the allowed root/);
+  });
+});
+
+describe('mcp_server - ghost_export_content tool', () => {
+  let exportRoot;
+
+  beforeAll(async () => {
+    if (mockTools.size === 0) await import('../mcp_server.js');
+    const fsp = await vi.importActual('fs/promises');
+    exportRoot = await fsp.realpath(await fsp.mkdtemp('/tmp/content-export-'));
+  });
+
+  afterAll(async () => {
+    const fsp = await vi.importActual('fs/promises');
+    await fsp.rm(exportRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.GHOST_MCP_EXPORT_ROOT = exportRoot;
+    mockExportContent.mockImplementation(async (outputDir, options) => ({
+      path: outputDir,
+      format_version: 1,
+      format: options.format,
+      files: ['ghost-import.json'],
+    }));
+  });
+
+  afterEach(() => {
+    delete process.env.GHOST_MCP_EXPORT_ROOT;
+  });
+
+  it('should export to a directory inside the export root', async () => {
+    const tool = mockTools.get('ghost_export_content');
+    const result = await tool.handler({ format: 'markdown', output_dir: 'nightly/2024-01-01' });
+
+    expect(mockExportContent).toHaveBeenCalledWith(`${exportRoot}/nightly/2024-01-01`, {
+      format: 'markdown',
+      types: ['posts', 'pages', 'tags', 'tiers', 'newsletters'],
+    });
+    expect(JSON.parse(result.content[0].text).format_version).toBe(1);
+  });
+
+  it('should default to a timestamped directory', async () => {
+    const tool = mockTools.get('ghost_export_content');
+    await tool.handler({});
+
+    expect(mockExportContent.mock.calls[0][0]).toMatch(
+      new RegExp(`^${exportRoot}/ghost-export-\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z$`)
+    );
+  });
+
+  it('should refuse directories outside the export root', async () => {
+    const tool = mockTools.get('ghost_export_content');
+    const result = await tool.handler({ output_dir: '../elsewhere' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/inside the allowed root/);
+    expect(mockExportContent).not.toHaveBeenCalled();
+  });
+});
+
+describe('mcp_server - bulk delete tools', () => {
+  let exportRoot;
+
+  beforeAll(async () => {
+    if (mockTools.size === 0) await import('../mcp_server.js');
+    const fsp = await vi.importActual('fs/promises');
+    exportRoot = await fsp.realpath(await fsp.mkdtemp('/tmp/bulk-delete-'));
+  });
+
+  afterAll(async () => {
+    const fsp = await vi.importActual('fs/promises');
+    await fsp.rm(exportRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.GHOST_MCP_EXPORT_ROOT = exportRoot;
+  });
+
+  afterEach(() => {
+    delete process.env.GHOST_MCP_EXPORT_ROOT;
+  });
+
+  it('should register a bulk delete tool for posts, pages and members', () => {
+    for (const name of [
+      'ghost_bulk_delete_posts',
+      'ghost_bulk_delete_pages',
+      'ghost_bulk_delete_members',
+    ]) {
+      const tool = mockTools.get(name);
+      expect(tool).toBeDefined();
+      assertZodShape(tool.schema, name);
+    }
+  });
+
+  it('should preview when no confirmation token is given', async () => {
+    const preview = {
+      resource: 'members',
+      filter: 'status:free',
+      count: 2,
+      sample: [],
+      confirmation_token: 'token',
+      expires_at: '2024-01-01T00:05:00.000Z',
+    };
+    mockPreviewBulkDelete.mockResolvedValue(preview);
+
+    const tool = mockTools.get('ghost_bulk_delete_members');
+    const result = await tool.handler({ filter: 'status:free', sample_size: 5 });
+
+    expect(mockPreviewBulkDelete).toHaveBeenCalledWith('members', 'status:free', {
+      maxItems: 1000,
+      sampleSize: 5,
+    });
+    expect(mockConfirmBulkDelete).not.toHaveBeenCalled();
+    expect(JSON.parse(result.content[0].text)).toEqual(preview);
+  });
+
+  it('should not resolve backup_dir for a preview', async () => {
+    delete process.env.GHOST_MCP_EXPORT_ROOT;
+    mockPreviewBulkDelete.mockResolvedValue({ resource: 'posts', count: 0, sample: [] });
+
+    const tool = mockTools.get('ghost_bulk_delete_posts');
+    const result = await tool.handler({ filter: 'status:draft', backup_dir: '../elsewhere' });
+
+    expect(result.isError).toBeUndefined();
+    expect(mockPreviewBulkDelete).toHaveBeenCalledWith('posts', 'status:draft', {
+      maxItems: 1000,
+      sampleSize: 10,
+    });
+  });
+
+  it('should delete with a confirmation token and back up inside the export root', async () => {
+    mockConfirmBulkDelete.mockResolvedValue({
+      resource: 'posts',
+      filter: 'status:draft',
+      summary: { confirmed: 1, deleted: 1, not_found: 0, failed: 0 },
+      items: [{ id: 'post-1', status: 'deleted' }],
+    });
+
+    const tool = mockTools.get('ghost_bulk_delete_posts');
+    await tool.handler({
+      filter: 'status:draft',
+      confirmation_token: 'token',
+      backup_dir: 'old-drafts',
+    });
+
+    expect(mockConfirmBulkDelete).toHaveBeenCalledWith('posts', 'status:draft', 'token', {
+      backupDir: `${exportRoot}/old-drafts`,
+      batchSize: 10,
+      delayMs: 1000,
+    });
+    expect(mockPreviewBulkDelete).not.toHaveBeenCalled();
+  });
+
+  it('should refuse backup directories outside the export root', async () => {
+    const tool = mockTools.get('ghost_bulk_delete_pages');
+    const result = await tool.handler({
+      filter: 'status:draft',
+      confirmation_token: 'token',
+      backup_dir: '../elsewhere',
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/inside the allowed root/);
+    expect(mockConfirmBulkDelete).not.toHaveBeenCalled();
+  });
+});
+
+describe('mcp_server - revision history tools', () => {
+  const postId = '507f1f77bcf86cd799439011';
+  const revisionId = '2025-01-31T10-00-00-000Z-a1b2c3';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register the revision tools', () => {
+    for (const name of ['ghost_list_revisions', 'ghost_diff_revisions', 'ghost_restore_revision']) {
+      const tool = mockTools.get(name);
+      expect(tool).toBeDefined();
+      assertZodShape(tool.schema, name);
+    }
+  });
+
+  it('should list revisions of a page', async () => {
+    mockListRevisions.mockResolvedValue({ resource: 'pages', id: postId, revisions: [] });
+
+    const tool = mockTools.get('ghost_list_revisions');
+    const result = await tool.handler({ type: 'page', id: postId });
+
+    expect(mockListRevisions).toHaveBeenCalledWith('pages', postId);
+    expect(JSON.parse(result.content[0].text).revisions).toEqual([]);
+  });
+
+  it('should diff a revision against the current post by default', async () => {
+    mockDiffRevisions.mockResolvedValue({ changes: { title: {} }, html_diff: '' });
+
+    const tool = mockTools.get('ghost_diff_revisions');
+    await tool.handler({ id: postId, from: revisionId });
+
+    expect(mockDiffRevisions).toHaveBeenCalledWith('posts', postId, revisionId, 'current');
+  });
+
+  it('should restore a revision', async () => {
+    mockRestoreRevision.mockResolvedValue({
+      resource: 'posts',
+      revision_id: revisionId,
+      recreated: false,
+      item: { id: postId, slug: 'banana-bread' },
+    });
+
+    const tool = mockTools.get('ghost_restore_revision');
+    const result = await tool.handler({ id: postId, revision_id: revisionId });
+
+    expect(mockRestoreRevision).toHaveBeenCalledWith('posts', postId, revisionId);
+    expect(JSON.parse(result.content[0].text).recreated).toBe(false);
+  });
+
+  it('should surface a disabled revision store as an error', async () => {
+    mockListRevisions.mockRejectedValue(
+      new Error('Revision history is disabled: GHOST_MCP_REVISIONS_DIR is not set.')
+    );
+
+    const tool = mockTools.get('ghost_list_revisions');
+    const result = await tool.handler({ id: postId });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('GHOST_MCP_REVISIONS_DIR');
+  });
+});
+
+describe('mcp_server - update tool dry runs', () => {
+  const id = '507f1f77bcf86cd799439011';
+  const preview = {
+    dry_run: true,
+    changes: { name: { before: 'Old', after: 'New' } },
+    unchanged: [],
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+    mockPreviewUpdate.mockResolvedValue(preview);
+  });
+
+  it.each([
+    ['ghost_update_tag', 'tags', mockUpdateTag, { name: 'New' }],
+    ['ghost_update_page', 'pages', mockUpdatePage, { title: 'New' }],
+    ['ghost_update_member', 'members', mockUpdateMember, { name: 'New' }],
+    ['ghost_update_newsletter', 'newsletters', mockUpdateNewsletter, { name: 'New' }],
+    ['ghost_update_tier', 'tiers', mockUpdateTier, { name: 'New' }],
+  ])('%s should return a preview without updating', async (name, resource, mockUpdate, data) => {
+    const tool = mockTools.get(name);
+    const result = await tool.handler({ id, ...data, dry_run: true });
+
+    expect(mockPreviewUpdate).toHaveBeenCalledWith(resource, id, expect.objectContaining(data));
+    expect(mockPreviewUpdate.mock.calls[0][2]).not.toHaveProperty('dry_run');
+    expect(mockUpdate).not.toHaveBeenCalled();
+    expect(JSON.parse(result.content[0].text)).toEqual(preview);
+  });
+
+  it('should preview a post update with markdown converted and authors resolved', async () => {
+    mockResolveAuthors.mockResolvedValue([{ id: '507f1f77bcf86cd799439022' }]);
+
+    const tool = mockTools.get('ghost_update_post');
+    await tool.handler({ id, markdown: 'Hello', authors: ['jane@example.com'], dry_run: true });
+
+    expect(mockPreviewUpdate).toHaveBeenCalledWith(
+      'posts',
+      id,
+      expect.objectContaining({
+        html: '<p>Hello</p>\n',
+        authors: [{ id: '507f1f77bcf86cd799439022' }],
+      })
+    );
+    expect(mockUpdatePost).not.toHaveBeenCalled();
+  });
+
+  it('should not pass dry_run on to a real update', async () => {
+    mockUpdateTag.mockResolvedValue({ id, name: 'New' });
+
+    const tool = mockTools.get('ghost_update_tag');
+    await tool.handler({ id, name: 'New' });
+
+    expect(mockPreviewUpdate).not.toHaveBeenCalled();
+    expect(mockUpdateTag.mock.calls[0][1]).not.toHaveProperty('dry_run');
+  });
+});
+
+describe('mcp_server - member comp tools', () => {
+  const memberId = '507f1f77bcf86cd799439011';
+  const tierId = '507f1f77bcf86cd799439022';
+  const access = {
+    member: { id: memberId, email: 'ada@example.com', status: 'comped' },
+    comps: [{ tier: { id: tierId, name: 'Gold' }, expires_at: '2099-01-01T00:00:00.000Z' }],
+    subscriptions: [],
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register the comp and subscription tools', () => {
+    for (const name of [
+      'ghost_get_member_subscriptions',
+      'ghost_grant_member_comp',
+      'ghost_remove_member_comp',
+    ]) {
+      const tool = mockTools.get(name);
+      expect(tool).toBeDefined();
+      assertZodShape(tool.schema, name);
+    }
+  });
+
+  it("should return a member's subscription history", async () => {
+    mockGetMemberSubscriptions.mockResolvedValue(access);
+
+    const result = await mockTools.get('ghost_get_member_subscriptions').handler({ id: memberId });
+
+    expect(mockGetMemberSubscriptions).toHaveBeenCalledWith(memberId);
+    expect(JSON.parse(result.content[0].text).comps).toHaveLength(1);
+  });
+
+  it('should grant a tier with its expiry', async () => {
+    mockGrantMemberComp.mockResolvedValue(access);
+
+    const result = await mockTools.get('ghost_grant_member_comp').handler({
+      id: memberId,
+      tier_id: tierId,
+      expires_at: '2099-01-01T00:00:00.000Z',
+    });
+
+    expect(mockGrantMemberComp).toHaveBeenCalledWith(memberId, tierId, {
+      expiresAt: '2099-01-01T00:00:00.000Z',
+    });
+    expect(result.isError).toBeUndefined();
+  });
+
+  it('should remove every comp when no tier is given', async () => {
+    mockRemoveMemberComp.mockResolvedValue({ ...access, comps: [] });
+
+    await mockTools.get('ghost_remove_member_comp').handler({ id: memberId });
+
+    expect(mockRemoveMemberComp).toHaveBeenCalledWith(memberId, undefined);
+  });
+
+  it('should surface tier validation errors', async () => {
+    mockGrantMemberComp.mockRejectedValue(new Error('Tier is archived'));
+
+    const result = await mockTools
+      .get('ghost_grant_member_comp')
+      .handler({ id: memberId, tier_id: tierId });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Tier is archived');
+  });
+});
+
+describe('mcp_server - analytics tools', () => {
+  const postId = '507f1f77bcf86cd799439011';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+  });
+
+  it('should register the analytics tools', () => {
+    for (const name of [
+      'ghost_get_post_analytics',
+      'ghost_get_email_report',
+      'ghost_member_stats',
+    ]) {
+      const tool = mockTools.get(name);
+      expect(tool).toBeDefined();
+      assertZodShape(tool.schema, name);
+    }
+  });
+
+  it("should return one post's analytics", async () => {
+    mockGetPostAnalytics.mockResolvedValue({ post: { id: postId }, email: { open_rate: 52.1 } });
+
+    const tool = mockTools.get('ghost_get_post_analytics');
+    const result = await tool.handler({ id: postId });
+
+    expect(mockGetPostAnalytics).toHaveBeenCalledWith(postId);
+    expect(JSON.parse(result.content[0].text).email.open_rate).toBe(52.1);
+  });
+
+  it('should pass the report range and grouping to the service', async () => {
+    mockGetEmailReport.mockResolvedValue({
+      from: '2025-02-01',
+      to: '2025-02-07',
+      summary: { emails: 2, open_rate: 48.5 },
+      table: '| Sent | Post |',
+      series: [],
+    });
+
+    const tool = mockTools.get('ghost_get_email_report');
+    const result = await tool.handler({ from: '2025-02-01', to: '2025-02-07', group_by: 'week' });
+
+    expect(mockGetEmailReport).toHaveBeenCalledWith({
+      from: '2025-02-01',
+      to: '2025-02-07',
+      timezone: undefined,
+      newsletter: undefined,
+      groupBy: 'week',
+    });
+    expect(JSON.parse(result.content[0].text).summary.emails).toBe(2);
+  });
+
+  describe('ghost_member_stats cache', () => {
+    const stats = {
+      from: '2024-01-01',
+      to: '2024-01-31',
+      totals: { total: 10, free: 7, paid: 2, comped: 1 },
+      signups: 4,
+      churn_rate: 12.5,
+    };
+    let today;
+
+    beforeEach(async () => {
+      today = '2024-01-31';
+      mockResolveReportRange.mockImplementation(async ({ from, to, timezone }) => ({
+        from: from ?? '2024-01-25',
+        to: to ?? today,
+        timeZone: timezone ?? 'Europe/London',
+      }));
+      mockGetMemberStats.mockResolvedValue(stats);
+    });
+
+    const run = (input) => mockTools.get('ghost_member_stats').handler(input);
+
+    it('should cache member stats until a member changes', async () => {
+      mockCreateMember.mockResolvedValue({ id: 'm1', email: 'new@example.com' });
+      const input = { from: '2024-01-01', to: '2024-01-31', group_by: 'week' };
+
+      const first = await run(input);
+      await run(input);
+      expect(mockGetMemberStats).toHaveBeenCalledTimes(1);
+      expect(mockGetMemberStats).toHaveBeenCalledWith({
+        from: '2024-01-01',
+        to: '2024-01-31',
+        timezone: 'Europe/London',
+        groupBy: 'week',
+      });
+      expect(JSON.parse(first.content[0].text).totals.total).toBe(10);
+
+      await mockTools.get('ghost_create_member').handler({ email: 'new@example.com' });
+      await run(input);
+      expect(mockGetMemberStats).toHaveBeenCalledTimes(2);
+    });
+
+    it('should key default ranges by the resolved dates', async () => {
+      const input = { group_by: 'month' };
+
+      await run(input);
+      today = '2024-02-01';
+      await run(input);
+
+      expect(mockGetMemberStats).toHaveBeenCalledTimes(2);
+      expect(mockGetMemberStats).toHaveBeenLastCalledWith(
+        expect.objectContaining({ to: '2024-02-01', timezone: 'Europe/London' })
+      );
+    });
+
+    it('should recompute after member imports and bulk label changes', async () => {
+      mockImportMembers.mockResolvedValue({
+        summary: { total: 1, created: 1, updated: 0, skipped: 0, failed: 0 },
+        rows: [],
+      });
+      mockAddLabelToMembers.mockResolvedValue({
+        label: { id: 'l1', name: 'VIP' },
+        matched: 1,
+        updated: 1,
+        unchanged: 0,
+        failed: 0,
+      });
+      const input = { from: '2024-03-01', to: '2024-03-31', group_by: 'day' };
+
+      await run(input);
+      await mockTools.get('ghost_import_members').handler({ csv: 'email\na@example.com' });
+      await run(input);
+      await mockTools
+        .get('ghost_add_label_to_members')
+        .handler({ id: '507f1f77bcf86cd799439011', filter: 'status:paid' });
+      await run(input);
+
+      expect(mockGetMemberStats).toHaveBeenCalledTimes(3);
+    });
+
+    it('should default to UTC when the site timezone cannot be read', async () => {
+      const { resolveReportRange } = await vi.importActual('../services/analytics.js');
+      const { ValidationError } = await vi.importActual('../errors/index.js');
+      mockResolveReportRange.mockImplementation(resolveReportRange);
+      mockGetSettings.mockRejectedValue(
+        new ValidationError('Invalid Ghost API resource or action: settings.browse')
+      );
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2024-05-10T12:00:00Z'));
+
+      try {
+        const result = await run({ group_by: 'day' });
+
+        expect(result.isError).toBeUndefined();
+        expect(mockGetMemberStats).toHaveBeenCalledWith({
+          from: '2024-05-04',
+          to: '2024-05-10',
+          timezone: 'Etc/UTC',
+          groupBy: 'day',
+        });
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+});
+
+describe('mcp_server - ghost_batch tool', () => {
+  const tagId = '507f1f77bcf86cd799439031';
+  const postId = '507f1f77bcf86cd799439032';
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    if (mockTools.size === 0) {
+      await import('../mcp_server.js');
+    }
+    mockCreateTag.mockResolvedValue({ id: tagId, name: 'News', slug: 'news' });
+    mockCreatePostService.mockResolvedValue({ id: postId, title: 'Hello' });
+  });
+
+  it('should register ghost_batch', () => {
+    const tool = mockTools.get('ghost_batch');
+    expect(tool).toBeDefined();
+    assertZodShape(tool.schema, 'ghost_batch');
+  });
+
+  it('should run operations with earlier outputs passed to later ones', async () => {
+    const tool = mockTools.get('ghost_batch');
+    const result = await tool.handler({
+      operations: [
+        { id: 'tag', tool: 'ghost_create_tag', input: { name: 'News' } },
+        {
+          id: 'post',
+          tool: 'ghost_create_post',
+          input: { title: 'Hello', html: '<p>Hi</p>', tags: ['$ops.tag.name'] },
+        },
+      ],
+    });
+
+    expect(mockCreatePostService).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Hello', tags: ['News'] })
+    );
+    const batch = JSON.parse(result.content[0].text);
+    expect(batch.status).toBe('succeeded');
+    expect(batch.operations[1].output).toEqual({ id: postId, title: 'Hello' });
+  });
+
+  it('should validate every operation before running any', async () => {
+    const tool = mockTools.get('ghost_batch');
+    const result = await tool.handler({
+      operations: [
+        { id: 'tag', tool: 'ghost_create_tag', input: { name: 'News' } },
+        { id: 'bad', tool: 'ghost_update_post', input: { id: 'not-an-id' } },
+        { id: 'nope', tool: 'ghost_explode', input: {} },
+        { id: 'nested', tool: 'ghost_batch', input: {} },
+      ],
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('no operations were run');
+    expect(result.content[0].text).toContain('operations.1.input.id');
+    expect(result.content[0].text).toContain('Unknown tool: ghost_explode');
+    expect(result.content[0].text).toContain('Batches cannot be nested');
+    expect(mockCreateTag).not.toHaveBeenCalled();
+  });
+
+  it('should delete created items when a later operation fails and rollback is set', async () => {
+    mockUpdatePost.mockRejectedValue(new Error('Post update failed'));
+    mockDeletePost.mockResolvedValue(undefined);
+    mockDeleteTag.mockResolvedValue(undefined);
+
+    const tool = mockTools.get('ghost_batch');
+    const result = await tool.handler({
+      operations: [
+        { id: 'tag', tool: 'ghost_create_tag', input: { name: 'News' } },
+        {
+          id: 'post',
+          tool: 'ghost_create_post',
+          input: { title: 'Hello', html: '<p>Hi</p>', tags: ['$ops.tag.name'] },
+        },
+        { id: 'publish', tool: 'ghost_update_post', input: { id: '$ops.post.id', title: 'x' } },
+      ],
+      rollback: true,
+    });
+
+    const batch = JSON.parse(result.content[0].text);
+    expect(batch.status).toBe('rolled_back');
+    expect(batch.operations[2]).toMatchObject({
+      status: 'failed',
+      error: expect.stringContaining('Post update failed'),
+    });
+    expect(mockDeletePost).toHaveBeenCalledWith(postId);
+    expect(mockDeleteTag).toHaveBeenCalledWith(tagId);
+    expect(batch.summary.rolled_back).toBe(2);
+  });
+
+  it('should archive created offers on rollback, since Ghost cannot delete them', async () => {
+    const offerId = '507f1f77bcf86cd799439033';
+    const offerInput = {
+      name: 'Spring',
+      code: 'spring',
+      type: 'percent',
+      cadence: 'month',
+      amount: 20,
+      duration: 'once',
+      tier: { id: '507f1f77bcf86cd799439034' },
+    };
+    mockCreateOffer.mockResolvedValue({ id: offerId, code: 'spring' });
+    mockUpdateOffer.mockResolvedValue({ id: offerId, status: 'archived' });
+    mockCreateTag.mockRejectedValue(new Error('Tag create failed'));
+
+    const tool = mockTools.get('ghost_batch');
+    const result = await tool.handler({
+      operations: [
+        { id: 'offer', tool: 'ghost_create_offer', input: offerInput },
+        { id: 'tag', tool: 'ghost_create_tag', input: { name: '$ops.offer.code' } },
+      ],
+      rollback: true,
+    });
+
+    const batch = JSON.parse(result.content[0].text);
+    expect(mockUpdateOffer).toHaveBeenCalledWith(offerId, { status: 'archived' });
+    expect(batch.status).toBe('rolled_back');
+    expect(batch.operations[0].rollback).toBe('archived');
+  });
+});
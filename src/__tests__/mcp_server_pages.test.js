@@ -3,12 +3,18 @@ import { assertZodShape } from './helpers/testUtils.js';
 
 // Mock the McpServer to capture tool registrations
 const mockTools = new Map();
+const mockResources = new Map();
 
 vi.mock('@modelcontextprotocol/sdk/server/mcp.js', () => {
   return {
     McpServer: class MockMcpServer {
       constructor(config) {
         this.config = config;
+        this.server = {
+          registerCapabilities() {},
+          setRequestHandler() {},
+          sendResourceUpdated: () => Promise.resolve(),
+        };
       }
 
       tool(name, description, schema, handler) {
@@ -25,10 +31,26 @@ vi.mock('@modelcontextprotocol/sdk/server/mcp.js', () => {
         });
       }
 
+      registerResource(name, template, metadata, readCallback) {
+        mockResources.set(name, { name, template, metadata, readCallback });
+      }
+
+      isConnected() {
+        return false;
+      }
+
+      sendResourceListChanged() {}
+
       connect(_transport) {
         return Promise.resolve();
       }
     },
+    ResourceTemplate: class MockResourceTemplate {
+      constructor(uriTemplate, callbacks) {
+        this.uriTemplate = uriTemplate;
+        this.callbacks = callbacks;
+      }
+    },
   };
 });
 
@@ -367,6 +389,31 @@ describe('mcp_server - ghost_create_page tool', () => {
     expect(result.content[0].text).toContain('Complete Page');
   });
 
+  it('should convert markdown to html before creating the page', async () => {
+    mockCreatePageService.mockResolvedValue({ id: '507f1f77bcf86cd799439011', title: 'MD' });
+
+    const tool = mockTools.get('ghost_create_page');
+    await tool.handler({ title: 'MD', markdown: '## About\n\nWe **build** things.' });
+
+    const [pageInput] = mockCreatePageService.mock.calls[0];
+    expect(pageInput.html).toBe('<h2>About</h2>\n<p>We <strong>build</strong> things.</p>\n');
+    expect(pageInput).not.toHaveProperty('markdown');
+  });
+
+  it('should require exactly one of html or markdown', async () => {
+    const tool = mockTools.get('ghost_create_page');
+
+    const both = await tool.handler({ title: 'X', html: '<p>a</p>', markdown: 'a' });
+    expect(both.isError).toBe(true);
+    expect(both.content[0].text).toContain('either html or markdown');
+
+    const neither = await tool.handler({ title: 'X' });
+    expect(neither.isError).toBe(true);
+    expect(neither.content[0].text).toContain('Content is required');
+
+    expect(mockCreatePageService).not.toHaveBeenCalled();
+  });
+
   it('should handle errors gracefully', async () => {
     mockCreatePageService.mockRejectedValue(new Error('Invalid input'));
 
@@ -412,7 +459,8 @@ describe('mcp_server - ghost_update_page tool', () => {
       '507f1f77bcf86cd799439011',
       expect.objectContaining({
         title: 'Updated Title',
-      })
+      }),
+      {}
     );
     expect(result.content[0].text).toContain('Updated Title');
   });
@@ -435,7 +483,8 @@ describe('mcp_server - ghost_update_page tool', () => {
         title: 'New Title',
         status: 'published',
         html: '<p>Updated content</p>',
-      })
+      }),
+      { source: 'html' }
     );
     expect(result.content[0].text).toContain('New Title');
   });
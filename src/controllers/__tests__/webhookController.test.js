@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import {
+  createMockRequest,
+  createMockResponse,
+  createMockNext,
+} from '../../__tests__/helpers/mockExpress.js';
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after mocks are set up
+import { handleWebhookEvent, webhookEvents } from '../webhookController.js';
+import { createContextLogger } from '../../utils/logger.js';
+
+describe('webhookController', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    webhookEvents.removeAllListeners();
+  });
+
+  describe('handleWebhookEvent', () => {
+    it('should acknowledge a known event and log the affected resource', () => {
+      const req = createMockRequest({
+        params: { event: 'post.edited' },
+        body: { post: { current: { id: 'post-1', title: 'New' }, previous: { title: 'Old' } } },
+      });
+      const res = createMockResponse();
+
+      handleWebhookEvent(req, res, createMockNext());
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ received: true, event: 'post.edited' });
+
+      const logger = createContextLogger.mock.results[0].value;
+      expect(logger.info).toHaveBeenCalledWith(
+        'Ghost webhook received',
+        expect.objectContaining({
+          event: 'post.edited',
+          resourceType: 'post',
+          resourceId: 'post-1',
+          changedFields: ['title'],
+        })
+      );
+    });
+
+    it('should fall back to the previous state for delete events', () => {
+      const req = createMockRequest({
+        params: { event: 'tag.deleted' },
+        body: { tag: { current: {}, previous: { id: 'tag-1', name: 'Old' } } },
+      });
+      const res = createMockResponse();
+
+      handleWebhookEvent(req, res, createMockNext());
+
+      const logger = createContextLogger.mock.results[0].value;
+      expect(logger.info).toHaveBeenCalledWith(
+        'Ghost webhook received',
+        expect.objectContaining({ resourceType: 'tag', resourceId: 'tag-1' })
+      );
+    });
+
+    it('should return 400 for unknown events', () => {
+      const req = createMockRequest({ params: { event: 'post.exploded' } });
+      const res = createMockResponse();
+
+      handleWebhookEvent(req, res, createMockNext());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should emit accepted deliveries to listeners', () => {
+      const listener = vi.fn();
+      webhookEvents.on('event', listener);
+      const body = { member: { current: { id: 'member-1' }, previous: {} } };
+      const req = createMockRequest({ params: { event: 'member.added' }, body });
+
+      handleWebhookEvent(req, createMockResponse(), createMockNext());
+
+      expect(listener).toHaveBeenCalledWith('member.added', body);
+    });
+
+    it('should not emit unknown events', () => {
+      const listener = vi.fn();
+      webhookEvents.on('event', listener);
+      const req = createMockRequest({ params: { event: 'post.exploded' } });
+
+      handleWebhookEvent(req, createMockResponse(), createMockNext());
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should still acknowledge the delivery when a listener throws', () => {
+      webhookEvents.on('event', () => {
+        throw new Error('listener broke');
+      });
+      const req = createMockRequest({
+        params: { event: 'post.edited' },
+        body: { post: { current: { id: 'post-1' }, previous: {} } },
+      });
+      const res = createMockResponse();
+
+      handleWebhookEvent(req, res, createMockNext());
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const logger = createContextLogger.mock.results[0].value;
+      expect(logger.error).toHaveBeenCalledWith(
+        'Webhook listener failed',
+        expect.objectContaining({ event: 'post.edited', error: 'listener broke' })
+      );
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import EventEmitter from 'events';
+import { createContextLogger } from '../utils/logger.js';
+import { WEBHOOK_EVENTS } from '../schemas/webhookSchemas.js';
+
+/**
+ * Emits 'event' (event, payload) for every accepted delivery, so other parts
+ * of the process (the MCP server's resource subscriptions) can react to it.
+ */
+const webhookEvents = new EventEmitter();
+
+/**
+ * Pulls the affected resource out of a Ghost webhook payload.
+ * Ghost wraps the resource under its type, e.g. { post: { current, previous } }.
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{type: string|null, id: string|null, changedFields: string[]}} Summary of the resource
+ */
+const summarizePayload = (payload) => {
+  const [type] = Object.keys(payload || {});
+  const wrapper = type ? payload[type] : null;
+  const current = wrapper?.current || {};
+  const previous = wrapper?.previous || {};
+
+  return {
+    type: type || null,
+    id: current.id || previous.id || null,
+    changedFields: Object.keys(previous),
+  };
+};
+
+/**
+ * Controller to handle an incoming Ghost webhook delivery.
+ * The signature has already been verified and the body parsed by the route.
+ * Ghost does not include the event name in the payload, so it is taken from
+ * the URL the webhook was registered with (/api/webhooks/:event).
+ */
+const handleWebhookEvent = (req, res) => {
+  const logger = createContextLogger('webhook-controller');
+  const { event } = req.params;
+
+  if (!WEBHOOK_EVENTS.includes(event)) {
+    logger.warn('Webhook received for unknown event', { event });
+    return res.status(400).json({ message: `Unknown webhook event: ${event}` });
+  }
+
+  const summary = summarizePayload(req.body);
+
+  logger.info('Ghost webhook received', {
+    event,
+    resourceType: summary.type,
+    resourceId: summary.id,
+    changedFields: summary.changedFields,
+    type: 'webhook_event',
+  });
+
+  try {
+    webhookEvents.emit('event', event, req.body);
+  } catch (error) {
+    // A failing listener is our problem; don't make Ghost retry the delivery
+    logger.error('Webhook listener failed', { event, error: error.message });
+  }
+
+  res.status(200).json({ received: true, event });
+};
+
+export { handleWebhookEvent, webhookEvents };
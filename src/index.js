@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import postRoutes from './routes/postRoutes.js'; // Import post routes
 import imageRoutes from './routes/imageRoutes.js'; // Import image routes
 import tagRoutes from './routes/tagRoutes.js'; // Import tag routes
+import webhookRoutes from './routes/webhookRoutes.js'; // Import webhook receiver routes
 import { createContextLogger } from './utils/logger.js';
 
 // Load environment variables from .env file
@@ -40,6 +41,12 @@ app.use(
   })
 );
 
+// Mount the webhook receiver before the JSON parser: signature checks need the raw body.
+// Only enabled when a secret is configured, so unsigned deliveries are never accepted.
+if (process.env.GHOST_WEBHOOK_SECRET) {
+  app.use('/api/webhooks', webhookRoutes);
+}
+
 // Middleware to parse JSON bodies with size limits
 app.use(
   express.json({
@@ -10,9 +10,26 @@ import os from 'os';
 import crypto from 'crypto';
 import { validateToolInput } from './utils/validation.js';
 import { formatErrorResponse } from './utils/formatErrorResponse.js';
+import { ValidationError } from './errors/index.js';
 import { createContextLogger } from './utils/logger.js';
-import { trackTempFile, cleanupTempFiles } from './utils/tempFileManager.js';
-import { resolveLocalImagePath, decodeBase64ToTempFile } from './utils/imageInputResolver.js';
+import { trackTempFile, untrackTempFile, cleanupTempFiles } from './utils/tempFileManager.js';
+import { decodeBase64ToTempFile } from './utils/imageInputResolver.js';
+import { resolveLocalPathInRoot, resolveOutputPathInRoot } from './utils/localPathResolver.js';
+import { findReferences, runBatchOperations } from './utils/batchOperations.js';
+import { ResourceManager } from './resources/ResourceManager.js';
+import {
+  registerGhostResources,
+  createResourceNotifier,
+  webhookResourceChange,
+} from './resources/ghostResources.js';
+import { mcpConfig } from './config/mcp-config.js';
+import {
+  IMAGE_UPLOAD_TYPE,
+  MEDIA_UPLOAD_TYPE,
+  FILE_UPLOAD_TYPE,
+  allowedExtensions,
+  resolveUploadExtension,
+} from './utils/uploadTypes.js';
 import {
   createTagSchema,
   updateTagSchema,
@@ -22,9 +39,18 @@ import {
   createPostSchema,
   updatePostSchema,
   postQuerySchema,
+  schedulePostSchema,
+  scheduledPostsQuerySchema,
+  bulkUpdatePostsSchema,
+  publishPostSchema,
+  searchContentSchema,
   createMemberSchema,
   updateMemberSchema,
   memberQuerySchema,
+  importMembersSchema,
+  exportMembersSchema,
+  grantMemberCompSchema,
+  removeMemberCompSchema,
   createTierSchema,
   updateTierSchema,
   tierQuerySchema,
@@ -34,6 +60,33 @@ import {
   createPageSchema,
   updatePageSchema,
   pageQuerySchema,
+  createOfferSchema,
+  updateOfferSchema,
+  offerQuerySchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  userQuerySchema,
+  userLookupSchema,
+  createLabelSchema,
+  updateLabelSchema,
+  labelQuerySchema,
+  labelIdSchema,
+  bulkMemberLabelSchema,
+  settingsQuerySchema,
+  updateSettingsSchema,
+  themeQuerySchema,
+  uploadThemeSchema,
+  activateThemeSchema,
+  importWordPressSchema,
+  exportContentSchema,
+  bulkDeleteSchema,
+  listRevisionsSchema,
+  diffRevisionsSchema,
+  restoreRevisionSchema,
+  batchSchema,
+  postAnalyticsSchema,
+  emailReportSchema,
+  memberStatsSchema,
 } from './schemas/index.js';
 
 // Load environment variables
@@ -112,7 +165,7 @@ const escapeNqlValue = (value) => {
  * @param {string} toolName - The tool identifier (e.g., 'ghost_get_tags')
  * @param {object} schema - Zod schema for input validation
  * @param {Function} handler - Async function receiving validated input, returns MCP response
- * @returns {Function} Wrapped async handler for server.registerTool
+ * @returns {Function} Wrapped async handler for registerTool
  */
 const withErrorHandling = (toolName, schema, handler) => {
   return async (rawInput) => {
@@ -131,12 +184,97 @@ const withErrorHandling = (toolName, schema, handler) => {
   };
 };
 
-// Create server instance with new API
-const server = new McpServer({
+const SERVER_INFO = {
   name: 'ghost-mcp-server',
   version: '1.0.0',
+};
+
+// Tool definitions, registered on every server createServer() builds: one for
+// stdio, or one per Streamable HTTP session
+const toolDefinitions = [];
+
+const registerTool = (name, config, handler) => {
+  toolDefinitions.push({ name, config, handler });
+};
+
+// Servers currently serving a client, for list-changed notifications
+const liveServers = new Set();
+
+// Shared by all servers so tool changes invalidate the cache resource reads use
+let resourceManager = null;
+
+const getResourceManager = async () => {
+  await loadServices();
+  if (!resourceManager) {
+    resourceManager = new ResourceManager(ghostService);
+  }
+  return resourceManager;
+};
+
+const notifyResourceChange = createResourceNotifier(getResourceManager, () => liveServers);
+
+// ghost_member_stats results are cached under this prefix
+const MEMBER_STATS_CACHE_PREFIX = 'members:stats:';
+
+/**
+ * Clears cached member stats. Tools that change many members at once call
+ * this instead of notifying each member.
+ */
+const invalidateMemberStats = async () => {
+  const manager = await getResourceManager();
+  manager.invalidateCache(`^${MEMBER_STATS_CACHE_PREFIX}`);
+};
+
+// Shared by the update tools, which return a diff instead of writing when it is set
+const dryRunField = z.boolean().default(false).meta({
+  description:
+    'Return a field-by-field diff against the current version (with a line diff for html) without writing anything',
 });
 
+/**
+ * Answers an update tool's dry run with the changes it would make.
+ * @param {string} resource - Ghost API resource name (e.g., 'posts')
+ * @param {string} id - ID of the item being updated
+ * @param {Object} updateData - The fields the update would send
+ * @returns {Promise<Object>} MCP response with the preview
+ */
+const previewUpdateResponse = async (resource, id, updateData) => {
+  const preview = await ghostService.previewUpdate(resource, id, updateData);
+  mcpLogger.info(`Dry run: previewed update of ${resource} ${id}, nothing was written.`);
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(preview, null, 2) }],
+  };
+};
+
+// Without a webhook receiver, subscribed URIs are re-fetched this often to
+// notice changes made outside this server
+const SUBSCRIPTION_POLLING_INTERVAL = 30000;
+
+// Set once this process receives Ghost webhooks; polling is the fallback
+let webhooksEnabled = false;
+
+/**
+ * Creates an McpServer with every tool and ghost:// resource registered.
+ * @returns {McpServer} A server ready to connect to one transport
+ */
+const createServer = () => {
+  const server = new McpServer(SERVER_INFO);
+  for (const { name, config, handler } of toolDefinitions) {
+    server.registerTool(name, config, handler);
+  }
+  const resources = registerGhostResources(server, getResourceManager, {
+    pollingInterval: webhooksEnabled ? undefined : SUBSCRIPTION_POLLING_INTERVAL,
+  });
+
+  liveServers.add(server);
+  server.server.onclose = () => {
+    liveServers.delete(server);
+    resources.close().catch(() => {});
+  };
+  return server;
+};
+
 // --- Register Tools ---
 
 // --- Schema Definitions for Tools ---
@@ -153,11 +291,11 @@ const getTagSchema = z
   .refine((data) => data.id || data.slug, {
     message: 'Either id or slug is required to retrieve a tag',
   });
-const updateTagInputSchema = updateTagSchema.extend({ id: ghostIdSchema });
+const updateTagInputSchema = updateTagSchema.extend({ id: ghostIdSchema, dry_run: dryRunField });
 const deleteTagSchema = z.object({ id: ghostIdSchema });
 
 // Get Tags Tool
-server.registerTool(
+registerTool(
   'ghost_get_tags',
   {
     description:
@@ -193,7 +331,7 @@ server.registerTool(
 );
 
 // Create Tag Tool
-server.registerTool(
+registerTool(
   'ghost_create_tag',
   {
     description: 'Creates a new tag in Ghost CMS.',
@@ -201,6 +339,7 @@ server.registerTool(
   },
   withErrorHandling('ghost_create_tag', createTagSchema, async (input) => {
     const createdTag = await ghostService.createTag(input);
+    await notifyResourceChange('tag', createdTag, 'create');
     mcpLogger.info(`Tag created successfully. Tag ID: ${createdTag.id}`);
 
     return {
@@ -210,7 +349,7 @@ server.registerTool(
 );
 
 // Get Tag Tool
-server.registerTool(
+registerTool(
   'ghost_get_tag',
   {
     description: 'Retrieves a single tag from Ghost CMS by ID or slug.',
@@ -232,15 +371,19 @@ server.registerTool(
 );
 
 // Update Tag Tool
-server.registerTool(
+registerTool(
   'ghost_update_tag',
   {
-    description: 'Updates an existing tag in Ghost CMS.',
+    description:
+      'Updates an existing tag in Ghost CMS. Set dry_run to see the changes without making them.',
     inputSchema: updateTagInputSchema,
   },
   withErrorHandling('ghost_update_tag', updateTagInputSchema, async (input) => {
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = input;
+    if (dryRun) return previewUpdateResponse('tags', id, updateData);
+
     const updatedTag = await ghostService.updateTag(id, updateData);
+    await notifyResourceChange('tag', updatedTag, 'update');
     mcpLogger.info(`Tag updated successfully. Tag ID: ${updatedTag.id}`);
 
     return {
@@ -250,7 +393,7 @@ server.registerTool(
 );
 
 // Delete Tag Tool
-server.registerTool(
+registerTool(
   'ghost_delete_tag',
   {
     description:
@@ -260,6 +403,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_tag', deleteTagSchema, async (input) => {
     const { id } = input;
     await ghostService.deleteTag(id);
+    await notifyResourceChange('tag', { id }, 'delete');
     mcpLogger.info(`Tag deleted successfully. Tag ID: ${id}`);
 
     return {
@@ -305,68 +449,125 @@ const imageInputFields = {
 const uploadImageSchema = z.object(imageInputFields);
 
 function validateImageInputXor(data) {
-  const count = Number(!!data.imageUrl) + Number(!!data.imagePath) + Number(!!data.imageBase64);
-  if (count !== 1) return 'Provide exactly one of imageUrl, imagePath, or imageBase64.';
-  if (data.imageBase64 && !data.mimeType) {
-    return 'mimeType is required when imageBase64 is provided.';
-  }
-  return null;
+  return validateUploadInputXor(data, 'image', 'mimeType');
 }
 
-// Axios does not enforce `maxContentLength` for responseType: 'stream',
-// so we cap downloads here by watching bytes on the response stream and
-// destroying it on overflow. Mirrors the config value in urlValidator.js.
-const DOWNLOAD_CAP_BYTES = 50 * 1024 * 1024;
-
-async function acquireImageForUpload({ imageUrl, imagePath: localPath, imageBase64, mimeType }) {
-  const tempDir = os.tmpdir();
+/**
+ * Streams a validated URL to a temp file, enforcing a byte cap both from
+ * the declared Content-Length and while bytes arrive (axios does not enforce
+ * `maxContentLength` for responseType: 'stream'). Returns the temp path, the
+ * filename hint from the URL, and the response Content-Type.
+ */
+async function downloadToTempFile(url, { capBytes, label, extension }) {
+  const axiosConfig = urlValidator.createSecureAxiosConfig(url);
+  const response = await axios(axiosConfig);
+
+  const declared = Number(response.headers['content-length']);
+  if (Number.isFinite(declared) && declared > capBytes) {
+    response.data.destroy();
+    throw new Error(`${label} exceeds ${capBytes} byte limit (server declared ${declared})`);
+  }
 
-  if (imageUrl) {
-    const urlValidation = urlValidator.validateImageUrl(imageUrl);
-    if (!urlValidation.isValid) {
-      throw new Error(`Invalid image URL: ${urlValidation.error}`);
-    }
-    const axiosConfig = urlValidator.createSecureAxiosConfig(urlValidation.sanitizedUrl);
-    const response = await axios(axiosConfig);
-
-    const declared = Number(response.headers['content-length']);
-    if (Number.isFinite(declared) && declared > DOWNLOAD_CAP_BYTES) {
-      response.data.destroy();
-      throw new Error(
-        `Image exceeds ${DOWNLOAD_CAP_BYTES} byte limit (server declared ${declared})`
-      );
+  const urlPath = url.split('?')[0];
+  const ext = extension ?? (path.extname(urlPath) || '.tmp');
+  const filenameHint =
+    path.basename(urlPath) || `${label.toLowerCase()}-${crypto.randomUUID()}${ext}`;
+  const downloadedPath = path.join(os.tmpdir(), `mcp-download-${crypto.randomUUID()}${ext}`);
+
+  let bytes = 0;
+  response.data.on('data', (chunk) => {
+    bytes += chunk.length;
+    if (bytes > capBytes) {
+      response.data.destroy(new Error(`${label} exceeds ${capBytes} byte limit`));
     }
+  });
 
-    const extension = path.extname(imageUrl.split('?')[0]) || '.tmp';
-    const filenameHint =
-      path.basename(imageUrl.split('?')[0]) || `image-${crypto.randomUUID()}${extension}`;
-    const downloadedPath = path.join(tempDir, `mcp-download-${crypto.randomUUID()}${extension}`);
+  const writer = fs.createWriteStream(downloadedPath);
+  response.data.pipe(writer);
+  await new Promise((resolve, reject) => {
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+    response.data.on('error', reject);
+  });
+  return { downloadedPath, filenameHint, contentType: response.headers['content-type'] };
+}
 
-    let bytes = 0;
-    response.data.on('data', (chunk) => {
-      bytes += chunk.length;
-      if (bytes > DOWNLOAD_CAP_BYTES) {
-        response.data.destroy(new Error(`Image exceeds ${DOWNLOAD_CAP_BYTES} byte limit`));
-      }
-    });
+/**
+ * Acquires an upload from `<prefix>Url`, `<prefix>Path` or `<prefix>Base64`
+ * using the upload type's size cap, local root and MIME allowlist (see
+ * utils/uploadTypes.js). Types with `enforceExtension` also reject file names
+ * and Content-Types outside the allowlist. URL and base64 input land in a
+ * tracked temp file. Returns { acquiredPath, filenameHint, source }.
+ */
+async function acquireUpload(uploadType, data, opts = {}) {
+  const { label } = uploadType;
+  const { prefix = label.toLowerCase(), mimeField = 'mimeType' } = opts;
+  const url = data[`${prefix}Url`];
+  const localPath = data[`${prefix}Path`];
+  const base64 = data[`${prefix}Base64`];
+  const notAllowed = (name) =>
+    new Error(
+      `${label} type not allowed for ${name}. Allowed extensions: ${allowedExtensions(uploadType).join(', ')}`
+    );
 
-    const writer = fs.createWriteStream(downloadedPath);
-    response.data.pipe(writer);
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-      response.data.on('error', reject);
+  if (url) {
+    const urlValidation = urlValidator.validateImageUrl(url);
+    if (!urlValidation.isValid) {
+      throw new Error(`Invalid ${label.toLowerCase()} URL: ${urlValidation.error}`);
+    }
+    const urlPath = urlValidation.sanitizedUrl.split('?')[0];
+    const extFromName = uploadType.enforceExtension
+      ? resolveUploadExtension(uploadType, urlPath)
+      : undefined;
+    const downloaded = await downloadToTempFile(urlValidation.sanitizedUrl, {
+      capBytes: uploadType.maxBytes,
+      label,
+      extension: uploadType.enforceExtension ? (extFromName ?? '.tmp') : undefined,
     });
-    return { acquiredPath: downloadedPath, filenameHint, source: 'url' };
+    trackTempFile(downloaded.downloadedPath);
+
+    if (!uploadType.enforceExtension || extFromName) {
+      return {
+        acquiredPath: downloaded.downloadedPath,
+        filenameHint: downloaded.filenameHint,
+        source: 'url',
+      };
+    }
+
+    // No usable extension in the URL — fall back to the Content-Type header.
+    const ext = resolveUploadExtension(uploadType, '', downloaded.contentType);
+    if (!ext) {
+      await cleanupTempFiles([downloaded.downloadedPath], console);
+      throw notAllowed(`${url} (${downloaded.contentType || 'no Content-Type'})`);
+    }
+    const renamed = downloaded.downloadedPath.replace(/\.tmp$/, ext);
+    await fs.promises.rename(downloaded.downloadedPath, renamed);
+    untrackTempFile(downloaded.downloadedPath);
+    trackTempFile(renamed);
+    return { acquiredPath: renamed, filenameHint: downloaded.filenameHint, source: 'url' };
   }
 
   if (localPath) {
-    const resolved = await resolveLocalImagePath(localPath);
+    const resolved = await resolveLocalPathInRoot(localPath, {
+      rootEnvVar: uploadType.rootEnvVar,
+      inputName: `${prefix}Path`,
+    });
+    if (uploadType.enforceExtension && !resolveUploadExtension(uploadType, resolved)) {
+      throw notAllowed(path.basename(resolved));
+    }
+    const { size } = await fs.promises.stat(resolved);
+    if (size > uploadType.maxBytes) {
+      throw new Error(`${label} exceeds ${uploadType.maxBytes} byte limit (${size} bytes)`);
+    }
     return { acquiredPath: resolved, filenameHint: path.basename(resolved), source: 'path' };
   }
 
-  if (imageBase64) {
-    const decodedPath = await decodeBase64ToTempFile(imageBase64, mimeType);
+  if (base64) {
+    const decodedPath = await decodeBase64ToTempFile(base64, data[mimeField], {
+      extByMime: uploadType.extByMime,
+      inputName: `${prefix}Base64`,
+    });
+    trackTempFile(decodedPath);
     return {
       acquiredPath: decodedPath,
       filenameHint: path.basename(decodedPath),
@@ -374,7 +575,7 @@ async function acquireImageForUpload({ imageUrl, imagePath: localPath, imageBase
     };
   }
 
-  throw new Error('No image input provided'); // unreachable — schema enforces one
+  throw new Error(`No ${label.toLowerCase()} input provided`); // unreachable — XOR check enforces one
 }
 
 /**
@@ -389,9 +590,8 @@ async function performImageUpload(data) {
   let processedPath = null;
 
   try {
-    const acquired = await acquireImageForUpload(data);
+    const acquired = await acquireUpload(IMAGE_UPLOAD_TYPE, data);
     acquiredPath = acquired.acquiredPath;
-    if (acquired.source !== 'path') trackTempFile(acquiredPath);
 
     processedPath = await imageProcessingService.processImage(
       acquiredPath,
@@ -436,7 +636,7 @@ function validateAndXorImageInput(schema, rawInput, toolName) {
 }
 
 // Upload Image Tool
-server.registerTool(
+registerTool(
   'ghost_upload_image',
   {
     description:
@@ -474,7 +674,7 @@ const setFeatureImageSchema = uploadImageSchema.extend({
   }),
 });
 
-server.registerTool(
+registerTool(
   'ghost_set_feature_image',
   {
     description:
@@ -515,6 +715,7 @@ server.registerTool(
         type === 'post'
           ? await ghostService.updatePost(id, updatePayload)
           : await ghostService.updatePage(id, updatePayload);
+      await notifyResourceChange(type, updated, 'update');
       mcpLogger.info(`ghost_set_feature_image: ${type} ${id} updated with ${uploadedUrl}`);
       return {
         content: [
@@ -541,7 +742,224 @@ server.registerTool(
   }
 );
 
+// --- Media & File Upload Tools ---
+// Same URL / local path / base64 input modes as ghost_upload_image, acquired
+// through acquireUpload with the media or file upload type.
+
+const uploadMediaSchema = z.object({
+  mediaUrl: z.string().optional().meta({
+    description: 'Publicly accessible URL of the audio or video file to download and upload.',
+  }),
+  mediaPath: z.string().optional().meta({
+    description:
+      'Absolute path to a local audio or video file. Only accepted when the GHOST_MCP_MEDIA_ROOT env var is set; paths must resolve inside that root.',
+  }),
+  mediaBase64: z.string().optional().meta({
+    description:
+      'Base64-encoded media bytes (with or without data: URI prefix). Decoded size capped at 5MB. Requires mimeType.',
+  }),
+  mimeType: z
+    .string()
+    .optional()
+    .meta({
+      description: `MIME type for mediaBase64 input. Allowed: ${Object.keys(MEDIA_UPLOAD_TYPE.extByMime).join(', ')}.`,
+    }),
+  thumbnailUrl: z.string().optional().meta({
+    description: 'URL of a thumbnail image (video poster / audio card image).',
+  }),
+  thumbnailPath: z.string().optional().meta({
+    description:
+      'Absolute path to a local thumbnail image. Only accepted when GHOST_MCP_IMAGE_ROOT is set.',
+  }),
+  thumbnailBase64: z.string().optional().meta({
+    description: 'Base64-encoded thumbnail image. Requires thumbnailMimeType.',
+  }),
+  thumbnailMimeType: z.string().optional().meta({
+    description: 'MIME type for thumbnailBase64 input (e.g. image/jpeg, image/png).',
+  }),
+  ref: z.string().max(200).optional().meta({
+    description: 'Caller-supplied identifier (e.g. original filename). Ghost echoes it back.',
+  }),
+});
+
+const uploadFileSchema = z.object({
+  fileUrl: z.string().optional().meta({
+    description: 'Publicly accessible URL of the file to download and upload.',
+  }),
+  filePath: z.string().optional().meta({
+    description:
+      'Absolute path to a local file. Only accepted when the GHOST_MCP_FILE_ROOT env var is set; paths must resolve inside that root.',
+  }),
+  fileBase64: z.string().optional().meta({
+    description:
+      'Base64-encoded file bytes (with or without data: URI prefix). Decoded size capped at 5MB. Requires mimeType.',
+  }),
+  mimeType: z
+    .string()
+    .optional()
+    .meta({
+      description: `MIME type for fileBase64 input. Allowed: ${Object.keys(FILE_UPLOAD_TYPE.extByMime).join(', ')}.`,
+    }),
+  ref: z.string().max(200).optional().meta({
+    description: 'Caller-supplied identifier (e.g. original filename). Ghost echoes it back.',
+  }),
+});
+
+/**
+ * XOR check for `<prefix>Url` / `<prefix>Path` / `<prefix>Base64` inputs.
+ * Returns an error message, or null when the input is valid.
+ */
+function validateUploadInputXor(data, prefix, mimeField, { optional = false } = {}) {
+  const count =
+    Number(!!data[`${prefix}Url`]) +
+    Number(!!data[`${prefix}Path`]) +
+    Number(!!data[`${prefix}Base64`]);
+  if (count > 1 || (count === 0 && !optional)) {
+    return `Provide ${optional ? 'at most' : 'exactly'} one of ${prefix}Url, ${prefix}Path, or ${prefix}Base64.`;
+  }
+  if (data[`${prefix}Base64`] && !data[mimeField]) {
+    return `${mimeField} is required when ${prefix}Base64 is provided.`;
+  }
+  return null;
+}
+
+/**
+ * Runs tool-input validation plus the XOR check(s) for a typed upload tool.
+ */
+function validateTypedUploadInput(schema, rawInput, toolName, checks) {
+  const validation = validateToolInput(schema, rawInput, toolName);
+  if (!validation.success) return validation;
+  for (const [prefix, mimeField, opts] of checks) {
+    const xorError = validateUploadInputXor(validation.data, prefix, mimeField, opts);
+    if (xorError) {
+      return {
+        success: false,
+        errorResponse: formatErrorResponse(new Error(xorError), toolName),
+      };
+    }
+  }
+  return validation;
+}
+
+// Upload Media Tool
+registerTool(
+  'ghost_upload_media',
+  {
+    description:
+      'Uploads an audio or video file (mp4, webm, ogv, mp3, wav, ogg, m4a) to Ghost CMS, with an optional thumbnail image. Accepts a remote URL, a local file path (when GHOST_MCP_MEDIA_ROOT is configured), or a base64 payload. Downloads and local files are capped at 100MB. Returns the media URL and thumbnail URL for use in audio/video cards.',
+    inputSchema: uploadMediaSchema,
+  },
+  async (rawInput) => {
+    const validation = validateTypedUploadInput(uploadMediaSchema, rawInput, 'ghost_upload_media', [
+      ['media', 'mimeType'],
+      ['thumbnail', 'thumbnailMimeType', { optional: true }],
+    ]);
+    if (!validation.success) return validation.errorResponse;
+    const data = validation.data;
+
+    const tempFiles = [];
+    try {
+      await loadServices();
+
+      const media = await acquireUpload(MEDIA_UPLOAD_TYPE, data);
+      if (media.source !== 'path') tempFiles.push(media.acquiredPath);
+
+      const uploadOpts = { ref: data.ref || media.filenameHint.slice(0, 200) };
+      if (data.thumbnailUrl || data.thumbnailPath || data.thumbnailBase64) {
+        const thumbnail = await acquireUpload(IMAGE_UPLOAD_TYPE, data, {
+          prefix: 'thumbnail',
+          mimeField: 'thumbnailMimeType',
+        });
+        if (thumbnail.source !== 'path') tempFiles.push(thumbnail.acquiredPath);
+        uploadOpts.thumbnailPath = thumbnail.acquiredPath;
+      }
+
+      const uploadResult = await ghostService.uploadMedia(media.acquiredPath, uploadOpts);
+      mcpLogger.info(`Media uploaded successfully: ${uploadResult.url}`);
+
+      const result = { url: uploadResult.url };
+      if (uploadResult.thumbnail_url) result.thumbnail_url = uploadResult.thumbnail_url;
+      if (uploadResult.ref) result.ref = uploadResult.ref;
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      logToolError('ghost_upload_media', error);
+      return formatErrorResponse(error, 'ghost_upload_media');
+    } finally {
+      if (tempFiles.length > 0) await cleanupTempFiles(tempFiles, console);
+    }
+  }
+);
+
+// Upload File Tool
+registerTool(
+  'ghost_upload_file',
+  {
+    description:
+      'Uploads a downloadable file (pdf, zip, epub, json, txt, csv, docx, xlsx, pptx) to Ghost CMS. Accepts a remote URL, a local file path (when GHOST_MCP_FILE_ROOT is configured), or a base64 payload. Downloads and local files are capped at 50MB. Returns the file URL for use in file cards or links.',
+    inputSchema: uploadFileSchema,
+  },
+  async (rawInput) => {
+    const validation = validateTypedUploadInput(uploadFileSchema, rawInput, 'ghost_upload_file', [
+      ['file', 'mimeType'],
+    ]);
+    if (!validation.success) return validation.errorResponse;
+    const data = validation.data;
+
+    let acquired = null;
+    try {
+      await loadServices();
+
+      acquired = await acquireUpload(FILE_UPLOAD_TYPE, data);
+
+      const uploadResult = await ghostService.uploadFile(acquired.acquiredPath, {
+        ref: data.ref || acquired.filenameHint.slice(0, 200),
+      });
+      mcpLogger.info(`File uploaded successfully: ${uploadResult.url}`);
+
+      const result = { url: uploadResult.url };
+      if (uploadResult.ref) result.ref = uploadResult.ref;
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      logToolError('ghost_upload_file', error);
+      return formatErrorResponse(error, 'ghost_upload_file');
+    } finally {
+      if (acquired && acquired.source !== 'path') {
+        await cleanupTempFiles([acquired.acquiredPath], console);
+      }
+    }
+  }
+);
+
 // --- Post Schema Definitions ---
+/**
+ * Moves already-converted `markdown` (see markdownContentSchema) into `html`
+ * so services only ever see HTML. html and markdown are mutually exclusive;
+ * create tools require one of them.
+ */
+function applyMarkdownContent(input, { required = false } = {}) {
+  const { markdown, ...data } = input;
+  if (markdown !== undefined && data.html !== undefined) {
+    throw new ValidationError('Provide either html or markdown, not both', [
+      { field: 'markdown', message: 'Cannot be combined with html' },
+    ]);
+  }
+  if (markdown !== undefined) return { ...data, html: markdown };
+  if (required && data.html === undefined) {
+    throw new ValidationError('Content is required', [
+      { field: 'html', message: 'Provide html or markdown' },
+    ]);
+  }
+  return data;
+}
+
+/**
+ * Request options for an update: Ghost only converts `html` into the editor
+ * format when the request says the source is HTML, and drops it otherwise.
+ */
+function htmlSourceOptions(updateData) {
+  return updateData.html !== undefined ? { source: 'html' } : {};
+}
+
 const getPostsSchema = postQuerySchema.extend({
   status: z
     .enum(['published', 'draft', 'scheduled', 'all'])
@@ -573,18 +991,25 @@ const searchPostsSchema = z.object({
     .optional()
     .meta({ description: 'Maximum number of results (1-50). Default is 15.' }),
 });
-const updatePostInputSchema = updatePostSchema.extend({ id: ghostIdSchema });
+const updatePostInputSchema = updatePostSchema.extend({
+  id: ghostIdSchema,
+  dry_run: dryRunField,
+});
 const deletePostSchema = z.object({ id: ghostIdSchema });
 
 // Create Post Tool
-server.registerTool(
+registerTool(
   'ghost_create_post',
   {
-    description: 'Creates a new post in Ghost CMS.',
+    description:
+      'Creates a new post in Ghost CMS. Content can be given as html or as markdown (converted to sanitized HTML, with code blocks, tables and images mapped to Ghost cards).',
     inputSchema: createPostSchema,
   },
   withErrorHandling('ghost_create_post', createPostSchema, async (input) => {
-    const createdPost = await postService.createPostService(input);
+    const createdPost = await postService.createPostService(
+      applyMarkdownContent(input, { required: true })
+    );
+    await notifyResourceChange('post', createdPost, 'create');
     mcpLogger.info(`Post created successfully. Post ID: ${createdPost.id}`);
 
     return {
@@ -594,7 +1019,7 @@ server.registerTool(
 );
 
 // Get Posts Tool
-server.registerTool(
+registerTool(
   'ghost_get_posts',
   {
     description:
@@ -623,7 +1048,7 @@ server.registerTool(
 );
 
 // Get Post Tool
-server.registerTool(
+registerTool(
   'ghost_get_post',
   {
     description: 'Retrieves a single post from Ghost CMS by ID or slug.',
@@ -647,7 +1072,7 @@ server.registerTool(
 );
 
 // Search Posts Tool
-server.registerTool(
+registerTool(
   'ghost_search_posts',
   {
     description: 'Search for posts in Ghost CMS by query string with optional status filtering.',
@@ -669,18 +1094,29 @@ server.registerTool(
 );
 
 // Update Post Tool
-server.registerTool(
+registerTool(
   'ghost_update_post',
   {
     description:
-      'Updates an existing post in Ghost CMS. Can update title, content, status, tags, images, and SEO fields. Only the provided fields are changed; omitted fields remain unchanged. Note: tags and authors arrays are fully replaced, not merged with existing values.',
+      'Updates an existing post in Ghost CMS. Can update title, content, status, tags, images, and SEO fields. Only the provided fields are changed; omitted fields remain unchanged. Note: tags and authors arrays are fully replaced, not merged with existing values. Set dry_run to see a diff of the changes without making them.',
     inputSchema: updatePostInputSchema,
   },
   withErrorHandling('ghost_update_post', updatePostInputSchema, async (input) => {
     // Extract ID from input and build update data
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = applyMarkdownContent(input);
 
-    const updatedPost = await ghostService.updatePost(id, updateData);
+    // Accept author emails, slugs or names as well as IDs
+    if (updateData.authors) {
+      updateData.authors = await ghostService.resolveAuthors(updateData.authors);
+    }
+    if (dryRun) return previewUpdateResponse('posts', id, updateData);
+
+    const updatedPost = await ghostService.updatePost(
+      id,
+      updateData,
+      htmlSourceOptions(updateData)
+    );
+    await notifyResourceChange('post', updatedPost, 'update');
     mcpLogger.info(`Post updated successfully. Post ID: ${updatedPost.id}`);
 
     return {
@@ -690,7 +1126,7 @@ server.registerTool(
 );
 
 // Delete Post Tool
-server.registerTool(
+registerTool(
   'ghost_delete_post',
   {
     description:
@@ -700,6 +1136,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_post', deletePostSchema, async (input) => {
     const { id } = input;
     await ghostService.deletePost(id);
+    await notifyResourceChange('post', { id }, 'delete');
     mcpLogger.info(`Post deleted successfully. Post ID: ${id}`);
 
     return {
@@ -708,6 +1145,162 @@ server.registerTool(
   })
 );
 
+// Bulk Update Posts Tool
+registerTool(
+  'ghost_bulk_update_posts',
+  {
+    description:
+      'Applies one patch to every post matching an NQL filter (e.g., "tag:recipes" or "published_at:<\'2022-01-01\'"): add or remove tags, or set visibility, featured, status or authors. Tags are merged into each post\'s existing tags. Posts are updated in throttled batches with optimistic concurrency, and posts that would not change are skipped. Use dry_run to preview the per-post changes. Refuses to run if more than max_posts match. Returns a per-post result.',
+    inputSchema: bulkUpdatePostsSchema,
+  },
+  withErrorHandling('ghost_bulk_update_posts', bulkUpdatePostsSchema, async (input) => {
+    const { patch } = input;
+    const result = await ghostService.bulkUpdatePosts(
+      input.filter,
+      {
+        addTags: patch.add_tags,
+        removeTags: patch.remove_tags,
+        visibility: patch.visibility,
+        featured: patch.featured,
+        status: patch.status,
+        authors: patch.authors,
+      },
+      {
+        dryRun: input.dry_run,
+        maxPosts: input.max_posts,
+        batchSize: input.batch_size,
+        delayMs: input.delay_ms,
+      }
+    );
+
+    for (const post of result.posts) {
+      if (post.status === 'updated') {
+        await notifyResourceChange('post', post, 'update');
+      }
+    }
+
+    const { summary } = result;
+    mcpLogger.info(
+      input.dry_run
+        ? `Bulk post update dry run: ${summary.would_update} of ${summary.matched} posts would change.`
+        : `Bulk post update: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// Publish Post Tool
+registerTool(
+  'ghost_publish_post',
+  {
+    description:
+      'Publishes a draft or scheduled post now, optionally emailing it to a newsletter. With a newsletter, first call without confirm to see how many members would receive it (nothing is published); call again with confirm: true to publish and send. segment picks the subscribers: all, free, paid or label:<slug>. Refuses posts that were already emailed or published. Returns the email send status.',
+    inputSchema: publishPostSchema,
+  },
+  withErrorHandling('ghost_publish_post', publishPostSchema, async (input) => {
+    const result = await ghostService.publishPost(input.id, {
+      newsletter: input.newsletter,
+      segment: input.segment,
+      confirm: input.confirm,
+    });
+
+    if (result.published) {
+      await notifyResourceChange('post', result.post, 'update');
+      mcpLogger.info(
+        result.email
+          ? `Post ${input.id} published; email to ${result.newsletter.slug} is ${result.email.status}.`
+          : `Post ${input.id} published.`
+      );
+    } else {
+      mcpLogger.info(
+        `Post ${input.id} email preview: ${result.recipient_count} recipients on ${result.newsletter.slug}.`
+      );
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// Schedule Post Tool
+registerTool(
+  'ghost_schedule_post',
+  {
+    description:
+      'Schedules an existing draft or scheduled post to publish at a local date/time (e.g., "2025-01-31T09:30") in an IANA timezone, defaulting to the site timezone. Rejects times in the past and posts that are already published. Returns the UTC publish time alongside the local time.',
+    inputSchema: schedulePostSchema,
+  },
+  withErrorHandling('ghost_schedule_post', schedulePostSchema, async (input) => {
+    const result = await ghostService.schedulePost(input.id, {
+      publishAt: input.publish_at,
+      timezone: input.timezone,
+    });
+    await notifyResourceChange('post', result.post, 'update');
+    mcpLogger.info(`Post ${input.id} scheduled for ${result.published_at}`);
+
+    const summary = {
+      id: result.post.id,
+      title: result.post.title,
+      status: result.post.status,
+      published_at: result.published_at,
+      local_time: result.local_time,
+      timezone: result.timezone,
+      message: `Scheduled "${result.post.title}" for ${result.local_time} ${result.timezone} (${result.published_at} UTC).`,
+    };
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(summary, null, 2) }],
+    };
+  })
+);
+
+// Get Scheduled Posts Tool
+registerTool(
+  'ghost_get_scheduled_posts',
+  {
+    description:
+      "Returns a calendar of upcoming scheduled posts grouped by local day (site timezone by default), with each post's local publish time and UTC time.",
+    inputSchema: scheduledPostsQuerySchema,
+  },
+  withErrorHandling('ghost_get_scheduled_posts', scheduledPostsQuerySchema, async (input) => {
+    const calendar = await ghostService.getScheduledPosts(input);
+    mcpLogger.info(
+      `Found ${calendar.total} scheduled posts between ${calendar.from} and ${calendar.to}`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(calendar, null, 2) }],
+    };
+  })
+);
+
+// Search Content Tool
+registerTool(
+  'ghost_search_content',
+  {
+    description:
+      'Full-text search across posts and pages (title, excerpt and body text), unlike ghost_search_posts which only matches titles. Results are ranked by relevance and include a snippet with matching words in **bold**. Filter by type, status, tag, author and published date range. The local index syncs with Ghost incrementally using updated_at.',
+    inputSchema: searchContentSchema,
+  },
+  withErrorHandling('ghost_search_content', searchContentSchema, async (input) => {
+    const { query, published_after, published_before, ...filters } = input;
+    const result = await ghostService.searchContent(query, {
+      ...filters,
+      publishedAfter: published_after,
+      publishedBefore: published_before,
+    });
+    mcpLogger.info(`Content search for "${query}" matched ${result.total} items`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
 // =============================================================================
 // PAGE TOOLS
 // Pages are similar to posts but do NOT support tags
@@ -727,7 +1320,10 @@ const getPageSchema = z
     message: 'Either id or slug is required to retrieve a page',
   });
 const updatePageInputSchema = z
-  .object({ id: ghostIdSchema.meta({ description: 'The ID of the page to update.' }) })
+  .object({
+    id: ghostIdSchema.meta({ description: 'The ID of the page to update.' }),
+    dry_run: dryRunField,
+  })
   .merge(updatePageSchema);
 const deletePageSchema = z.object({
   id: ghostIdSchema.meta({ description: 'The ID of the page to delete.' }),
@@ -752,7 +1348,7 @@ const searchPagesSchema = z.object({
 });
 
 // Get Pages Tool
-server.registerTool(
+registerTool(
   'ghost_get_pages',
   {
     description:
@@ -779,7 +1375,7 @@ server.registerTool(
 );
 
 // Get Page Tool
-server.registerTool(
+registerTool(
   'ghost_get_page',
   {
     description: 'Retrieves a single page from Ghost CMS by ID or slug.',
@@ -801,15 +1397,18 @@ server.registerTool(
 );
 
 // Create Page Tool
-server.registerTool(
+registerTool(
   'ghost_create_page',
   {
     description:
-      'Creates a new page in Ghost CMS. Note: Pages do NOT typically use tags (unlike posts).',
+      'Creates a new page in Ghost CMS. Content can be given as html or as markdown (converted to sanitized HTML). Note: Pages do NOT typically use tags (unlike posts).',
     inputSchema: createPageSchema,
   },
   withErrorHandling('ghost_create_page', createPageSchema, async (input) => {
-    const createdPage = await pageService.createPageService(input);
+    const createdPage = await pageService.createPageService(
+      applyMarkdownContent(input, { required: true })
+    );
+    await notifyResourceChange('page', createdPage, 'create');
     mcpLogger.info(`Page created successfully. Page ID: ${createdPage.id}`);
 
     return {
@@ -819,17 +1418,23 @@ server.registerTool(
 );
 
 // Update Page Tool
-server.registerTool(
+registerTool(
   'ghost_update_page',
   {
     description:
-      'Updates an existing page in Ghost CMS. Can update title, content, status, images, and SEO fields. Only the provided fields are changed; omitted fields remain unchanged.',
+      'Updates an existing page in Ghost CMS. Can update title, content, status, images, and SEO fields. Only the provided fields are changed; omitted fields remain unchanged. Set dry_run to see a diff of the changes without making them.',
     inputSchema: updatePageInputSchema,
   },
   withErrorHandling('ghost_update_page', updatePageInputSchema, async (input) => {
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = applyMarkdownContent(input);
+    if (dryRun) return previewUpdateResponse('pages', id, updateData);
 
-    const updatedPage = await ghostService.updatePage(id, updateData);
+    const updatedPage = await ghostService.updatePage(
+      id,
+      updateData,
+      htmlSourceOptions(updateData)
+    );
+    await notifyResourceChange('page', updatedPage, 'update');
     mcpLogger.info(`Page updated successfully. Page ID: ${updatedPage.id}`);
 
     return {
@@ -839,7 +1444,7 @@ server.registerTool(
 );
 
 // Delete Page Tool
-server.registerTool(
+registerTool(
   'ghost_delete_page',
   {
     description:
@@ -849,6 +1454,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_page', deletePageSchema, async (input) => {
     const { id } = input;
     await ghostService.deletePage(id);
+    await notifyResourceChange('page', { id }, 'delete');
     mcpLogger.info(`Page deleted successfully. Page ID: ${id}`);
 
     return {
@@ -858,7 +1464,7 @@ server.registerTool(
 );
 
 // Search Pages Tool
-server.registerTool(
+registerTool(
   'ghost_search_pages',
   {
     description: 'Search for pages in Ghost CMS by query string with optional status filtering.',
@@ -884,7 +1490,9 @@ server.registerTool(
 // =============================================================================
 
 // --- Member Schema Definitions ---
-const updateMemberInputSchema = z.object({ id: ghostIdSchema }).merge(updateMemberSchema);
+const updateMemberInputSchema = z
+  .object({ id: ghostIdSchema, dry_run: dryRunField })
+  .merge(updateMemberSchema);
 const deleteMemberSchema = z.object({ id: ghostIdSchema });
 const getMembersSchema = memberQuerySchema.omit({ search: true });
 const getMemberSchema = z
@@ -908,9 +1516,12 @@ const searchMembersSchema = z.object({
     .optional()
     .meta({ description: 'Maximum number of results to return (1-50). Default is 15.' }),
 });
+const memberSubscriptionsSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the member.' }),
+});
 
 // Create Member Tool
-server.registerTool(
+registerTool(
   'ghost_create_member',
   {
     description: 'Creates a new member (subscriber) in Ghost CMS.',
@@ -918,6 +1529,7 @@ server.registerTool(
   },
   withErrorHandling('ghost_create_member', createMemberSchema, async (input) => {
     const createdMember = await ghostService.createMember(input);
+    await notifyResourceChange('member', createdMember, 'create');
     mcpLogger.info(`Member created successfully. Member ID: ${createdMember.id}`);
 
     return {
@@ -927,16 +1539,19 @@ server.registerTool(
 );
 
 // Update Member Tool
-server.registerTool(
+registerTool(
   'ghost_update_member',
   {
-    description: 'Updates an existing member in Ghost CMS. All fields except id are optional.',
+    description:
+      'Updates an existing member in Ghost CMS. All fields except id are optional. Set dry_run to see the changes without making them.',
     inputSchema: updateMemberInputSchema,
   },
   withErrorHandling('ghost_update_member', updateMemberInputSchema, async (input) => {
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = input;
+    if (dryRun) return previewUpdateResponse('members', id, updateData);
 
     const updatedMember = await ghostService.updateMember(id, updateData);
+    await notifyResourceChange('member', updatedMember, 'update');
     mcpLogger.info(`Member updated successfully. Member ID: ${updatedMember.id}`);
 
     return {
@@ -946,7 +1561,7 @@ server.registerTool(
 );
 
 // Delete Member Tool
-server.registerTool(
+registerTool(
   'ghost_delete_member',
   {
     description:
@@ -956,6 +1571,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_member', deleteMemberSchema, async (input) => {
     const { id } = input;
     await ghostService.deleteMember(id);
+    await notifyResourceChange('member', { id }, 'delete');
     mcpLogger.info(`Member deleted successfully. Member ID: ${id}`);
 
     return {
@@ -965,7 +1581,7 @@ server.registerTool(
 );
 
 // Get Members Tool
-server.registerTool(
+registerTool(
   'ghost_get_members',
   {
     description:
@@ -990,7 +1606,7 @@ server.registerTool(
 );
 
 // Get Member Tool
-server.registerTool(
+registerTool(
   'ghost_get_member',
   {
     description:
@@ -1009,7 +1625,7 @@ server.registerTool(
 );
 
 // Search Members Tool
-server.registerTool(
+registerTool(
   'ghost_search_members',
   {
     description: 'Searches for members by name or email in Ghost CMS.',
@@ -1029,25 +1645,272 @@ server.registerTool(
   })
 );
 
-// =============================================================================
-// NEWSLETTER TOOLS
-// =============================================================================
-
-// --- Newsletter Schema Definitions ---
-const getNewsletterSchema = z.object({ id: ghostIdSchema });
-const updateNewsletterInputSchema = z.object({ id: ghostIdSchema }).merge(updateNewsletterSchema);
-const deleteNewsletterSchema = z.object({ id: ghostIdSchema });
-
-// Get Newsletters Tool
-server.registerTool(
-  'ghost_get_newsletters',
+// Import Members Tool
+registerTool(
+  'ghost_import_members',
   {
-    description: 'Retrieves a list of newsletters from Ghost CMS with optional filtering.',
-    inputSchema: newsletterQuerySchema,
+    description:
+      'Imports members from CSV content. Each row is validated like ghost_create_member; duplicate emails within the file are skipped, existing members are updated (or skipped with on_existing "skip"), and writes run in throttled batches. Returns a per-row report of created, updated, skipped and failed rows.',
+    inputSchema: importMembersSchema,
   },
-  withErrorHandling('ghost_get_newsletters', newsletterQuerySchema, async (input) => {
-    const options = {};
-    if (input.limit !== undefined) options.limit = input.limit;
+  withErrorHandling('ghost_import_members', importMembersSchema, async (input) => {
+    const report = await ghostService.importMembers(input.csv, {
+      onExisting: input.on_existing,
+      batchSize: input.batch_size,
+      delayMs: input.delay_ms,
+    });
+    const { summary } = report;
+    if (summary.created + summary.updated > 0) await invalidateMemberStats();
+    mcpLogger.info(
+      `Member import finished: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(report, null, 2) }],
+    };
+  })
+);
+
+// Export Members Tool
+registerTool(
+  'ghost_export_members',
+  {
+    description:
+      'Exports members to CSV (id, email, name, note, status, subscribed, comped, labels, newsletters, created_at), paging through the Admin API. The output can be fed back into ghost_import_members.',
+    inputSchema: exportMembersSchema,
+  },
+  withErrorHandling('ghost_export_members', exportMembersSchema, async (input) => {
+    const { csv, count } = await ghostService.exportMembers({
+      filter: input.filter,
+      maxRows: input.max_rows,
+    });
+    mcpLogger.info(`Exported ${count} members to CSV.`);
+
+    return {
+      content: [{ type: 'text', text: csv }],
+    };
+  })
+);
+
+// Get Member Subscriptions Tool
+registerTool(
+  'ghost_get_member_subscriptions',
+  {
+    description:
+      "Shows a member's paid access: complimentary tiers with their expiry, and subscription history (tier, price, status, start and renewal date), newest first. renewal_date is null once a subscription is canceled or set to cancel.",
+    inputSchema: memberSubscriptionsSchema,
+  },
+  withErrorHandling('ghost_get_member_subscriptions', memberSubscriptionsSchema, async ({ id }) => {
+    const access = await ghostService.getMemberSubscriptions(id);
+    mcpLogger.info(
+      `Retrieved ${access.subscriptions.length} subscriptions and ${access.comps.length} comps for member ${id}.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(access, null, 2) }],
+    };
+  })
+);
+
+// Grant Member Comp Tool
+registerTool(
+  'ghost_grant_member_comp',
+  {
+    description:
+      "Gives a member complimentary (free) access to an active paid tier, optionally until expires_at. Granting a tier the member already has for free replaces its expiry. Refuses tiers the member already pays for. Returns the member's access after the change.",
+    inputSchema: grantMemberCompSchema,
+  },
+  withErrorHandling('ghost_grant_member_comp', grantMemberCompSchema, async (input) => {
+    const access = await ghostService.grantMemberComp(input.id, input.tier_id, {
+      expiresAt: input.expires_at,
+    });
+    await notifyResourceChange('member', access.member, 'update');
+    mcpLogger.info(
+      `Granted tier ${input.tier_id} to member ${input.id} until ${input.expires_at ?? 'no expiry'}.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(access, null, 2) }],
+    };
+  })
+);
+
+// Remove Member Comp Tool
+registerTool(
+  'ghost_remove_member_comp',
+  {
+    description:
+      "Removes a member's complimentary access to one tier, or to every comped tier when tier_id is omitted. Paid subscriptions are never removed. Returns the member's access after the change.",
+    inputSchema: removeMemberCompSchema,
+  },
+  withErrorHandling('ghost_remove_member_comp', removeMemberCompSchema, async (input) => {
+    const access = await ghostService.removeMemberComp(input.id, input.tier_id);
+    await notifyResourceChange('member', access.member, 'update');
+    mcpLogger.info(`Removed comps ${input.tier_id ?? '(all)'} from member ${input.id}.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(access, null, 2) }],
+    };
+  })
+);
+
+// =============================================================================
+// LABEL TOOLS
+// =============================================================================
+
+// --- Label Schema Definitions ---
+const updateLabelInputSchema = z.object({ id: ghostIdSchema }).merge(updateLabelSchema);
+
+// Get Labels Tool
+registerTool(
+  'ghost_get_labels',
+  {
+    description:
+      'Retrieves member labels from Ghost CMS with optional filtering. Labels segment members, e.g. for newsletter audiences.',
+    inputSchema: labelQuerySchema,
+  },
+  withErrorHandling('ghost_get_labels', labelQuerySchema, async (input) => {
+    const options = {};
+    if (input.limit !== undefined) options.limit = input.limit;
+    if (input.page !== undefined) options.page = input.page;
+    if (input.filter !== undefined) options.filter = input.filter;
+    if (input.order !== undefined) options.order = input.order;
+
+    const labels = await ghostService.getLabels(options);
+    mcpLogger.info(`Retrieved ${labels.length} labels from Ghost.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(labels, null, 2) }],
+    };
+  })
+);
+
+// Create Label Tool
+registerTool(
+  'ghost_create_label',
+  {
+    description: 'Creates a new member label in Ghost CMS.',
+    inputSchema: createLabelSchema,
+  },
+  withErrorHandling('ghost_create_label', createLabelSchema, async (input) => {
+    const label = await ghostService.createLabel(input);
+    mcpLogger.info(`Label created successfully. Label ID: ${label.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(label, null, 2) }],
+    };
+  })
+);
+
+// Update Label Tool
+registerTool(
+  'ghost_update_label',
+  {
+    description: 'Renames a member label in Ghost CMS. Members that have the label keep it.',
+    inputSchema: updateLabelInputSchema,
+  },
+  withErrorHandling('ghost_update_label', updateLabelInputSchema, async (input) => {
+    const { id, ...updateData } = input;
+
+    const updatedLabel = await ghostService.updateLabel(id, updateData);
+    mcpLogger.info(`Label updated successfully. Label ID: ${updatedLabel.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(updatedLabel, null, 2) }],
+    };
+  })
+);
+
+// Delete Label Tool
+registerTool(
+  'ghost_delete_label',
+  {
+    description:
+      'Deletes a member label from Ghost CMS by ID. The label is removed from every member that had it; the members themselves are not affected.',
+    inputSchema: labelIdSchema,
+  },
+  withErrorHandling('ghost_delete_label', labelIdSchema, async (input) => {
+    const { id } = input;
+    await ghostService.deleteLabel(id);
+    mcpLogger.info(`Label deleted successfully. Label ID: ${id}`);
+
+    return {
+      content: [{ type: 'text', text: `Label ${id} has been successfully deleted.` }],
+    };
+  })
+);
+
+// Add Label To Members Tool
+registerTool(
+  'ghost_add_label_to_members',
+  {
+    description:
+      'Adds a label to every member matching an NQL filter (e.g., "status:paid"), in throttled batches. Members that already have the label are left unchanged. Refuses to run if more than max_members match. Returns matched/updated/unchanged/failed counts.',
+    inputSchema: bulkMemberLabelSchema,
+  },
+  withErrorHandling('ghost_add_label_to_members', bulkMemberLabelSchema, async (input) => {
+    const result = await ghostService.addLabelToMembers(input.id, input.filter, {
+      maxMembers: input.max_members,
+      batchSize: input.batch_size,
+      delayMs: input.delay_ms,
+    });
+    if (result.updated > 0) await invalidateMemberStats();
+    mcpLogger.info(
+      `Label ${result.label.name} added to ${result.updated} members (${result.unchanged} unchanged, ${result.failed} failed).`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// Remove Label From Members Tool
+registerTool(
+  'ghost_remove_label_from_members',
+  {
+    description:
+      'Removes a label from every member matching an NQL filter, in throttled batches. The label itself is kept. Members without the label are left unchanged. Refuses to run if more than max_members match.',
+    inputSchema: bulkMemberLabelSchema,
+  },
+  withErrorHandling('ghost_remove_label_from_members', bulkMemberLabelSchema, async (input) => {
+    const result = await ghostService.removeLabelFromMembers(input.id, input.filter, {
+      maxMembers: input.max_members,
+      batchSize: input.batch_size,
+      delayMs: input.delay_ms,
+    });
+    if (result.updated > 0) await invalidateMemberStats();
+    mcpLogger.info(
+      `Label ${result.label.name} removed from ${result.updated} members (${result.unchanged} unchanged, ${result.failed} failed).`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// =============================================================================
+// NEWSLETTER TOOLS
+// =============================================================================
+
+// --- Newsletter Schema Definitions ---
+const getNewsletterSchema = z.object({ id: ghostIdSchema });
+const updateNewsletterInputSchema = z
+  .object({ id: ghostIdSchema, dry_run: dryRunField })
+  .merge(updateNewsletterSchema);
+const deleteNewsletterSchema = z.object({ id: ghostIdSchema });
+
+// Get Newsletters Tool
+registerTool(
+  'ghost_get_newsletters',
+  {
+    description: 'Retrieves a list of newsletters from Ghost CMS with optional filtering.',
+    inputSchema: newsletterQuerySchema,
+  },
+  withErrorHandling('ghost_get_newsletters', newsletterQuerySchema, async (input) => {
+    const options = {};
+    if (input.limit !== undefined) options.limit = input.limit;
     if (input.page !== undefined) options.page = input.page;
     if (input.filter !== undefined) options.filter = input.filter;
     if (input.order !== undefined) options.order = input.order;
@@ -1062,7 +1925,7 @@ server.registerTool(
 );
 
 // Get Newsletter Tool
-server.registerTool(
+registerTool(
   'ghost_get_newsletter',
   {
     description: 'Retrieves a single newsletter from Ghost CMS by ID.',
@@ -1080,7 +1943,7 @@ server.registerTool(
 );
 
 // Create Newsletter Tool
-server.registerTool(
+registerTool(
   'ghost_create_newsletter',
   {
     description:
@@ -1089,6 +1952,7 @@ server.registerTool(
   },
   withErrorHandling('ghost_create_newsletter', createNewsletterSchema, async (input) => {
     const createdNewsletter = await newsletterService.createNewsletterService(input);
+    await notifyResourceChange('newsletter', createdNewsletter, 'create');
     mcpLogger.info(`Newsletter created successfully. Newsletter ID: ${createdNewsletter.id}`);
 
     return {
@@ -1098,17 +1962,19 @@ server.registerTool(
 );
 
 // Update Newsletter Tool
-server.registerTool(
+registerTool(
   'ghost_update_newsletter',
   {
     description:
-      'Updates an existing newsletter in Ghost CMS. Can update name, description, sender settings, and display options.',
+      'Updates an existing newsletter in Ghost CMS. Can update name, description, sender settings, and display options. Set dry_run to see the changes without making them.',
     inputSchema: updateNewsletterInputSchema,
   },
   withErrorHandling('ghost_update_newsletter', updateNewsletterInputSchema, async (input) => {
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = input;
+    if (dryRun) return previewUpdateResponse('newsletters', id, updateData);
 
     const updatedNewsletter = await ghostService.updateNewsletter(id, updateData);
+    await notifyResourceChange('newsletter', updatedNewsletter, 'update');
     mcpLogger.info(`Newsletter updated successfully. Newsletter ID: ${updatedNewsletter.id}`);
 
     return {
@@ -1118,7 +1984,7 @@ server.registerTool(
 );
 
 // Delete Newsletter Tool
-server.registerTool(
+registerTool(
   'ghost_delete_newsletter',
   {
     description:
@@ -1128,6 +1994,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_newsletter', deleteNewsletterSchema, async (input) => {
     const { id } = input;
     await ghostService.deleteNewsletter(id);
+    await notifyResourceChange('newsletter', { id }, 'delete');
     mcpLogger.info(`Newsletter deleted successfully. Newsletter ID: ${id}`);
 
     return {
@@ -1140,11 +2007,13 @@ server.registerTool(
 
 // --- Tier Schema Definitions ---
 const getTierSchema = z.object({ id: ghostIdSchema });
-const updateTierInputSchema = z.object({ id: ghostIdSchema }).merge(updateTierSchema);
+const updateTierInputSchema = z
+  .object({ id: ghostIdSchema, dry_run: dryRunField })
+  .merge(updateTierSchema);
 const deleteTierSchema = z.object({ id: ghostIdSchema });
 
 // Get Tiers Tool
-server.registerTool(
+registerTool(
   'ghost_get_tiers',
   {
     description:
@@ -1162,7 +2031,7 @@ server.registerTool(
 );
 
 // Get Tier Tool
-server.registerTool(
+registerTool(
   'ghost_get_tier',
   {
     description: 'Retrieves a single tier (membership level) from Ghost CMS by ID.',
@@ -1180,7 +2049,7 @@ server.registerTool(
 );
 
 // Create Tier Tool
-server.registerTool(
+registerTool(
   'ghost_create_tier',
   {
     description: 'Creates a new tier (membership level) in Ghost CMS with pricing and benefits.',
@@ -1188,6 +2057,7 @@ server.registerTool(
   },
   withErrorHandling('ghost_create_tier', createTierSchema, async (input) => {
     const tier = await ghostService.createTier(input);
+    await notifyResourceChange('tier', tier, 'create');
     mcpLogger.info(`Tier created successfully. Tier ID: ${tier.id}`);
 
     return {
@@ -1197,17 +2067,19 @@ server.registerTool(
 );
 
 // Update Tier Tool
-server.registerTool(
+registerTool(
   'ghost_update_tier',
   {
     description:
-      'Updates an existing tier (membership level) in Ghost CMS. Can update pricing, benefits, and other tier properties.',
+      'Updates an existing tier (membership level) in Ghost CMS. Can update pricing, benefits, and other tier properties. Set dry_run to see the changes without making them.',
     inputSchema: updateTierInputSchema,
   },
   withErrorHandling('ghost_update_tier', updateTierInputSchema, async (input) => {
-    const { id, ...updateData } = input;
+    const { id, dry_run: dryRun, ...updateData } = input;
+    if (dryRun) return previewUpdateResponse('tiers', id, updateData);
 
     const updatedTier = await ghostService.updateTier(id, updateData);
+    await notifyResourceChange('tier', updatedTier, 'update');
     mcpLogger.info(`Tier updated successfully. Tier ID: ${updatedTier.id}`);
 
     return {
@@ -1217,7 +2089,7 @@ server.registerTool(
 );
 
 // Delete Tier Tool
-server.registerTool(
+registerTool(
   'ghost_delete_tier',
   {
     description:
@@ -1227,6 +2099,7 @@ server.registerTool(
   withErrorHandling('ghost_delete_tier', deleteTierSchema, async (input) => {
     const { id } = input;
     await ghostService.deleteTier(id);
+    await notifyResourceChange('tier', { id }, 'delete');
     mcpLogger.info(`Tier deleted successfully. Tier ID: ${id}`);
 
     return {
@@ -1235,22 +2108,849 @@ server.registerTool(
   })
 );
 
+// --- Offer Tools ---
+
+// --- Offer Schema Definitions ---
+const getOfferSchema = z.object({ id: ghostIdSchema });
+const updateOfferInputSchema = z.object({ id: ghostIdSchema }).merge(updateOfferSchema);
+
+// Get Offers Tool
+registerTool(
+  'ghost_get_offers',
+  {
+    description:
+      'Retrieves a list of offers (discounts and free trials on paid tiers) from Ghost CMS with optional filtering (e.g., "status:active").',
+    inputSchema: offerQuerySchema,
+  },
+  withErrorHandling('ghost_get_offers', offerQuerySchema, async (input) => {
+    const options = {};
+    if (input.limit !== undefined) options.limit = input.limit;
+    if (input.page !== undefined) options.page = input.page;
+    if (input.filter !== undefined) options.filter = input.filter;
+    if (input.order !== undefined) options.order = input.order;
+
+    const offers = await ghostService.getOffers(options);
+    mcpLogger.info(`Retrieved ${offers.length} offers from Ghost.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(offers, null, 2) }],
+    };
+  })
+);
+
+// Get Offer Tool
+registerTool(
+  'ghost_get_offer',
+  {
+    description: 'Retrieves a single offer from Ghost CMS by ID.',
+    inputSchema: getOfferSchema,
+  },
+  withErrorHandling('ghost_get_offer', getOfferSchema, async (input) => {
+    const { id } = input;
+    const offer = await ghostService.getOffer(id);
+    mcpLogger.info(`Retrieved offer: ${offer.name} (ID: ${offer.id})`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(offer, null, 2) }],
+    };
+  })
+);
+
+// Create Offer Tool
+registerTool(
+  'ghost_create_offer',
+  {
+    description:
+      'Creates a new offer on a paid tier. Supports percent discounts (amount 1-100), fixed discounts (amount in cents, currency required) and free trials (amount in days, duration "trial"). Repeating discounts require monthly cadence and duration_in_months.',
+    inputSchema: createOfferSchema,
+  },
+  withErrorHandling('ghost_create_offer', createOfferSchema, async (input) => {
+    const offer = await ghostService.createOffer(input);
+    mcpLogger.info(`Offer created successfully. Offer ID: ${offer.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(offer, null, 2) }],
+    };
+  })
+);
+
+// Update Offer Tool
+registerTool(
+  'ghost_update_offer',
+  {
+    description:
+      'Updates an existing offer in Ghost CMS. Only name, code, display_title, display_description and status can change; discount terms are fixed once created. Set status to "archived" to stop new redemptions (Ghost does not support deleting offers).',
+    inputSchema: updateOfferInputSchema,
+  },
+  withErrorHandling('ghost_update_offer', updateOfferInputSchema, async (input) => {
+    const { id, ...updateData } = input;
+
+    const updatedOffer = await ghostService.updateOffer(id, updateData);
+    mcpLogger.info(`Offer updated successfully. Offer ID: ${updatedOffer.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(updatedOffer, null, 2) }],
+    };
+  })
+);
+
+// --- Webhook Tools ---
+// Ghost's Admin API has no browse/read endpoint for webhooks, so there is no
+// list tool: webhook IDs are returned by ghost_create_webhook and shown in Ghost Admin.
+
+// --- Webhook Schema Definitions ---
+const updateWebhookInputSchema = z.object({ id: ghostIdSchema }).merge(updateWebhookSchema);
+const deleteWebhookSchema = z.object({ id: ghostIdSchema });
+
+// Create Webhook Tool
+registerTool(
+  'ghost_create_webhook',
+  {
+    description:
+      'Creates a webhook that makes Ghost POST to target_url when the given event fires (e.g., "post.published", "member.added"). Provide a secret to have deliveries signed with the X-Ghost-Signature header.',
+    inputSchema: createWebhookSchema,
+  },
+  withErrorHandling('ghost_create_webhook', createWebhookSchema, async (input) => {
+    const webhook = await ghostService.createWebhook(input);
+    mcpLogger.info(`Webhook created successfully. Webhook ID: ${webhook.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(webhook, null, 2) }],
+    };
+  })
+);
+
+// Update Webhook Tool
+registerTool(
+  'ghost_update_webhook',
+  {
+    description:
+      'Updates an existing webhook in Ghost CMS (event, target_url, name, secret or api_version).',
+    inputSchema: updateWebhookInputSchema,
+  },
+  withErrorHandling('ghost_update_webhook', updateWebhookInputSchema, async (input) => {
+    const { id, ...updateData } = input;
+
+    const updatedWebhook = await ghostService.updateWebhook(id, updateData);
+    mcpLogger.info(`Webhook updated successfully. Webhook ID: ${updatedWebhook.id}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(updatedWebhook, null, 2) }],
+    };
+  })
+);
+
+// Delete Webhook Tool
+registerTool(
+  'ghost_delete_webhook',
+  {
+    description:
+      'Deletes a webhook from Ghost CMS by ID. Ghost stops delivering the event immediately.',
+    inputSchema: deleteWebhookSchema,
+  },
+  withErrorHandling('ghost_delete_webhook', deleteWebhookSchema, async (input) => {
+    const { id } = input;
+    await ghostService.deleteWebhook(id);
+    mcpLogger.info(`Webhook deleted successfully. Webhook ID: ${id}`);
+
+    return {
+      content: [{ type: 'text', text: `Webhook ${id} has been successfully deleted.` }],
+    };
+  })
+);
+
+// --- User (Staff) Tools ---
+
+// Get Users Tool
+registerTool(
+  'ghost_get_users',
+  {
+    description:
+      'Retrieves staff users (owners, administrators, editors, authors, contributors) from Ghost CMS, optionally filtered by role. Use this to find valid authors for posts.',
+    inputSchema: userQuerySchema,
+  },
+  withErrorHandling('ghost_get_users', userQuerySchema, async (input) => {
+    const options = {};
+    if (input.limit !== undefined) options.limit = input.limit;
+    if (input.page !== undefined) options.page = input.page;
+    if (input.role !== undefined) options.role = input.role;
+    if (input.filter !== undefined) options.filter = input.filter;
+    if (input.include !== undefined) options.include = input.include;
+    if (input.order !== undefined) options.order = input.order;
+
+    const users = await ghostService.getUsers(options);
+    mcpLogger.info(`Retrieved ${users.length} staff users from Ghost.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(users, null, 2) }],
+    };
+  })
+);
+
+// Get User Tool
+registerTool(
+  'ghost_get_user',
+  {
+    description: 'Retrieves a single staff user from Ghost CMS by ID, slug or email.',
+    inputSchema: userLookupSchema,
+  },
+  withErrorHandling('ghost_get_user', userLookupSchema, async (input) => {
+    const { include, ...identifier } = input;
+    const options = {};
+    if (include !== undefined) options.include = include;
+
+    const user = await ghostService.getUser(identifier, options);
+    mcpLogger.info(`Retrieved staff user: ${user.name} (ID: ${user.id})`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(user, null, 2) }],
+    };
+  })
+);
+
+// --- Settings Tools ---
+
+// Get Settings Tool
+registerTool(
+  'ghost_get_settings',
+  {
+    description:
+      'Retrieves site settings from Ghost CMS (title, description, navigation, social accounts, default meta, code injection, timezone, locale, and more). Pass keys to return only those settings.',
+    inputSchema: settingsQuerySchema,
+  },
+  withErrorHandling('ghost_get_settings', settingsQuerySchema, async (input) => {
+    const settings = await ghostService.getSettings({ keys: input.keys });
+    mcpLogger.info(`Retrieved ${Object.keys(settings).length} settings from Ghost.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(settings, null, 2) }],
+    };
+  })
+);
+
+// Update Settings Tool
+registerTool(
+  'ghost_update_settings',
+  {
+    description:
+      'Updates site settings in Ghost CMS. Only title, description, navigation, secondary_navigation, facebook, twitter, default meta/Open Graph/X card fields, code injection, timezone and locale can be changed; other keys are rejected. Navigation lists are replaced as a whole. Returns a before/after diff of the settings that changed.',
+    inputSchema: updateSettingsSchema,
+  },
+  withErrorHandling('ghost_update_settings', updateSettingsSchema, async (input) => {
+    const result = await ghostService.updateSettings(input);
+    mcpLogger.info(
+      result.updated.length > 0
+        ? `Settings updated: ${result.updated.join(', ')}`
+        : 'Settings already matched; nothing updated.'
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// --- Theme Tools ---
+
+// Get Themes Tool
+registerTool(
+  'ghost_get_themes',
+  {
+    description:
+      'Lists installed Ghost themes with their package details and an active flag showing which theme is live.',
+    inputSchema: themeQuerySchema,
+  },
+  withErrorHandling('ghost_get_themes', themeQuerySchema, async (input) => {
+    let themes = await ghostService.getThemes();
+    if (input.active !== undefined) {
+      themes = themes.filter((theme) => theme.active === input.active);
+    }
+    mcpLogger.info(`Retrieved ${themes.length} themes from Ghost.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(themes, null, 2) }],
+    };
+  })
+);
+
+// Upload Theme Tool
+registerTool(
+  'ghost_upload_theme',
+  {
+    description:
+      'Uploads a theme zip from the local filesystem (only when GHOST_MCP_THEME_ROOT is configured). The zip is checked for package.json (name, version) and the required templates (index.hbs, post.hbs) before anything is sent, so an invalid theme never replaces an installed one. Optionally activates the theme after upload.',
+    inputSchema: uploadThemeSchema,
+  },
+  withErrorHandling('ghost_upload_theme', uploadThemeSchema, async (input) => {
+    const zipPath = await resolveLocalPathInRoot(input.theme_path, {
+      rootEnvVar: 'GHOST_MCP_THEME_ROOT',
+      inputName: 'theme_path',
+    });
+
+    const result = await ghostService.uploadTheme(zipPath);
+    mcpLogger.info(`Theme uploaded successfully. Theme: ${result.theme.name}`);
+
+    if (input.activate) {
+      result.theme = await ghostService.activateTheme(result.theme.name);
+      mcpLogger.info(`Theme activated. Theme: ${result.theme.name}`);
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// Activate Theme Tool
+registerTool(
+  'ghost_activate_theme',
+  {
+    description:
+      'Activates an installed Ghost theme by name, making it the live theme. Ghost refuses themes with fatal validation errors.',
+    inputSchema: activateThemeSchema,
+  },
+  withErrorHandling('ghost_activate_theme', activateThemeSchema, async (input) => {
+    const theme = await ghostService.activateTheme(input.name);
+    mcpLogger.info(`Theme activated. Theme: ${theme.name}`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(theme, null, 2) }],
+    };
+  })
+);
+
+// --- Content Migration Tools ---
+
+// Import WordPress Tool
+registerTool(
+  'ghost_import_wordpress',
+  {
+    description:
+      'Imports posts and pages from a WordPress export (WXR XML read from GHOST_MCP_IMPORT_ROOT) as Ghost drafts, keeping slugs, publish dates, excerpts, featured images and authors. Categories and tags become Ghost tags, and images are re-hosted on Ghost. Items whose slug is already used in Ghost are skipped and reported as conflicts. Run with dry_run first to see what would be created.',
+    inputSchema: importWordPressSchema,
+  },
+  withErrorHandling('ghost_import_wordpress', importWordPressSchema, async (input) => {
+    const wxrPath = await resolveLocalPathInRoot(input.wxr_path, {
+      rootEnvVar: 'GHOST_MCP_IMPORT_ROOT',
+      inputName: 'wxr_path',
+    });
+
+    const report = await ghostService.importWordPress(wxrPath, {
+      dryRun: input.dry_run,
+      types: input.types,
+      authorMap: input.author_map,
+      uploadImage: input.rehost_images
+        ? async (imageUrl) => (await performImageUpload({ imageUrl })).uploadResult.url
+        : undefined,
+      batchSize: input.batch_size,
+      delayMs: input.delay_ms,
+    });
+
+    for (const item of report.items) {
+      if (item.status === 'created') {
+        await notifyResourceChange(item.type, item, 'create');
+      }
+    }
+
+    const { summary } = report;
+    mcpLogger.info(
+      input.dry_run
+        ? `WordPress import dry run: ${summary.would_create} would be created, ${summary.skipped} skipped (${summary.conflicts} conflicts).`
+        : `WordPress import finished: ${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(report, null, 2) }],
+    };
+  })
+);
+
+// Export Content Tool
+registerTool(
+  'ghost_export_content',
+  {
+    description:
+      'Exports all posts, pages, tags, tiers and newsletters to a new directory under GHOST_MCP_EXPORT_ROOT, either as one Ghost-import JSON file or as Markdown files with YAML front matter. Writes a manifest.json with the archive format version and counts. Useful for backups and for diffing content between sites.',
+    inputSchema: exportContentSchema,
+  },
+  withErrorHandling('ghost_export_content', exportContentSchema, async (input) => {
+    const outputDir = await resolveOutputPathInRoot(
+      input.output_dir || `ghost-export-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      { rootEnvVar: 'GHOST_MCP_EXPORT_ROOT', inputName: 'output_dir' }
+    );
+
+    const result = await ghostService.exportContent(outputDir, {
+      format: input.format,
+      types: input.types,
+    });
+    mcpLogger.info(`Exported content to ${result.path} (${result.files.length + 1} files).`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+// --- Bulk Delete Tools ---
+
+/**
+ * Builds the handler shared by the bulk delete tools: previews without a
+ * confirmation token, deletes the previewed items with one.
+ * @param {string} toolName - Tool name for error handling and logs
+ * @param {'posts'|'pages'|'members'} resource - Ghost resource to delete from
+ * @param {string} type - Resource type for change notifications
+ * @returns {Function} Tool handler
+ */
+const bulkDeleteHandler = (toolName, resource, type) =>
+  withErrorHandling(toolName, bulkDeleteSchema, async (input) => {
+    let result;
+    if (!input.confirmation_token) {
+      result = await ghostService.previewBulkDelete(resource, input.filter, {
+        maxItems: input.max_items,
+        sampleSize: input.sample_size,
+      });
+      mcpLogger.info(`Bulk delete preview: ${result.count} ${resource} match "${input.filter}".`);
+    } else {
+      // A preview writes nothing, so backup_dir only matters once confirmed
+      const backupDir =
+        input.backup_dir &&
+        (await resolveOutputPathInRoot(input.backup_dir, {
+          rootEnvVar: 'GHOST_MCP_EXPORT_ROOT',
+          inputName: 'backup_dir',
+        }));
+      result = await ghostService.confirmBulkDelete(
+        resource,
+        input.filter,
+        input.confirmation_token,
+        { backupDir, batchSize: input.batch_size, delayMs: input.delay_ms }
+      );
+      for (const item of result.items) {
+        if (item.status === 'deleted') {
+          await notifyResourceChange(type, { id: item.id }, 'delete');
+        }
+      }
+      const { summary } = result;
+      mcpLogger.info(
+        `Bulk delete: ${summary.deleted} ${resource} deleted, ${summary.not_found} already gone, ${summary.failed} failed.`
+      );
+    }
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  });
+
+registerTool(
+  'ghost_bulk_delete_posts',
+  {
+    description:
+      'Permanently deletes every post matching an NQL filter, in two calls. Without confirmation_token it only previews: the match count, a sample, and a confirmation token valid for 5 minutes. Calling again with the same filter and the token deletes exactly the previewed posts. Set backup_dir to save each post as JSON before it is deleted.',
+    inputSchema: bulkDeleteSchema,
+  },
+  bulkDeleteHandler('ghost_bulk_delete_posts', 'posts', 'post')
+);
+
+registerTool(
+  'ghost_bulk_delete_pages',
+  {
+    description:
+      'Permanently deletes every page matching an NQL filter, in two calls. Without confirmation_token it only previews: the match count, a sample, and a confirmation token valid for 5 minutes. Calling again with the same filter and the token deletes exactly the previewed pages. Set backup_dir to save each page as JSON before it is deleted.',
+    inputSchema: bulkDeleteSchema,
+  },
+  bulkDeleteHandler('ghost_bulk_delete_pages', 'pages', 'page')
+);
+
+registerTool(
+  'ghost_bulk_delete_members',
+  {
+    description:
+      'Permanently deletes every member matching an NQL filter (e.g., spam signups), in two calls. Without confirmation_token it only previews: the match count, a sample, and a confirmation token valid for 5 minutes. Calling again with the same filter and the token deletes exactly the previewed members. Set backup_dir to save each member as JSON before it is deleted.',
+    inputSchema: bulkDeleteSchema,
+  },
+  bulkDeleteHandler('ghost_bulk_delete_members', 'members', 'member')
+);
+
+// --- Revision History Tools ---
+
+const REVISION_RESOURCES = { post: 'posts', page: 'pages' };
+
+registerTool(
+  'ghost_list_revisions',
+  {
+    description:
+      'Lists the snapshots this server saved of a post or page before updating or deleting it, newest first. Snapshots are kept when GHOST_MCP_REVISIONS_DIR is set. Use a revision_id with ghost_diff_revisions or ghost_restore_revision.',
+    inputSchema: listRevisionsSchema,
+  },
+  withErrorHandling('ghost_list_revisions', listRevisionsSchema, async ({ type, id }) => {
+    const result = await ghostService.listRevisions(REVISION_RESOURCES[type], id);
+    mcpLogger.info(`Found ${result.revisions.length} revisions of ${type} ${id}.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+registerTool(
+  'ghost_diff_revisions',
+  {
+    description:
+      "Compares two versions of a post or page: a field-by-field diff (title, slug, excerpt, tags, authors, status, SEO fields, ...) and a unified diff of the HTML. Either side can be a revision_id or 'current' for the live version.",
+    inputSchema: diffRevisionsSchema,
+  },
+  withErrorHandling('ghost_diff_revisions', diffRevisionsSchema, async ({ type, id, from, to }) => {
+    const result = await ghostService.diffRevisions(REVISION_RESOURCES[type], id, from, to);
+    mcpLogger.info(
+      `Compared ${type} ${id} ${from} → ${to}: ${Object.keys(result.changes).length} fields changed.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
+registerTool(
+  'ghost_restore_revision',
+  {
+    description:
+      'Restores a post or page to a saved snapshot by writing its content, tags, authors and metadata back as a new update. The version being replaced is snapshotted first, so a restore can itself be undone. Status and publish date are not changed. A deleted post or page is recreated as a draft with a new ID.',
+    inputSchema: restoreRevisionSchema,
+  },
+  withErrorHandling(
+    'ghost_restore_revision',
+    restoreRevisionSchema,
+    async ({ type, id, revision_id: revisionId }) => {
+      const result = await ghostService.restoreRevision(REVISION_RESOURCES[type], id, revisionId);
+      await notifyResourceChange(type, result.item, result.recreated ? 'create' : 'update');
+      mcpLogger.info(
+        result.recreated
+          ? `Recreated deleted ${type} ${id} from revision ${revisionId} as ${result.item.id}.`
+          : `Restored ${type} ${id} to revision ${revisionId}.`
+      );
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    }
+  )
+);
+
+// --- Analytics Tools ---
+
+registerTool(
+  'ghost_get_post_analytics',
+  {
+    description:
+      "Gets one post's analytics: email recipients, delivered, opened, clicked, open and click rates, member signups and paid conversions attributed to the post, and comment count. email is null if the post was not sent as an email.",
+    inputSchema: postAnalyticsSchema,
+  },
+  withErrorHandling('ghost_get_post_analytics', postAnalyticsSchema, async ({ id }) => {
+    const analytics = await ghostService.getPostAnalytics(id);
+    mcpLogger.info(`Retrieved analytics for post ${id}.`);
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(analytics, null, 2) }],
+    };
+  })
+);
+
+registerTool(
+  'ghost_get_email_report',
+  {
+    description:
+      'Reports on posts sent as newsletter emails in a date range (default: the last 7 days). Returns totals with open and click rates, a Markdown table with one row per email, and a series per day, week or month for charting. Quiet periods appear as zeros.',
+    inputSchema: emailReportSchema,
+  },
+  withErrorHandling('ghost_get_email_report', emailReportSchema, async (input) => {
+    const report = await ghostService.getEmailReport({
+      from: input.from,
+      to: input.to,
+      timezone: input.timezone,
+      newsletter: input.newsletter,
+      groupBy: input.group_by,
+    });
+    mcpLogger.info(
+      `Email report ${report.from} to ${report.to}: ${report.summary.emails} emails, open rate ${report.summary.open_rate ?? 'n/a'}%.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(report, null, 2) }],
+    };
+  })
+);
+
+registerTool(
+  'ghost_member_stats',
+  {
+    description:
+      'Reports on members: totals by status (free, paid, comped), signups and cancellations per day, week or month of a date range (default: the last 7 days), churn rate over the range, and current MRR by tier and currency in the smallest currency unit (e.g. cents). Results are cached for 5 minutes, or until members are changed through this server.',
+    inputSchema: memberStatsSchema,
+  },
+  withErrorHandling('ghost_member_stats', memberStatsSchema, async (input) => {
+    // Building the stats pages through every member, so repeats come from the
+    // cache. The key uses the resolved range, so "today" moves on at midnight.
+    const range = await ghostService.resolveReportRange(input);
+    const manager = await getResourceManager();
+    const cacheKey = `${MEMBER_STATS_CACHE_PREFIX}${range.from}:${range.to}:${range.timeZone}:${input.group_by}`;
+    const stats = await manager.getOrLoad(cacheKey, () =>
+      ghostService.getMemberStats({
+        from: range.from,
+        to: range.to,
+        timezone: range.timeZone,
+        groupBy: input.group_by,
+      })
+    );
+    mcpLogger.info(
+      `Member stats ${stats.from} to ${stats.to}: ${stats.totals.total} members, ${stats.signups} signups, churn ${stats.churn_rate ?? 'n/a'}%.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(stats, null, 2) }],
+    };
+  })
+);
+
+// --- Batch Tool ---
+
+const BATCH_TOOL = 'ghost_batch';
+
+const findTool = (name) => toolDefinitions.find((definition) => definition.name === name);
+
+/**
+ * Checks every operation before any of them runs: the tool must exist, and
+ * inputs without $ops references must already pass that tool's schema.
+ * Inputs with references are validated by the tool once they are resolved.
+ * @throws {ValidationError} Listing every invalid operation
+ */
+function checkBatchOperations(operations) {
+  const errors = [];
+  operations.forEach((operation, index) => {
+    const definition = operation.tool !== BATCH_TOOL && findTool(operation.tool);
+    if (!definition) {
+      errors.push({
+        field: `operations.${index}.tool`,
+        message:
+          operation.tool === BATCH_TOOL
+            ? 'Batches cannot be nested'
+            : `Unknown tool: ${operation.tool}`,
+      });
+      return;
+    }
+    if (findReferences(operation.input).length > 0) return;
+
+    const parsed = definition.config.inputSchema.safeParse(operation.input);
+    if (!parsed.success) {
+      errors.push(
+        ...parsed.error.issues.map((issue) => ({
+          field: [`operations.${index}.input`, ...issue.path].join('.'),
+          message: issue.message,
+          type: issue.code,
+        }))
+      );
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError('Batch validation failed; no operations were run', errors);
+  }
+}
+
+/**
+ * Runs a registered tool and returns its parsed output. Error responses are
+ * rethrown so the batch sees them as failures.
+ */
+async function runRegisteredTool(name, input) {
+  const response = await findTool(name).handler(input);
+  const text = (response.content || [])
+    .filter((part) => part.type === 'text')
+    .map((part) => part.text)
+    .join('\n');
+
+  if (response.isError) {
+    const error = new Error(text.split('\n')[0]);
+    const envelope = /```json\n([\s\S]*)\n```/.exec(text);
+    if (envelope) error.details = JSON.parse(envelope[1]).error;
+    throw error;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Created items Ghost cannot delete, and the update that retires them instead
+const ROLLBACK_UPDATES = {
+  ghost_create_offer: { tool: 'ghost_update_offer', input: { status: 'archived' } },
+};
+
+/**
+ * Undoes a ghost_create_* operation by running the matching ghost_delete_*
+ * tool, or archiving what Ghost cannot delete. Creates with neither are
+ * reported as not_supported. Other operations have nothing to undo.
+ */
+async function undoCreatedItem(tool, output) {
+  if (!tool.startsWith('ghost_create_')) return null;
+
+  const update = ROLLBACK_UPDATES[tool];
+  if (update && output?.id) {
+    await runRegisteredTool(update.tool, { id: output.id, ...update.input });
+    return 'archived';
+  }
+  const deleteTool = tool.replace(/^ghost_create_/, 'ghost_delete_');
+  if (!output?.id || !findTool(deleteTool)) return 'not_supported';
+  await runRegisteredTool(deleteTool, { id: output.id });
+  return 'deleted';
+}
+
+registerTool(
+  BATCH_TOOL,
+  {
+    description:
+      'Runs several tool calls as one batch. Each operation names a tool and its input, which is checked against that tool\'s schema before anything runs. A later operation can use an earlier one\'s output by passing a string like "$ops.tag1.id" as a value. Operations that do not depend on each other run concurrently, up to concurrency. After a failure no new operations start; with rollback, items created by the batch are deleted again (offers are archived). Status rollback_incomplete means some created items could not be undone.',
+    inputSchema: batchSchema,
+  },
+  withErrorHandling(BATCH_TOOL, batchSchema, async ({ operations, concurrency, rollback }) => {
+    checkBatchOperations(operations);
+    const result = await runBatchOperations(operations, {
+      execute: runRegisteredTool,
+      compensate: undoCreatedItem,
+      concurrency,
+      rollback,
+    });
+
+    const { summary } = result;
+    mcpLogger.info(
+      `Batch ${result.status}: ${summary.succeeded} of ${summary.total} operations succeeded, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.rolled_back} rolled back.`
+    );
+
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  })
+);
+
 // --- Main Entry Point ---
 
+/**
+ * Loads the Ghost webhook receiver and feeds its deliveries into resource
+ * subscriptions. Deliveries are verified against GHOST_WEBHOOK_SECRET.
+ * @returns {Promise<Object|null>} Express router to mount, or null when GHOST_WEBHOOK_SECRET is unset
+ */
+async function loadWebhookReceiver() {
+  if (!process.env.GHOST_WEBHOOK_SECRET) return null;
+
+  const [{ default: webhookRouter }, { webhookEvents }] = await Promise.all([
+    import('./routes/webhookRoutes.js'),
+    import('./controllers/webhookController.js'),
+  ]);
+
+  webhookEvents.on('event', (event, payload) => {
+    const change = webhookResourceChange(event, payload);
+    if (!change) return;
+    notifyResourceChange(change.type, change.item, change.eventType).catch((error) => {
+      console.error(`Failed to notify subscribers of ${event}:`, error.message);
+    });
+  });
+
+  webhooksEnabled = true;
+  return webhookRouter;
+}
+
+/**
+ * Serves MCP over Streamable HTTP, one McpServer per client session.
+ */
+async function startHttp() {
+  const { port } = mcpConfig.transport;
+  const { apiKey, allowedOrigins } = mcpConfig.security;
+  const corsOrigins =
+    mcpConfig.transport.cors === '*' ? allowedOrigins : mcpConfig.transport.cors.split(',');
+
+  // Loaded on demand so stdio clients never pull in Express
+  const { startHttpTransport, MCP_ENDPOINT, WEBHOOK_PATH } =
+    await import('./transports/httpTransport.js');
+  const webhookRouter = await loadWebhookReceiver();
+  const { shutdown } = await startHttpTransport({
+    createServer,
+    port,
+    apiKey,
+    allowedOrigins,
+    corsOrigins,
+    webhookRouter,
+  });
+
+  const exitGracefully = async () => {
+    await shutdown();
+    process.exit(0);
+  };
+  process.on('SIGINT', exitGracefully);
+  process.on('SIGTERM', exitGracefully);
+
+  console.error(
+    `Ghost MCP Server running on Streamable HTTP at http://localhost:${port}${MCP_ENDPOINT}`
+  );
+  if (webhookRouter) {
+    console.error(`Receiving Ghost webhooks at http://localhost:${port}${WEBHOOK_PATH}/<event>`);
+  }
+}
+
+/**
+ * Receives Ghost webhooks next to the stdio transport, on GHOST_WEBHOOK_PORT.
+ */
+async function startStdioWebhooks() {
+  const port = Number(process.env.GHOST_WEBHOOK_PORT);
+  if (!port) return;
+
+  const webhookRouter = await loadWebhookReceiver();
+  if (!webhookRouter) return;
+
+  const { startWebhookListener, WEBHOOK_PATH } = await import('./transports/httpTransport.js');
+  await startWebhookListener({ webhookRouter, port });
+  console.error(`Receiving Ghost webhooks at http://localhost:${port}${WEBHOOK_PATH}/<event>`);
+}
+
 async function main() {
   console.error('Starting Ghost MCP Server...');
 
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  // mcpConfig falls back to http, but clients launch this server as a
+  // subprocess, so it stays on stdio unless MCP_TRANSPORT is set
+  const transportType = process.env.MCP_TRANSPORT ? mcpConfig.transport.type : 'stdio';
+
+  if (transportType === 'stdio') {
+    await startStdioWebhooks();
+    const server = createServer();
+    await server.connect(new StdioServerTransport());
+    console.error('Ghost MCP Server running on stdio transport');
+  } else if (transportType === 'http' || transportType === 'sse') {
+    await startHttp();
+  } else {
+    throw new Error(
+      `MCP_TRANSPORT=${transportType} is not supported by this server; use stdio or http`
+    );
+  }
 
-  console.error('Ghost MCP Server running on stdio transport');
+  console.error(
+    'Available resources: ghost://{post,page,tag,member,newsletter,tier}/{identifier} and ghost://{posts,pages,tags,members,newsletters,tiers}'
+  );
   console.error(
     'Available tools: ghost_get_tags, ghost_create_tag, ghost_get_tag, ghost_update_tag, ghost_delete_tag, ghost_upload_image, ghost_set_feature_image, ' +
-      'ghost_create_post, ghost_get_posts, ghost_get_post, ghost_search_posts, ghost_update_post, ghost_delete_post, ' +
+      'ghost_upload_media, ghost_upload_file, ' +
+      'ghost_create_post, ghost_get_posts, ghost_get_post, ghost_search_posts, ghost_update_post, ghost_delete_post, ghost_bulk_update_posts, ' +
+      'ghost_schedule_post, ghost_get_scheduled_posts, ghost_search_content, ' +
       'ghost_get_pages, ghost_get_page, ghost_create_page, ghost_update_page, ghost_delete_page, ghost_search_pages, ' +
       'ghost_create_member, ghost_update_member, ghost_delete_member, ghost_get_members, ghost_get_member, ghost_search_members, ' +
+      'ghost_import_members, ghost_export_members, ghost_get_member_subscriptions, ghost_grant_member_comp, ghost_remove_member_comp, ' +
+      'ghost_get_labels, ghost_create_label, ghost_update_label, ghost_delete_label, ghost_add_label_to_members, ghost_remove_label_from_members, ' +
       'ghost_get_newsletters, ghost_get_newsletter, ghost_create_newsletter, ghost_update_newsletter, ghost_delete_newsletter, ' +
-      'ghost_get_tiers, ghost_get_tier, ghost_create_tier, ghost_update_tier, ghost_delete_tier'
+      'ghost_get_tiers, ghost_get_tier, ghost_create_tier, ghost_update_tier, ghost_delete_tier, ' +
+      'ghost_get_offers, ghost_get_offer, ghost_create_offer, ghost_update_offer, ' +
+      'ghost_create_webhook, ghost_update_webhook, ghost_delete_webhook, ' +
+      'ghost_get_users, ghost_get_user, ' +
+      'ghost_get_settings, ghost_update_settings, ' +
+      'ghost_get_themes, ghost_upload_theme, ghost_activate_theme, ' +
+      'ghost_import_wordpress, ghost_export_content, ' +
+      'ghost_bulk_delete_posts, ghost_bulk_delete_pages, ghost_bulk_delete_members, ' +
+      'ghost_list_revisions, ghost_diff_revisions, ghost_restore_revision, ghost_batch, ghost_publish_post, ghost_get_post_analytics, ghost_get_email_report, ghost_member_stats'
   );
 }
 
@@ -889,6 +889,34 @@ describe('errorMiddleware', () => {
         'Content-Type, Authorization, X-API-Key'
       );
       expect(res.header).toHaveBeenCalledWith('Access-Control-Max-Age', '86400');
+      expect(res.header).not.toHaveBeenCalledWith(
+        'Access-Control-Expose-Headers',
+        expect.anything()
+      );
+    });
+
+    it('should use custom methods and headers when provided', () => {
+      const middleware = mcpCors(['*'], {
+        methods: 'GET, POST, DELETE, OPTIONS',
+        allowedHeaders: 'Content-Type, Mcp-Session-Id',
+        exposedHeaders: 'Mcp-Session-Id',
+      });
+
+      const req = createMockRequest({ method: 'GET' });
+      const res = createMockResponse();
+      const next = createMockNext();
+
+      middleware(req, res, next);
+
+      expect(res.header).toHaveBeenCalledWith(
+        'Access-Control-Allow-Methods',
+        'GET, POST, DELETE, OPTIONS'
+      );
+      expect(res.header).toHaveBeenCalledWith(
+        'Access-Control-Allow-Headers',
+        'Content-Type, Mcp-Session-Id'
+      );
+      expect(res.header).toHaveBeenCalledWith('Access-Control-Expose-Headers', 'Mcp-Session-Id');
     });
   });
 
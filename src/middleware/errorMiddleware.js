@@ -360,15 +360,29 @@ export function apiKeyAuth(apiKey) {
 
 /**
  * CORS middleware for MCP
+ * @param {string[]} [allowedOrigins=['*']] - Origins that receive CORS headers
+ * @param {Object} [options={}]
+ * @param {string} [options.methods] - Access-Control-Allow-Methods value
+ * @param {string} [options.allowedHeaders] - Access-Control-Allow-Headers value
+ * @param {string} [options.exposedHeaders] - Access-Control-Expose-Headers value, if any
  */
-export function mcpCors(allowedOrigins = ['*']) {
+export function mcpCors(allowedOrigins = ['*'], options = {}) {
+  const {
+    methods = 'GET, POST, OPTIONS',
+    allowedHeaders = 'Content-Type, Authorization, X-API-Key',
+    exposedHeaders,
+  } = options;
+
   return (req, res, next) => {
     const origin = req.headers.origin;
 
     if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
       res.header('Access-Control-Allow-Origin', origin || '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+      res.header('Access-Control-Allow-Methods', methods);
+      res.header('Access-Control-Allow-Headers', allowedHeaders);
+      if (exposedHeaders) {
+        res.header('Access-Control-Expose-Headers', exposedHeaders);
+      }
       res.header('Access-Control-Max-Age', '86400');
     }
 
@@ -3,8 +3,8 @@
  * Provides caching, pagination, filtering, and subscription capabilities
  */
 
-import { Resource } from '@modelcontextprotocol/sdk/server/index.js';
 import { NotFoundError, ValidationError } from '../errors/index.js';
+import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
 import EventEmitter from 'events';
 
 /**
@@ -92,9 +92,13 @@ class ResourceURIParser {
     // - ghost/post/uuid:550e8400-e29b-41d4-a716-446655440000
     // - ghost/posts?status=published&limit=10&page=2
     // - ghost/tag/technology
+    // - ghost://post/slug:my-post-slug (scheme form used by MCP clients)
 
     const url = new URL(uri, 'resource://');
-    const pathParts = url.pathname.split('/').filter(Boolean);
+    const pathParts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (url.protocol === 'ghost:') {
+      pathParts.unshift('ghost', url.host);
+    }
 
     if (pathParts.length < 2) {
       throw new ValidationError('Invalid resource URI format');
@@ -130,9 +134,9 @@ class ResourceURIParser {
   }
 
   static build(parts) {
-    const { namespace, resourceType, identifier, query = {} } = parts;
+    const { namespace, resourceType, identifier, query = {}, scheme = false } = parts;
 
-    let uri = `${namespace}/${resourceType}`;
+    let uri = scheme ? `${namespace}://${resourceType}` : `${namespace}/${resourceType}`;
 
     if (identifier) {
       uri += `/${identifier}`;
@@ -147,6 +151,40 @@ class ResourceURIParser {
   }
 }
 
+/**
+ * Resource types fetched through the generic entity/collection fetchers.
+ * Posts and tags have their own fetchers above the generic ones.
+ * - getOne: reads by id
+ * - list: service method for collections and non-id lookups
+ * - lookups: identifier types other than id, resolved with a filtered browse
+ */
+const ENTITY_TYPES = {
+  page: {
+    label: 'Page',
+    getOne: (service, id) => service.getPage(id, { include: 'authors' }),
+    list: 'getPages',
+    lookups: ['slug', 'uuid'],
+  },
+  member: {
+    label: 'Member',
+    getOne: (service, id) => service.getMember({ id }),
+    list: 'getMembers',
+    lookups: ['email', 'uuid'],
+  },
+  newsletter: {
+    label: 'Newsletter',
+    getOne: (service, id) => service.getNewsletter(id),
+    list: 'getNewsletters',
+    lookups: ['slug'],
+  },
+  tier: {
+    label: 'Tier',
+    getOne: (service, id) => service.getTier(id),
+    list: 'getTiers',
+    lookups: ['slug'],
+  },
+};
+
 /**
  * Resource Fetcher with advanced capabilities
  */
@@ -372,6 +410,87 @@ class ResourceFetcher {
 
     return response;
   }
+
+  async fetchEntity(type, parsedURI) {
+    const { identifier, identifierType, query, isCollection } = parsedURI;
+    const config = ENTITY_TYPES[type];
+
+    if (isCollection) {
+      return await this.fetchCollection(type, query);
+    }
+
+    const cacheKey = `${type}:${identifierType}:${identifier}`;
+
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      console.error(`Cache hit for ${cacheKey}`);
+      return cached;
+    }
+
+    let item;
+
+    if (identifierType === 'id') {
+      item = await config.getOne(this.ghostService, identifier);
+    } else if (config.lookups.includes(identifierType)) {
+      const items = await this.ghostService[config.list]({
+        filter: `${identifierType}:'${sanitizeNqlValue(identifier)}'`,
+        limit: 1,
+      });
+      item = items[0];
+    } else {
+      throw new ValidationError(`Unknown identifier type: ${identifierType}`);
+    }
+
+    if (!item) {
+      throw new NotFoundError(config.label, identifier);
+    }
+
+    this.cache.set(cacheKey, item);
+
+    return item;
+  }
+
+  async fetchCollection(type, query = {}) {
+    const cacheKey = `${type}s:${JSON.stringify(query)}`;
+
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      console.error(`Cache hit for ${type}s query`);
+      return cached;
+    }
+
+    const options = {
+      limit: parseInt(query.limit) || 15,
+      page: parseInt(query.page) || 1,
+    };
+    if (query.filter) options.filter = query.filter;
+    if (query.order) options.order = query.order;
+    if (query.status) {
+      options.filter = options.filter
+        ? `${options.filter}+status:${query.status}`
+        : `status:${query.status}`;
+    }
+
+    const result = await this.ghostService[ENTITY_TYPES[type].list](options);
+
+    const response = {
+      data: result,
+      meta: {
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          pages: result.meta?.pagination?.pages || 1,
+          total: result.meta?.pagination?.total || result.length,
+          next: result.meta?.pagination?.next || null,
+          prev: result.meta?.pagination?.prev || null,
+        },
+      },
+    };
+
+    this.cache.set(cacheKey, response, 60000);
+
+    return response;
+  }
 }
 
 /**
@@ -481,9 +600,21 @@ class ResourceSubscriptionManager extends EventEmitter {
     throw new Error('Resource fetcher not configured for subscription manager');
   }
 
-  notifySubscribers(uri, data, eventType = 'update') {
+  /**
+   * Calls every subscription matching the changed URI. A change reported on
+   * several URIs (an item by id, by slug and its collection) reaches each
+   * subscription once, with the first URI it matched.
+   * @param {string|string[]} uris - Changed URI, or all URIs of one change
+   * @param {*} data - The changed resource
+   * @param {string} [eventType='update'] - 'create', 'update' or 'delete'
+   */
+  notifySubscribers(uris, data, eventType = 'update') {
+    const changed = [].concat(uris);
     for (const [, subscription] of this.subscriptions) {
-      if (this.matchesSubscription(subscription.uri, uri)) {
+      const uri = changed.find((candidate) =>
+        this.matchesSubscription(subscription.uri, candidate)
+      );
+      if (uri) {
         subscription.callback({
           type: eventType,
           uri,
@@ -494,19 +625,51 @@ class ResourceSubscriptionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Matches segment by segment, ignoring the query string and the ghost://
+   * vs ghost/ form. A shorter URI on either side covers everything beneath it
+   * (ghost/post matches ghost/post/1 both ways). `*` in a subscription matches
+   * any text within one segment (ghost/posts/*, ghost/post/slug:launch-*).
+   * Item URIs accept the plural type, but a collection (ghost/posts) stays
+   * distinct from the type (ghost/post), so a collection change doesn't reach
+   * every item subscriber.
+   */
   matchesSubscription(subscriptionURI, eventURI) {
-    // Simple matching - could be enhanced with wildcards
-    return (
-      subscriptionURI === eventURI ||
-      subscriptionURI.startsWith(eventURI) ||
-      eventURI.startsWith(subscriptionURI)
-    );
+    const pattern = uriSegments(subscriptionURI);
+    const target = uriSegments(eventURI);
+    const length = Math.min(pattern.length, target.length);
+
+    for (let i = 0; i < length; i++) {
+      if (!segmentMatches(pattern[i], target[i])) return false;
+    }
+    return true;
   }
 }
 
 /**
- * Main Resource Manager
+ * Path segments of a resource URI, with the type singularized on item URIs.
  */
+function uriSegments(uri) {
+  const url = new URL(uri, 'resource://');
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (url.protocol === 'ghost:') {
+    segments.unshift('ghost', url.host);
+  }
+  if (segments.length > 2) {
+    segments[1] = segments[1].replace(/s$/, '');
+  }
+  return segments;
+}
+
+function segmentMatches(pattern, segment) {
+  if (!pattern.includes('*')) return pattern === segment;
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(segment);
+}
+
 export class ResourceManager {
   constructor(ghostService) {
     this.ghostService = ghostService;
@@ -521,12 +684,12 @@ export class ResourceManager {
    * Register a resource with enhanced fetching
    */
   registerResource(name, schema, options = {}) {
-    const resource = new Resource({
+    const resource = {
       name,
       description: options.description,
       schema,
       fetch: async (uri) => this.fetchResource(uri),
-    });
+    };
 
     this.resources.set(name, {
       resource,
@@ -555,6 +718,16 @@ export class ResourceManager {
         case 'tags':
           return await this.fetcher.fetchTag(parsed);
 
+        case 'page':
+        case 'pages':
+        case 'member':
+        case 'members':
+        case 'newsletter':
+        case 'newsletters':
+        case 'tier':
+        case 'tiers':
+          return await this.fetcher.fetchEntity(parsed.resourceType.replace(/s$/, ''), parsed);
+
         default:
           throw new ValidationError(`Unknown resource type: ${parsed.resourceType}`);
       }
@@ -613,14 +786,38 @@ export class ResourceManager {
   }
 
   /**
-   * Notify about resource changes (for webhooks)
+   * Notify about resource changes (from tools and Ghost webhooks)
+   * @param {string|string[]} uris - Changed URI, or all URIs of one change
    */
-  notifyChange(uri, data, eventType = 'update') {
-    // Invalidate cache for this resource
-    this.cache.invalidate(uri);
+  notifyChange(uris, data, eventType = 'update') {
+    // Invalidate cached items and collections of this resource type; cache
+    // keys are by id/slug/query, so the URI itself rarely matches one
+    const [uri] = [].concat(uris);
+    let pattern = uri;
+    try {
+      const { resourceType } = ResourceURIParser.parse(uri);
+      pattern = `^${resourceType.replace(/s$/, '')}s?:`;
+    } catch {
+      // Not a resource URI; fall back to matching it literally
+    }
+    this.cache.invalidate(pattern);
 
     // Notify subscribers
-    this.subscriptionManager.notifySubscribers(uri, data, eventType);
+    this.subscriptionManager.notifySubscribers(uris, data, eventType);
+  }
+
+  /**
+   * Return a cached value, or load, cache and return it. Keys starting with
+   * a resource type (e.g. "members:stats:...") are cleared by notifyChange
+   * when that type changes.
+   */
+  async getOrLoad(key, load, ttl = null) {
+    const cached = this.cache.get(key);
+    if (cached) return cached;
+
+    const value = await load();
+    this.cache.set(key, value, ttl);
+    return value;
   }
 
   /**
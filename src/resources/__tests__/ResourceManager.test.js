@@ -1,17 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
-// Mock MCP SDK
-vi.mock('@modelcontextprotocol/sdk/server/index.js', () => ({
-  Resource: class MockResource {
-    constructor(config) {
-      this.name = config.name;
-      this.description = config.description;
-      this.schema = config.schema;
-      this.fetch = config.fetch;
-    }
-  },
-}));
-
 // Mock errors
 vi.mock('../../errors/index.js', () => ({
   NotFoundError: class NotFoundError extends Error {
@@ -39,6 +27,14 @@ function createMockGhostService() {
     getPosts: vi.fn(),
     getTag: vi.fn(),
     getTags: vi.fn(),
+    getPage: vi.fn(),
+    getPages: vi.fn(),
+    getMember: vi.fn(),
+    getMembers: vi.fn(),
+    getNewsletter: vi.fn(),
+    getNewsletters: vi.fn(),
+    getTier: vi.fn(),
+    getTiers: vi.fn(),
   };
 }
 
@@ -249,6 +245,30 @@ describe('ResourceManager', () => {
         );
       });
 
+      it('should parse ghost:// scheme URIs', async () => {
+        const posts = [{ id: '1', slug: 'my-post-slug' }];
+        mockGhostService.getPosts.mockResolvedValue(posts);
+
+        await resourceManager.fetchResource('ghost://post/slug:my-post-slug');
+
+        expect(mockGhostService.getPosts).toHaveBeenCalledWith({
+          filter: 'slug:my-post-slug',
+          include: 'tags,authors',
+          limit: 1,
+        });
+      });
+
+      it('should treat a ghost:// URI without identifier as a collection', async () => {
+        mockGhostService.getPosts.mockResolvedValue([]);
+
+        const result = await resourceManager.fetchResource('ghost://posts?status=draft');
+
+        expect(mockGhostService.getPosts).toHaveBeenCalledWith(
+          expect.objectContaining({ filter: 'status:draft' })
+        );
+        expect(result.data).toEqual([]);
+      });
+
       it('should throw ValidationError for invalid URI format', async () => {
         await expect(resourceManager.fetchResource('invalid')).rejects.toThrow(
           'Invalid resource URI format'
@@ -545,6 +565,74 @@ describe('ResourceManager', () => {
     });
   });
 
+  describe('ResourceFetcher - entity types', () => {
+    it('should fetch a page by id with authors', async () => {
+      mockGhostService.getPage.mockResolvedValue({ id: 'pg1' });
+
+      const result = await resourceManager.fetchResource('ghost://page/pg1');
+
+      expect(mockGhostService.getPage).toHaveBeenCalledWith('pg1', { include: 'authors' });
+      expect(result).toEqual({ id: 'pg1' });
+    });
+
+    it('should fetch a member by id using the lookup object', async () => {
+      mockGhostService.getMember.mockResolvedValue({ id: 'm1' });
+
+      await resourceManager.fetchResource('ghost://member/m1');
+
+      expect(mockGhostService.getMember).toHaveBeenCalledWith({ id: 'm1' });
+    });
+
+    it('should look up members by email with a quoted filter', async () => {
+      mockGhostService.getMembers.mockResolvedValue([{ id: 'm1' }]);
+
+      await resourceManager.fetchResource('ghost://member/email:jane@example.com');
+
+      expect(mockGhostService.getMembers).toHaveBeenCalledWith({
+        filter: "email:'jane@example.com'",
+        limit: 1,
+      });
+    });
+
+    it('should escape quotes and backslashes in lookup values', async () => {
+      mockGhostService.getMembers.mockResolvedValue([{ id: 'm1' }]);
+
+      await resourceManager.fetchResource("ghost://member/email:o'brien\\'+id:x@example.com");
+
+      expect(mockGhostService.getMembers).toHaveBeenCalledWith({
+        filter: "email:'o\\'brien\\\\\\'+id:x@example.com'",
+        limit: 1,
+      });
+    });
+
+    it('should throw NotFoundError when a slug lookup finds nothing', async () => {
+      mockGhostService.getNewsletters.mockResolvedValue([]);
+
+      await expect(resourceManager.fetchResource('ghost://newsletter/slug:weekly')).rejects.toThrow(
+        'Newsletter not found: weekly'
+      );
+    });
+
+    it('should reject identifier types the resource does not support', async () => {
+      await expect(resourceManager.fetchResource('ghost://tier/email:a@b.com')).rejects.toThrow(
+        'Unknown identifier type: email'
+      );
+    });
+
+    it('should fetch collections with pagination metadata and cache them', async () => {
+      const tiers = [{ id: 't1' }];
+      tiers.meta = { pagination: { total: 3, pages: 3, next: 2 } };
+      mockGhostService.getTiers.mockResolvedValue(tiers);
+
+      const result = await resourceManager.fetchResource('ghost://tiers?limit=1');
+      await resourceManager.fetchResource('ghost://tiers?limit=1');
+
+      expect(mockGhostService.getTiers).toHaveBeenCalledTimes(1);
+      expect(mockGhostService.getTiers).toHaveBeenCalledWith({ limit: 1, page: 1 });
+      expect(result.meta.pagination).toMatchObject({ total: 3, pages: 3, next: 2 });
+    });
+  });
+
   describe('ResourceSubscriptionManager', () => {
     describe('subscribe', () => {
       it('should create subscription and return id', () => {
@@ -732,6 +820,80 @@ describe('ResourceManager', () => {
 
         expect(callback).toHaveBeenCalled();
       });
+
+      it('should compare whole segments rather than characters', () => {
+        const { subscriptionManager } = resourceManager;
+
+        expect(subscriptionManager.matchesSubscription('ghost/post/1', 'ghost/post/12')).toBe(
+          false
+        );
+        expect(subscriptionManager.matchesSubscription('ghost/post', 'ghost/posts')).toBe(false);
+      });
+
+      it('should treat ghost:// and ghost/ URIs alike and ignore the query', () => {
+        const { subscriptionManager } = resourceManager;
+
+        expect(subscriptionManager.matchesSubscription('ghost://post/1', 'ghost/post/1')).toBe(
+          true
+        );
+        expect(
+          subscriptionManager.matchesSubscription('ghost://posts?status=draft', 'ghost://posts')
+        ).toBe(true);
+      });
+
+      it('should match wildcard segments', () => {
+        const { subscriptionManager } = resourceManager;
+
+        expect(subscriptionManager.matchesSubscription('ghost/posts/*', 'ghost://post/1')).toBe(
+          true
+        );
+        expect(
+          subscriptionManager.matchesSubscription('ghost/posts/*', 'ghost://post/slug:hello')
+        ).toBe(true);
+        expect(subscriptionManager.matchesSubscription('ghost/posts/*', 'ghost://tag/1')).toBe(
+          false
+        );
+        expect(
+          subscriptionManager.matchesSubscription('ghost://*/slug:news', 'ghost://tag/slug:news')
+        ).toBe(true);
+        expect(
+          subscriptionManager.matchesSubscription(
+            'ghost/post/slug:launch-*',
+            'ghost/post/slug:launch-day'
+          )
+        ).toBe(true);
+        expect(
+          subscriptionManager.matchesSubscription(
+            'ghost/post/slug:launch-*',
+            'ghost/post/slug:relaunch'
+          )
+        ).toBe(false);
+      });
+
+      it('should not notify item subscribers of collection changes', () => {
+        const { subscriptionManager } = resourceManager;
+
+        expect(subscriptionManager.matchesSubscription('ghost://post/1', 'ghost://posts')).toBe(
+          false
+        );
+        expect(subscriptionManager.matchesSubscription('ghost/posts/*', 'ghost://posts')).toBe(
+          false
+        );
+      });
+
+      it('should notify a subscription once per change reported on several URIs', () => {
+        const callback = vi.fn();
+        resourceManager.subscribe('ghost/posts/*', callback);
+
+        resourceManager.notifyChange(
+          ['ghost://post/1', 'ghost://post/slug:hello', 'ghost://posts'],
+          { id: '1' },
+          'update'
+        );
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith(expect.objectContaining({ uri: 'ghost://post/1' }));
+      });
     });
   });
 
@@ -866,6 +1028,42 @@ describe('ResourceManager', () => {
         // Cache should be invalidated for matching pattern
         expect(callback).toHaveBeenCalled();
       });
+
+      it('should invalidate cached items and collections of the changed type', async () => {
+        mockGhostService.getPost.mockResolvedValue({ id: '1' });
+        mockGhostService.getPosts.mockResolvedValue([]);
+        mockGhostService.getTag.mockResolvedValue({ id: '1' });
+
+        await resourceManager.fetchResource('ghost://post/1');
+        await resourceManager.fetchResource('ghost://posts');
+        await resourceManager.fetchResource('ghost://tag/1');
+
+        resourceManager.notifyChange('ghost://post/1', { id: '1' });
+
+        expect(resourceManager.getCacheStats().keys).toEqual(['tag:id:1']);
+      });
+    });
+
+    describe('getOrLoad', () => {
+      it('should load once and serve repeats from the cache', async () => {
+        const load = vi.fn().mockResolvedValue({ total: 3 });
+
+        await resourceManager.getOrLoad('members:stats:day', load);
+        const result = await resourceManager.getOrLoad('members:stats:day', load);
+
+        expect(load).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({ total: 3 });
+      });
+
+      it('should load again after a change to its resource type', async () => {
+        const load = vi.fn().mockResolvedValue({ total: 3 });
+
+        await resourceManager.getOrLoad('members:stats:day', load);
+        resourceManager.notifyChange('ghost://member/1', { id: '1' });
+        await resourceManager.getOrLoad('members:stats:day', load);
+
+        expect(load).toHaveBeenCalledTimes(2);
+      });
     });
 
     describe('getCacheStats', () => {
@@ -0,0 +1,282 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import {
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { ResourceManager } from '../ResourceManager.js';
+import {
+  registerGhostResources,
+  createResourceNotifier,
+  changedResourceUris,
+  webhookResourceChange,
+} from '../ghostResources.js';
+
+function createMockGhostService() {
+  return {
+    getPost: vi.fn(),
+    getPosts: vi.fn().mockResolvedValue([]),
+    getTag: vi.fn(),
+    getTags: vi.fn().mockResolvedValue([]),
+    getPage: vi.fn(),
+    getPages: vi.fn().mockResolvedValue([]),
+    getMember: vi.fn(),
+    getMembers: vi.fn().mockResolvedValue([]),
+    getNewsletter: vi.fn(),
+    getNewsletters: vi.fn().mockResolvedValue([]),
+    getTier: vi.fn(),
+    getTiers: vi.fn().mockResolvedValue([]),
+  };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('ghostResources', () => {
+  let ghostService;
+  let manager;
+  let server;
+  let client;
+  let resources;
+  let notifyResourceChange;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    ghostService = createMockGhostService();
+    manager = new ResourceManager(ghostService);
+    server = new McpServer({ name: 'test', version: '1.0.0' });
+    resources = registerGhostResources(server, async () => manager);
+    notifyResourceChange = createResourceNotifier(
+      async () => manager,
+      () => [server]
+    );
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    vi.restoreAllMocks();
+  });
+
+  it('advertises subscribe and listChanged capabilities', () => {
+    expect(client.getServerCapabilities().resources).toEqual({
+      subscribe: true,
+      listChanged: true,
+    });
+  });
+
+  it('registers item and collection templates for each resource type', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    const templates = resourceTemplates.map((t) => t.uriTemplate);
+
+    for (const type of ['post', 'page', 'tag', 'member', 'newsletter', 'tier']) {
+      expect(templates).toContain(`ghost://${type}/{identifier}`);
+    }
+    expect(templates).toContain('ghost://posts{?status,filter,order,limit,page}');
+    expect(templates).toContain('ghost://tiers{?filter,order,limit,page}');
+  });
+
+  it('lists recent items as ghost:// resources', async () => {
+    ghostService.getPosts.mockResolvedValue([{ id: 'p1', title: 'Hello' }]);
+    ghostService.getMembers.mockResolvedValue([{ id: 'm1', email: 'a@example.com' }]);
+
+    const { resources } = await client.listResources();
+
+    expect(resources).toContainEqual(
+      expect.objectContaining({ uri: 'ghost://post/p1', name: 'Hello' })
+    );
+    expect(resources).toContainEqual(
+      expect.objectContaining({ uri: 'ghost://member/m1', name: 'a@example.com' })
+    );
+    expect(ghostService.getPosts).toHaveBeenCalledWith(expect.objectContaining({ limit: 50 }));
+  });
+
+  it('reads an item by slug', async () => {
+    ghostService.getPosts.mockResolvedValue([{ id: 'p1', slug: 'hello', title: 'Hello' }]);
+
+    const result = await client.readResource({ uri: 'ghost://post/slug:hello' });
+
+    expect(ghostService.getPosts).toHaveBeenCalledWith(
+      expect.objectContaining({ filter: 'slug:hello', limit: 1 })
+    );
+    expect(result.contents[0]).toMatchObject({
+      uri: 'ghost://post/slug:hello',
+      mimeType: 'application/json',
+    });
+    expect(JSON.parse(result.contents[0].text).title).toBe('Hello');
+  });
+
+  it('reads a member by email', async () => {
+    ghostService.getMembers.mockResolvedValue([{ id: 'm1', email: "o'neil@example.com" }]);
+
+    await client.readResource({ uri: "ghost://member/email:o'neil@example.com" });
+
+    expect(ghostService.getMembers).toHaveBeenCalledWith({
+      filter: "email:'o\\'neil@example.com'",
+      limit: 1,
+    });
+  });
+
+  it('reads a collection with query parameters in any order', async () => {
+    ghostService.getPages.mockResolvedValue([{ id: 'pg1' }]);
+
+    const result = await client.readResource({ uri: 'ghost://pages?limit=5&status=draft' });
+
+    expect(ghostService.getPages).toHaveBeenCalledWith({
+      limit: 5,
+      page: 1,
+      filter: 'status:draft',
+    });
+    expect(JSON.parse(result.contents[0].text)).toMatchObject({
+      data: [{ id: 'pg1' }],
+      meta: { pagination: { limit: 5, total: 1 } },
+    });
+  });
+
+  it('sends resource updates to subscribers when a tool changes an item', async () => {
+    const updated = vi.fn();
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => updated(n.params.uri));
+    await client.subscribeResource({ uri: 'ghost://tag/slug:news' });
+    await client.subscribeResource({ uri: 'ghost://tags' });
+
+    await notifyResourceChange('tag', { id: 't1', slug: 'news' }, 'update');
+    await flush();
+
+    expect(updated).toHaveBeenCalledWith('ghost://tag/slug:news');
+    expect(updated).toHaveBeenCalledWith('ghost://tags');
+  });
+
+  it('stops sending updates after unsubscribe', async () => {
+    const updated = vi.fn();
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, updated);
+    await client.subscribeResource({ uri: 'ghost://post/p1' });
+    await client.unsubscribeResource({ uri: 'ghost://post/p1' });
+
+    await notifyResourceChange('post', { id: 'p1' }, 'update');
+    await flush();
+
+    expect(updated).not.toHaveBeenCalled();
+    expect(manager.subscriptionManager.subscriptions.size).toBe(0);
+  });
+
+  it('clears cached copies and signals list changes on create and delete', async () => {
+    ghostService.getPost.mockResolvedValue({ id: 'p1', title: 'Old' });
+    await client.readResource({ uri: 'ghost://post/p1' });
+    ghostService.getPost.mockResolvedValue({ id: 'p1', title: 'New' });
+
+    const listChanged = vi.fn();
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, listChanged);
+
+    await notifyResourceChange('post', { id: 'p1' }, 'update');
+    await flush();
+    expect(listChanged).not.toHaveBeenCalled();
+
+    const result = await client.readResource({ uri: 'ghost://post/p1' });
+    expect(JSON.parse(result.contents[0].text).title).toBe('New');
+
+    await notifyResourceChange('post', { id: 'p1' }, 'delete');
+    await flush();
+    expect(listChanged).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops the server subscriptions when closed', async () => {
+    await client.subscribeResource({ uri: 'ghost://post/p1' });
+    await client.subscribeResource({ uri: 'ghost://posts' });
+    expect(manager.subscriptionManager.subscriptions.size).toBe(2);
+
+    await resources.close();
+
+    expect(manager.subscriptionManager.subscriptions.size).toBe(0);
+  });
+
+  it('reports wildcard subscribers the URI that changed', async () => {
+    const updated = vi.fn();
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => updated(n.params.uri));
+    await client.subscribeResource({ uri: 'ghost://posts/*' });
+
+    await notifyResourceChange('post', { id: 'p1', slug: 'hello' }, 'update');
+    await notifyResourceChange('tag', { id: 't1' }, 'update');
+    await flush();
+
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(updated).toHaveBeenCalledWith('ghost://post/p1');
+  });
+
+  it('does not poll without a polling interval', async () => {
+    const subscribe = vi.spyOn(manager, 'subscribe');
+
+    await client.subscribeResource({ uri: 'ghost://post/p1' });
+
+    expect(subscribe).toHaveBeenCalledWith('ghost://post/p1', expect.any(Function), {});
+  });
+
+  it('reports changes on the id, slug and collection URIs', () => {
+    expect(changedResourceUris('page', { id: 'x', slug: 'about' })).toEqual([
+      'ghost://page/x',
+      'ghost://page/slug:about',
+      'ghost://pages',
+    ]);
+  });
+});
+
+describe('registerGhostResources polling fallback', () => {
+  it('polls subscribed URIs, except wildcards, when given a polling interval', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const manager = new ResourceManager(createMockGhostService());
+    const subscribe = vi.spyOn(manager, 'subscribe').mockReturnValue('sub_1');
+    const server = new McpServer({ name: 'test', version: '1.0.0' });
+    registerGhostResources(server, async () => manager, { pollingInterval: 30000 });
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+    await client.subscribeResource({ uri: 'ghost://post/p1' });
+    await client.subscribeResource({ uri: 'ghost://posts/*' });
+
+    expect(subscribe).toHaveBeenCalledWith('ghost://post/p1', expect.any(Function), {
+      enablePolling: true,
+      pollingInterval: 30000,
+    });
+    expect(subscribe).toHaveBeenCalledWith('ghost://posts/*', expect.any(Function), {});
+
+    await client.close();
+    vi.restoreAllMocks();
+  });
+});
+
+describe('webhookResourceChange', () => {
+  it('maps added, edited and deleted events to create, update and delete', () => {
+    const current = { id: 'p1', slug: 'hello' };
+
+    expect(webhookResourceChange('post.added', { post: { current, previous: {} } })).toEqual({
+      type: 'post',
+      item: current,
+      eventType: 'create',
+    });
+    expect(
+      webhookResourceChange('post.published', { post: { current, previous: {} } }).eventType
+    ).toBe('update');
+    expect(
+      webhookResourceChange('page.tag.attached', { page: { current, previous: {} } })
+    ).toMatchObject({ type: 'page', eventType: 'update' });
+  });
+
+  it('uses the previous state for deletes', () => {
+    const previous = { id: 'm1', email: 'a@example.com' };
+
+    expect(webhookResourceChange('member.deleted', { member: { current: {}, previous } })).toEqual({
+      type: 'member',
+      item: previous,
+      eventType: 'delete',
+    });
+  });
+
+  it('ignores events without a resource id', () => {
+    expect(webhookResourceChange('site.changed', {})).toBeNull();
+    expect(webhookResourceChange('tag.edited', { tag: { current: {}, previous: {} } })).toBeNull();
+  });
+});
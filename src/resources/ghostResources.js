@@ -0,0 +1,271 @@
+/**
+ * MCP resources for the main server. Registers ghost:// resource templates on
+ * an McpServer, backed by ResourceManager's cached fetchers, and forwards
+ * ResourceManager change events to subscribed clients.
+ *
+ * URIs:
+ * - ghost://post/{identifier}  where identifier is an id or e.g. slug:my-post
+ * - ghost://posts?status=published&limit=10
+ * - ghost://posts/*  (subscriptions only) every post
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import {
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+
+const MIME_TYPE = 'application/json';
+
+// How many of the most recent items of each type resources/list enumerates
+export const RESOURCE_LIST_LIMIT = 50;
+
+/**
+ * Resource types exposed as ghost:// URIs.
+ * - lookups: identifier prefixes accepted besides a plain id
+ * - params: query parameters accepted on the collection URI
+ * - label: picks the display name for an item in resources/list
+ */
+export const GHOST_RESOURCE_TYPES = {
+  post: {
+    collection: 'posts',
+    lookups: ['slug', 'uuid'],
+    params: ['status', 'filter', 'order', 'limit', 'page'],
+    label: (post) => post.title,
+  },
+  page: {
+    collection: 'pages',
+    lookups: ['slug', 'uuid'],
+    params: ['status', 'filter', 'order', 'limit', 'page'],
+    label: (page) => page.title,
+  },
+  tag: {
+    collection: 'tags',
+    lookups: ['slug', 'name'],
+    params: ['name', 'filter', 'limit', 'page'],
+    label: (tag) => tag.name,
+  },
+  member: {
+    collection: 'members',
+    lookups: ['email', 'uuid'],
+    params: ['status', 'filter', 'order', 'limit', 'page'],
+    label: (member) => member.name || member.email,
+  },
+  newsletter: {
+    collection: 'newsletters',
+    lookups: ['slug'],
+    params: ['status', 'filter', 'order', 'limit', 'page'],
+    label: (newsletter) => newsletter.name,
+  },
+  tier: {
+    collection: 'tiers',
+    lookups: ['slug'],
+    params: ['filter', 'order', 'limit', 'page'],
+    label: (tier) => tier.name,
+  },
+};
+
+/**
+ * Matches a collection URI with any subset of its query parameters, in any
+ * order. The SDK's UriTemplate only matches {?a,b} when every parameter is
+ * present in template order.
+ */
+class CollectionUriTemplate extends UriTemplate {
+  constructor(base, params) {
+    super(`${base}{?${params.join(',')}}`);
+    this.base = base;
+    this.params = params;
+  }
+
+  match(uri) {
+    const url = new URL(uri);
+    if (`${url.protocol}//${url.host}${url.pathname}` !== this.base) return null;
+    return Object.fromEntries([...url.searchParams].filter(([name]) => this.params.includes(name)));
+  }
+}
+
+/**
+ * Builds the URI of a single item.
+ * @param {string} type - Resource type (e.g., 'post')
+ * @param {string} id - Ghost ID
+ * @returns {string} e.g. ghost://post/6571...
+ */
+export function itemUri(type, id) {
+  return `ghost://${type}/${id}`;
+}
+
+/**
+ * URIs a change to an item should be reported on: the item by id, by slug
+ * when it has one, and the collection.
+ * @param {string} type - Resource type (e.g., 'post')
+ * @param {Object} item - The changed item (needs at least id)
+ * @returns {string[]} URIs
+ */
+export function changedResourceUris(type, item) {
+  const uris = [itemUri(type, item.id)];
+  if (item.slug) uris.push(`ghost://${type}/slug:${item.slug}`);
+  uris.push(`ghost://${GHOST_RESOURCE_TYPES[type].collection}`);
+  return uris;
+}
+
+/**
+ * Maps a Ghost webhook delivery to the resource change it reports. Ghost wraps
+ * the resource under its type ({ post: { current, previous } }); deletes only
+ * carry the previous state. post.tag.attached and similar report an update to
+ * the post or page.
+ * @param {string} event - Webhook event, e.g. 'post.published'
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{type: string, item: Object, eventType: string}|null} The change,
+ *   or null for events without a resource (site.changed) or without an id
+ */
+export function webhookResourceChange(event, payload) {
+  const [type, action] = event.split('.');
+  if (!GHOST_RESOURCE_TYPES[type]) return null;
+
+  const { current, previous } = payload?.[type] || {};
+  const item = current?.id ? current : previous;
+  if (!item?.id) return null;
+
+  const eventType = action === 'added' ? 'create' : action === 'deleted' ? 'delete' : 'update';
+  return { type, item, eventType };
+}
+
+const jsonContents = (uri, data) => ({
+  contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }],
+});
+
+/**
+ * Registers item and collection templates for every type in
+ * GHOST_RESOURCE_TYPES, and resources/subscribe handling. Subscribed clients
+ * hear about changes made by tools and, when the webhook receiver runs, by
+ * Ghost webhooks. Without webhooks, pass pollingInterval so changes made
+ * elsewhere (e.g. in Ghost Admin) are still noticed.
+ * @param {McpServer} server - Server to register on (before it connects)
+ * @param {Function} getResourceManager - Async getter for the shared ResourceManager
+ * @param {Object} [options]
+ * @param {number} [options.pollingInterval] - Re-fetch subscribed URIs this often (ms);
+ *   wildcard URIs are never polled
+ * @returns {{close: Function}} Drops this server's subscriptions; call when its session ends
+ */
+export function registerGhostResources(server, getResourceManager, options = {}) {
+  const { pollingInterval } = options;
+
+  for (const [type, config] of Object.entries(GHOST_RESOURCE_TYPES)) {
+    const { collection, lookups, params, label } = config;
+
+    server.registerResource(
+      `ghost-${type}`,
+      new ResourceTemplate(`ghost://${type}/{identifier}`, {
+        list: async () => {
+          const manager = await getResourceManager();
+          const { data } = await manager.fetchResource(
+            `ghost://${collection}?limit=${RESOURCE_LIST_LIMIT}`
+          );
+          return {
+            resources: data.map((item) => ({
+              uri: itemUri(type, item.id),
+              name: label(item) || item.id,
+              mimeType: MIME_TYPE,
+            })),
+          };
+        },
+      }),
+      {
+        title: `Ghost ${type}`,
+        description: `A single Ghost ${type}. identifier is an id, or ${lookups.map((l) => `${l}:<value>`).join(' or ')}.`,
+        mimeType: MIME_TYPE,
+      },
+      async (uri) => {
+        const manager = await getResourceManager();
+        return jsonContents(uri.href, await manager.fetchResource(uri.href));
+      }
+    );
+
+    server.registerResource(
+      `ghost-${collection}`,
+      new ResourceTemplate(new CollectionUriTemplate(`ghost://${collection}`, params), {
+        list: undefined,
+      }),
+      {
+        title: `Ghost ${collection}`,
+        description: `A page of Ghost ${collection} with pagination metadata. Query parameters: ${params.join(', ')}.`,
+        mimeType: MIME_TYPE,
+      },
+      async (uri) => {
+        const manager = await getResourceManager();
+        return jsonContents(uri.href, await manager.fetchResource(uri.href));
+      }
+    );
+  }
+
+  // ResourceManager subscription id by subscribed URI; a client subscribes once per URI
+  const subscriptions = new Map();
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (!subscriptions.has(uri)) {
+      const manager = await getResourceManager();
+      const isWildcard = uri.includes('*');
+      const polling =
+        pollingInterval && !isWildcard ? { enablePolling: true, pollingInterval } : {};
+      const subscriptionId = manager.subscribe(
+        uri,
+        (event) => {
+          if (event.type === 'error' || !server.isConnected()) return;
+          // A wildcard isn't readable, so report the URI that changed
+          const updated = isWildcard ? event.uri : uri;
+          server.server.sendResourceUpdated({ uri: updated }).catch(() => {});
+        },
+        polling
+      );
+      subscriptions.set(uri, subscriptionId);
+    }
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const subscriptionId = subscriptions.get(uri);
+    if (subscriptionId) {
+      const manager = await getResourceManager();
+      manager.unsubscribe(subscriptionId);
+      subscriptions.delete(uri);
+    }
+    return {};
+  });
+
+  const close = async () => {
+    if (subscriptions.size === 0) return;
+    const manager = await getResourceManager();
+    for (const subscriptionId of subscriptions.values()) {
+      manager.unsubscribe(subscriptionId);
+    }
+    subscriptions.clear();
+  };
+
+  return { close };
+}
+
+/**
+ * Creates the hook tools call after changing Ghost content. It clears cached
+ * copies, notifies subscribers of the item and its collection, and tells
+ * every connected client the resource list changed when items were added or
+ * removed.
+ * @param {Function} getResourceManager - Async getter for the shared ResourceManager
+ * @param {Function} getServers - Returns the McpServers currently serving clients
+ * @returns {Function} async (type, item, eventType) where eventType is 'create', 'update' or 'delete'
+ */
+export function createResourceNotifier(getResourceManager, getServers) {
+  return async (type, item, eventType) => {
+    const manager = await getResourceManager();
+    manager.notifyChange(changedResourceUris(type, item), item, eventType);
+    if (eventType !== 'update') {
+      for (const server of getServers()) {
+        server.sendResourceListChanged();
+      }
+    }
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import crypto from 'crypto';
+
+// Mock dependencies
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: vi.fn().mockReturnValue({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const mockHandleWebhookEvent = vi.fn();
+vi.mock('../../controllers/webhookController.js', () => ({
+  handleWebhookEvent: (req, res, next) => mockHandleWebhookEvent(req, res, next),
+}));
+
+// Import after mocks
+import webhookRoutes from '../webhookRoutes.js';
+
+const SECRET = 'route-test-secret';
+
+function sign(body, secret = SECRET, timestamp = Date.now()) {
+  const digest = crypto.createHmac('sha256', secret).update(`${body}${timestamp}`).digest('hex');
+  return `sha256=${digest}, t=${timestamp}`;
+}
+
+function createTestApp() {
+  const app = express();
+  app.use('/api/webhooks', webhookRoutes);
+  return app;
+}
+
+describe('webhookRoutes', () => {
+  let app;
+  const body = JSON.stringify({ post: { current: { id: 'post-1' }, previous: {} } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv('GHOST_WEBHOOK_SECRET', SECRET);
+    app = createTestApp();
+    mockHandleWebhookEvent.mockImplementation((req, res) => {
+      res.status(200).json({ received: true, event: req.params.event });
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('POST /api/webhooks/:event', () => {
+    it('should pass a correctly signed delivery to the controller with a parsed body', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/post.published')
+        .set('Content-Type', 'application/json')
+        .set('X-Ghost-Signature', sign(body))
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(mockHandleWebhookEvent).toHaveBeenCalled();
+      const reqArg = mockHandleWebhookEvent.mock.calls[0][0];
+      expect(reqArg.params.event).toBe('post.published');
+      expect(reqArg.body.post.current.id).toBe('post-1');
+    });
+
+    it('should reject deliveries without a signature', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/post.published')
+        .set('Content-Type', 'application/json')
+        .send(body);
+
+      expect(response.status).toBe(401);
+      expect(mockHandleWebhookEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject deliveries signed with the wrong secret', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/post.published')
+        .set('Content-Type', 'application/json')
+        .set('X-Ghost-Signature', sign(body, 'wrong-secret'))
+        .send(body);
+
+      expect(response.status).toBe(401);
+      expect(mockHandleWebhookEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject deliveries when no secret is configured', async () => {
+      vi.stubEnv('GHOST_WEBHOOK_SECRET', '');
+
+      const response = await request(app)
+        .post('/api/webhooks/post.published')
+        .set('Content-Type', 'application/json')
+        .set('X-Ghost-Signature', sign(body))
+        .send(body);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 for a signed body that is not JSON', async () => {
+      const notJson = 'not json';
+      const response = await request(app)
+        .post('/api/webhooks/post.published')
+        .set('Content-Type', 'application/json')
+        .set('X-Ghost-Signature', sign(notJson))
+        .send(notJson);
+
+      expect(response.status).toBe(400);
+      expect(mockHandleWebhookEvent).not.toHaveBeenCalled();
+    });
+  });
+});
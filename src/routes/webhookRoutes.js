@@ -0,0 +1,39 @@
+import express from 'express';
+import { handleWebhookEvent } from '../controllers/webhookController.js';
+import { verifyGhostSignature } from '../utils/webhookSignature.js';
+import { createContextLogger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Keep the body raw: the signature is computed over the exact bytes Ghost sent
+const rawJsonBody = express.raw({ type: 'application/json', limit: '1mb' });
+
+// Verify X-Ghost-Signature against GHOST_WEBHOOK_SECRET, then parse the JSON body
+const verifyGhostWebhook = (req, res, next) => {
+  const logger = createContextLogger('webhook-routes');
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const result = verifyGhostSignature(
+    rawBody,
+    req.get('X-Ghost-Signature'),
+    process.env.GHOST_WEBHOOK_SECRET
+  );
+
+  if (!result.valid) {
+    logger.warn('Rejected webhook delivery', { reason: result.reason, event: req.params.event });
+    return res.status(401).json({ message: 'Invalid webhook signature' });
+  }
+
+  try {
+    req.body = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+  } catch {
+    return res.status(400).json({ message: 'Webhook body is not valid JSON' });
+  }
+
+  next();
+};
+
+// Define routes
+// POST /api/webhooks/:event (register the Ghost webhook with this URL for each event)
+router.post('/:event', rawJsonBody, verifyGhostWebhook, handleWebhookEvent);
+
+export default router;
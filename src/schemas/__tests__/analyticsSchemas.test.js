@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { postAnalyticsSchema, emailReportSchema, memberStatsSchema } from '../analyticsSchemas.js';
+
+describe('Analytics Schemas', () => {
+  describe('postAnalyticsSchema', () => {
+    it('should require a Ghost ID', () => {
+      expect(postAnalyticsSchema.safeParse({ id: '507f1f77bcf86cd799439011' }).success).toBe(true);
+      expect(postAnalyticsSchema.safeParse({ id: 'post-1' }).success).toBe(false);
+    });
+  });
+
+  describe('emailReportSchema', () => {
+    it('should group by day by default', () => {
+      expect(emailReportSchema.parse({})).toEqual({ group_by: 'day' });
+    });
+
+    it('should accept dates, timezones and periods', () => {
+      const input = {
+        from: '2025-01-01',
+        to: '2025-03-31',
+        timezone: 'Europe/London',
+        newsletter: 'weekly',
+        group_by: 'month',
+      };
+      expect(emailReportSchema.parse(input)).toEqual(input);
+    });
+
+    it('should reject malformed dates, timezones and periods', () => {
+      expect(emailReportSchema.safeParse({ from: '2025-1-1' }).success).toBe(false);
+      expect(emailReportSchema.safeParse({ timezone: 'Mars/Olympus' }).success).toBe(false);
+      expect(emailReportSchema.safeParse({ group_by: 'year' }).success).toBe(false);
+    });
+
+    it('should reject dates the calendar does not have', () => {
+      for (const date of ['2025-02-31', '2025-13-01', '2025-00-10', '2025-04-31', '2025-02-29']) {
+        const result = emailReportSchema.safeParse({ from: date });
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0].message).toBe('Must be a real calendar date');
+      }
+      expect(emailReportSchema.safeParse({ to: '2024-02-29' }).success).toBe(true);
+    });
+  });
+
+  describe('memberStatsSchema', () => {
+    it('should take the report range without a newsletter', () => {
+      expect(memberStatsSchema.parse({ from: '2025-01-01', newsletter: 'weekly' })).toEqual({
+        from: '2025-01-01',
+        group_by: 'day',
+      });
+    });
+
+    it('should reject impossible dates', () => {
+      expect(memberStatsSchema.safeParse({ to: '2025-06-31' }).success).toBe(false);
+    });
+  });
+});
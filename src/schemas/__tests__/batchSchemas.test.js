@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { batchSchema } from '../batchSchemas.js';
+
+describe('Batch Schemas', () => {
+  describe('batchSchema', () => {
+    it('should apply defaults', () => {
+      expect(batchSchema.parse({ operations: [{ id: 'tag1', tool: 'ghost_get_tags' }] })).toEqual({
+        operations: [{ id: 'tag1', tool: 'ghost_get_tags', input: {} }],
+        concurrency: 3,
+        rollback: false,
+      });
+    });
+
+    it('should reject empty and oversized batches', () => {
+      expect(batchSchema.safeParse({ operations: [] }).success).toBe(false);
+      const operations = Array.from({ length: 51 }, (_, i) => ({ id: `op${i}`, tool: 't' }));
+      expect(batchSchema.safeParse({ operations }).success).toBe(false);
+    });
+
+    it('should reject operation IDs that cannot be referenced', () => {
+      expect(
+        batchSchema.safeParse({ operations: [{ id: 'tag.1', tool: 'ghost_create_tag' }] }).success
+      ).toBe(false);
+    });
+
+    it('should keep concurrency between 1 and 10', () => {
+      const operations = [{ id: 'a', tool: 't' }];
+      expect(batchSchema.safeParse({ operations, concurrency: 0 }).success).toBe(false);
+      expect(batchSchema.safeParse({ operations, concurrency: 11 }).success).toBe(false);
+    });
+  });
+});
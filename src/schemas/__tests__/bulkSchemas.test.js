@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { bulkDeleteSchema } from '../bulkSchemas.js';
+
+describe('Bulk Schemas', () => {
+  describe('bulkDeleteSchema', () => {
+    it('should apply defaults for a preview', () => {
+      expect(bulkDeleteSchema.parse({ filter: 'status:draft' })).toEqual({
+        filter: 'status:draft',
+        max_items: 1000,
+        sample_size: 10,
+        batch_size: 10,
+        delay_ms: 1000,
+      });
+    });
+
+    it('should accept a confirmation token and a backup directory', () => {
+      const result = bulkDeleteSchema.parse({
+        filter: 'status:draft',
+        confirmation_token: 'abc123',
+        backup_dir: 'drafts-backup',
+      });
+
+      expect(result.confirmation_token).toBe('abc123');
+      expect(result.backup_dir).toBe('drafts-backup');
+    });
+
+    it('should reject empty filters, empty tokens and out-of-range options', () => {
+      expect(bulkDeleteSchema.safeParse({}).success).toBe(false);
+      expect(bulkDeleteSchema.safeParse({ filter: '' }).success).toBe(false);
+      expect(bulkDeleteSchema.safeParse({ filter: 'status;drop' }).success).toBe(false);
+      expect(bulkDeleteSchema.safeParse({ filter: 'x:y', confirmation_token: '' }).success).toBe(
+        false
+      );
+      expect(bulkDeleteSchema.safeParse({ filter: 'x:y', sample_size: 51 }).success).toBe(false);
+      expect(bulkDeleteSchema.safeParse({ filter: 'x:y', max_items: 0 }).success).toBe(false);
+    });
+  });
+});
@@ -5,12 +5,14 @@ import {
   isoDateSchema,
   slugSchema,
   ghostIdSchema,
+  timezoneSchema,
   nqlFilterSchema,
   limitSchema,
   pageSchema,
   postStatusSchema,
   visibilitySchema,
   htmlContentSchema,
+  markdownContentSchema,
   titleSchema,
   excerptSchema,
   metaTitleSchema,
@@ -88,6 +90,19 @@ describe('Common Schemas', () => {
     });
   });
 
+  describe('timezoneSchema', () => {
+    it('should accept IANA timezone names', () => {
+      expect(() => timezoneSchema.parse('Etc/UTC')).not.toThrow();
+      expect(() => timezoneSchema.parse('Europe/London')).not.toThrow();
+      expect(() => timezoneSchema.parse('America/New_York')).not.toThrow();
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(() => timezoneSchema.parse('Mars/Olympus_Mons')).toThrow();
+      expect(() => timezoneSchema.parse('')).toThrow();
+    });
+  });
+
   describe('nqlFilterSchema', () => {
     it('should accept valid NQL filter strings', () => {
       expect(() => nqlFilterSchema.parse('status:published')).not.toThrow();
@@ -168,6 +183,43 @@ describe('Common Schemas', () => {
     });
   });
 
+  describe('markdownContentSchema', () => {
+    it('should convert markdown to HTML', () => {
+      expect(markdownContentSchema.parse('Hello **world**')).toBe(
+        '<p>Hello <strong>world</strong></p>\n'
+      );
+    });
+
+    it('should reject empty strings', () => {
+      expect(() => markdownContentSchema.parse('')).toThrow();
+    });
+
+    it('should sanitize raw HTML and unsafe links embedded in markdown', () => {
+      const result = markdownContentSchema.parse(
+        'Hi <script>alert(1)</script>\n\n[x](javascript:alert(1)) <img src="x" onerror="alert(1)">'
+      );
+      expect(result).not.toContain('<script>');
+      expect(result).not.toContain('javascript:');
+      expect(result).not.toContain('onerror');
+    });
+
+    it('should keep tables and wrap them in an HTML card', () => {
+      const result = markdownContentSchema.parse('| a |\n|---|\n| 1 |').trim();
+      expect(result).toMatch(
+        /^<!--kg-card-begin: html--><table>[\s\S]*<\/table><!--kg-card-end: html-->$/
+      );
+    });
+
+    it('should keep image card and footnote markup', () => {
+      const result = markdownContentSchema.parse(
+        '![Alt](https://example.com/a.png)\n\nText[^1]\n\n[^1]: Note'
+      );
+      expect(result).toContain('<figure class="kg-card kg-image-card">');
+      expect(result).toContain('<sup id="fnref-1"><a href="#fn-1">1</a></sup>');
+      expect(result).toContain('<ol class="footnotes">');
+    });
+  });
+
   describe('htmlContentSchema', () => {
     it('should accept non-empty HTML strings', () => {
       expect(() => htmlContentSchema.parse('<p>Hello World</p>')).not.toThrow();
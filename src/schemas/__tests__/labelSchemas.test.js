@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createLabelSchema,
+  updateLabelSchema,
+  labelQuerySchema,
+  labelIdSchema,
+  bulkMemberLabelSchema,
+} from '../labelSchemas.js';
+
+const LABEL_ID = '507f1f77bcf86cd799439011';
+
+describe('Label Schemas', () => {
+  describe('createLabelSchema', () => {
+    it('should accept a label name', () => {
+      expect(createLabelSchema.parse({ name: 'VIP' })).toEqual({ name: 'VIP' });
+    });
+
+    it('should trim the name', () => {
+      expect(createLabelSchema.parse({ name: '  VIP  ' })).toEqual({ name: 'VIP' });
+    });
+
+    it('should reject an empty or whitespace-only name', () => {
+      expect(createLabelSchema.safeParse({ name: '' }).success).toBe(false);
+      expect(createLabelSchema.safeParse({ name: '   ' }).success).toBe(false);
+    });
+
+    it('should reject names longer than 191 characters', () => {
+      expect(createLabelSchema.safeParse({ name: 'a'.repeat(192) }).success).toBe(false);
+    });
+  });
+
+  describe('updateLabelSchema', () => {
+    it('should require the new name', () => {
+      expect(updateLabelSchema.safeParse({}).success).toBe(false);
+      expect(updateLabelSchema.parse({ name: 'Renamed' })).toEqual({ name: 'Renamed' });
+    });
+  });
+
+  describe('labelQuerySchema', () => {
+    it('should accept filter and order', () => {
+      const query = { limit: 50, filter: "name:'Beta'", order: 'name ASC' };
+      expect(labelQuerySchema.parse(query)).toMatchObject(query);
+    });
+
+    it('should reject filters with disallowed characters', () => {
+      expect(labelQuerySchema.safeParse({ filter: 'name:vip;drop' }).success).toBe(false);
+    });
+
+    it('should reject limits above 100', () => {
+      expect(labelQuerySchema.safeParse({ limit: 101 }).success).toBe(false);
+    });
+  });
+
+  describe('labelIdSchema', () => {
+    it('should require a valid Ghost ID', () => {
+      expect(labelIdSchema.parse({ id: LABEL_ID })).toEqual({ id: LABEL_ID });
+      expect(labelIdSchema.safeParse({ id: 'not-an-id' }).success).toBe(false);
+    });
+  });
+
+  describe('bulkMemberLabelSchema', () => {
+    it('should apply defaults for limits and throttling', () => {
+      expect(bulkMemberLabelSchema.parse({ id: LABEL_ID, filter: 'status:paid' })).toEqual({
+        id: LABEL_ID,
+        filter: 'status:paid',
+        max_members: 10000,
+        batch_size: 10,
+        delay_ms: 1000,
+      });
+    });
+
+    it('should require a non-empty filter', () => {
+      expect(bulkMemberLabelSchema.safeParse({ id: LABEL_ID }).success).toBe(false);
+      expect(bulkMemberLabelSchema.safeParse({ id: LABEL_ID, filter: '' }).success).toBe(false);
+    });
+
+    it('should reject out-of-range batch sizes', () => {
+      const base = { id: LABEL_ID, filter: 'status:free' };
+      expect(bulkMemberLabelSchema.safeParse({ ...base, batch_size: 0 }).success).toBe(false);
+      expect(bulkMemberLabelSchema.safeParse({ ...base, batch_size: 51 }).success).toBe(false);
+    });
+  });
+});
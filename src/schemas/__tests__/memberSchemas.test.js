@@ -9,6 +9,10 @@ import {
   labelOutputSchema,
   newsletterOutputSchema,
   memberSubscriptionSchema,
+  importMembersSchema,
+  exportMembersSchema,
+  grantMemberCompSchema,
+  removeMemberCompSchema,
 } from '../memberSchemas.js';
 
 describe('Member Schemas', () => {
@@ -444,4 +448,67 @@ describe('Member Schemas', () => {
       expect(() => memberOutputSchema.parse(invalidMember)).toThrow();
     });
   });
+
+  describe('importMembersSchema', () => {
+    it('should apply defaults', () => {
+      expect(importMembersSchema.parse({ csv: 'email\na@example.com' })).toEqual({
+        csv: 'email\na@example.com',
+        on_existing: 'update',
+        batch_size: 10,
+        delay_ms: 1000,
+      });
+    });
+
+    it('should reject empty CSV content', () => {
+      expect(() => importMembersSchema.parse({ csv: '' })).toThrow();
+    });
+
+    it('should reject invalid on_existing values', () => {
+      expect(() => importMembersSchema.parse({ csv: 'email', on_existing: 'merge' })).toThrow();
+    });
+
+    it('should reject batch sizes above 50', () => {
+      expect(() => importMembersSchema.parse({ csv: 'email', batch_size: 51 })).toThrow();
+    });
+  });
+
+  describe('exportMembersSchema', () => {
+    it('should default max_rows', () => {
+      expect(exportMembersSchema.parse({}).max_rows).toBe(10000);
+    });
+
+    it('should reject filters with disallowed characters', () => {
+      expect(() => exportMembersSchema.parse({ filter: 'status:paid;drop' })).toThrow();
+    });
+  });
+
+  describe('grantMemberCompSchema', () => {
+    const ids = { id: '507f1f77bcf86cd799439011', tier_id: '507f1f77bcf86cd799439022' };
+
+    it('should accept a tier with or without an expiry', () => {
+      expect(grantMemberCompSchema.safeParse(ids).success).toBe(true);
+      expect(
+        grantMemberCompSchema.safeParse({ ...ids, expires_at: '2025-12-31T23:59:59.000Z' }).success
+      ).toBe(true);
+    });
+
+    it('should reject a missing tier and a non-ISO expiry', () => {
+      expect(grantMemberCompSchema.safeParse({ id: ids.id }).success).toBe(false);
+      expect(grantMemberCompSchema.safeParse({ ...ids, expires_at: '31/12/2025' }).success).toBe(
+        false
+      );
+    });
+  });
+
+  describe('removeMemberCompSchema', () => {
+    it('should make the tier optional', () => {
+      expect(removeMemberCompSchema.safeParse({ id: '507f1f77bcf86cd799439011' }).success).toBe(
+        true
+      );
+      expect(
+        removeMemberCompSchema.safeParse({ id: '507f1f77bcf86cd799439011', tier_id: 'gold' })
+          .success
+      ).toBe(false);
+    });
+  });
 });
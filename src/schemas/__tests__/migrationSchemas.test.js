@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { importWordPressSchema, exportContentSchema } from '../migrationSchemas.js';
+
+describe('Migration Schemas', () => {
+  describe('importWordPressSchema', () => {
+    it('should apply defaults', () => {
+      expect(importWordPressSchema.parse({ wxr_path: 'export.xml' })).toEqual({
+        wxr_path: 'export.xml',
+        dry_run: false,
+        types: ['post', 'page'],
+        rehost_images: true,
+        batch_size: 5,
+        delay_ms: 1000,
+      });
+    });
+
+    it('should accept an author map and a subset of types', () => {
+      const result = importWordPressSchema.parse({
+        wxr_path: 'export.xml',
+        types: ['page'],
+        author_map: { admin: 'editor@example.com' },
+      });
+
+      expect(result.types).toEqual(['page']);
+      expect(result.author_map).toEqual({ admin: 'editor@example.com' });
+    });
+
+    it('should reject missing paths, unknown types and out-of-range batches', () => {
+      expect(importWordPressSchema.safeParse({}).success).toBe(false);
+      expect(importWordPressSchema.safeParse({ wxr_path: '' }).success).toBe(false);
+      expect(
+        importWordPressSchema.safeParse({ wxr_path: 'a.xml', types: ['attachment'] }).success
+      ).toBe(false);
+      expect(importWordPressSchema.safeParse({ wxr_path: 'a.xml', types: [] }).success).toBe(false);
+      expect(importWordPressSchema.safeParse({ wxr_path: 'a.xml', batch_size: 21 }).success).toBe(
+        false
+      );
+    });
+  });
+
+  describe('exportContentSchema', () => {
+    it('should default to a JSON export of every type', () => {
+      expect(exportContentSchema.parse({})).toEqual({
+        format: 'json',
+        types: ['posts', 'pages', 'tags', 'tiers', 'newsletters'],
+      });
+    });
+
+    it('should reject unknown formats and types', () => {
+      expect(exportContentSchema.safeParse({ format: 'csv' }).success).toBe(false);
+      expect(exportContentSchema.safeParse({ types: ['members'] }).success).toBe(false);
+      expect(exportContentSchema.safeParse({ output_dir: '' }).success).toBe(false);
+    });
+  });
+});
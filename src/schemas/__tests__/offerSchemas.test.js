@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createOfferSchema,
+  updateOfferSchema,
+  offerQuerySchema,
+  offerIdSchema,
+  offerOutputSchema,
+} from '../offerSchemas.js';
+
+const TIER_ID = '507f1f77bcf86cd799439011';
+
+describe('Offer Schemas', () => {
+  describe('createOfferSchema', () => {
+    const percentOffer = {
+      name: 'Black Friday',
+      code: 'black-friday',
+      type: 'percent',
+      cadence: 'year',
+      amount: 25,
+      duration: 'once',
+      tier: { id: TIER_ID },
+    };
+
+    it('should accept a valid percent offer and default status to active', () => {
+      const result = createOfferSchema.parse(percentOffer);
+      expect(result.status).toBe('active');
+    });
+
+    it('should accept a valid fixed offer with currency', () => {
+      const offer = { ...percentOffer, type: 'fixed', amount: 500, currency: 'USD' };
+      expect(() => createOfferSchema.parse(offer)).not.toThrow();
+    });
+
+    it('should accept a valid trial offer', () => {
+      const offer = { ...percentOffer, type: 'trial', amount: 14, duration: 'trial' };
+      expect(() => createOfferSchema.parse(offer)).not.toThrow();
+    });
+
+    it('should accept a repeating monthly offer with duration_in_months', () => {
+      const offer = {
+        ...percentOffer,
+        cadence: 'month',
+        duration: 'repeating',
+        duration_in_months: 3,
+      };
+      expect(() => createOfferSchema.parse(offer)).not.toThrow();
+    });
+
+    it('should reject percent amount above 100', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, amount: 150 });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['amount']);
+    });
+
+    it('should reject currency on percent offers', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, currency: 'USD' });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['currency']);
+    });
+
+    it('should reject fixed offers without currency', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, type: 'fixed', amount: 500 });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['currency']);
+    });
+
+    it('should reject trial offers without the trial duration', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, type: 'trial', amount: 7 });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['duration']);
+    });
+
+    it('should reject the trial duration on non-trial offers', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, duration: 'trial' });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['duration']);
+    });
+
+    it('should reject repeating offers on yearly cadence', () => {
+      const result = createOfferSchema.safeParse({
+        ...percentOffer,
+        duration: 'repeating',
+        duration_in_months: 3,
+      });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['duration']);
+    });
+
+    it('should reject repeating offers without duration_in_months', () => {
+      const result = createOfferSchema.safeParse({
+        ...percentOffer,
+        cadence: 'month',
+        duration: 'repeating',
+      });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['duration_in_months']);
+    });
+
+    it('should reject duration_in_months on non-repeating offers', () => {
+      const result = createOfferSchema.safeParse({ ...percentOffer, duration_in_months: 3 });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['duration_in_months']);
+    });
+
+    it('should reject an offer without a tier reference', () => {
+      const { tier: _tier, ...withoutTier } = percentOffer;
+      expect(() => createOfferSchema.parse(withoutTier)).toThrow();
+    });
+
+    it('should reject an invalid tier ID', () => {
+      expect(() => createOfferSchema.parse({ ...percentOffer, tier: { id: 'nope' } })).toThrow();
+    });
+
+    it('should reject names longer than 40 characters', () => {
+      expect(() => createOfferSchema.parse({ ...percentOffer, name: 'A'.repeat(41) })).toThrow();
+    });
+
+    it('should reject codes that are not slugs', () => {
+      expect(() => createOfferSchema.parse({ ...percentOffer, code: 'Black Friday' })).toThrow();
+    });
+  });
+
+  describe('updateOfferSchema', () => {
+    it('should accept presentation-only updates', () => {
+      const update = { display_title: 'Save 25%', status: 'archived' };
+      expect(updateOfferSchema.parse(update)).toEqual(update);
+    });
+
+    it('should strip discount terms, which Ghost does not allow changing', () => {
+      const result = updateOfferSchema.parse({ name: 'Renamed', amount: 50, type: 'fixed' });
+      expect(result).toEqual({ name: 'Renamed' });
+    });
+
+    it('should reject invalid status', () => {
+      expect(() => updateOfferSchema.parse({ status: 'deleted' })).toThrow();
+    });
+  });
+
+  describe('offerQuerySchema', () => {
+    it('should accept valid query parameters', () => {
+      expect(() =>
+        offerQuerySchema.parse({ limit: 10, filter: 'status:active', order: 'created_at DESC' })
+      ).not.toThrow();
+    });
+
+    it('should reject filters with disallowed characters', () => {
+      expect(() => offerQuerySchema.parse({ filter: 'status:active;drop' })).toThrow();
+    });
+  });
+
+  describe('offerIdSchema', () => {
+    it('should accept a valid Ghost ID', () => {
+      expect(() => offerIdSchema.parse({ id: TIER_ID })).not.toThrow();
+    });
+
+    it('should reject an invalid ID', () => {
+      expect(() => offerIdSchema.parse({ id: 'invalid' })).toThrow();
+    });
+  });
+
+  describe('offerOutputSchema', () => {
+    it('should accept an offer as returned by the API', () => {
+      const offer = {
+        id: TIER_ID,
+        name: 'Black Friday',
+        code: 'black-friday',
+        display_title: 'Black Friday Sale',
+        display_description: null,
+        type: 'percent',
+        cadence: 'year',
+        amount: 25,
+        duration: 'once',
+        duration_in_months: null,
+        currency_restriction: false,
+        currency: null,
+        status: 'active',
+        redemption_count: 3,
+        tier: { id: TIER_ID, name: 'Premium' },
+        created_at: '2024-01-15T10:30:00.000Z',
+        updated_at: null,
+      };
+
+      expect(() => offerOutputSchema.parse(offer)).not.toThrow();
+    });
+  });
+});
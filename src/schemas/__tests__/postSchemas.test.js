@@ -6,6 +6,10 @@ import {
   postQuerySchema,
   postIdSchema,
   postOutputSchema,
+  schedulePostSchema,
+  scheduledPostsQuerySchema,
+  bulkUpdatePostsSchema,
+  publishPostSchema,
 } from '../postSchemas.js';
 
 describe('Post Schemas', () => {
@@ -65,12 +69,9 @@ describe('Post Schemas', () => {
       expect(() => createPostSchema.parse(invalidPost)).toThrow();
     });
 
-    it('should reject post without html', () => {
-      const invalidPost = {
-        title: 'Title',
-      };
-
-      expect(() => createPostSchema.parse(invalidPost)).toThrow();
+    it('should leave the html-or-markdown requirement to the create tool', () => {
+      // Content may come from html or markdown; ghost_create_post requires exactly one
+      expect(() => createPostSchema.parse({ title: 'Title' })).not.toThrow();
     });
 
     it('should reject post with invalid status', () => {
@@ -93,6 +94,19 @@ describe('Post Schemas', () => {
     });
   });
 
+  describe('markdown content', () => {
+    it('should accept markdown instead of html and convert it', () => {
+      const result = createPostSchema.parse({ title: 'MD', markdown: '# Heading' });
+      expect(result.html).toBeUndefined();
+      expect(result.markdown).toBe('<h1>Heading</h1>\n');
+    });
+
+    it('should allow markdown on update', () => {
+      const result = updatePostSchema.parse({ markdown: 'Updated *text*' });
+      expect(result.markdown).toBe('<p>Updated <em>text</em></p>\n');
+    });
+  });
+
   describe('updatePostSchema', () => {
     it('should accept partial post updates', () => {
       const update = {
@@ -151,6 +165,107 @@ describe('Post Schemas', () => {
     });
   });
 
+  describe('schedulePostSchema', () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    it('should accept a local date/time with optional seconds and timezone', () => {
+      expect(() => schedulePostSchema.parse({ id, publish_at: '2030-01-31T09:30' })).not.toThrow();
+      expect(() =>
+        schedulePostSchema.parse({
+          id,
+          publish_at: '2030-01-31T09:30:15',
+          timezone: 'America/New_York',
+        })
+      ).not.toThrow();
+    });
+
+    it('should reject a date/time with an offset or zone designator', () => {
+      expect(() => schedulePostSchema.parse({ id, publish_at: '2030-01-31T09:30Z' })).toThrow();
+      expect(() =>
+        schedulePostSchema.parse({ id, publish_at: '2030-01-31T09:30:00+01:00' })
+      ).toThrow();
+    });
+
+    it('should reject an unknown timezone', () => {
+      expect(() =>
+        schedulePostSchema.parse({ id, publish_at: '2030-01-31T09:30', timezone: 'Mars/Base' })
+      ).toThrow();
+    });
+  });
+
+  describe('scheduledPostsQuerySchema', () => {
+    it('should default to 30 days', () => {
+      expect(scheduledPostsQuerySchema.parse({})).toEqual({ days: 30 });
+    });
+
+    it('should accept a start date and reject other formats', () => {
+      expect(() => scheduledPostsQuerySchema.parse({ from: '2030-01-31' })).not.toThrow();
+      expect(() => scheduledPostsQuerySchema.parse({ from: '31/01/2030' })).toThrow();
+    });
+
+    it('should reject days outside 1-366', () => {
+      expect(() => scheduledPostsQuerySchema.parse({ days: 0 })).toThrow();
+      expect(() => scheduledPostsQuerySchema.parse({ days: 367 })).toThrow();
+    });
+  });
+  describe('bulkUpdatePostsSchema', () => {
+    it('should apply defaults', () => {
+      expect(
+        bulkUpdatePostsSchema.parse({ filter: 'tag:recipes', patch: { featured: true } })
+      ).toEqual({
+        filter: 'tag:recipes',
+        patch: { featured: true },
+        dry_run: false,
+        max_posts: 1000,
+        batch_size: 10,
+        delay_ms: 1000,
+      });
+    });
+
+    it('should require a filter and a patch that changes something', () => {
+      expect(() => bulkUpdatePostsSchema.parse({ patch: { featured: true } })).toThrow();
+      expect(() =>
+        bulkUpdatePostsSchema.parse({ filter: '', patch: { featured: true } })
+      ).toThrow();
+      expect(() => bulkUpdatePostsSchema.parse({ filter: 'tag:x', patch: {} })).toThrow(
+        'patch must change at least one field'
+      );
+    });
+
+    it('should reject scheduling, empty author lists and oversized batches', () => {
+      const base = { filter: 'tag:x' };
+      expect(() =>
+        bulkUpdatePostsSchema.parse({ ...base, patch: { status: 'scheduled' } })
+      ).toThrow();
+      expect(() => bulkUpdatePostsSchema.parse({ ...base, patch: { authors: [] } })).toThrow();
+      expect(() =>
+        bulkUpdatePostsSchema.parse({ ...base, patch: { featured: true }, batch_size: 51 })
+      ).toThrow();
+    });
+  });
+
+  describe('publishPostSchema', () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    it('should default to all subscribers without sending', () => {
+      expect(publishPostSchema.parse({ id, newsletter: 'weekly' })).toEqual({
+        id,
+        newsletter: 'weekly',
+        segment: 'all',
+        confirm: false,
+      });
+    });
+
+    it('should accept free, paid and label segments only', () => {
+      for (const segment of ['free', 'paid', 'label:vip-readers']) {
+        expect(publishPostSchema.safeParse({ id, segment }).success).toBe(true);
+      }
+      for (const segment of ['status:free', 'label:', 'label:VIP', 'everyone']) {
+        expect(publishPostSchema.safeParse({ id, segment }).success).toBe(false);
+      }
+    });
+  });
+
   describe('postOutputSchema', () => {
     it('should accept valid post output from Ghost API', () => {
       const apiPost = {
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  listRevisionsSchema,
+  diffRevisionsSchema,
+  restoreRevisionSchema,
+} from '../revisionSchemas.js';
+
+const id = '507f1f77bcf86cd799439011';
+const revisionId = '2025-01-31T10-00-00-000Z-a1b2c3';
+
+describe('Revision Schemas', () => {
+  describe('listRevisionsSchema', () => {
+    it('should default to posts', () => {
+      expect(listRevisionsSchema.parse({ id })).toEqual({ type: 'post', id });
+    });
+
+    it('should reject invalid IDs and types', () => {
+      expect(listRevisionsSchema.safeParse({ id: 'post-1' }).success).toBe(false);
+      expect(listRevisionsSchema.safeParse({ id, type: 'tag' }).success).toBe(false);
+    });
+  });
+
+  describe('diffRevisionsSchema', () => {
+    it('should compare against the current version by default', () => {
+      expect(diffRevisionsSchema.parse({ id, type: 'page', from: revisionId })).toEqual({
+        type: 'page',
+        id,
+        from: revisionId,
+        to: 'current',
+      });
+    });
+
+    it('should reject revision IDs that are not plain path segments', () => {
+      expect(diffRevisionsSchema.safeParse({ id, from: '../secrets' }).success).toBe(false);
+      expect(diffRevisionsSchema.safeParse({ id }).success).toBe(false);
+    });
+  });
+
+  describe('restoreRevisionSchema', () => {
+    it('should require a revision ID', () => {
+      expect(restoreRevisionSchema.safeParse({ id }).success).toBe(false);
+      expect(restoreRevisionSchema.parse({ id, revision_id: revisionId })).toEqual({
+        type: 'post',
+        id,
+        revision_id: revisionId,
+      });
+    });
+  });
+});
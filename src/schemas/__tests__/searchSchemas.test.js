@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { searchContentSchema } from '../searchSchemas.js';
+
+describe('Search Schemas', () => {
+  describe('searchContentSchema', () => {
+    it('should apply defaults', () => {
+      expect(searchContentSchema.parse({ query: 'kubernetes' })).toEqual({
+        query: 'kubernetes',
+        type: 'all',
+        status: 'all',
+        limit: 10,
+        refresh: true,
+      });
+    });
+
+    it('should accept all filters', () => {
+      const input = {
+        query: 'kubernetes',
+        type: 'post',
+        status: 'published',
+        tag: 'devops',
+        author: 'jane@example.com',
+        published_after: '2024-01-01',
+        published_before: '2024-12-31T23:59:59Z',
+        limit: 50,
+        refresh: false,
+      };
+      expect(searchContentSchema.parse(input)).toEqual(input);
+    });
+
+    it('should reject an empty or whitespace query', () => {
+      expect(() => searchContentSchema.parse({ query: '   ' })).toThrow();
+    });
+
+    it('should reject invalid dates and tag slugs', () => {
+      expect(() =>
+        searchContentSchema.parse({ query: 'x', published_after: 'last tuesday' })
+      ).toThrow();
+      expect(() => searchContentSchema.parse({ query: 'x', tag: 'Not A Slug' })).toThrow();
+    });
+
+    it('should reject limit above 50', () => {
+      expect(() => searchContentSchema.parse({ query: 'x', limit: 51 })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  updateSettingsSchema,
+  settingsQuerySchema,
+  navigationItemSchema,
+  EDITABLE_SETTING_KEYS,
+} from '../settingSchemas.js';
+
+describe('Settings Schemas', () => {
+  describe('updateSettingsSchema', () => {
+    it('should accept whitelisted keys', () => {
+      const update = {
+        title: 'My Site',
+        description: 'Thoughts and notes',
+        navigation: [{ label: 'Home', url: '/' }],
+        twitter: '@mysite',
+        meta_description: null,
+        timezone: 'Europe/London',
+        locale: 'pt-BR',
+      };
+      expect(updateSettingsSchema.parse(update)).toEqual(update);
+    });
+
+    it('should reject keys outside the whitelist', () => {
+      const result = updateSettingsSchema.safeParse({ title: 'x', members_signup_access: 'none' });
+      expect(result.success).toBe(false);
+    });
+
+    it('should require at least one setting', () => {
+      expect(updateSettingsSchema.safeParse({}).success).toBe(false);
+    });
+
+    it('should not allow clearing the title', () => {
+      expect(updateSettingsSchema.safeParse({ title: '' }).success).toBe(false);
+      expect(updateSettingsSchema.safeParse({ title: null }).success).toBe(false);
+    });
+
+    it('should reject invalid timezones and locales', () => {
+      expect(updateSettingsSchema.safeParse({ timezone: 'Nowhere/Land' }).success).toBe(false);
+      expect(updateSettingsSchema.safeParse({ locale: 'English' }).success).toBe(false);
+    });
+
+    it('should reject navigation items without a label or url', () => {
+      expect(updateSettingsSchema.safeParse({ navigation: [{ label: 'Home' }] }).success).toBe(
+        false
+      );
+      expect(navigationItemSchema.safeParse({ label: '', url: '/' }).success).toBe(false);
+    });
+  });
+
+  describe('EDITABLE_SETTING_KEYS', () => {
+    it('should list the whitelisted keys', () => {
+      expect(EDITABLE_SETTING_KEYS).toContain('codeinjection_head');
+      expect(EDITABLE_SETTING_KEYS).toContain('secondary_navigation');
+      expect(EDITABLE_SETTING_KEYS).not.toContain('members_signup_access');
+    });
+  });
+
+  describe('settingsQuerySchema', () => {
+    it('should accept an optional list of keys', () => {
+      expect(settingsQuerySchema.parse({})).toEqual({});
+      expect(settingsQuerySchema.parse({ keys: ['title', 'timezone'] })).toEqual({
+        keys: ['title', 'timezone'],
+      });
+    });
+
+    it('should reject malformed keys', () => {
+      expect(settingsQuerySchema.safeParse({ keys: ['Title!'] }).success).toBe(false);
+    });
+  });
+});
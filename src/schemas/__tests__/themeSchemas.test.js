@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  themeNameSchema,
+  themeQuerySchema,
+  uploadThemeSchema,
+  activateThemeSchema,
+} from '../themeSchemas.js';
+
+describe('Theme Schemas', () => {
+  describe('themeNameSchema', () => {
+    it('should accept typical theme names', () => {
+      expect(() => themeNameSchema.parse('casper')).not.toThrow();
+      expect(() => themeNameSchema.parse('my_theme-2.0')).not.toThrow();
+    });
+
+    it('should reject names with path separators or spaces', () => {
+      expect(themeNameSchema.safeParse('../casper').success).toBe(false);
+      expect(themeNameSchema.safeParse('my theme').success).toBe(false);
+      expect(themeNameSchema.safeParse('').success).toBe(false);
+    });
+  });
+
+  describe('themeQuerySchema', () => {
+    it('should accept an optional active flag', () => {
+      expect(themeQuerySchema.parse({})).toEqual({});
+      expect(themeQuerySchema.parse({ active: true })).toEqual({ active: true });
+    });
+  });
+
+  describe('uploadThemeSchema', () => {
+    it('should default activate to false', () => {
+      expect(uploadThemeSchema.parse({ theme_path: '/themes/my-theme.zip' })).toEqual({
+        theme_path: '/themes/my-theme.zip',
+        activate: false,
+      });
+    });
+
+    it('should require theme_path', () => {
+      expect(uploadThemeSchema.safeParse({}).success).toBe(false);
+      expect(uploadThemeSchema.safeParse({ theme_path: '' }).success).toBe(false);
+    });
+  });
+
+  describe('activateThemeSchema', () => {
+    it('should require a valid theme name', () => {
+      expect(activateThemeSchema.parse({ name: 'casper' })).toEqual({ name: 'casper' });
+      expect(activateThemeSchema.safeParse({ name: 'a/b' }).success).toBe(false);
+    });
+  });
+});
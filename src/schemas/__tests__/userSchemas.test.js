@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { userQuerySchema, userLookupSchema, userOutputSchema } from '../userSchemas.js';
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+describe('User Schemas', () => {
+  describe('userQuerySchema', () => {
+    it('should accept a role filter', () => {
+      expect(userQuerySchema.parse({ role: 'Author', limit: 5 })).toMatchObject({
+        role: 'Author',
+        limit: 5,
+      });
+    });
+
+    it('should reject unknown roles', () => {
+      const result = userQuerySchema.safeParse({ role: 'Janitor' });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toContain('Role must be one of');
+    });
+
+    it('should reject filters with disallowed characters', () => {
+      expect(() => userQuerySchema.parse({ filter: 'status:active;drop' })).toThrow();
+    });
+  });
+
+  describe('userLookupSchema', () => {
+    it('should accept lookup by id', () => {
+      expect(() => userLookupSchema.parse({ id: USER_ID })).not.toThrow();
+    });
+
+    it('should accept lookup by slug', () => {
+      expect(() => userLookupSchema.parse({ slug: 'jane-doe' })).not.toThrow();
+    });
+
+    it('should accept lookup by email', () => {
+      expect(() => userLookupSchema.parse({ email: 'jane@example.com' })).not.toThrow();
+    });
+
+    it('should require an identifier', () => {
+      expect(() => userLookupSchema.parse({})).toThrow('Provide exactly one of id, slug or email');
+    });
+
+    it('should reject more than one identifier', () => {
+      expect(() => userLookupSchema.parse({ id: USER_ID, slug: 'jane-doe' })).toThrow();
+    });
+
+    it('should reject an invalid email', () => {
+      expect(() => userLookupSchema.parse({ email: 'not-an-email' })).toThrow();
+    });
+  });
+
+  describe('userOutputSchema', () => {
+    it('should accept a staff user as returned by the API', () => {
+      const user = {
+        id: USER_ID,
+        name: 'Jane Doe',
+        slug: 'jane-doe',
+        email: 'jane@example.com',
+        profile_image: null,
+        cover_image: null,
+        bio: null,
+        website: null,
+        location: null,
+        facebook: null,
+        twitter: null,
+        status: 'active',
+        last_seen: '2024-01-15T10:30:00.000Z',
+        roles: [{ id: USER_ID, name: 'Author', description: 'Authors' }],
+        url: 'https://example.com/author/jane-doe/',
+        created_at: '2024-01-15T10:30:00.000Z',
+        updated_at: '2024-01-15T10:30:00.000Z',
+      };
+
+      expect(() => userOutputSchema.parse(user)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  WEBHOOK_EVENTS,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  webhookOutputSchema,
+} from '../webhookSchemas.js';
+
+const WEBHOOK_ID = '507f1f77bcf86cd799439011';
+
+describe('Webhook Schemas', () => {
+  describe('createWebhookSchema', () => {
+    const validWebhook = {
+      event: 'post.published',
+      target_url: 'https://example.com/api/webhooks/post.published',
+    };
+
+    it('should accept a minimal valid webhook', () => {
+      expect(createWebhookSchema.parse(validWebhook)).toEqual(validWebhook);
+    });
+
+    it('should accept every documented Ghost event', () => {
+      for (const event of WEBHOOK_EVENTS) {
+        expect(() => createWebhookSchema.parse({ ...validWebhook, event })).not.toThrow();
+      }
+    });
+
+    it('should accept optional name, secret and api_version', () => {
+      const webhook = {
+        ...validWebhook,
+        name: 'Publish notifier',
+        secret: 'super-secret-value',
+        api_version: 'v5.0',
+      };
+      expect(createWebhookSchema.parse(webhook)).toEqual(webhook);
+    });
+
+    it('should reject unknown events', () => {
+      const result = createWebhookSchema.safeParse({ ...validWebhook, event: 'post.exploded' });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toContain('Event must be one of');
+    });
+
+    it('should reject a missing target URL', () => {
+      expect(() => createWebhookSchema.parse({ event: 'post.added' })).toThrow();
+    });
+
+    it('should reject non-http target URLs', () => {
+      expect(() =>
+        createWebhookSchema.parse({ ...validWebhook, target_url: 'ftp://example.com/hook' })
+      ).toThrow();
+    });
+
+    it('should reject secrets shorter than 8 characters', () => {
+      expect(() => createWebhookSchema.parse({ ...validWebhook, secret: 'short' })).toThrow();
+    });
+
+    it('should reject malformed api_version', () => {
+      expect(() => createWebhookSchema.parse({ ...validWebhook, api_version: '5' })).toThrow();
+    });
+  });
+
+  describe('updateWebhookSchema', () => {
+    it('should accept partial updates', () => {
+      expect(updateWebhookSchema.parse({ name: 'Renamed' })).toEqual({ name: 'Renamed' });
+    });
+
+    it('should still validate provided fields', () => {
+      expect(() => updateWebhookSchema.parse({ event: 'nope' })).toThrow();
+    });
+  });
+
+  describe('webhookIdSchema', () => {
+    it('should accept a valid Ghost ID', () => {
+      expect(() => webhookIdSchema.parse({ id: WEBHOOK_ID })).not.toThrow();
+    });
+
+    it('should reject an invalid ID', () => {
+      expect(() => webhookIdSchema.parse({ id: 'invalid' })).toThrow();
+    });
+  });
+
+  describe('webhookOutputSchema', () => {
+    it('should accept a webhook as returned by the API', () => {
+      const webhook = {
+        id: WEBHOOK_ID,
+        event: 'post.published',
+        target_url: 'https://example.com/hook',
+        name: null,
+        secret: null,
+        api_version: 'v5',
+        integration_id: WEBHOOK_ID,
+        status: 'available',
+        last_triggered_at: null,
+        last_triggered_status: null,
+        last_triggered_error: null,
+        created_at: '2024-01-15T10:30:00.000Z',
+        updated_at: '2024-01-15T10:30:00.000Z',
+      };
+
+      expect(() => webhookOutputSchema.parse(webhook)).not.toThrow();
+    });
+  });
+});
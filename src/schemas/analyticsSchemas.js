@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { ghostIdSchema, timezoneSchema } from './common.js';
+
+/**
+ * Analytics Schemas for Ghost CMS
+ * Provides input validation for post, email and member reporting
+ */
+
+// The round trip through Date rejects days the calendar does not have
+// (e.g. 2025-02-31 or 2025-13-01), which Date would otherwise roll over.
+const reportDateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be a date like "2025-01-31"')
+  .refine((value) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }, 'Must be a real calendar date');
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for one post's analytics
+ */
+export const postAnalyticsSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the post' }),
+});
+
+/**
+ * Schema for an email report over a date range
+ */
+export const emailReportSchema = z.object({
+  from: reportDateSchema.optional().meta({
+    description: 'First day (YYYY-MM-DD, in `timezone`). Defaults to 6 days before `to`.',
+  }),
+  to: reportDateSchema.optional().meta({
+    description: 'Last day, inclusive (YYYY-MM-DD, in `timezone`). Defaults to today.',
+  }),
+  timezone: timezoneSchema.optional().meta({
+    description: 'IANA timezone that defines the days. Defaults to the site timezone.',
+  }),
+  newsletter: z.string().min(1, 'newsletter cannot be empty').optional().meta({
+    description: 'Only include emails sent to this newsletter (ID or slug)',
+  }),
+  group_by: z
+    .enum(['day', 'week', 'month'])
+    .default('day')
+    .meta({ description: 'Period of each point in the chart series; weeks start on Monday' }),
+});
+
+/**
+ * Schema for member stats over a date range
+ */
+export const memberStatsSchema = emailReportSchema.omit({ newsletter: true });
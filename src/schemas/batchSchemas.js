@@ -0,0 +1,51 @@
+import { z } from 'zod';
+
+/**
+ * Batch Operation Schemas for Ghost CMS
+ * Provides input validation for running several tool calls as one batch
+ */
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for one operation in a batch
+ */
+export const batchOperationSchema = z.object({
+  id: z
+    .string()
+    .regex(/^[A-Za-z0-9_-]+$/, 'Operation ID may only contain letters, digits, - and _')
+    .max(64)
+    .meta({ description: 'Name for this operation, used by later operations as $ops.<id>' }),
+  tool: z.string().min(1, 'tool cannot be empty').meta({
+    description: 'Name of the tool to run (e.g., "ghost_create_tag")',
+  }),
+  input: z.record(z.string(), z.unknown()).default({}).meta({
+    description:
+      'Input for the tool. A string value of the form "$ops.<id>.<path>" (e.g., "$ops.tag1.id") is replaced by that value from the output of an earlier operation.',
+  }),
+});
+
+/**
+ * Schema for the batch tool
+ */
+export const batchSchema = z.object({
+  operations: z
+    .array(batchOperationSchema)
+    .min(1, 'At least one operation is required')
+    .max(50, 'A batch can hold at most 50 operations')
+    .meta({
+      description:
+        'Operations to run. Each starts once the operations it references have succeeded.',
+    }),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(10)
+    .default(3)
+    .meta({ description: 'Independent operations run at the same time (1-10)' }),
+  rollback: z.boolean().default(false).meta({
+    description:
+      'If an operation fails, delete everything the batch created, newest first. Updates are not reverted.',
+  }),
+});
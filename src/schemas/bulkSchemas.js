@@ -0,0 +1,57 @@
+import { z } from 'zod';
+import { nqlFilterSchema } from './common.js';
+
+/**
+ * Bulk Operation Schemas for Ghost CMS
+ * Provides input validation for filter-driven operations that span many
+ * posts, pages or members
+ */
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for the bulk delete tools. Without confirmation_token the call
+ * previews the delete; with it, the previewed items are deleted.
+ */
+export const bulkDeleteSchema = z.object({
+  filter: nqlFilterSchema.unwrap().min(1, 'Filter cannot be empty').meta({
+    description:
+      'NQL filter selecting the items to delete (e.g., "status:draft+updated_at:<\'2023-01-01\'")',
+  }),
+  confirmation_token: z.string().min(1, 'confirmation_token cannot be empty').optional().meta({
+    description:
+      'Token from a preview of the same filter. Omit it to preview; pass it to delete the previewed items. Tokens expire after 5 minutes and work once.',
+  }),
+  max_items: z
+    .number()
+    .int()
+    .min(1)
+    .max(50000)
+    .default(1000)
+    .meta({ description: 'Refuse to preview if more items than this match the filter' }),
+  sample_size: z
+    .number()
+    .int()
+    .min(0)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Matching items to list in the preview (0-50)' }),
+  backup_dir: z.string().min(1, 'backup_dir cannot be empty').optional().meta({
+    description:
+      'Directory, relative to GHOST_MCP_EXPORT_ROOT, to write each item to as <id>.json before it is deleted. Items whose backup fails are not deleted.',
+  }),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Items deleted concurrently per batch (1-50)' }),
+  delay_ms: z
+    .number()
+    .int()
+    .min(0)
+    .max(60000)
+    .default(1000)
+    .meta({ description: 'Pause between batches in milliseconds, to stay under rate limits' }),
+});
@@ -1,5 +1,6 @@
 import { z } from 'zod';
 import sanitizeHtml from 'sanitize-html';
+import { markdownToHtml, wrapHtmlCards } from '../utils/markdown.js';
 
 /**
  * Common Zod schemas for validation across all Ghost MCP resources.
@@ -30,6 +31,9 @@ const htmlSanitizeConfig = {
     'strong',
     'em',
     'strike',
+    'del',
+    'sup',
+    'sub',
     'code',
     'hr',
     'br',
@@ -39,10 +43,18 @@ const htmlSanitizeConfig = {
     'pre',
     'figure',
     'figcaption',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
   ],
   allowedAttributes: {
     a: ['href', 'name', 'target', 'rel', 'title'],
     img: ['src', 'alt', 'title', 'width', 'height'],
+    th: ['align'],
+    td: ['align'],
     '*': ['class', 'id'],
   },
   allowedSchemes: ['http', 'https', 'mailto'],
@@ -85,6 +97,22 @@ export const ghostIdSchema = z
   .string()
   .regex(/^[a-f0-9]{24}$/, 'Invalid Ghost ID format (must be 24 hex characters)');
 
+/**
+ * IANA timezone validation schema
+ * Validates timezone names known to the runtime (e.g., "Europe/London")
+ */
+export const timezoneSchema = z.string().refine(
+  (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  { message: 'Invalid IANA timezone (e.g., "Europe/London", "America/New_York")' }
+);
+
 // ----- Security Validators -----
 
 /**
@@ -158,6 +186,19 @@ export const htmlContentSchema = z
   .min(1, 'HTML content cannot be empty')
   .transform((html) => sanitizeHtml(html, htmlSanitizeConfig));
 
+/**
+ * Markdown content validation schema
+ * Converts Markdown to HTML (see utils/markdown.js), then applies the same
+ * sanitizer as htmlContentSchema. Tables are wrapped in Ghost HTML cards
+ * after sanitizing. Output is the HTML to send to Ghost.
+ */
+export const markdownContentSchema = z
+  .string()
+  .min(1, 'Markdown content cannot be empty')
+  .transform((markdown) =>
+    wrapHtmlCards(sanitizeHtml(markdownToHtml(markdown), htmlSanitizeConfig))
+  );
+
 /**
  * Title validation schema
  * Validates post/page titles (1-255 characters)
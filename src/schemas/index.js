@@ -32,8 +32,44 @@ export * from './tagSchemas.js';
 // Member schemas
 export * from './memberSchemas.js';
 
+// Member label schemas
+export * from './labelSchemas.js';
+
 // Newsletter schemas
 export * from './newsletterSchemas.js';
 
 // Tier (membership/product) schemas
 export * from './tierSchemas.js';
+
+// Offer (tier discount) schemas
+export * from './offerSchemas.js';
+
+// Webhook schemas
+export * from './webhookSchemas.js';
+
+// Staff user schemas
+export * from './userSchemas.js';
+
+// Site settings schemas
+export * from './settingSchemas.js';
+
+// Theme schemas
+export * from './themeSchemas.js';
+
+// Content search schemas
+export * from './searchSchemas.js';
+
+// Content migration schemas
+export * from './migrationSchemas.js';
+
+// Bulk operation schemas
+export * from './bulkSchemas.js';
+
+// Revision history schemas
+export * from './revisionSchemas.js';
+
+// Batch operation schemas
+export * from './batchSchemas.js';
+
+// Analytics schemas
+export * from './analyticsSchemas.js';
@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import { ghostIdSchema, nqlFilterSchema } from './common.js';
+
+/**
+ * Label Schemas for Ghost CMS
+ * Labels tag members for segmentation (e.g., newsletter audiences)
+ * Provides input validation for label operations; see labelOutputSchema
+ * in memberSchemas.js for the API shape
+ */
+
+// ----- Input Schemas -----
+
+const labelNameSchema = z
+  .string()
+  .trim()
+  .min(1, 'Label name cannot be empty')
+  .max(191, 'Label name cannot exceed 191 characters');
+
+/**
+ * Schema for creating a new label
+ */
+export const createLabelSchema = z.object({
+  name: labelNameSchema.meta({ description: 'Label name (e.g., "VIP")' }),
+});
+
+/**
+ * Schema for renaming an existing label
+ */
+export const updateLabelSchema = z.object({
+  name: labelNameSchema.meta({ description: 'New label name' }),
+});
+
+/**
+ * Schema for label query/filter parameters
+ */
+export const labelQuerySchema = z.object({
+  limit: z.number().int().min(1).max(100).default(15).optional(),
+  page: z.number().int().min(1).default(1).optional(),
+  filter: nqlFilterSchema.meta({ description: 'NQL filter string (e.g., "slug:vip")' }),
+  order: z.string().optional().meta({ description: 'Order results (e.g., "name ASC")' }),
+});
+
+/**
+ * Schema for label ID parameter
+ */
+export const labelIdSchema = z.object({
+  id: ghostIdSchema,
+});
+
+/**
+ * Schema for adding or removing a label on every member matching a filter
+ */
+export const bulkMemberLabelSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the label to add or remove' }),
+  filter: nqlFilterSchema.unwrap().min(1, 'Filter cannot be empty').meta({
+    description:
+      'NQL filter selecting the members to change (e.g., "status:paid", "label:beta+status:free")',
+  }),
+  max_members: z
+    .number()
+    .int()
+    .min(1)
+    .max(50000)
+    .default(10000)
+    .meta({ description: 'Refuse to run if more members than this match the filter' }),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Members updated concurrently per batch (1-50)' }),
+  delay_ms: z
+    .number()
+    .int()
+    .min(0)
+    .max(60000)
+    .default(1000)
+    .meta({ description: 'Pause between batches in milliseconds, to stay under rate limits' }),
+});
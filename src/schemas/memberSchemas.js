@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { ghostIdSchema, emailSchema } from './common.js';
+import { ghostIdSchema, emailSchema, isoDateSchema } from './common.js';
 
 /**
  * Member Schemas for Ghost CMS
@@ -77,6 +77,79 @@ export const memberEmailSchema = z.object({
   email: emailSchema,
 });
 
+/**
+ * Schema for bulk-importing members from CSV content
+ * Each data row is validated against createMemberSchema
+ */
+export const importMembersSchema = z.object({
+  csv: z
+    .string()
+    .min(1, 'CSV content cannot be empty')
+    .max(5_000_000, 'CSV content cannot exceed 5MB')
+    .meta({
+      description:
+        'CSV with a header row. Columns: email (required), name, note, subscribed, comped, labels, newsletters. Ghost export column names (subscribed_to_emails, complimentary_plan) are also accepted. Multiple labels/newsletter IDs go in one cell, comma-separated.',
+    }),
+  on_existing: z
+    .enum(['update', 'skip'])
+    .default('update')
+    .meta({ description: 'What to do when a member with the same email already exists' }),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Members written concurrently per batch (1-50)' }),
+  delay_ms: z
+    .number()
+    .int()
+    .min(0)
+    .max(60000)
+    .default(1000)
+    .meta({ description: 'Pause between batches in milliseconds, to stay under rate limits' }),
+});
+
+/**
+ * Schema for exporting members to CSV
+ */
+export const exportMembersSchema = z.object({
+  filter: z
+    .string()
+    .regex(/^[a-zA-Z0-9_\-:.'"\s,[\]<>=!+]+$/, 'Invalid filter: contains disallowed characters')
+    .optional()
+    .meta({ description: 'NQL filter string (e.g., "status:paid", "label:vip")' }),
+  max_rows: z
+    .number()
+    .int()
+    .min(1)
+    .max(50000)
+    .default(10000)
+    .meta({ description: 'Maximum number of members to export' }),
+});
+
+/**
+ * Schema for granting a member complimentary access to a tier
+ */
+export const grantMemberCompSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the member' }),
+  tier_id: ghostIdSchema.meta({ description: 'The ID of an active paid tier' }),
+  expires_at: isoDateSchema.optional().meta({
+    description:
+      'When the complimentary access ends (ISO 8601 UTC, e.g. "2025-12-31T23:59:59.000Z"). Omit for access that does not expire.',
+  }),
+});
+
+/**
+ * Schema for removing a member's complimentary access
+ */
+export const removeMemberCompSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the member' }),
+  tier_id: ghostIdSchema
+    .optional()
+    .meta({ description: 'Tier to remove. Omit to remove every complimentary tier.' }),
+});
+
 // ----- Output Schemas -----
 
 /**
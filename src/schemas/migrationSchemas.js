@@ -0,0 +1,69 @@
+import { z } from 'zod';
+
+/**
+ * Content Migration Schemas for Ghost CMS
+ * Provides input validation for importing content from other platforms
+ * and exporting site content to archives
+ */
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for importing a WordPress WXR export
+ */
+export const importWordPressSchema = z.object({
+  wxr_path: z.string().min(1, 'wxr_path cannot be empty').meta({
+    description:
+      'Path to a WordPress export (.xml, from Tools → Export). Only accepted when the GHOST_MCP_IMPORT_ROOT env var is set; paths must resolve inside that root.',
+  }),
+  dry_run: z.boolean().default(false).meta({
+    description:
+      'Report what would be created, including slug conflicts, tags to create, unresolved authors and images to re-host, without writing anything',
+  }),
+  types: z
+    .array(z.enum(['post', 'page']))
+    .min(1, 'types cannot be empty')
+    .default(['post', 'page'])
+    .meta({ description: 'WordPress post types to import' }),
+  author_map: z.record(z.string().min(1), z.string().min(1)).optional().meta({
+    description:
+      'WordPress author login → Ghost staff user (ID, email, slug or name). Authors not listed are matched by the email in the export.',
+  }),
+  rehost_images: z.boolean().default(true).meta({
+    description:
+      'Upload images referenced by the content and featured images to Ghost and rewrite their URLs',
+  }),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(20)
+    .default(5)
+    .meta({ description: 'Items written concurrently per batch (1-20)' }),
+  delay_ms: z
+    .number()
+    .int()
+    .min(0)
+    .max(60000)
+    .default(1000)
+    .meta({ description: 'Pause between batches in milliseconds, to stay under rate limits' }),
+});
+
+/**
+ * Schema for exporting site content to a directory
+ */
+export const exportContentSchema = z.object({
+  format: z.enum(['json', 'markdown']).default('json').meta({
+    description:
+      'json: one file in Ghost import format. markdown: a Markdown file with YAML front matter per post and page, plus JSON for tags, tiers and newsletters.',
+  }),
+  output_dir: z.string().min(1, 'output_dir cannot be empty').optional().meta({
+    description:
+      'Directory to write, relative to GHOST_MCP_EXPORT_ROOT. Must be new or empty. Defaults to ghost-export-<timestamp>.',
+  }),
+  types: z
+    .array(z.enum(['posts', 'pages', 'tags', 'tiers', 'newsletters']))
+    .min(1, 'types cannot be empty')
+    .default(['posts', 'pages', 'tags', 'tiers', 'newsletters'])
+    .meta({ description: 'Content types to export' }),
+});
@@ -0,0 +1,227 @@
+import { z } from 'zod';
+import { ghostIdSchema, slugSchema } from './common.js';
+
+/**
+ * Offer Schemas for Ghost CMS
+ * Offers are discounts or free trials applied on top of a paid tier
+ * Provides input/output validation for offer operations
+ */
+
+// ----- Enum Validators -----
+
+/**
+ * Offer type: percentage discount, fixed amount discount, or free trial
+ */
+export const offerTypeSchema = z.enum(['percent', 'fixed', 'trial'], {
+  error: () => ({ message: 'Type must be percent, fixed, or trial' }),
+});
+
+/**
+ * Billing cadence the offer applies to
+ */
+export const offerCadenceSchema = z.enum(['month', 'year'], {
+  error: () => ({ message: 'Cadence must be month or year' }),
+});
+
+/**
+ * How long the discount applies for
+ */
+export const offerDurationSchema = z.enum(['once', 'forever', 'repeating', 'trial'], {
+  error: () => ({ message: 'Duration must be once, forever, repeating, or trial' }),
+});
+
+/**
+ * Offer status (archived offers can no longer be redeemed)
+ */
+export const offerStatusSchema = z.enum(['active', 'archived'], {
+  error: () => ({ message: 'Status must be active or archived' }),
+});
+
+/**
+ * Reference to the paid tier an offer applies to
+ */
+export const offerTierReferenceSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'ID of the paid tier this offer applies to' }),
+});
+
+// ----- Input Schemas -----
+
+const offerNameSchema = z
+  .string()
+  .min(1, 'Name cannot be empty')
+  .max(40, 'Name cannot exceed 40 characters');
+
+const offerCodeSchema = slugSchema.max(191, 'Code cannot exceed 191 characters').meta({
+  description: 'URL code for the offer (e.g., "black-friday" → /#/portal/offers/black-friday)',
+});
+
+const offerDisplayTitleSchema = z
+  .string()
+  .max(191, 'Display title cannot exceed 191 characters')
+  .optional()
+  .meta({ description: 'Title shown to visitors on the offer page' });
+
+const offerDisplayDescriptionSchema = z
+  .string()
+  .max(191, 'Display description cannot exceed 191 characters')
+  .optional()
+  .meta({ description: 'Description shown to visitors on the offer page' });
+
+/**
+ * Cross-field checks for offer terms. Ghost rejects combinations that don't
+ * make sense (e.g. a percent discount with a currency, or a trial that isn't
+ * a trial-duration offer), so we catch them before the round-trip.
+ * @param {Object} data - Parsed offer data
+ * @param {import('zod').RefinementCtx} ctx - Zod refinement context
+ */
+function validateOfferTerms(data, ctx) {
+  const issue = (path, message) => ctx.addIssue({ code: 'custom', path: [path], message });
+
+  if (data.type === 'percent') {
+    if (data.amount < 1 || data.amount > 100) {
+      issue('amount', 'Percent offers must have an amount between 1 and 100');
+    }
+    if (data.currency !== undefined) {
+      issue('currency', 'Currency is only allowed for fixed offers');
+    }
+  }
+
+  if (data.type === 'fixed') {
+    if (data.amount < 1) {
+      issue('amount', 'Fixed offers must have a positive amount (in cents)');
+    }
+    if (data.currency === undefined) {
+      issue('currency', 'Currency is required for fixed offers');
+    }
+  }
+
+  if (data.type === 'trial') {
+    if (data.amount < 1) {
+      issue('amount', 'Trial offers must have at least 1 trial day');
+    }
+    if (data.duration !== 'trial') {
+      issue('duration', 'Trial offers must use the trial duration');
+    }
+    if (data.currency !== undefined) {
+      issue('currency', 'Currency is only allowed for fixed offers');
+    }
+  } else if (data.duration === 'trial') {
+    issue('duration', 'The trial duration is only allowed for trial offers');
+  }
+
+  if (data.duration === 'repeating') {
+    if (data.cadence !== 'month') {
+      issue('duration', 'Repeating offers are only available for monthly cadence');
+    }
+    if (data.duration_in_months === undefined) {
+      issue('duration_in_months', 'duration_in_months is required for repeating offers');
+    }
+  } else if (data.duration_in_months !== undefined) {
+    issue('duration_in_months', 'duration_in_months is only allowed for repeating offers');
+  }
+}
+
+/**
+ * Schema for creating a new offer
+ * Required: name, code, type, cadence, amount, duration, tier
+ * Optional: display title/description, currency (required for fixed), duration_in_months
+ */
+export const createOfferSchema = z
+  .object({
+    name: offerNameSchema.meta({ description: 'Internal offer name (max 40 characters)' }),
+    code: offerCodeSchema,
+    display_title: offerDisplayTitleSchema,
+    display_description: offerDisplayDescriptionSchema,
+    type: offerTypeSchema,
+    cadence: offerCadenceSchema,
+    amount: z.number().int('Amount must be an integer').meta({
+      description:
+        'Discount amount: percentage (1-100) for percent, cents for fixed, or trial days for trial',
+    }),
+    duration: offerDurationSchema,
+    duration_in_months: z
+      .number()
+      .int()
+      .min(1, 'duration_in_months must be at least 1')
+      .max(24, 'duration_in_months cannot exceed 24')
+      .optional()
+      .meta({ description: 'Number of months the discount repeats (repeating duration only)' }),
+    currency: z
+      .string()
+      .length(3, 'Currency must be 3-letter ISO code')
+      .regex(/^[A-Z]{3}$/, 'Currency must be uppercase')
+      .optional()
+      .meta({ description: 'Currency for fixed offers; must match the tier currency' }),
+    status: offerStatusSchema.default('active'),
+    tier: offerTierReferenceSchema,
+  })
+  .superRefine(validateOfferTerms);
+
+/**
+ * Schema for updating an existing offer
+ * Ghost only allows editing the presentation of an offer once it exists;
+ * the discount terms (type, amount, duration, tier) are fixed at creation.
+ */
+export const updateOfferSchema = z.object({
+  name: offerNameSchema.optional(),
+  code: offerCodeSchema.optional(),
+  display_title: offerDisplayTitleSchema,
+  display_description: offerDisplayDescriptionSchema,
+  status: offerStatusSchema
+    .optional()
+    .meta({ description: 'Set to archived to stop new redemptions' }),
+});
+
+/**
+ * Schema for offer query/filter parameters
+ */
+export const offerQuerySchema = z.object({
+  limit: z.number().int().min(1).max(100).default(15).optional(),
+  page: z.number().int().min(1).default(1).optional(),
+  filter: z
+    .string()
+    .regex(/^[a-zA-Z0-9_\-:.'"\s,[\]<>=!+]+$/, 'Invalid filter: contains disallowed characters')
+    .optional()
+    .meta({ description: 'NQL filter string (e.g., "status:active", "cadence:year")' }),
+  order: z.string().optional().meta({ description: 'Order results (e.g., "created_at DESC")' }),
+});
+
+/**
+ * Schema for offer ID parameter
+ */
+export const offerIdSchema = z.object({
+  id: ghostIdSchema,
+});
+
+// ----- Output Schemas -----
+
+/**
+ * Schema for a Ghost offer object (as returned by the API)
+ */
+export const offerOutputSchema = z.object({
+  id: ghostIdSchema,
+  name: z.string(),
+  code: z.string(),
+  display_title: z.string().nullable().optional(),
+  display_description: z.string().nullable().optional(),
+  type: offerTypeSchema,
+  cadence: offerCadenceSchema,
+  amount: z.number(),
+  duration: offerDurationSchema,
+  duration_in_months: z.number().nullable().optional(),
+  currency_restriction: z.boolean().optional(),
+  currency: z.string().nullable().optional(),
+  status: offerStatusSchema,
+  redemption_count: z.number().optional(),
+  tier: z.object({
+    id: ghostIdSchema,
+    name: z.string().optional(),
+  }),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().nullable().optional(),
+});
+
+/**
+ * Schema for array of offers
+ */
+export const offersArraySchema = z.array(offerOutputSchema);
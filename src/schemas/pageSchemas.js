@@ -4,6 +4,7 @@ import {
   slugSchema,
   titleSchema,
   htmlContentSchema,
+  markdownContentSchema,
   excerptSchema,
   metaTitleSchema,
   metaDescriptionSchema,
@@ -31,13 +32,18 @@ import {
 
 /**
  * Schema for creating a new page
- * Required: title, html
+ * Required: title, and exactly one of html or markdown (checked at the tool level
+ * so the schema stays a plain object that .partial() can derive from)
  * Optional: various metadata, feature image, authors, tags, etc.
  * Note: Pages typically don't have tags, but Ghost API supports them
  */
 export const createPageSchema = z.object({
   title: titleSchema,
-  html: htmlContentSchema.meta({ description: 'HTML content of the page' }),
+  html: htmlContentSchema.optional().meta({ description: 'HTML content of the page' }),
+  markdown: markdownContentSchema.optional().meta({
+    description:
+      'Markdown (GFM) content of the page, converted to sanitized HTML. Fenced code, tables, standalone images and footnotes map to Ghost cards/markup. Provide this or html.',
+  }),
   slug: slugSchema.optional(),
   status: postStatusSchema.default('draft'),
   visibility: visibilitySchema.default('public'),
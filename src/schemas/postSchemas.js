@@ -4,6 +4,7 @@ import {
   slugSchema,
   titleSchema,
   htmlContentSchema,
+  markdownContentSchema,
   excerptSchema,
   metaTitleSchema,
   metaDescriptionSchema,
@@ -19,6 +20,8 @@ import {
   ogImageSchema,
   twitterImageSchema,
   isoDateSchema,
+  timezoneSchema,
+  nqlFilterSchema,
 } from './common.js';
 
 /**
@@ -30,12 +33,17 @@ import {
 
 /**
  * Schema for creating a new post
- * Required: title, html
+ * Required: title, and exactly one of html or markdown (checked at the tool level
+ * so the schema stays a plain object that .partial() can derive from)
  * Optional: various metadata, feature image, authors, tags, etc.
  */
 export const createPostSchema = z.object({
   title: titleSchema,
-  html: htmlContentSchema.meta({ description: 'HTML content of the post' }),
+  html: htmlContentSchema.optional().meta({ description: 'HTML content of the post' }),
+  markdown: markdownContentSchema.optional().meta({
+    description:
+      'Markdown (GFM) content of the post, converted to sanitized HTML. Fenced code, tables, standalone images and footnotes map to Ghost cards/markup. Provide this or html.',
+  }),
   slug: slugSchema.optional(),
   status: postStatusSchema.default('draft'),
   visibility: visibilitySchema.default('public'),
@@ -63,7 +71,7 @@ export const createPostSchema = z.object({
   }),
   authors: authorsSchema.meta({
     description:
-      'Array of author IDs or emails. On update, this fully replaces the existing authors array (not merged).',
+      'Array of staff user IDs, emails, slugs or names (see ghost_get_users); resolved to IDs before saving. On update, this fully replaces the existing authors array (not merged).',
   }),
   published_at: isoDateSchema
     .optional()
@@ -120,6 +128,131 @@ export const postSlugSchema = z.object({
   slug: slugSchema,
 });
 
+/**
+ * Schema for scheduling a post at a wall-clock time in a timezone
+ */
+export const schedulePostSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'ID of the post to schedule' }),
+  publish_at: z
+    .string()
+    .regex(
+      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/,
+      'publish_at must be a local date/time without offset (e.g., "2025-01-31T09:30")'
+    )
+    .meta({
+      description:
+        'Local date/time to publish, without offset (e.g., "2025-01-31T09:30"). Interpreted in `timezone`.',
+    }),
+  timezone: timezoneSchema.optional().meta({
+    description:
+      'IANA timezone for publish_at (e.g., "Europe/London"). Defaults to the site timezone.',
+  }),
+});
+
+/**
+ * Schema for the scheduled posts calendar
+ */
+export const scheduledPostsQuerySchema = z.object({
+  from: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'from must be a date like "2025-01-31"')
+    .optional()
+    .meta({ description: 'First day to show (YYYY-MM-DD, in `timezone`). Defaults to now.' }),
+  days: z
+    .number()
+    .int()
+    .min(1)
+    .max(366)
+    .default(30)
+    .meta({ description: 'Number of days to cover (1-366). Default is 30.' }),
+  timezone: timezoneSchema.optional().meta({
+    description: 'IANA timezone used to group posts by day. Defaults to the site timezone.',
+  }),
+});
+
+/**
+ * Schema for applying one patch to every post matching a filter
+ */
+export const bulkUpdatePostsSchema = z.object({
+  filter: nqlFilterSchema.unwrap().min(1, 'Filter cannot be empty').meta({
+    description:
+      'NQL filter selecting the posts to change (e.g., "tag:recipes", "published_at:<\'2022-01-01\'")',
+  }),
+  patch: z
+    .object({
+      add_tags: z.array(z.string().min(1)).optional().meta({
+        description:
+          'Tag IDs, slugs or names to add to each post. Names that match no tag create a new tag.',
+      }),
+      remove_tags: z
+        .array(z.string().min(1))
+        .optional()
+        .meta({ description: 'Tag IDs, slugs or names to remove from each post' }),
+      visibility: visibilitySchema.optional(),
+      featured: z.boolean().optional(),
+      status: z.enum(['draft', 'published']).optional().meta({
+        description: 'New status. Use ghost_schedule_post to schedule individual posts.',
+      }),
+      authors: z.array(z.string().min(1)).min(1).optional().meta({
+        description:
+          'Staff user IDs, emails, slugs or names. Replaces the authors of every matching post.',
+      }),
+    })
+    .refine((patch) => Object.values(patch).some((value) => value !== undefined), {
+      message: 'patch must change at least one field',
+    })
+    .meta({
+      description:
+        "Changes to apply. Tags are added to or removed from each post's existing tags; other fields are set.",
+    }),
+  dry_run: z.boolean().default(false).meta({
+    description: 'Report what each post would change, without writing anything',
+  }),
+  max_posts: z
+    .number()
+    .int()
+    .min(1)
+    .max(10000)
+    .default(1000)
+    .meta({ description: 'Refuse to run if more posts than this match the filter' }),
+  batch_size: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Posts updated concurrently per batch (1-50)' }),
+  delay_ms: z
+    .number()
+    .int()
+    .min(0)
+    .max(60000)
+    .default(1000)
+    .meta({ description: 'Pause between batches in milliseconds, to stay under rate limits' }),
+});
+
+/**
+ * Schema for publishing a post, optionally as a newsletter email
+ */
+export const publishPostSchema = z.object({
+  id: ghostIdSchema.meta({ description: 'The ID of the draft or scheduled post to publish' }),
+  newsletter: z.string().min(1, 'newsletter cannot be empty').optional().meta({
+    description: 'Newsletter ID or slug to email the post to. Omit to publish on the site only.',
+  }),
+  segment: z
+    .string()
+    .regex(/^(all|free|paid|label:[a-z0-9-]+)$/, 'Segment must be all, free, paid or label:<slug>')
+    .default('all')
+    .meta({
+      description:
+        'Newsletter subscribers to email: all, free, paid, or label:<slug> for members with that label',
+    }),
+  confirm: z.boolean().default(false).meta({
+    description:
+      'Publish and send the email. Without it, a call with a newsletter only returns the recipient count.',
+  }),
+});
+
 // ----- Output Schemas -----
 
 /**
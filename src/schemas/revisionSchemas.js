@@ -0,0 +1,51 @@
+import { z } from 'zod';
+import { ghostIdSchema } from './common.js';
+
+/**
+ * Revision History Schemas for Ghost CMS
+ * Provides input validation for listing, comparing and restoring the post
+ * and page snapshots this server takes before updates and deletes
+ */
+
+// ----- Input Schemas -----
+
+const revisionTypeSchema = z
+  .enum(['post', 'page'])
+  .default('post')
+  .meta({ description: 'Whether the ID is a post or a page (default: post)' });
+
+const revisionIdSchema = z
+  .string()
+  .regex(/^[A-Za-z0-9_-]+$/, 'Invalid revision ID')
+  .meta({ description: 'A revision_id from ghost_list_revisions' });
+
+/**
+ * Schema for listing the snapshots of a post or page
+ */
+export const listRevisionsSchema = z.object({
+  type: revisionTypeSchema,
+  id: ghostIdSchema.meta({ description: 'Post or page ID' }),
+});
+
+/**
+ * Schema for comparing two versions of a post or page
+ */
+export const diffRevisionsSchema = z.object({
+  type: revisionTypeSchema,
+  id: ghostIdSchema.meta({ description: 'Post or page ID' }),
+  from: revisionIdSchema.meta({
+    description: "Earlier version: a revision_id, or 'current' for the live version in Ghost",
+  }),
+  to: revisionIdSchema.default('current').meta({
+    description: "Later version: a revision_id, or 'current' (default) for the live version",
+  }),
+});
+
+/**
+ * Schema for restoring a snapshot
+ */
+export const restoreRevisionSchema = z.object({
+  type: revisionTypeSchema,
+  id: ghostIdSchema.meta({ description: 'Post or page ID' }),
+  revision_id: revisionIdSchema,
+});
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+import { slugSchema } from './common.js';
+
+/**
+ * Content Search Schemas for Ghost CMS
+ * Provides input validation for full-text search across posts and pages
+ */
+
+// ----- Input Schemas -----
+
+const dateBoundSchema = (description) =>
+  z
+    .string()
+    .refine((value) => !Number.isNaN(Date.parse(value)), 'Must be an ISO 8601 date or datetime')
+    .optional()
+    .meta({ description });
+
+/**
+ * Schema for full-text content search
+ */
+export const searchContentSchema = z.object({
+  query: z
+    .string()
+    .trim()
+    .min(1, 'Search query cannot be empty')
+    .max(500, 'Search query cannot exceed 500 characters')
+    .meta({ description: 'Words to search for in titles, excerpts and body text' }),
+  type: z
+    .enum(['post', 'page', 'all'])
+    .default('all')
+    .meta({ description: 'Search posts, pages, or both (default)' }),
+  status: z
+    .enum(['published', 'draft', 'scheduled', 'all'])
+    .default('all')
+    .meta({ description: 'Only return content with this status (default: all)' }),
+  tag: slugSchema.optional().meta({ description: 'Only return content with this tag slug' }),
+  author: z
+    .string()
+    .min(1)
+    .optional()
+    .meta({ description: 'Only return content by this author (slug or email)' }),
+  published_after: dateBoundSchema(
+    'Only return content published at or after this time (e.g., "2024-01-01")'
+  ),
+  published_before: dateBoundSchema(
+    'Only return content published at or before this time (e.g., "2024-12-31T23:59:59Z")'
+  ),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .default(10)
+    .meta({ description: 'Maximum number of results (1-50). Default is 10.' }),
+  refresh: z.boolean().default(true).meta({
+    description:
+      'Sync the index with Ghost before searching (only changed content is fetched). Set false to search the index as-is.',
+  }),
+});
@@ -0,0 +1,98 @@
+import { z } from 'zod';
+import { timezoneSchema } from './common.js';
+
+/**
+ * Settings Schemas for Ghost CMS
+ * Site-wide settings such as title, navigation, social accounts and metadata
+ * Provides input validation for settings operations. Only the keys listed in
+ * updateSettingsSchema can be changed through this server.
+ */
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for a primary or secondary navigation item
+ */
+export const navigationItemSchema = z.object({
+  label: z.string().min(1, 'Navigation label cannot be empty').max(191),
+  url: z
+    .string()
+    .min(1, 'Navigation URL cannot be empty')
+    .max(2000)
+    .meta({ description: 'Site-relative path (e.g., "/about/") or absolute URL' }),
+});
+
+const nullableText = (max, description) =>
+  z
+    .string()
+    .max(max, `Cannot exceed ${max} characters`)
+    .nullable()
+    .optional()
+    .meta({ description: `${description} (null clears it)` });
+
+/**
+ * Schema for updating site settings. Unknown keys are rejected rather than
+ * stripped so a typo cannot silently turn into a no-op.
+ */
+export const updateSettingsSchema = z
+  .object({
+    title: z
+      .string()
+      .trim()
+      .min(1, 'Site title cannot be empty')
+      .max(150, 'Site title cannot exceed 150 characters')
+      .optional()
+      .meta({ description: 'Site title' }),
+    description: nullableText(200, 'Site description'),
+    navigation: z
+      .array(navigationItemSchema)
+      .optional()
+      .meta({ description: 'Primary navigation; replaces the whole list' }),
+    secondary_navigation: z
+      .array(navigationItemSchema)
+      .optional()
+      .meta({ description: 'Secondary (footer) navigation; replaces the whole list' }),
+    facebook: nullableText(
+      191,
+      'Facebook page path without the domain (e.g., "ghost" for facebook.com/ghost)'
+    ),
+    twitter: nullableText(191, 'X/Twitter handle including @ (e.g., "@ghost")'),
+    meta_title: nullableText(300, 'Default meta title for search engines'),
+    meta_description: nullableText(500, 'Default meta description for search engines'),
+    og_title: nullableText(300, 'Default Open Graph title'),
+    og_description: nullableText(500, 'Default Open Graph description'),
+    twitter_title: nullableText(300, 'Default X/Twitter card title'),
+    twitter_description: nullableText(500, 'Default X/Twitter card description'),
+    codeinjection_head: nullableText(65535, 'Site-wide code injected into <head>'),
+    codeinjection_foot: nullableText(65535, 'Site-wide code injected before </body>'),
+    timezone: timezoneSchema
+      .optional()
+      .meta({ description: 'IANA timezone used for dates on the site (e.g., "Europe/London")' }),
+    locale: z
+      .string()
+      .regex(
+        /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/,
+        'Locale must be a language tag (e.g., "en", "pt-BR")'
+      )
+      .optional()
+      .meta({ description: 'Site language tag (e.g., "en", "pt-BR")' }),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one setting must be provided',
+  });
+
+/**
+ * Keys that updateSettingsSchema allows to be changed
+ */
+export const EDITABLE_SETTING_KEYS = Object.keys(updateSettingsSchema.shape);
+
+/**
+ * Schema for reading settings
+ */
+export const settingsQuerySchema = z.object({
+  keys: z
+    .array(z.string().regex(/^[a-z0-9_]+$/, 'Setting keys are lowercase with underscores'))
+    .optional()
+    .meta({ description: 'Only return these setting keys (e.g., ["title", "timezone"])' }),
+});
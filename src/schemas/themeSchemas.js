@@ -0,0 +1,47 @@
+import { z } from 'zod';
+
+/**
+ * Theme Schemas for Ghost CMS
+ * Provides input validation for listing, uploading and activating themes
+ */
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for an installed theme name (the zip file name Ghost derived it from)
+ */
+export const themeNameSchema = z
+  .string()
+  .min(1, 'Theme name cannot be empty')
+  .max(191, 'Theme name cannot exceed 191 characters')
+  .regex(/^[a-zA-Z0-9_.-]+$/, 'Theme name may only contain letters, numbers, ".", "_" and "-"');
+
+/**
+ * Schema for listing themes
+ */
+export const themeQuerySchema = z.object({
+  active: z.boolean().optional().meta({
+    description: 'true returns only the active theme, false only inactive themes',
+  }),
+});
+
+/**
+ * Schema for uploading a theme zip from the local filesystem
+ */
+export const uploadThemeSchema = z.object({
+  theme_path: z.string().min(1, 'theme_path cannot be empty').meta({
+    description:
+      'Path to a theme .zip file. Only accepted when the GHOST_MCP_THEME_ROOT env var is set; paths must resolve inside that root. Ghost names the theme after the file and replaces an installed theme with the same name.',
+  }),
+  activate: z
+    .boolean()
+    .default(false)
+    .meta({ description: 'Activate the theme after a successful upload' }),
+});
+
+/**
+ * Schema for activating an installed theme
+ */
+export const activateThemeSchema = z.object({
+  name: themeNameSchema.meta({ description: 'Name of an installed theme (see ghost_get_themes)' }),
+});
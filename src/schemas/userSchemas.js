@@ -0,0 +1,115 @@
+import { z } from 'zod';
+import { ghostIdSchema, emailSchema, slugSchema } from './common.js';
+
+/**
+ * User Schemas for Ghost CMS
+ * Users are staff accounts (owners, administrators, editors, authors, contributors)
+ * Provides input/output validation for read-only user operations
+ */
+
+// ----- Enum Validators -----
+
+/**
+ * Staff role names as Ghost reports them
+ */
+export const USER_ROLES = [
+  'Owner',
+  'Administrator',
+  'Editor',
+  'Author',
+  'Contributor',
+  'Super Editor',
+];
+
+/**
+ * Staff role validation schema
+ */
+export const userRoleSchema = z.enum(USER_ROLES, {
+  error: () => ({ message: `Role must be one of: ${USER_ROLES.join(', ')}` }),
+});
+
+// ----- Input Schemas -----
+
+/**
+ * Schema for user query/filter parameters
+ */
+export const userQuerySchema = z.object({
+  limit: z.number().int().min(1).max(100).default(15).optional(),
+  page: z.number().int().min(1).default(1).optional(),
+  role: userRoleSchema
+    .optional()
+    .meta({ description: 'Only return staff users with this role (e.g., "Author")' }),
+  filter: z
+    .string()
+    .regex(/^[a-zA-Z0-9_\-:.'"\s,[\]<>=!+]+$/, 'Invalid filter: contains disallowed characters')
+    .optional()
+    .meta({ description: 'NQL filter string (e.g., "status:active")' }),
+  include: z
+    .string()
+    .optional()
+    .meta({ description: 'Comma-separated list of relations (e.g., "roles,count.posts")' }),
+  order: z.string().optional().meta({ description: 'Order results (e.g., "name ASC")' }),
+});
+
+/**
+ * Schema for looking up a single user by exactly one identifier
+ */
+export const userLookupSchema = z
+  .object({
+    id: ghostIdSchema.optional().meta({ description: 'The ID of the user to retrieve.' }),
+    slug: slugSchema.optional().meta({ description: 'The slug of the user to retrieve.' }),
+    email: emailSchema.optional().meta({ description: 'The email of the user to retrieve.' }),
+    include: z
+      .string()
+      .optional()
+      .meta({ description: 'Comma-separated list of relations (e.g., "roles,count.posts")' }),
+  })
+  .refine((data) => [data.id, data.slug, data.email].filter(Boolean).length === 1, {
+    message: 'Provide exactly one of id, slug or email to retrieve a user',
+  });
+
+// ----- Output Schemas -----
+
+/**
+ * Schema for a staff role object
+ */
+export const roleOutputSchema = z.object({
+  id: ghostIdSchema,
+  name: z.string(),
+  description: z.string().nullable().optional(),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().nullable().optional(),
+});
+
+/**
+ * Schema for a Ghost staff user object (as returned by the API)
+ */
+export const userOutputSchema = z.object({
+  id: ghostIdSchema,
+  name: z.string(),
+  slug: z.string(),
+  email: z.string().email().optional(),
+  profile_image: z.string().url().nullable().optional(),
+  cover_image: z.string().url().nullable().optional(),
+  bio: z.string().nullable().optional(),
+  website: z.string().url().nullable().optional(),
+  location: z.string().nullable().optional(),
+  facebook: z.string().nullable().optional(),
+  twitter: z.string().nullable().optional(),
+  accessibility: z.string().nullable().optional(),
+  status: z.string().optional(), // active, inactive, locked, warn-1..warn-4
+  meta_title: z.string().nullable().optional(),
+  meta_description: z.string().nullable().optional(),
+  tour: z.string().nullable().optional(),
+  last_seen: z.string().datetime().nullable().optional(),
+  roles: z.array(roleOutputSchema).optional(),
+  count: z.object({ posts: z.number() }).partial().optional(),
+  url: z.string().url().optional(),
+  created_at: z.string().datetime().optional(),
+  updated_at: z.string().datetime().nullable().optional(),
+});
+
+/**
+ * Schema for array of users
+ */
+export const usersArraySchema = z.array(userOutputSchema);
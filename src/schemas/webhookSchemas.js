@@ -0,0 +1,122 @@
+import { z } from 'zod';
+import { ghostIdSchema } from './common.js';
+
+/**
+ * Webhook Schemas for Ghost CMS
+ * Webhooks notify an external URL when content or members change
+ * Provides input/output validation for webhook operations
+ */
+
+/**
+ * Events Ghost can fire webhooks for
+ */
+export const WEBHOOK_EVENTS = [
+  'site.changed',
+  'post.added',
+  'post.deleted',
+  'post.edited',
+  'post.published',
+  'post.published.edited',
+  'post.unpublished',
+  'post.scheduled',
+  'post.unscheduled',
+  'post.rescheduled',
+  'page.added',
+  'page.deleted',
+  'page.edited',
+  'page.published',
+  'page.published.edited',
+  'page.unpublished',
+  'page.scheduled',
+  'page.unscheduled',
+  'page.rescheduled',
+  'tag.added',
+  'tag.edited',
+  'tag.deleted',
+  'post.tag.attached',
+  'post.tag.detached',
+  'page.tag.attached',
+  'page.tag.detached',
+  'member.added',
+  'member.edited',
+  'member.deleted',
+];
+
+// ----- Input Schemas -----
+
+/**
+ * Webhook event validation schema
+ */
+export const webhookEventSchema = z.enum(WEBHOOK_EVENTS, {
+  error: () => ({ message: `Event must be one of: ${WEBHOOK_EVENTS.join(', ')}` }),
+});
+
+/**
+ * Webhook target URL validation schema
+ * Ghost only delivers to http(s) endpoints
+ */
+export const webhookTargetUrlSchema = z
+  .string()
+  .url('Invalid target URL')
+  .regex(/^https?:\/\//i, 'Target URL must use http or https');
+
+/**
+ * Schema for creating a new webhook
+ * Required: event, target_url
+ * Optional: name, secret, api_version
+ */
+export const createWebhookSchema = z.object({
+  event: webhookEventSchema.meta({ description: 'Ghost event that triggers the webhook' }),
+  target_url: webhookTargetUrlSchema.meta({
+    description: 'URL Ghost will POST the event payload to',
+  }),
+  name: z.string().max(191, 'Name cannot exceed 191 characters').optional(),
+  secret: z
+    .string()
+    .min(8, 'Secret must be at least 8 characters')
+    .max(191, 'Secret cannot exceed 191 characters')
+    .optional()
+    .meta({
+      description:
+        'Shared secret Ghost uses to sign payloads (X-Ghost-Signature header). Set the same value as GHOST_WEBHOOK_SECRET to verify deliveries with the local receiver.',
+    }),
+  api_version: z
+    .string()
+    .regex(/^v\d+(\.\d+)?$/, 'API version must look like v5 or v5.0')
+    .optional()
+    .meta({ description: 'Admin API version used to render the payload (e.g., "v5.0")' }),
+});
+
+/**
+ * Schema for updating an existing webhook
+ * All fields optional
+ */
+export const updateWebhookSchema = createWebhookSchema.partial();
+
+/**
+ * Schema for webhook ID parameter
+ */
+export const webhookIdSchema = z.object({
+  id: ghostIdSchema,
+});
+
+// ----- Output Schemas -----
+
+/**
+ * Schema for a Ghost webhook object (as returned by the API)
+ */
+export const webhookOutputSchema = z.object({
+  id: ghostIdSchema,
+  event: z.string(),
+  target_url: z.string().url(),
+  name: z.string().nullable().optional(),
+  secret: z.string().nullable().optional(),
+  api_version: z.string().optional(),
+  integration_id: ghostIdSchema.optional(),
+  status: z.string().optional(),
+  last_triggered_at: z.string().datetime().nullable().optional(),
+  last_triggered_status: z.string().nullable().optional(),
+  last_triggered_error: z.string().nullable().optional(),
+  created_at: z.string().datetime(),
+  updated_at: z.string().datetime().nullable().optional(),
+});
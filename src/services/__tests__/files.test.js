@@ -0,0 +1,49 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+vi.mock('dotenv', () => mockDotenv());
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Stub path validation so these tests focus on argument shaping, not FS.
+vi.mock('../validators.js', () => ({
+  validators: { validateFilePath: vi.fn().mockResolvedValue(undefined) },
+}));
+
+import { uploadFile } from '../files.js';
+import { api } from '../ghostApiClient.js';
+import { validators } from '../validators.js';
+
+describe('files.uploadFile', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('uploads a file with ref', async () => {
+    api.files.upload.mockResolvedValue({ url: 'https://cdn/files/guide.pdf', ref: 'guide' });
+
+    const result = await uploadFile('/tmp/guide.pdf', { ref: 'guide' });
+
+    expect(result).toEqual({ url: 'https://cdn/files/guide.pdf', ref: 'guide' });
+    expect(api.files.upload).toHaveBeenCalledWith({ file: '/tmp/guide.pdf', ref: 'guide' });
+    expect(validators.validateFilePath).toHaveBeenCalledWith('/tmp/guide.pdf', 'File');
+  });
+
+  it('accepts upper-case extensions', async () => {
+    api.files.upload.mockResolvedValue({ url: 'https://cdn/files/DATA.CSV' });
+    await expect(uploadFile('/tmp/DATA.CSV')).resolves.toBeDefined();
+  });
+
+  it('rejects extensions outside the file allowlist', async () => {
+    await expect(uploadFile('/tmp/run.exe')).rejects.toThrow(/Unsupported file type ".exe"/);
+    expect(api.files.upload).not.toHaveBeenCalled();
+  });
+
+  it('rejects non-string ref', async () => {
+    await expect(uploadFile('/tmp/guide.pdf', { ref: 42 })).rejects.toThrow(/must be a string/);
+  });
+});
@@ -0,0 +1,347 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The site timezone comes from settings, which are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  getPostAnalytics,
+  getEmailReport,
+  getMemberStats,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ANALYTICS_INCLUDE } from '../analytics.js';
+import { ValidationError } from '../../errors/index.js';
+
+const weekly = { id: 'nl-1', slug: 'weekly', name: 'Weekly' };
+
+const emailedPost = (id, publishedAt, stats = {}) => ({
+  id,
+  title: `Issue ${id}`,
+  slug: `issue-${id}`,
+  status: 'published',
+  published_at: publishedAt,
+  newsletter: weekly,
+  email: {
+    status: 'submitted',
+    submitted_at: publishedAt,
+    email_count: 200,
+    delivered_count: 190,
+    opened_count: 95,
+    failed_count: 10,
+    ...stats,
+  },
+  count: { clicks: 19, signups: 3, paid_conversions: 1, comments: 4 },
+});
+
+const gold = { id: 'tier-gold', name: 'Gold' };
+
+const subscription = (
+  status,
+  { amount = 1000, interval = 'month', currency = 'usd', ...dates }
+) => ({
+  status,
+  price: { amount, interval, currency, tier: gold },
+  tier: gold,
+  start_date: '2024-06-01T00:00:00.000Z',
+  current_period_end: '2025-03-01T00:00:00.000Z',
+  ...dates,
+});
+
+describe('ghostServiceImproved - Analytics', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-02-07T12:00:00Z'));
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    mockAxios.mockResolvedValue({
+      data: { settings: [{ key: 'timezone', value: 'Europe/London' }] },
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getPostAnalytics', () => {
+    it('should read the post with stats includes and compute rates', async () => {
+      api.posts.read.mockResolvedValue(emailedPost('p1', '2025-02-03T08:00:00.000Z'));
+
+      const analytics = await getPostAnalytics('p1');
+
+      expect(api.posts.read).toHaveBeenCalledWith({ include: ANALYTICS_INCLUDE }, { id: 'p1' });
+      expect(analytics).toMatchObject({
+        post: { id: 'p1', title: 'Issue p1' },
+        newsletter: weekly,
+        email: {
+          recipients: 200,
+          delivered: 190,
+          opened: 95,
+          clicked: 19,
+          open_rate: 50,
+          click_rate: 10,
+        },
+        signups: 3,
+        paid_conversions: 1,
+        comments: 4,
+      });
+    });
+
+    it('should return null email stats for a post that was not emailed', async () => {
+      api.posts.read.mockResolvedValue({ id: 'p2', title: 'Web only', email: null, count: {} });
+
+      const analytics = await getPostAnalytics('p2');
+
+      expect(analytics.email).toBeNull();
+      expect(analytics.signups).toBe(0);
+    });
+
+    it('should fall back to sent minus failed when delivery is not counted yet', async () => {
+      api.posts.read.mockResolvedValue(
+        emailedPost('p3', '2025-02-03T08:00:00.000Z', { delivered_count: null, opened_count: 0 })
+      );
+
+      const { email } = await getPostAnalytics('p3');
+
+      expect(email.delivered).toBe(190);
+      expect(email.open_rate).toBe(0);
+    });
+  });
+
+  describe('getEmailReport', () => {
+    it('should cover the last 7 days in the site timezone by default', async () => {
+      api.posts.browse.mockResolvedValue([]);
+
+      const report = await getEmailReport();
+
+      expect(report).toMatchObject({
+        timezone: 'Europe/London',
+        from: '2025-02-01',
+        to: '2025-02-07',
+      });
+      expect(api.posts.browse).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filter:
+            "status:[published,sent]+published_at:>='2025-02-01T00:00:00.000Z'+published_at:<'2025-02-08T00:00:00.000Z'",
+          include: ANALYTICS_INCLUDE,
+        }),
+        {}
+      );
+      expect(report.series).toHaveLength(7);
+      expect(report.summary).toMatchObject({ emails: 0, open_rate: null });
+    });
+
+    it('should read the site timezone directly, without an SDK settings resource', async () => {
+      api.posts.browse.mockResolvedValue([]);
+
+      await getEmailReport();
+
+      expect(api.settings.browse).not.toHaveProperty('mock');
+      expect(mockAxios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: 'GET',
+          url: 'https://test.ghost.io/ghost/api/admin/settings/',
+        })
+      );
+    });
+
+    it('should default to UTC on a client without a settings resource', async () => {
+      api.posts.browse.mockResolvedValue([]);
+      const { settings } = api;
+      delete api.settings;
+      try {
+        const report = await getEmailReport();
+
+        expect(report).toMatchObject({ timezone: 'Etc/UTC', from: '2025-02-01', to: '2025-02-07' });
+        expect(api.posts.browse.mock.calls[0][0].filter).toContain(
+          "published_at:>='2025-02-01T00:00:00.000Z'"
+        );
+      } finally {
+        api.settings = settings;
+      }
+    });
+
+    it('should total emails, skip web-only posts and fill quiet days with zeros', async () => {
+      api.posts.browse.mockResolvedValue([
+        emailedPost('p1', '2025-02-03T08:00:00.000Z'),
+        { id: 'web', title: 'Web only', published_at: '2025-02-04T08:00:00.000Z', email: null },
+        emailedPost('p2', '2025-02-05T08:00:00.000Z', { opened_count: 57 }),
+      ]);
+
+      const report = await getEmailReport({
+        from: '2025-02-03',
+        to: '2025-02-05',
+        timezone: 'UTC',
+      });
+
+      expect(mockAxios).not.toHaveBeenCalled();
+      expect(report.emails.map((row) => row.post.id)).toEqual(['p1', 'p2']);
+      expect(report.summary).toMatchObject({
+        emails: 2,
+        recipients: 400,
+        delivered: 380,
+        opened: 152,
+        clicked: 38,
+        signups: 6,
+        comments: 8,
+        open_rate: 40,
+        click_rate: 10,
+      });
+      expect(report.series.map(({ period, emails }) => [period, emails])).toEqual([
+        ['2025-02-03', 1],
+        ['2025-02-04', 0],
+        ['2025-02-05', 1],
+      ]);
+      expect(report.series[2].open_rate).toBe(30);
+      expect(report.table.split('\n')).toEqual([
+        '| Sent | Post | Newsletter | Recipients | Opened | Open rate | Clicked | Click rate | Signups | Comments |',
+        '| --- | --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+        '| 2025-02-03 | Issue p1 | Weekly | 200 | 95 | 50% | 19 | 10% | 3 | 4 |',
+        '| 2025-02-05 | Issue p2 | Weekly | 200 | 57 | 30% | 19 | 10% | 3 | 4 |',
+        '| **Total** | 2 emails | | 400 | 152 | 40% | 38 | 10% | 6 | 8 |',
+      ]);
+    });
+
+    it('should group by week starting on Monday and filter by newsletter', async () => {
+      api.posts.browse.mockResolvedValue([
+        emailedPost('p1', '2025-02-02T08:00:00.000Z'),
+        emailedPost('p2', '2025-02-04T08:00:00.000Z'),
+        { ...emailedPost('p3', '2025-02-05T08:00:00.000Z'), newsletter: { slug: 'daily' } },
+      ]);
+
+      const report = await getEmailReport({
+        from: '2025-02-01',
+        to: '2025-02-10',
+        timezone: 'UTC',
+        newsletter: 'weekly',
+        groupBy: 'week',
+      });
+
+      expect(report.series.map(({ period, emails }) => [period, emails])).toEqual([
+        ['2025-01-27', 1],
+        ['2025-02-03', 1],
+        ['2025-02-10', 0],
+      ]);
+      expect(report.summary.emails).toBe(2);
+    });
+
+    it('should reject reversed and oversized ranges', async () => {
+      await expect(
+        getEmailReport({ from: '2025-02-05', to: '2025-02-01', timezone: 'UTC' })
+      ).rejects.toThrow(ValidationError);
+      await expect(
+        getEmailReport({ from: '2024-01-01', to: '2025-01-01', timezone: 'UTC' })
+      ).rejects.toThrow('cannot exceed 366 days');
+      expect(api.posts.browse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMemberStats', () => {
+    const members = [
+      { id: 'm1', status: 'free', created_at: '2024-01-10T00:00:00.000Z', subscriptions: [] },
+      { id: 'm2', status: 'free', created_at: '2025-02-03T09:00:00.000Z', subscriptions: [] },
+      {
+        id: 'm3',
+        status: 'paid',
+        created_at: '2024-06-01T00:00:00.000Z',
+        subscriptions: [subscription('active', {})],
+      },
+      {
+        id: 'm4',
+        status: 'paid',
+        created_at: '2025-02-05T10:00:00.000Z',
+        subscriptions: [
+          subscription('active', {
+            amount: 12000,
+            interval: 'year',
+            currency: 'eur',
+            start_date: '2025-02-05T10:00:00.000Z',
+          }),
+        ],
+      },
+      {
+        id: 'm5',
+        status: 'free',
+        created_at: '2024-03-01T00:00:00.000Z',
+        subscriptions: [
+          subscription('canceled', { current_period_end: '2025-02-04T12:00:00.000Z' }),
+        ],
+      },
+      {
+        id: 'm6',
+        status: 'comped',
+        created_at: '2024-03-01T00:00:00.000Z',
+        subscriptions: [subscription('active', { amount: 0 })],
+      },
+    ];
+
+    it('should count members, signups, cancellations, churn and MRR', async () => {
+      api.members.browse.mockResolvedValue(members);
+
+      const stats = await getMemberStats({ from: '2025-02-03', to: '2025-02-05', timezone: 'UTC' });
+
+      expect(api.members.browse).toHaveBeenCalledWith(
+        { include: 'tiers', order: 'created_at asc', limit: 100, page: 1 },
+        {}
+      );
+      expect(stats.totals).toEqual({ total: 6, free: 3, paid: 2, comped: 1 });
+      expect(stats).toMatchObject({
+        signups: 2,
+        cancellations: 1,
+        paid_at_start: 2,
+        churn_rate: 50,
+      });
+      expect(stats.series).toEqual([
+        { period: '2025-02-03', signups: 1, cancellations: 0 },
+        { period: '2025-02-04', signups: 0, cancellations: 1 },
+        { period: '2025-02-05', signups: 1, cancellations: 0 },
+      ]);
+      expect(stats.mrr).toEqual({
+        by_currency: { EUR: 1000, USD: 1000 },
+        by_tier: [
+          { tier: gold, currency: 'USD', subscriptions: 1, mrr: 1000 },
+          { tier: gold, currency: 'EUR', subscriptions: 1, mrr: 1000 },
+        ],
+      });
+    });
+
+    it('should page through every member', async () => {
+      const page = Object.assign([members[0]], { meta: { pagination: { next: 2 } } });
+      api.members.browse
+        .mockResolvedValueOnce(page)
+        .mockResolvedValueOnce(
+          Object.assign([members[1]], { meta: { pagination: { next: null } } })
+        );
+
+      const stats = await getMemberStats({ groupBy: 'month' });
+
+      expect(api.members.browse).toHaveBeenCalledTimes(2);
+      expect(stats.totals.total).toBe(2);
+      expect(stats.series).toEqual([{ period: '2025-02', signups: 1, cancellations: 0 }]);
+      expect(stats.churn_rate).toBeNull();
+    });
+  });
+});
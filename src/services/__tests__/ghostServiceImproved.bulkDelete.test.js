@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  previewBulkDelete,
+  confirmBulkDelete,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { CONFIRMATION_TTL_MS } from '../bulkDelete.js';
+import { ValidationError } from '../../errors/index.js';
+
+const tmpDir = path.join(os.tmpdir(), `bulk-delete-test-${Date.now()}`);
+
+const member = (id) => ({
+  id,
+  email: `${id}@spam.example`,
+  name: null,
+  status: 'free',
+  created_at: '2024-01-01T00:00:00.000Z',
+  labels: [],
+});
+
+const noDelay = { delayMs: 0 };
+
+describe('ghostServiceImproved - Bulk delete', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    api.members.delete.mockResolvedValue(undefined);
+    api.posts.delete.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('previewBulkDelete', () => {
+    it('should count matches and return a sample and a token without deleting', async () => {
+      api.members.browse.mockResolvedValue([member('m1'), member('m2'), member('m3')]);
+
+      const preview = await previewBulkDelete('members', "status:free+created_at:>'2025-01-30'", {
+        sampleSize: 2,
+      });
+
+      expect(api.members.browse).toHaveBeenCalledWith(
+        expect.objectContaining({ filter: "status:free+created_at:>'2025-01-30'", page: 1 }),
+        {}
+      );
+      expect(api.members.delete).not.toHaveBeenCalled();
+      expect(preview).toMatchObject({ resource: 'members', count: 3 });
+      expect(preview.sample).toEqual([
+        {
+          id: 'm1',
+          email: 'm1@spam.example',
+          name: null,
+          status: 'free',
+          created_at: '2024-01-01T00:00:00.000Z',
+        },
+        {
+          id: 'm2',
+          email: 'm2@spam.example',
+          name: null,
+          status: 'free',
+          created_at: '2024-01-01T00:00:00.000Z',
+        },
+      ]);
+      expect(preview.confirmation_token).toMatch(/^[a-f0-9]{32}$/);
+      expect(Date.parse(preview.expires_at)).toBeGreaterThan(Date.now());
+    });
+
+    it('should not issue a token when nothing matches', async () => {
+      api.posts.browse.mockResolvedValue([]);
+
+      const preview = await previewBulkDelete('posts', 'status:draft');
+
+      expect(preview).toMatchObject({ count: 0, confirmation_token: null, expires_at: null });
+    });
+
+    it('should refuse filters that match more than max_items', async () => {
+      api.posts.browse.mockResolvedValue([{ id: 'p1' }, { id: 'p2' }, { id: 'p3' }]);
+
+      await expect(previewBulkDelete('posts', 'status:draft', { maxItems: 2 })).rejects.toThrow(
+        'Filter matches more than 2 posts'
+      );
+    });
+
+    it('should require a filter', async () => {
+      await expect(previewBulkDelete('pages', '')).rejects.toThrow(ValidationError);
+      expect(api.pages.browse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmBulkDelete', () => {
+    const preview = async (filter = 'status:free', items = [member('m1'), member('m2')]) => {
+      api.members.browse.mockResolvedValue(items);
+      return (await previewBulkDelete('members', filter)).confirmation_token;
+    };
+
+    it('should delete exactly the previewed items', async () => {
+      const token = await preview();
+      // A member that starts matching after the preview is left alone
+      api.members.browse.mockResolvedValue([member('m1'), member('m2'), member('m3')]);
+
+      const result = await confirmBulkDelete('members', 'status:free', token, noDelay);
+
+      expect(api.members.delete).toHaveBeenCalledTimes(2);
+      expect(api.members.delete).toHaveBeenCalledWith('m1', {});
+      expect(api.members.delete).toHaveBeenCalledWith('m2', {});
+      expect(result).toEqual({
+        resource: 'members',
+        filter: 'status:free',
+        backup_dir: null,
+        summary: { confirmed: 2, deleted: 2, not_found: 0, failed: 0 },
+        items: [
+          { id: 'm1', status: 'deleted' },
+          { id: 'm2', status: 'deleted' },
+        ],
+      });
+    });
+
+    it('should only accept a token once', async () => {
+      const token = await preview();
+      await confirmBulkDelete('members', 'status:free', token, noDelay);
+
+      await expect(confirmBulkDelete('members', 'status:free', token, noDelay)).rejects.toThrow(
+        'Confirmation token is invalid or has expired'
+      );
+    });
+
+    it('should reject expired tokens', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const token = await preview();
+      vi.setSystemTime(Date.now() + CONFIRMATION_TTL_MS + 1);
+
+      await expect(confirmBulkDelete('members', 'status:free', token, noDelay)).rejects.toThrow(
+        ValidationError
+      );
+      expect(api.members.delete).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token issued for another filter or resource', async () => {
+      const token = await preview();
+
+      const error = await confirmBulkDelete('members', 'status:paid', token).catch((e) => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors[0]).toMatchObject({ field: 'confirmation_token' });
+      await expect(confirmBulkDelete('posts', 'status:free', token)).rejects.toThrow(
+        'does not match'
+      );
+      expect(api.members.delete).not.toHaveBeenCalled();
+    });
+
+    it('should write a backup of each item before deleting it', async () => {
+      const token = await preview('status:free', [member('m1')]);
+      api.members.read.mockResolvedValue(member('m1'));
+      api.members.delete.mockImplementation(async () => {
+        // The backup is already on disk when the delete runs
+        await fs.access(path.join(tmpDir, 'm1.json'));
+      });
+
+      const result = await confirmBulkDelete('members', 'status:free', token, {
+        ...noDelay,
+        backupDir: tmpDir,
+      });
+
+      expect(api.members.read).toHaveBeenCalledWith(
+        { include: 'labels,newsletters' },
+        { id: 'm1' }
+      );
+      expect(result.items).toEqual([
+        { id: 'm1', status: 'deleted', backup: path.join(tmpDir, 'm1.json') },
+      ]);
+      const backup = JSON.parse(await fs.readFile(path.join(tmpDir, 'm1.json'), 'utf8'));
+      expect(backup).toEqual(member('m1'));
+    });
+
+    it('should report items that are already gone and items Ghost refuses', async () => {
+      const token = await preview('status:free', [member('m1'), member('m2'), member('m3')]);
+      const gone = new Error('Member not found');
+      gone.response = { status: 404 };
+      const refused = new Error('Cannot delete member');
+      refused.response = { status: 422 };
+      api.members.delete.mockImplementation(async (id) => {
+        if (id === 'm1') throw gone;
+        if (id === 'm2') throw refused;
+      });
+
+      // Ghost errors are retried with backoff before they are reported
+      vi.useFakeTimers();
+      const pending = confirmBulkDelete('members', 'status:free', token, noDelay);
+      await vi.advanceTimersByTimeAsync(10000);
+      const result = await pending;
+
+      expect(result.summary).toEqual({ confirmed: 3, deleted: 1, not_found: 1, failed: 1 });
+      expect(result.items[0]).toEqual({ id: 'm1', status: 'not_found' });
+      expect(result.items[1]).toMatchObject({ id: 'm2', status: 'failed' });
+    });
+  });
+});
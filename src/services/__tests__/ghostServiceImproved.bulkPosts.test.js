@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { bulkUpdatePosts, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+const AUTHOR_ID = '507f1f77bcf86cd799439011';
+
+const recipes = { id: 'tag-recipes', name: 'Recipes', slug: 'recipes' };
+const archive = { id: 'tag-archive', name: 'Archive', slug: 'archive' };
+const knownTags = [recipes, archive];
+
+const post = (id, overrides = {}) => ({
+  id,
+  title: `Post ${id}`,
+  slug: `post-${id}`,
+  status: 'published',
+  visibility: 'public',
+  featured: false,
+  tags: [recipes],
+  authors: [{ id: 'author-1' }],
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const noDelay = { delayMs: 0 };
+
+describe('ghostServiceImproved - Bulk post updates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    // findTag filters by id:'x' or slug:'x',name:'x'
+    api.tags.browse.mockImplementation(async ({ filter }) =>
+      knownTags.filter((tag) => [tag.id, tag.slug, tag.name].some((v) => filter.includes(`'${v}'`)))
+    );
+    api.posts.read.mockImplementation(async ({ id }) => ({
+      id,
+      updated_at: '2024-02-01T00:00:00.000Z',
+    }));
+    api.posts.edit.mockImplementation(async (data) => ({ ...data }));
+  });
+
+  it('should merge tags into each post and skip posts that would not change', async () => {
+    api.posts.browse.mockResolvedValue([post('1'), post('2', { tags: [recipes, archive] })]);
+
+    const result = await bulkUpdatePosts('tag:recipes', { addTags: ['archive'] }, noDelay);
+
+    expect(api.posts.browse).toHaveBeenCalledWith(
+      expect.objectContaining({ filter: 'tag:recipes', include: 'tags,authors', page: 1 }),
+      {}
+    );
+    expect(api.posts.edit).toHaveBeenCalledTimes(1);
+    expect(api.posts.edit).toHaveBeenCalledWith(
+      {
+        id: '1',
+        tags: [{ id: 'tag-recipes' }, { id: 'tag-archive' }],
+        updated_at: '2024-02-01T00:00:00.000Z',
+      },
+      {}
+    );
+    expect(result.summary).toEqual({ matched: 2, updated: 1, unchanged: 1, failed: 0 });
+    expect(result.posts).toEqual([
+      {
+        id: '1',
+        title: 'Post 1',
+        slug: 'post-1',
+        status: 'updated',
+        changes: { tags: { before: ['Recipes'], after: ['Recipes', 'Archive'] } },
+      },
+      { id: '2', title: 'Post 2', slug: 'post-2', status: 'unchanged' },
+    ]);
+  });
+
+  it('should preview changes without writing on a dry run', async () => {
+    api.posts.browse.mockResolvedValue([post('1'), post('2', { visibility: 'members' })]);
+
+    const result = await bulkUpdatePosts(
+      "published_at:<'2022-01-01'",
+      { visibility: 'members', removeTags: ['Recipes'], addTags: ['Old News'] },
+      { ...noDelay, dryRun: true }
+    );
+
+    expect(api.posts.edit).not.toHaveBeenCalled();
+    expect(result.dry_run).toBe(true);
+    expect(result.new_tags).toEqual(['Old News']);
+    expect(result.summary).toEqual({ matched: 2, would_update: 2, unchanged: 0, failed: 0 });
+    expect(result.posts[0].changes).toEqual({
+      visibility: { before: 'public', after: 'members' },
+      tags: { before: ['Recipes'], after: ['Old News'] },
+    });
+    expect(result.posts[1].changes).toEqual({
+      tags: { before: ['Recipes'], after: ['Old News'] },
+    });
+  });
+
+  it('should create new tags first and set scalar fields and authors', async () => {
+    api.posts.browse.mockResolvedValue([post('1')]);
+    api.tags.add.mockResolvedValue({ id: 'tag-old-news', name: 'Old News', slug: 'old-news' });
+
+    await bulkUpdatePosts(
+      'featured:false',
+      { addTags: ['Old News'], featured: true, status: 'draft', authors: [AUTHOR_ID] },
+      noDelay
+    );
+
+    expect(api.posts.edit).toHaveBeenCalledWith(
+      {
+        id: '1',
+        featured: true,
+        status: 'draft',
+        authors: [{ id: AUTHOR_ID }],
+        tags: [{ id: 'tag-recipes' }, { id: 'tag-old-news' }],
+        updated_at: '2024-02-01T00:00:00.000Z',
+      },
+      {}
+    );
+  });
+
+  it('should create each new tag once however many posts get it', async () => {
+    api.posts.browse.mockResolvedValue([post('1'), post('2'), post('3')]);
+    api.tags.add.mockResolvedValue({ id: 'tag-old-news', name: 'Old News', slug: 'old-news' });
+
+    const result = await bulkUpdatePosts('tag:recipes', { addTags: ['Old News'] }, noDelay);
+
+    expect(api.tags.add).toHaveBeenCalledTimes(1);
+    expect(api.tags.add).toHaveBeenCalledWith({ name: 'Old News', slug: 'old-news' }, {});
+    expect(api.tags.add.mock.invocationCallOrder[0]).toBeLessThan(
+      api.posts.edit.mock.invocationCallOrder[0]
+    );
+    for (const [data] of api.posts.edit.mock.calls) {
+      expect(data.tags).toEqual([{ id: 'tag-recipes' }, { id: 'tag-old-news' }]);
+    }
+    expect(result.summary.updated).toBe(3);
+    expect(result.new_tags).toEqual(['Old News']);
+  });
+
+  it('should not create tags on a dry run or when no post matches', async () => {
+    api.posts.browse.mockResolvedValueOnce([post('1')]).mockResolvedValueOnce([]);
+
+    await bulkUpdatePosts('tag:recipes', { addTags: ['Old News'] }, { dryRun: true });
+    await bulkUpdatePosts('tag:none', { addTags: ['Old News'] }, noDelay);
+
+    expect(api.tags.add).not.toHaveBeenCalled();
+  });
+
+  it('should page through every matching post before writing', async () => {
+    api.posts.browse
+      .mockResolvedValueOnce(
+        Object.assign([post('1')], { meta: { pagination: { page: 1, next: 2 } } })
+      )
+      .mockResolvedValueOnce(
+        Object.assign([post('2')], { meta: { pagination: { page: 2, next: null } } })
+      );
+
+    const result = await bulkUpdatePosts('tag:recipes', { featured: true }, noDelay);
+
+    expect(api.posts.browse).toHaveBeenCalledTimes(2);
+    expect(result.summary.updated).toBe(2);
+  });
+
+  it('should report posts Ghost rejects as failed without stopping', async () => {
+    api.posts.browse.mockResolvedValue([post('1'), post('2')]);
+    const error = new Error('Post validation failed');
+    error.response = { status: 422 };
+    api.posts.edit.mockImplementation(async (data) => {
+      if (data.id === '1') throw error;
+      return data;
+    });
+
+    const result = await bulkUpdatePosts('tag:recipes', { featured: true }, noDelay);
+
+    expect(result.summary).toMatchObject({ updated: 1, failed: 1 });
+    expect(result.posts[0]).toMatchObject({ status: 'failed', errors: [{ field: 'post' }] });
+  });
+
+  it('should refuse to run when more posts match than max_posts', async () => {
+    api.posts.browse.mockResolvedValue([post('1'), post('2'), post('3')]);
+
+    await expect(
+      bulkUpdatePosts('tag:recipes', { featured: true }, { maxPosts: 2 })
+    ).rejects.toThrow('Filter matches more than 2 posts');
+    expect(api.posts.edit).not.toHaveBeenCalled();
+  });
+
+  it('should reject empty filters, empty patches and unknown tags to remove', async () => {
+    await expect(bulkUpdatePosts('', { featured: true })).rejects.toThrow(ValidationError);
+    await expect(bulkUpdatePosts('tag:x', { featured: undefined })).rejects.toThrow(
+      'The patch does not change anything'
+    );
+
+    const error = await bulkUpdatePosts('tag:x', { removeTags: ['missing'] }).catch((e) => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual([{ field: 'remove_tags', message: 'No tag found for "missing"' }]);
+    expect(api.posts.browse).not.toHaveBeenCalled();
+  });
+});
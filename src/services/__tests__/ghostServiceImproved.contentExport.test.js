@@ -0,0 +1,222 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { exportContent, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+const tmpDir = path.join(os.tmpdir(), `content-export-test-${Date.now()}`);
+
+const author = { id: 'u1', name: 'Jane', slug: 'jane', email: 'jane@example.com', url: 'x' };
+const news = { id: 't1', name: 'News', slug: 'news', url: 'https://example.com/tag/news/' };
+
+const post = {
+  id: 'p1',
+  title: 'Hello',
+  slug: 'hello',
+  status: 'published',
+  visibility: 'public',
+  featured: false,
+  published_at: '2024-01-01T10:00:00.000Z',
+  custom_excerpt: null,
+  html: '<p>Hello <strong>world</strong></p>',
+  lexical: '{"root":{}}',
+  url: 'https://example.com/hello/',
+  excerpt: 'Hello world',
+  reading_time: 1,
+  tags: [news],
+  authors: [author],
+  primary_tag: news,
+  primary_author: author,
+};
+
+const page = {
+  id: 'pg1',
+  title: 'About',
+  slug: 'about',
+  status: 'draft',
+  html: '<h2>About us</h2>',
+  tags: [],
+  authors: [author],
+};
+
+const withMeta = (items, next = null) =>
+  Object.assign(items, { meta: { pagination: { page: 1, limit: 100, next } } });
+
+const readJson = async (...parts) => JSON.parse(await fs.readFile(path.join(...parts), 'utf8'));
+
+describe('ghostServiceImproved - Content export', () => {
+  let outputDir;
+  let counter = 0;
+
+  beforeAll(async () => {
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    outputDir = path.join(tmpDir, `export-${++counter}`);
+    api.site.read.mockResolvedValue({
+      title: 'My Site',
+      url: 'https://example.com',
+      version: '5.80',
+    });
+    api.posts.browse.mockResolvedValue(withMeta([post]));
+    api.pages.browse.mockResolvedValue(withMeta([page]));
+    api.tags.browse.mockResolvedValue(withMeta([news]));
+    api.tiers.browse.mockResolvedValue(withMeta([{ id: 'tier1', name: 'Gold', slug: 'gold' }]));
+    api.newsletters.browse.mockResolvedValue(
+      withMeta([{ id: 'n1', name: 'Weekly', slug: 'weekly' }])
+    );
+  });
+
+  it('should write a Ghost import file and a versioned manifest', async () => {
+    const result = await exportContent(outputDir);
+
+    expect(result).toMatchObject({
+      path: outputDir,
+      format_version: 1,
+      format: 'json',
+      site: { title: 'My Site', url: 'https://example.com', version: '5.80' },
+      counts: { posts: 1, pages: 1, tags: 1, tiers: 1, newsletters: 1 },
+      files: ['ghost-import.json'],
+    });
+    expect(await readJson(outputDir, 'manifest.json')).toEqual(
+      expect.objectContaining({ format_version: 1, exported_at: result.exported_at })
+    );
+
+    const [{ meta, data }] = (await readJson(outputDir, 'ghost-import.json')).db;
+    expect(meta).toEqual({ exported_on: Date.parse(result.exported_at), version: '5.80' });
+    expect(data.posts.map(({ id, type }) => [id, type])).toEqual([
+      ['p1', 'post'],
+      ['pg1', 'page'],
+    ]);
+    expect(data.posts[0]).not.toHaveProperty('tags');
+    expect(data.posts[0]).not.toHaveProperty('url');
+    expect(data.posts[0].lexical).toBe('{"root":{}}');
+    expect(data.posts_tags).toEqual([{ post_id: 'p1', tag_id: 't1', sort_order: 0 }]);
+    expect(data.posts_authors).toEqual([
+      { post_id: 'p1', author_id: 'u1', sort_order: 0 },
+      { post_id: 'pg1', author_id: 'u1', sort_order: 0 },
+    ]);
+    expect(data.users).toEqual([
+      { id: 'u1', name: 'Jane', slug: 'jane', email: 'jane@example.com' },
+    ]);
+    expect(data.tags).toEqual([{ id: 't1', name: 'News', slug: 'news' }]);
+    expect(data.products).toEqual([{ id: 'tier1', name: 'Gold', slug: 'gold' }]);
+    expect(data.newsletters).toEqual([{ id: 'n1', name: 'Weekly', slug: 'weekly' }]);
+  });
+
+  it('should write Markdown files with front matter', async () => {
+    const result = await exportContent(outputDir, { format: 'markdown' });
+
+    expect(result.files).toEqual([
+      'posts/hello.md',
+      'pages/about.md',
+      'tags.json',
+      'tiers.json',
+      'newsletters.json',
+    ]);
+    expect(await fs.readFile(path.join(outputDir, 'posts', 'hello.md'), 'utf8')).toBe(
+      '---\n' +
+        'title: "Hello"\n' +
+        'slug: "hello"\n' +
+        'status: "published"\n' +
+        'visibility: "public"\n' +
+        'featured: false\n' +
+        'published_at: "2024-01-01T10:00:00.000Z"\n' +
+        'tags:\n- "news"\n' +
+        'authors:\n- "jane"\n' +
+        '---\n\n' +
+        'Hello **world**\n'
+    );
+    expect(await fs.readFile(path.join(outputDir, 'pages', 'about.md'), 'utf8')).toContain(
+      'tags: []\nauthors:\n- "jane"\n---\n\n## About us\n'
+    );
+    expect(await readJson(outputDir, 'tiers.json')).toEqual([
+      { id: 'tier1', name: 'Gold', slug: 'gold' },
+    ]);
+  });
+
+  it('should page through every item and sort by slug', async () => {
+    api.posts.browse
+      .mockResolvedValueOnce(withMeta([{ ...post, id: 'p2', slug: 'zebra' }], 2))
+      .mockResolvedValueOnce(withMeta([post]));
+
+    const result = await exportContent(outputDir, { types: ['posts'] });
+
+    expect(api.posts.browse).toHaveBeenCalledTimes(2);
+    expect(api.posts.browse).toHaveBeenLastCalledWith(
+      { formats: 'html,lexical', include: 'tags,authors', limit: 100, page: 2 },
+      {}
+    );
+    expect(api.pages.browse).not.toHaveBeenCalled();
+    expect(result.counts).toEqual({ posts: 2 });
+
+    const [{ data }] = (await readJson(outputDir, 'ghost-import.json')).db;
+    expect(data.posts.map((p) => p.slug)).toEqual(['hello', 'zebra']);
+    expect(data).not.toHaveProperty('tags');
+  });
+
+  it('should skip a type the Admin API client cannot read and report it', async () => {
+    const { tiers } = api;
+    delete api.tiers;
+    try {
+      const result = await exportContent(outputDir);
+
+      expect(result.counts).toEqual({ posts: 1, pages: 1, tags: 1, newsletters: 1 });
+      expect(result.skipped).toEqual({
+        tiers: 'Invalid Ghost API resource or action: tiers.browse',
+      });
+      expect((await readJson(outputDir, 'manifest.json')).skipped).toEqual(result.skipped);
+      const [{ data }] = (await readJson(outputDir, 'ghost-import.json')).db;
+      expect(data).not.toHaveProperty('products');
+    } finally {
+      api.tiers = tiers;
+    }
+  });
+
+  it('should not report skipped types when every type was read', async () => {
+    const result = await exportContent(outputDir);
+
+    expect(result).not.toHaveProperty('skipped');
+  });
+
+  it('should refuse to write into a directory that already has files', async () => {
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'old.json'), '{}');
+
+    const error = await exportContent(outputDir).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors[0].field).toBe('output_dir');
+    expect(api.posts.browse).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  searchContent,
+  refreshContentIndex,
+  resetContentIndex,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+const post = (id, overrides = {}) => ({
+  id,
+  title: `Post ${id}`,
+  slug: `post-${id}`,
+  url: `https://example.com/post-${id}/`,
+  status: 'published',
+  plaintext: '',
+  published_at: '2024-06-01T10:00:00.000Z',
+  updated_at: '2024-06-01T10:00:00.000Z',
+  tags: [],
+  authors: [{ slug: 'jane', email: 'Jane@Example.com' }],
+  ...overrides,
+});
+
+/**
+ * Makes a browse mock that serves full items for content queries and
+ * { id } stubs for the id-only query used to detect deletions.
+ */
+const serve = (items) => async (options) => {
+  if (options.fields === 'id') return items.map(({ id }) => ({ id }));
+  const since = options.filter?.match(/updated_at:>='([^']+)'/)?.[1];
+  return items.filter((item) => !since || item.updated_at >= since);
+};
+
+describe('ghostServiceImproved - Content search', () => {
+  let posts;
+  let pages;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-07-01T00:00:00Z'));
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    resetContentIndex();
+
+    posts = [
+      post('1', {
+        title: 'Scaling with Kubernetes',
+        plaintext: 'How we moved our services to Kubernetes clusters.',
+        tags: [{ slug: 'devops' }],
+      }),
+      post('2', {
+        title: 'Team offsite',
+        plaintext: 'We talked about hiring. Someone mentioned kubernetes at lunch.',
+        status: 'draft',
+        published_at: null,
+        authors: [{ slug: 'sam', email: 'sam@example.com' }],
+      }),
+      post('3', { title: 'Recipes', plaintext: 'Pasta and pesto.' }),
+    ];
+    pages = [
+      post('p1', {
+        title: 'About',
+        custom_excerpt: 'We run everything on Kubernetes.',
+        plaintext: 'Company history.',
+        published_at: '2023-01-01T00:00:00.000Z',
+      }),
+    ];
+
+    api.posts.browse.mockImplementation((options) => serve(posts)(options));
+    api.pages.browse.mockImplementation((options) => serve(pages)(options));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should find matches in body and excerpt, not just titles', async () => {
+    const result = await searchContent('kubernetes');
+
+    expect(result.total).toBe(3);
+    expect(result.results.map((r) => `${r.type}:${r.id}`)).toEqual(['post:1', 'page:p1', 'post:2']);
+    expect(result.results[0]).toMatchObject({
+      title: 'Scaling with Kubernetes',
+      slug: 'post-1',
+      tags: ['devops'],
+      matched_terms: ['kubernete'],
+    });
+    expect(result.results[0].snippet).toBe('How we moved our services to **Kubernetes** clusters.');
+    expect(result.results[1].snippet).toBe('We run everything on **Kubernetes**.');
+    expect(result.index).toEqual({ documents: 4, refreshed_at: '2024-07-01T00:00:00.000Z' });
+  });
+
+  it('should request plaintext with tags and authors when building the index', async () => {
+    await searchContent('kubernetes');
+
+    expect(api.posts.browse).toHaveBeenCalledWith(
+      expect.objectContaining({
+        formats: 'plaintext',
+        include: 'tags,authors',
+        order: 'updated_at asc',
+      }),
+      {}
+    );
+    expect(api.posts.browse.mock.calls[0][0]).not.toHaveProperty('filter');
+  });
+
+  it('should apply type, status, tag, author and date filters', async () => {
+    const ids = async (options) =>
+      (await searchContent('kubernetes', options)).results.map((r) => r.id);
+
+    expect(await ids({ type: 'page' })).toEqual(['p1']);
+    expect(await ids({ status: 'draft' })).toEqual(['2']);
+    expect(await ids({ tag: 'devops' })).toEqual(['1']);
+    expect(await ids({ author: 'sam' })).toEqual(['2']);
+    expect(await ids({ author: 'jane@example.com' })).toEqual(['1', 'p1']);
+    expect(await ids({ publishedAfter: '2024-01-01' })).toEqual(['1']);
+    expect(await ids({ publishedBefore: '2023-12-31' })).toEqual(['p1']);
+  });
+
+  it('should only fetch changed content on later refreshes', async () => {
+    await refreshContentIndex();
+    vi.setSystemTime(new Date('2024-07-01T00:05:00Z'));
+
+    posts[2] = {
+      ...posts[2],
+      plaintext: 'Now about Kubernetes too.',
+      updated_at: '2024-06-30T00:00:00.000Z',
+    };
+    api.posts.browse.mockClear();
+
+    const summary = await refreshContentIndex();
+
+    expect(api.posts.browse.mock.calls[0][0].filter).toBe(
+      "updated_at:>='2024-06-01T10:00:00.000Z'"
+    );
+    expect(summary).toMatchObject({ documents: 4, skipped: false });
+    const result = await searchContent('kubernetes', { refresh: false });
+    expect(result.results.map((r) => r.id)).toContain('3');
+  });
+
+  it('should drop deleted content on refresh', async () => {
+    await refreshContentIndex();
+    vi.setSystemTime(new Date('2024-07-01T00:05:00Z'));
+    posts = posts.filter((p) => p.id !== '1');
+
+    const summary = await refreshContentIndex();
+
+    expect(summary.removed).toEqual({ post: 1, page: 0 });
+    const result = await searchContent('kubernetes', { refresh: false });
+    expect(result.results.map((r) => r.id)).not.toContain('1');
+  });
+
+  it('should skip the round-trip when refreshed moments ago', async () => {
+    await refreshContentIndex();
+    api.posts.browse.mockClear();
+
+    const summary = await refreshContentIndex();
+
+    expect(summary.skipped).toBe(true);
+    expect(api.posts.browse).not.toHaveBeenCalled();
+  });
+
+  it('should reject queries with no searchable words', async () => {
+    await expect(searchContent('the and of')).rejects.toBeInstanceOf(ValidationError);
+    expect(api.posts.browse).not.toHaveBeenCalled();
+  });
+});
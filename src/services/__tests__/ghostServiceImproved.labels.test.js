@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The SDK has no labels resource, so labels are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  getLabels,
+  getLabel,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addLabelToMembers,
+  removeLabelFromMembers,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ValidationError, NotFoundError } from '../../errors/index.js';
+
+describe('ghostServiceImproved - Labels', () => {
+  const vip = { id: 'label-vip', name: 'VIP', slug: 'vip' };
+  const beta = { id: 'label-beta', name: 'Beta', slug: 'beta' };
+  const labelsUrl = 'https://test.ghost.io/ghost/api/admin/labels/';
+  const request = (method, url, data) =>
+    expect.objectContaining({ method, url, data, headers: expect.any(Object) });
+  const respond = (labels) => ({ data: { labels } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  it('should not rely on an SDK labels resource', () => {
+    expect(api.labels.browse).not.toHaveProperty('mock');
+  });
+
+  describe('getLabels', () => {
+    it('should browse labels with default limit', async () => {
+      mockAxios.mockResolvedValue(respond([vip, beta]));
+
+      const result = await getLabels();
+
+      expect(mockAxios).toHaveBeenCalledWith(request('GET', `${labelsUrl}?limit=15`));
+      expect(result).toEqual([vip, beta]);
+    });
+
+    it('should return an empty array when Ghost returns nothing', async () => {
+      mockAxios.mockResolvedValue({ data: {} });
+
+      expect(await getLabels({ filter: 'slug:x' })).toEqual([]);
+    });
+  });
+
+  describe('getLabel', () => {
+    it('should read a label by ID', async () => {
+      mockAxios.mockResolvedValue(respond([vip]));
+
+      const result = await getLabel('label-vip');
+
+      expect(mockAxios).toHaveBeenCalledWith(request('GET', `${labelsUrl}label-vip/`));
+      expect(result).toEqual(vip);
+    });
+
+    it('should throw NotFoundError on 404', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      mockAxios.mockRejectedValue(error);
+
+      await expect(getLabel('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('createLabel', () => {
+    it('should create a label', async () => {
+      mockAxios.mockResolvedValue(respond([vip]));
+
+      const result = await createLabel({ name: 'VIP' });
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        request('POST', labelsUrl, { labels: [{ name: 'VIP' }] })
+      );
+      expect(result).toEqual(vip);
+    });
+
+    it('should map Ghost 422 errors to ValidationError', async () => {
+      const error = new Error('Label already exists');
+      error.response = { status: 422 };
+      mockAxios.mockRejectedValue(error);
+
+      await expect(createLabel({ name: 'VIP' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('updateLabel', () => {
+    it('should rename a label with updated_at from the current version', async () => {
+      mockAxios
+        .mockResolvedValueOnce(respond([{ ...vip, updated_at: '2024-01-01T00:00:00.000Z' }]))
+        .mockResolvedValueOnce(respond([{ ...vip, name: 'Gold' }]));
+
+      const result = await updateLabel('label-vip', { name: 'Gold' });
+
+      expect(mockAxios).toHaveBeenLastCalledWith(
+        request('PUT', `${labelsUrl}label-vip/`, {
+          labels: [{ name: 'Gold', updated_at: '2024-01-01T00:00:00.000Z' }],
+        })
+      );
+      expect(result.name).toBe('Gold');
+    });
+  });
+
+  describe('deleteLabel', () => {
+    it('should delete a label by ID', async () => {
+      mockAxios.mockResolvedValue({ data: '' });
+
+      await deleteLabel('label-vip');
+
+      expect(mockAxios).toHaveBeenCalledWith(request('DELETE', `${labelsUrl}label-vip/`));
+    });
+  });
+
+  describe('bulk label changes', () => {
+    const noDelay = { delayMs: 0 };
+    const members = [
+      { id: 'm1', email: 'a@example.com', labels: [] },
+      { id: 'm2', email: 'b@example.com', labels: [beta] },
+      { id: 'm3', email: 'c@example.com', labels: [vip, beta] },
+    ];
+
+    beforeEach(() => {
+      mockAxios.mockResolvedValue(respond([vip]));
+      api.members.browse.mockResolvedValue(members);
+      api.members.read.mockImplementation(async (_options, { id }) => ({
+        id,
+        updated_at: '2024-01-01T00:00:00.000Z',
+      }));
+      api.members.edit.mockImplementation(async (data) => data);
+    });
+
+    it('should add the label to matching members that lack it', async () => {
+      const result = await addLabelToMembers('label-vip', 'status:paid', noDelay);
+
+      expect(api.members.browse).toHaveBeenCalledWith(
+        expect.objectContaining({ filter: 'status:paid', include: 'labels' }),
+        {}
+      );
+      expect(api.members.edit).toHaveBeenCalledTimes(2);
+      expect(api.members.edit).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'm1', labels: ['VIP'] }),
+        {}
+      );
+      expect(api.members.edit).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'm2', labels: ['Beta', 'VIP'] }),
+        {}
+      );
+      expect(result).toEqual({
+        label: { id: 'label-vip', name: 'VIP' },
+        action: 'add',
+        matched: 3,
+        updated: 2,
+        unchanged: 1,
+        failed: 0,
+        failures: [],
+      });
+    });
+
+    it('should remove the label only from members that have it, keeping other labels', async () => {
+      const result = await removeLabelFromMembers('label-vip', 'status:paid', noDelay);
+
+      expect(api.members.edit).toHaveBeenCalledTimes(1);
+      expect(api.members.edit).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'm3', labels: ['Beta'] }),
+        {}
+      );
+      expect(result).toMatchObject({ action: 'remove', matched: 3, updated: 1, unchanged: 2 });
+    });
+
+    it('should report members that fail without stopping the run', async () => {
+      api.members.edit.mockImplementation(async (data) => {
+        if (data.id === 'm1') throw new Error('Rate limited');
+        return data;
+      });
+
+      const result = await addLabelToMembers('label-vip', 'status:paid', noDelay);
+
+      expect(result).toMatchObject({ updated: 1, failed: 1 });
+      expect(result.failures).toEqual([
+        { id: 'm1', email: 'a@example.com', message: expect.any(String) },
+      ]);
+    });
+
+    it('should refuse to run when more members match than maxMembers', async () => {
+      await expect(
+        addLabelToMembers('label-vip', 'status:paid', { ...noDelay, maxMembers: 2 })
+      ).rejects.toThrow(ValidationError);
+
+      expect(api.members.browse).toHaveBeenCalledWith(expect.objectContaining({ limit: 100 }), {});
+      expect(api.members.edit).not.toHaveBeenCalled();
+    });
+
+    it('should keep full pages when maxMembers is not a multiple of the page size', async () => {
+      const matching = Array.from({ length: 140 }, (_, i) => ({
+        id: `m${i + 1}`,
+        email: `m${i + 1}@example.com`,
+        labels: [vip],
+      }));
+      api.members.browse.mockImplementation(async ({ limit, page }) => {
+        const rows = matching.slice((page - 1) * limit, page * limit);
+        return Object.assign(rows, {
+          meta: { pagination: { next: page * limit < matching.length ? page + 1 : null } },
+        });
+      });
+
+      const result = await addLabelToMembers('label-vip', 'status:paid', {
+        ...noDelay,
+        maxMembers: 150,
+      });
+
+      expect(api.members.browse.mock.calls.map(([query]) => [query.page, query.limit])).toEqual([
+        [1, 100],
+        [2, 100],
+      ]);
+      expect(result).toMatchObject({ matched: 140, unchanged: 140 });
+    });
+
+    it('should require a filter', async () => {
+      await expect(addLabelToMembers('label-vip', '', noDelay)).rejects.toThrow(ValidationError);
+      expect(api.members.browse).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError before touching members when the label is missing', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      mockAxios.mockRejectedValue(error);
+
+      await expect(addLabelToMembers('missing', 'status:paid', noDelay)).rejects.toThrow(
+        NotFoundError
+      );
+      expect(api.members.browse).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { importMembers, exportMembers, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+const NEWSLETTER_ID = '507f1f77bcf86cd799439011';
+
+describe('ghostServiceImproved - Member CSV', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  describe('importMembers', () => {
+    const noDelay = { delayMs: 0 };
+
+    it('should create new members and report each row', async () => {
+      api.members.browse.mockResolvedValue([]);
+      api.members.add.mockImplementation(async (data) => ({ id: `id-${data.email}`, ...data }));
+
+      const csv = 'email,name,labels\na@example.com,Ann,"vip,beta"\nb@example.com,Bob,';
+      const report = await importMembers(csv, noDelay);
+
+      expect(report.summary).toEqual({ total: 2, created: 2, updated: 0, skipped: 0, failed: 0 });
+      expect(report.rows[0]).toEqual({
+        row: 2,
+        email: 'a@example.com',
+        status: 'created',
+        id: 'id-a@example.com',
+      });
+      expect(api.members.add).toHaveBeenCalledWith(
+        {
+          email: 'a@example.com',
+          name: 'Ann',
+          labels: ['vip', 'beta'],
+          subscribed: true,
+          comped: false,
+        },
+        {}
+      );
+    });
+
+    it('should look up existing members by email in one filter', async () => {
+      api.members.browse.mockResolvedValue([]);
+      api.members.add.mockResolvedValue({ id: 'new' });
+
+      await importMembers('email\na@example.com\nB@Example.com', noDelay);
+
+      expect(api.members.browse).toHaveBeenCalledWith(
+        { filter: "email:['a@example.com','b@example.com']", limit: 2 },
+        {}
+      );
+    });
+
+    it('should update existing members with only the provided columns', async () => {
+      api.members.browse.mockResolvedValue([{ id: 'member-1', email: 'a@example.com' }]);
+      api.members.read.mockResolvedValue({ id: 'member-1', updated_at: '2024-01-01T00:00:00Z' });
+      api.members.edit.mockResolvedValue({ id: 'member-1' });
+
+      const report = await importMembers('email,name,note\nA@example.com,Ann,', noDelay);
+
+      expect(report.rows[0].status).toBe('updated');
+      expect(api.members.edit).toHaveBeenCalledWith(
+        {
+          id: 'member-1',
+          email: 'A@example.com',
+          name: 'Ann',
+          updated_at: '2024-01-01T00:00:00Z',
+        },
+        {}
+      );
+      expect(api.members.add).not.toHaveBeenCalled();
+    });
+
+    it('should skip existing members when onExisting is skip', async () => {
+      api.members.browse.mockResolvedValue([{ id: 'member-1', email: 'a@example.com' }]);
+
+      const report = await importMembers('email\na@example.com', {
+        ...noDelay,
+        onExisting: 'skip',
+      });
+
+      expect(report.rows[0]).toMatchObject({ status: 'skipped', id: 'member-1' });
+      expect(api.members.edit).not.toHaveBeenCalled();
+    });
+
+    it('should skip duplicate emails within the file', async () => {
+      api.members.browse.mockResolvedValue([]);
+      api.members.add.mockResolvedValue({ id: 'new' });
+
+      const report = await importMembers('email\na@example.com\nA@EXAMPLE.com', noDelay);
+
+      expect(report.rows[1]).toMatchObject({ status: 'skipped', reason: 'Duplicate of row 2' });
+      expect(api.members.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report rows that fail schema validation', async () => {
+      api.members.browse.mockResolvedValue([]);
+      api.members.add.mockResolvedValue({ id: 'new' });
+
+      const csv = `email,subscribed,newsletters\nnot-an-email,,\nb@example.com,maybe,\nc@example.com,yes,${NEWSLETTER_ID}`;
+      const report = await importMembers(csv, noDelay);
+
+      expect(report.rows[0].status).toBe('failed');
+      expect(report.rows[0].errors[0].field).toBe('email');
+      expect(report.rows[1].status).toBe('failed');
+      expect(report.rows[1].errors[0].field).toBe('subscribed');
+      expect(report.rows[2].status).toBe('created');
+      expect(api.members.add).toHaveBeenCalledWith(
+        expect.objectContaining({ subscribed: true, newsletters: [NEWSLETTER_ID] }),
+        {}
+      );
+    });
+
+    it('should accept Ghost export column names', async () => {
+      api.members.browse.mockResolvedValue([]);
+      api.members.add.mockResolvedValue({ id: 'new' });
+
+      await importMembers(
+        'id,email,subscribed_to_emails,complimentary_plan,stripe_customer_id\nx,a@example.com,false,true,cus_1',
+        noDelay
+      );
+
+      expect(api.members.add).toHaveBeenCalledWith(
+        { email: 'a@example.com', subscribed: false, comped: true },
+        {}
+      );
+    });
+
+    it('should report members Ghost rejects as failed without stopping the import', async () => {
+      api.members.browse.mockResolvedValue([]);
+      const error = new Error('Member already exists');
+      error.response = { status: 422 };
+      api.members.add.mockImplementation(async (data) => {
+        if (data.email === 'a@example.com') throw error;
+        return { id: 'new' };
+      });
+
+      const report = await importMembers('email\na@example.com\nb@example.com', {
+        ...noDelay,
+        batchSize: 1,
+      });
+
+      expect(report.summary).toMatchObject({ created: 1, failed: 1 });
+      expect(report.rows[0].errors[0].message).toContain('validation errors');
+    });
+
+    it('should pause between batches', async () => {
+      vi.useFakeTimers();
+      try {
+        api.members.browse.mockResolvedValue([]);
+        api.members.add.mockResolvedValue({ id: 'new' });
+
+        const promise = importMembers('email\na@example.com\nb@example.com\nc@example.com', {
+          batchSize: 2,
+          delayMs: 500,
+        });
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(api.members.add).toHaveBeenCalledTimes(2);
+
+        await vi.advanceTimersByTimeAsync(500);
+        await promise;
+        expect(api.members.add).toHaveBeenCalledTimes(3);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should reject CSV without an email column', async () => {
+      await expect(importMembers('name\nAnn', noDelay)).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject malformed CSV', async () => {
+      await expect(importMembers('email\n"a@example.com', noDelay)).rejects.toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe('exportMembers', () => {
+    const member = {
+      id: 'member-1',
+      email: 'a@example.com',
+      name: 'Doe, Ann',
+      note: null,
+      status: 'comped',
+      subscribed: true,
+      labels: [{ name: 'vip' }, { name: 'beta' }],
+      newsletters: [{ id: NEWSLETTER_ID }],
+      created_at: '2024-01-15T10:30:00.000Z',
+    };
+
+    it('should write a header and one row per member', async () => {
+      api.members.browse.mockResolvedValue([member]);
+
+      const { csv, count } = await exportMembers();
+
+      expect(count).toBe(1);
+      expect(csv).toBe(
+        'id,email,name,note,status,subscribed,comped,labels,newsletters,created_at\n' +
+          `member-1,a@example.com,"Doe, Ann",,comped,true,true,"vip,beta",${NEWSLETTER_ID},2024-01-15T10:30:00.000Z\n`
+      );
+      expect(api.members.browse).toHaveBeenCalledWith(
+        { limit: 100, page: 1, include: 'labels,newsletters', order: 'created_at ASC' },
+        {}
+      );
+    });
+
+    it('should follow pagination until Ghost reports no next page', async () => {
+      const page1 = Object.assign([member], { meta: { pagination: { next: 2 } } });
+      const page2 = Object.assign([{ ...member, id: 'member-2' }], {
+        meta: { pagination: { next: null } },
+      });
+      api.members.browse.mockResolvedValueOnce(page1).mockResolvedValueOnce(page2);
+
+      const { count } = await exportMembers({ filter: 'status:paid' });
+
+      expect(count).toBe(2);
+      expect(api.members.browse).toHaveBeenLastCalledWith(
+        expect.objectContaining({ page: 2, filter: 'status:paid' }),
+        {}
+      );
+    });
+
+    it('should export each member once when maxRows ends partway through a page', async () => {
+      const all = Array.from({ length: 250 }, (_, i) => ({ ...member, id: `member-${i + 1}` }));
+      api.members.browse.mockImplementation(async ({ limit, page }) => {
+        const rows = all.slice((page - 1) * limit, page * limit);
+        return Object.assign(rows, {
+          meta: { pagination: { next: page * limit < all.length ? page + 1 : null } },
+        });
+      });
+
+      const { csv, count } = await exportMembers({ maxRows: 150 });
+
+      const ids = csv
+        .trim()
+        .split('\n')
+        .slice(1)
+        .map((line) => line.split(',')[0]);
+      expect(count).toBe(150);
+      expect(ids).toEqual(all.slice(0, 150).map((m) => m.id));
+      expect(api.members.browse.mock.calls.map(([query]) => query.limit)).toEqual([100, 100]);
+    });
+
+    it('should stop at maxRows', async () => {
+      api.members.browse.mockResolvedValue([member, member, member]);
+
+      const { count } = await exportMembers({ maxRows: 2 });
+
+      expect(count).toBe(2);
+      expect(api.members.browse).toHaveBeenCalledTimes(1);
+      expect(api.members.browse).toHaveBeenCalledWith(expect.objectContaining({ limit: 100 }), {});
+    });
+  });
+});
@@ -29,9 +29,12 @@ import {
   getMembers,
   getMember,
   searchMembers,
+  getMemberSubscriptions,
+  grantMemberComp,
+  removeMemberComp,
   api,
 } from '../ghostServiceImproved.js';
-import { GhostAPIError, NotFoundError } from '../../errors/index.js';
+import { GhostAPIError, NotFoundError, ValidationError } from '../../errors/index.js';
 
 describe('ghostServiceImproved - Members', () => {
   beforeEach(() => {
@@ -466,4 +469,122 @@ describe('ghostServiceImproved - Members', () => {
       await expect(searchMembers('test')).rejects.toThrow();
     });
   });
+
+  describe('member access', () => {
+    const gold = { id: 'tier-gold', name: 'Gold', type: 'paid', active: true };
+    const silver = { id: 'tier-silver', name: 'Silver', type: 'paid', active: true };
+    const goldSubscription = {
+      id: 'sub-1',
+      status: 'active',
+      start_date: '2024-05-01T00:00:00.000Z',
+      current_period_end: '2025-05-01T00:00:00.000Z',
+      cancel_at_period_end: false,
+      price: { amount: 5000, currency: 'usd', interval: 'year', nickname: 'Yearly', tier: gold },
+      tier: gold,
+    };
+    const member = {
+      id: 'member-1',
+      email: 'ada@example.com',
+      name: 'Ada',
+      status: 'comped',
+      updated_at: '2025-01-01T00:00:00.000Z',
+      tiers: [{ ...silver, expiry_at: '2025-06-30T00:00:00.000Z' }],
+      subscriptions: [],
+    };
+
+    it('should list comps and subscriptions with their renewal dates', async () => {
+      api.members.read.mockResolvedValue({
+        ...member,
+        status: 'paid',
+        tiers: [gold, { ...silver, expiry_at: null }],
+        subscriptions: [
+          { ...goldSubscription, id: 'sub-0', status: 'canceled', start_date: '2023-05-01' },
+          goldSubscription,
+        ],
+      });
+
+      const access = await getMemberSubscriptions('member-1');
+
+      expect(api.members.read).toHaveBeenCalledWith({ include: 'tiers' }, { id: 'member-1' });
+      expect(access.comps).toEqual([{ tier: { id: silver.id, name: 'Silver' }, expires_at: null }]);
+      expect(access.subscriptions.map((row) => [row.id, row.renewal_date])).toEqual([
+        ['sub-1', '2025-05-01T00:00:00.000Z'],
+        ['sub-0', null],
+      ]);
+      expect(access.subscriptions[0].price).toEqual({
+        amount: 5000,
+        currency: 'USD',
+        interval: 'year',
+        nickname: 'Yearly',
+      });
+    });
+
+    it('should grant an active paid tier with an expiry, keeping other tiers', async () => {
+      api.tiers.read.mockResolvedValue(gold);
+      api.members.read.mockResolvedValue(member);
+      api.members.edit.mockImplementation(async (data) => ({ ...member, ...data }));
+
+      const access = await grantMemberComp('member-1', gold.id, {
+        expiresAt: '2099-01-01T00:00:00.000Z',
+      });
+
+      expect(api.members.edit).toHaveBeenCalledWith(
+        {
+          id: 'member-1',
+          tiers: [
+            { id: silver.id, expiry_at: '2025-06-30T00:00:00.000Z' },
+            { id: gold.id, expiry_at: '2099-01-01T00:00:00.000Z' },
+          ],
+          updated_at: member.updated_at,
+        },
+        { include: 'tiers' }
+      );
+      expect(access.comps.map((comp) => comp.tier.id)).toEqual([silver.id, gold.id]);
+    });
+
+    it('should refuse archived and free tiers, past expiries and paid tiers', async () => {
+      api.tiers.read.mockResolvedValueOnce({ ...gold, active: false });
+      await expect(grantMemberComp('member-1', gold.id)).rejects.toThrow('Tier is archived');
+
+      api.tiers.read.mockResolvedValueOnce({ ...gold, type: 'free' });
+      await expect(grantMemberComp('member-1', gold.id)).rejects.toThrow(ValidationError);
+
+      await expect(
+        grantMemberComp('member-1', gold.id, { expiresAt: '2000-01-01T00:00:00.000Z' })
+      ).rejects.toThrow('Expiry must be in the future');
+
+      api.tiers.read.mockResolvedValueOnce(gold);
+      api.members.read.mockResolvedValueOnce({ ...member, subscriptions: [goldSubscription] });
+      await expect(grantMemberComp('member-1', gold.id)).rejects.toThrow(
+        'Member already pays for this tier'
+      );
+      expect(api.members.edit).not.toHaveBeenCalled();
+    });
+
+    it('should remove comps but never a paid tier', async () => {
+      const withGold = {
+        ...member,
+        tiers: [gold, ...member.tiers],
+        subscriptions: [goldSubscription],
+      };
+      api.members.read.mockResolvedValue(withGold);
+      api.members.edit.mockImplementation(async (data) => ({ ...withGold, ...data }));
+
+      await removeMemberComp('member-1');
+
+      expect(api.members.edit.mock.calls[0][0].tiers).toEqual([{ id: gold.id, expiry_at: null }]);
+      await expect(removeMemberComp('member-1', gold.id)).rejects.toThrow(
+        'Tier is a paid subscription'
+      );
+    });
+
+    it('should report when there is no comp to remove', async () => {
+      api.members.read.mockResolvedValue({ ...member, tiers: [] });
+
+      await expect(removeMemberComp('member-1', silver.id)).rejects.toThrow(
+        'Member has no complimentary access to remove'
+      );
+      expect(api.members.edit).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The SDK has no offers resource, so offers are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { getOffers, getOffer, createOffer, updateOffer, api } from '../ghostServiceImproved.js';
+import { ValidationError, NotFoundError } from '../../errors/index.js';
+
+describe('ghostServiceImproved - Offers', () => {
+  const paidTier = { id: 'tier-1', type: 'paid', active: true, currency: 'USD' };
+  const offerData = {
+    name: 'Black Friday',
+    code: 'black-friday',
+    type: 'percent',
+    cadence: 'year',
+    amount: 25,
+    duration: 'once',
+    status: 'active',
+    tier: { id: 'tier-1' },
+  };
+
+  const offersUrl = 'https://test.ghost.io/ghost/api/admin/offers/';
+  const request = (method, url, data) =>
+    expect.objectContaining({ method, url, data, headers: expect.any(Object) });
+  const respond = (offers) => ({ data: { offers } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should not rely on an SDK offers resource', () => {
+    expect(api.offers.browse).not.toHaveProperty('mock');
+  });
+
+  describe('getOffers', () => {
+    it('should list offers with default limit', async () => {
+      const mockOffers = [{ id: 'offer-1', name: 'Black Friday' }];
+      mockAxios.mockResolvedValue(respond(mockOffers));
+
+      const result = await getOffers();
+
+      expect(result).toEqual(mockOffers);
+      expect(mockAxios).toHaveBeenCalledWith(request('GET', `${offersUrl}?limit=15`));
+    });
+
+    it('should pass filter options through', async () => {
+      mockAxios.mockResolvedValue(respond([]));
+
+      await getOffers({ filter: 'status:active' });
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        request('GET', `${offersUrl}?limit=15&filter=status%3Aactive`)
+      );
+    });
+
+    it('should return an empty array when Ghost returns nothing', async () => {
+      mockAxios.mockResolvedValue({ data: {} });
+
+      expect(await getOffers()).toEqual([]);
+    });
+  });
+
+  describe('getOffer', () => {
+    it('should read an offer by ID', async () => {
+      mockAxios.mockResolvedValue(respond([{ id: 'offer-1', name: 'Black Friday' }]));
+
+      const result = await getOffer('offer-1');
+
+      expect(result.id).toBe('offer-1');
+      expect(mockAxios).toHaveBeenCalledWith(request('GET', `${offersUrl}offer-1/`));
+    });
+
+    it('should throw NotFoundError on 404', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      mockAxios.mockRejectedValue(error);
+
+      await expect(getOffer('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('createOffer', () => {
+    it('should verify the tier and create the offer', async () => {
+      api.tiers.read.mockResolvedValue(paidTier);
+      mockAxios.mockResolvedValue(respond([{ id: 'offer-1', ...offerData }]));
+
+      const result = await createOffer(offerData);
+
+      expect(api.tiers.read).toHaveBeenCalledWith({}, { id: 'tier-1' });
+      expect(mockAxios).toHaveBeenCalledWith(request('POST', offersUrl, { offers: [offerData] }));
+      expect(result.id).toBe('offer-1');
+    });
+
+    it('should reject offers on free tiers', async () => {
+      api.tiers.read.mockResolvedValue({ ...paidTier, type: 'free' });
+
+      await expect(createOffer(offerData)).rejects.toThrow(ValidationError);
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('should reject offers on archived tiers', async () => {
+      api.tiers.read.mockResolvedValue({ ...paidTier, active: false });
+
+      await expect(createOffer(offerData)).rejects.toThrow(ValidationError);
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('should reject fixed offers whose currency differs from the tier', async () => {
+      api.tiers.read.mockResolvedValue(paidTier);
+
+      const fixedOffer = { ...offerData, type: 'fixed', amount: 500, currency: 'EUR' };
+
+      await expect(createOffer(fixedOffer)).rejects.toMatchObject({
+        errors: [expect.objectContaining({ field: 'currency' })],
+      });
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError when the tier does not exist', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      api.tiers.read.mockRejectedValue(error);
+
+      await expect(createOffer(offerData)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should require a tier reference', async () => {
+      const { tier: _tier, ...withoutTier } = offerData;
+
+      await expect(createOffer(withoutTier)).rejects.toThrow(ValidationError);
+      expect(api.tiers.read).not.toHaveBeenCalled();
+    });
+
+    it('should map Ghost 422 errors to ValidationError', async () => {
+      api.tiers.read.mockResolvedValue(paidTier);
+      const error = new Error('Offer code already exists');
+      error.response = { status: 422 };
+      mockAxios.mockRejectedValue(error);
+
+      await expect(createOffer(offerData)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('updateOffer', () => {
+    it('should send update fields with the existing updated_at', async () => {
+      mockAxios
+        .mockResolvedValueOnce(respond([{ id: 'offer-1', updated_at: '2024-01-01T00:00:00.000Z' }]))
+        .mockResolvedValueOnce(respond([{ id: 'offer-1', status: 'archived' }]));
+
+      const result = await updateOffer('offer-1', { status: 'archived' });
+
+      expect(mockAxios).toHaveBeenLastCalledWith(
+        request('PUT', `${offersUrl}offer-1/`, {
+          offers: [{ status: 'archived', updated_at: '2024-01-01T00:00:00.000Z' }],
+        })
+      );
+      expect(result.status).toBe('archived');
+    });
+
+    it('should throw ValidationError if ID is missing', async () => {
+      await expect(updateOffer(undefined, { name: 'x' })).rejects.toThrow('Offer ID is required');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { publishPost, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+const postId = '507f1f77bcf86cd799439011';
+const newsletterId = '507f1f77bcf86cd799439099';
+
+const draft = {
+  id: postId,
+  title: 'Banana bread',
+  slug: 'banana-bread',
+  status: 'draft',
+  updated_at: '2025-01-01T00:00:00.000Z',
+  email: null,
+  newsletter: null,
+};
+
+const weekly = { id: newsletterId, slug: 'weekly', name: 'Weekly', status: 'active' };
+
+const withTotal = (items, total) => Object.assign(items, { meta: { pagination: { total } } });
+
+describe('ghostServiceImproved - Publishing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    api.posts.read.mockResolvedValue(draft);
+    api.newsletters.browse.mockResolvedValue([weekly]);
+    api.members.browse.mockResolvedValue(withTotal([{ id: 'm1' }], 42));
+  });
+
+  it('should preview the recipient count without publishing', async () => {
+    const result = await publishPost(postId, { newsletter: 'weekly', segment: 'paid' });
+
+    expect(api.newsletters.browse).toHaveBeenCalledWith({ filter: "slug:'weekly'", limit: 1 }, {});
+    expect(api.members.browse).toHaveBeenCalledWith(
+      {
+        filter: `newsletters.id:'${newsletterId}'+email_disabled:false+status:-free`,
+        limit: 1,
+      },
+      {}
+    );
+    expect(api.posts.edit).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      published: false,
+      newsletter: { id: newsletterId, slug: 'weekly', name: 'Weekly' },
+      segment: 'paid',
+      recipient_count: 42,
+      email: null,
+    });
+  });
+
+  it('should publish with the newsletter and segment and return the email status', async () => {
+    api.posts.edit.mockResolvedValue({
+      ...draft,
+      status: 'published',
+      email: { id: 'e1', status: 'pending', email_count: 42, recipient_filter: 'label:vip' },
+    });
+
+    const result = await publishPost(postId, {
+      newsletter: newsletterId,
+      segment: 'label:vip',
+      confirm: true,
+    });
+
+    expect(api.newsletters.browse).toHaveBeenCalledWith(
+      { filter: `id:'${newsletterId}'`, limit: 1 },
+      {}
+    );
+    expect(api.posts.edit).toHaveBeenCalledWith(
+      { id: postId, status: 'published', updated_at: draft.updated_at },
+      { newsletter: 'weekly', email_segment: 'label:vip', include: 'email' }
+    );
+    expect(result.published).toBe(true);
+    expect(result.recipient_count).toBe(42);
+    expect(result.email).toMatchObject({ id: 'e1', status: 'pending', email_count: 42 });
+  });
+
+  it("should send Ghost's 'all' segment without a member filter", async () => {
+    api.posts.edit.mockResolvedValue({ ...draft, status: 'published', email: null });
+
+    await publishPost(postId, { newsletter: 'weekly', confirm: true });
+
+    expect(api.members.browse.mock.calls[0][0].filter).toBe(
+      `newsletters.id:'${newsletterId}'+email_disabled:false`
+    );
+    expect(api.posts.edit.mock.calls[0][1].email_segment).toBe('all');
+  });
+
+  it('should publish without email when no newsletter is given', async () => {
+    api.posts.edit.mockResolvedValue({ ...draft, status: 'published' });
+
+    const result = await publishPost(postId);
+
+    expect(api.posts.edit).toHaveBeenCalledWith(
+      { id: postId, status: 'published', updated_at: draft.updated_at },
+      {}
+    );
+    expect(api.members.browse).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ published: true, email: null });
+  });
+
+  it('should refuse a post that was already emailed', async () => {
+    api.posts.read.mockResolvedValue({
+      ...draft,
+      status: 'published',
+      email: { id: 'e1', status: 'submitted' },
+    });
+
+    await expect(
+      publishPost(postId, { newsletter: 'weekly', confirm: true })
+    ).rejects.toMatchObject({
+      message: 'Post has already been sent as an email',
+      errors: [expect.objectContaining({ message: expect.stringContaining('submitted') })],
+    });
+    expect(api.posts.edit).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to email a post that is already published', async () => {
+    api.posts.read.mockResolvedValue({ ...draft, status: 'published' });
+
+    await expect(publishPost(postId, { newsletter: 'weekly' })).rejects.toThrow(
+      'Post is already published'
+    );
+  });
+
+  it('should refuse archived newsletters', async () => {
+    api.newsletters.browse.mockResolvedValue([{ ...weekly, status: 'archived' }]);
+
+    await expect(publishPost(postId, { newsletter: 'weekly' })).rejects.toThrow(ValidationError);
+  });
+
+  it('should throw NotFoundError for an unknown newsletter', async () => {
+    api.newsletters.browse.mockResolvedValue([]);
+
+    await expect(publishPost(postId, { newsletter: 'daily' })).rejects.toThrow(NotFoundError);
+  });
+});
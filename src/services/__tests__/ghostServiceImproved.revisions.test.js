@@ -0,0 +1,283 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  updatePost,
+  deletePost,
+  updateTag,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { saveRevision } from '../revisionStore.js';
+import { ConfigurationError, NotFoundError, ValidationError } from '../../errors/index.js';
+
+const POST_ID = '507f1f77bcf86cd799439011';
+
+const post = (overrides = {}) => ({
+  id: POST_ID,
+  title: 'Banana Bread',
+  slug: 'banana-bread',
+  status: 'published',
+  visibility: 'public',
+  featured: false,
+  custom_excerpt: null,
+  html: '<p>Mash the bananas.</p><p>Bake for an hour.</p>',
+  lexical: '{"root":{"children":[]}}',
+  tags: [{ id: 'tag-1', name: 'Recipes', slug: 'recipes' }],
+  authors: [{ id: 'author-1', name: 'Jane', email: 'jane@example.com' }],
+  published_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const notFound = () => {
+  const error = new Error('Post not found');
+  error.response = { status: 404 };
+  return error;
+};
+
+describe('ghostServiceImproved - Revisions', () => {
+  let storeDir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'revisions-test-'));
+    process.env.GHOST_MCP_REVISIONS_DIR = storeDir;
+  });
+
+  afterEach(async () => {
+    delete process.env.GHOST_MCP_REVISIONS_DIR;
+    delete process.env.GHOST_MCP_REVISIONS_LIMIT;
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  describe('snapshots', () => {
+    it('should snapshot a post with its content before updating it', async () => {
+      api.posts.read.mockResolvedValue(post());
+      api.posts.edit.mockResolvedValue(post({ title: 'Better Banana Bread' }));
+
+      await updatePost(POST_ID, { title: 'Better Banana Bread' });
+
+      expect(api.posts.read).toHaveBeenCalledWith(
+        { formats: 'html,lexical', include: 'tags,authors' },
+        { id: POST_ID }
+      );
+      const { revisions } = await listRevisions('posts', POST_ID);
+      expect(revisions).toEqual([
+        expect.objectContaining({
+          action: 'update',
+          title: 'Banana Bread',
+          status: 'published',
+          updated_at: '2024-01-01T00:00:00.000Z',
+        }),
+      ]);
+    });
+
+    it('should snapshot a post before deleting it', async () => {
+      api.posts.read.mockResolvedValue(post());
+      api.posts.delete.mockResolvedValue(undefined);
+
+      await deletePost(POST_ID);
+
+      const { revisions } = await listRevisions('posts', POST_ID);
+      expect(revisions.map((revision) => revision.action)).toEqual(['delete']);
+    });
+
+    it('should leave other resources and a disabled store alone', async () => {
+      api.tags.edit.mockResolvedValue({ id: 'tag-1', name: 'Updated' });
+      await updateTag('tag-1', { name: 'Updated' });
+      expect(await fs.readdir(storeDir)).toEqual([]);
+
+      delete process.env.GHOST_MCP_REVISIONS_DIR;
+      api.posts.read.mockResolvedValue(post());
+      api.posts.edit.mockResolvedValue(post());
+      await updatePost(POST_ID, { title: 'x' });
+      expect(api.posts.read).toHaveBeenCalledWith({}, { id: POST_ID });
+    });
+
+    it('should keep only the newest snapshots up to the limit', async () => {
+      process.env.GHOST_MCP_REVISIONS_LIMIT = '2';
+      await saveRevision('posts', post({ title: 'One' }), 'update');
+      await saveRevision('posts', post({ title: 'Two' }), 'update');
+      await saveRevision('posts', post({ title: 'Three' }), 'update');
+
+      const { revisions } = await listRevisions('posts', POST_ID);
+      expect(revisions.map((revision) => revision.title)).toEqual(['Three', 'Two']);
+    });
+
+    it('should still update when the snapshot cannot be written', async () => {
+      await fs.writeFile(path.join(storeDir, 'posts'), 'not a directory');
+      api.posts.read.mockResolvedValue(post());
+      api.posts.edit.mockResolvedValue(post({ title: 'New' }));
+
+      await expect(updatePost(POST_ID, { title: 'New' })).resolves.toMatchObject({
+        title: 'New',
+      });
+    });
+  });
+
+  describe('listRevisions', () => {
+    it('should return an empty list for items without snapshots', async () => {
+      expect(await listRevisions('pages', POST_ID)).toEqual({
+        resource: 'pages',
+        id: POST_ID,
+        revisions: [],
+      });
+    });
+
+    it('should refuse when the store is disabled', async () => {
+      delete process.env.GHOST_MCP_REVISIONS_DIR;
+
+      await expect(listRevisions('posts', POST_ID)).rejects.toThrow(ConfigurationError);
+    });
+
+    it('should refuse IDs that are not plain path segments', async () => {
+      await expect(listRevisions('posts', '../../etc')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('should compare a snapshot with the live version', async () => {
+      const { revision_id: revisionId } = await saveRevision('posts', post(), 'update');
+      api.posts.read.mockResolvedValue(
+        post({
+          title: 'Banana Bread (AI edit)',
+          html: '<p>Mash the bananas.</p><p>Bake for two hours.</p>',
+          tags: [],
+          updated_at: '2024-02-01T00:00:00.000Z',
+        })
+      );
+
+      const result = await diffRevisions('posts', POST_ID, revisionId);
+
+      expect(result.from).toMatchObject({ revision_id: revisionId, action: 'update' });
+      expect(result.to).toEqual({
+        revision_id: 'current',
+        updated_at: '2024-02-01T00:00:00.000Z',
+      });
+      expect(result.changes).toEqual({
+        title: { before: 'Banana Bread', after: 'Banana Bread (AI edit)' },
+        tags: { before: ['Recipes'], after: [] },
+      });
+      expect(result.html_diff).toContain('-<p>Bake for an hour.</p>\n+<p>Bake for two hours.</p>');
+      expect(result.html_diff.split('\n')[0]).toBe(`--- ${revisionId}`);
+    });
+
+    it('should compare two snapshots without calling Ghost', async () => {
+      const first = await saveRevision('posts', post(), 'update');
+      const second = await saveRevision('posts', post({ featured: true }), 'update');
+
+      const result = await diffRevisions('posts', POST_ID, first.revision_id, second.revision_id);
+
+      expect(api.posts.read).not.toHaveBeenCalled();
+      expect(result.changes).toEqual({ featured: { before: false, after: true } });
+      expect(result.html_diff).toBe('');
+    });
+
+    it('should report unknown revisions as not found', async () => {
+      await expect(diffRevisions('posts', POST_ID, 'missing-revision')).rejects.toThrow(
+        NotFoundError
+      );
+    });
+  });
+
+  describe('restoreRevision', () => {
+    it('should write the snapshot back as an update and snapshot the replaced version', async () => {
+      const { revision_id: revisionId } = await saveRevision('posts', post(), 'update');
+      api.posts.read.mockResolvedValue(
+        post({ title: 'AI edit', status: 'draft', updated_at: '2024-02-01T00:00:00.000Z' })
+      );
+      api.posts.edit.mockImplementation(async (data) => ({ ...post(), ...data }));
+
+      const result = await restoreRevision('posts', POST_ID, revisionId);
+
+      const [data, options] = api.posts.edit.mock.calls[0];
+      expect(options).toEqual({});
+      expect(data).toMatchObject({
+        id: POST_ID,
+        title: 'Banana Bread',
+        slug: 'banana-bread',
+        lexical: '{"root":{"children":[]}}',
+        tags: [{ name: 'Recipes', slug: 'recipes' }],
+        authors: [{ id: 'author-1' }],
+        updated_at: '2024-02-01T00:00:00.000Z',
+      });
+      // Status and publish date are not part of a restore
+      expect(data).not.toHaveProperty('status');
+      expect(data).not.toHaveProperty('published_at');
+      expect(data).not.toHaveProperty('html');
+      expect(result).toMatchObject({
+        resource: 'posts',
+        revision_id: revisionId,
+        recreated: false,
+      });
+
+      const { revisions } = await listRevisions('posts', POST_ID);
+      expect(revisions[0]).toMatchObject({ action: 'update', title: 'AI edit' });
+    });
+
+    it('should fall back to HTML for snapshots without lexical', async () => {
+      const { revision_id: revisionId } = await saveRevision(
+        'posts',
+        post({ lexical: null }),
+        'update'
+      );
+      api.posts.read.mockResolvedValue(post());
+      api.posts.edit.mockImplementation(async (data) => data);
+
+      await restoreRevision('posts', POST_ID, revisionId);
+
+      const [data, options] = api.posts.edit.mock.calls[0];
+      expect(data.html).toBe('<p>Mash the bananas.</p><p>Bake for an hour.</p>');
+      expect(options).toEqual({ source: 'html' });
+    });
+
+    it('should recreate a deleted post as a draft', async () => {
+      const { revision_id: revisionId } = await saveRevision('posts', post(), 'delete');
+      api.posts.read.mockRejectedValue(notFound());
+      api.posts.add.mockImplementation(async (data) => ({ ...data, id: 'new-post' }));
+
+      // Ghost errors are retried with backoff before the 404 surfaces
+      vi.useFakeTimers({ toFake: ['setTimeout'] });
+      const pending = restoreRevision('posts', POST_ID, revisionId);
+      await vi.waitFor(() => expect(api.posts.read).toHaveBeenCalled());
+      await vi.advanceTimersByTimeAsync(10000);
+      const result = await pending;
+      vi.useRealTimers();
+
+      expect(api.posts.add).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Banana Bread', status: 'draft' }),
+        {}
+      );
+      expect(result.recreated).toBe(true);
+      expect(result.item.id).toBe('new-post');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The site timezone comes from settings, which are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  schedulePost,
+  getScheduledPosts,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+describe('ghostServiceImproved - Scheduling', () => {
+  const postId = '507f1f77bcf86cd799439011';
+  const draft = {
+    id: postId,
+    title: 'Launch notes',
+    status: 'draft',
+    updated_at: '2030-01-01T00:00:00.000Z',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2030-01-10T12:00:00Z'));
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    mockAxios.mockResolvedValue({
+      data: { settings: [{ key: 'timezone', value: 'America/New_York' }] },
+    });
+    api.posts.read.mockResolvedValue(draft);
+    api.posts.edit.mockImplementation(async (data) => ({ ...draft, ...data }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('schedulePost', () => {
+    it('should interpret the time in the site timezone by default', async () => {
+      const result = await schedulePost(postId, { publishAt: '2030-01-15T09:00' });
+
+      expect(api.posts.edit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: postId,
+          status: 'scheduled',
+          published_at: '2030-01-15T14:00:00.000Z',
+          updated_at: draft.updated_at,
+        }),
+        {}
+      );
+      expect(result).toMatchObject({
+        published_at: '2030-01-15T14:00:00.000Z',
+        local_time: '2030-01-15 09:00',
+        timezone: 'America/New_York',
+      });
+      expect(result.post.status).toBe('scheduled');
+    });
+
+    it('should use an explicit timezone without reading settings', async () => {
+      const result = await schedulePost(postId, {
+        publishAt: '2030-01-15T09:00',
+        timezone: 'Asia/Tokyo',
+      });
+
+      expect(mockAxios).not.toHaveBeenCalled();
+      expect(result.published_at).toBe('2030-01-15T00:00:00.000Z');
+    });
+
+    it('should fall back to UTC when the site has no timezone', async () => {
+      mockAxios.mockResolvedValue({ data: { settings: [] } });
+
+      const result = await schedulePost(postId, { publishAt: '2030-01-15T09:00' });
+
+      expect(result).toMatchObject({
+        published_at: '2030-01-15T09:00:00.000Z',
+        timezone: 'Etc/UTC',
+      });
+    });
+
+    it('should read the site timezone with a direct request, not an SDK resource', async () => {
+      await schedulePost(postId, { publishAt: '2030-01-15T09:00' });
+
+      expect(api.settings.browse).not.toHaveProperty('mock');
+      expect(mockAxios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: 'GET',
+          url: 'https://test.ghost.io/ghost/api/admin/settings/',
+        })
+      );
+    });
+
+    it('should fall back to UTC when the key may not read settings', async () => {
+      mockAxios.mockRejectedValue(
+        Object.assign(new Error('Request failed with status code 403'), {
+          response: { status: 403, data: { errors: [{ message: 'Permission error' }] } },
+        })
+      );
+
+      const result = await schedulePost(postId, { publishAt: '2030-01-15T09:00' });
+
+      expect(result).toMatchObject({
+        published_at: '2030-01-15T09:00:00.000Z',
+        timezone: 'Etc/UTC',
+      });
+    });
+
+    it('should fall back to UTC on a client without a settings resource', async () => {
+      const { settings } = api;
+      delete api.settings;
+      try {
+        const result = await schedulePost(postId, { publishAt: '2030-01-15T09:00' });
+        expect(result.timezone).toBe('Etc/UTC');
+        expect(mockAxios).not.toHaveBeenCalled();
+      } finally {
+        api.settings = settings;
+      }
+    });
+
+    it('should reject times in the past', async () => {
+      // 06:59 in New York is 11:59 UTC, one minute before "now"
+      await expect(schedulePost(postId, { publishAt: '2030-01-10T06:59' })).rejects.toMatchObject({
+        name: 'ValidationError',
+        errors: [
+          expect.objectContaining({
+            field: 'publish_at',
+            message: expect.stringMatching(/in the past/),
+          }),
+        ],
+      });
+      expect(api.posts.edit).not.toHaveBeenCalled();
+    });
+
+    it('should reject local times skipped by a DST change', async () => {
+      await expect(schedulePost(postId, { publishAt: '2030-03-10T02:30' })).rejects.toBeInstanceOf(
+        ValidationError
+      );
+      expect(api.posts.read).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to schedule a published post', async () => {
+      api.posts.read.mockResolvedValue({ ...draft, status: 'published' });
+
+      await expect(schedulePost(postId, { publishAt: '2030-01-15T09:00' })).rejects.toThrow(
+        'Post is already published'
+      );
+      expect(api.posts.edit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getScheduledPosts', () => {
+    const scheduled = [
+      { id: 'a', title: 'Morning', slug: 'morning', published_at: '2030-01-11T14:00:00.000Z' },
+      { id: 'b', title: 'Late', slug: 'late', published_at: '2030-01-12T04:30:00.000Z' },
+      { id: 'c', title: 'Next week', slug: 'next-week', published_at: '2030-01-17T15:00:00.000Z' },
+    ];
+
+    it('should group upcoming posts by local day', async () => {
+      api.posts.browse.mockResolvedValue(scheduled);
+
+      const result = await getScheduledPosts({ days: 7 });
+
+      expect(result).toEqual({
+        timezone: 'America/New_York',
+        from: '2030-01-10',
+        to: '2030-01-16',
+        total: 3,
+        days: [
+          {
+            date: '2030-01-11',
+            weekday: 'Friday',
+            posts: [
+              {
+                id: 'a',
+                title: 'Morning',
+                slug: 'morning',
+                local_time: '09:00',
+                published_at: '2030-01-11T14:00:00.000Z',
+              },
+              // 04:30 UTC on the 12th is still the 11th in New York
+              {
+                id: 'b',
+                title: 'Late',
+                slug: 'late',
+                local_time: '23:30',
+                published_at: '2030-01-12T04:30:00.000Z',
+              },
+            ],
+          },
+          {
+            date: '2030-01-17',
+            weekday: 'Thursday',
+            posts: [
+              {
+                id: 'c',
+                title: 'Next week',
+                slug: 'next-week',
+                local_time: '10:00',
+                published_at: '2030-01-17T15:00:00.000Z',
+              },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should query scheduled posts from now until the end of the window', async () => {
+      api.posts.browse.mockResolvedValue([]);
+
+      await getScheduledPosts({ days: 7 });
+
+      expect(api.posts.browse).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filter:
+            "status:scheduled+published_at:>='2030-01-10T12:00:00.000Z'+published_at:<'2030-01-17T05:00:00.000Z'",
+          order: 'published_at asc',
+          limit: 'all',
+        }),
+        {}
+      );
+    });
+
+    it('should start at local midnight when a from date is given', async () => {
+      api.posts.browse.mockResolvedValue([]);
+
+      const result = await getScheduledPosts({
+        from: '2030-02-01',
+        days: 1,
+        timezone: 'Europe/London',
+      });
+
+      expect(result).toMatchObject({ from: '2030-02-01', to: '2030-02-01', total: 0, days: [] });
+      expect(api.posts.browse.mock.calls[0][0].filter).toBe(
+        "status:scheduled+published_at:>='2030-02-01T00:00:00.000Z'+published_at:<'2030-02-02T00:00:00.000Z'"
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The SDK has no settings resource, so settings are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { getSettings, updateSettings, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+
+describe('ghostServiceImproved - Settings', () => {
+  const navigation = [{ label: 'Home', url: '/' }];
+  const rawSettings = [
+    { key: 'title', value: 'My Site' },
+    { key: 'description', value: 'Old description' },
+    { key: 'navigation', value: JSON.stringify(navigation) },
+    { key: 'timezone', value: 'Etc/UTC' },
+    { key: 'meta_title', value: null },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    mockAxios.mockImplementation(async ({ method, data }) => ({
+      data: { settings: method === 'PUT' ? data.settings : rawSettings },
+    }));
+  });
+
+  const settingsUrl = 'https://test.ghost.io/ghost/api/admin/settings/';
+
+  describe('getSettings', () => {
+    it('should return settings keyed by name with navigation parsed', async () => {
+      const settings = await getSettings();
+
+      expect(mockAxios).toHaveBeenCalledWith({
+        url: settingsUrl,
+        method: 'GET',
+        data: undefined,
+        headers: { Authorization: 'Ghost test-token', 'Accept-Version': 'v5.0' },
+      });
+      expect(settings).toEqual({
+        title: 'My Site',
+        description: 'Old description',
+        navigation,
+        timezone: 'Etc/UTC',
+        meta_title: null,
+      });
+    });
+
+    it('should return only the requested keys', async () => {
+      const settings = await getSettings({ keys: ['title', 'timezone', 'unknown_key'] });
+
+      expect(settings).toEqual({ title: 'My Site', timezone: 'Etc/UTC' });
+    });
+
+    it('should not rely on an SDK settings resource', () => {
+      expect(api.settings.browse).not.toHaveProperty('mock');
+    });
+
+    it('should surface Ghost errors from the direct request', async () => {
+      mockAxios.mockRejectedValue(
+        Object.assign(new Error('Request failed with status code 403'), {
+          response: { status: 403, data: { errors: [{ message: 'Permission error' }] } },
+        })
+      );
+
+      await expect(getSettings()).rejects.toMatchObject({
+        ghostStatusCode: 403,
+        originalError: 'Permission error',
+      });
+    });
+
+    it('should accept settings already keyed by name', async () => {
+      mockAxios.mockResolvedValue({ data: { settings: { title: 'Keyed', navigation } } });
+
+      expect(await getSettings()).toEqual({ title: 'Keyed', navigation });
+    });
+  });
+
+  describe('updateSettings', () => {
+    it('should send only changed keys and return a before/after diff', async () => {
+      const result = await updateSettings({
+        title: 'My Site',
+        description: 'New description',
+      });
+
+      expect(mockAxios).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          url: settingsUrl,
+          method: 'PUT',
+          data: { settings: [{ key: 'description', value: 'New description' }] },
+        })
+      );
+      expect(result).toEqual({
+        updated: ['description'],
+        unchanged: ['title'],
+        diff: { description: { before: 'Old description', after: 'New description' } },
+      });
+    });
+
+    it('should JSON-encode navigation for Ghost and diff the parsed lists', async () => {
+      const newNavigation = [...navigation, { label: 'About', url: '/about/' }];
+      const result = await updateSettings({ navigation: newNavigation });
+
+      expect(mockAxios).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          method: 'PUT',
+          data: { settings: [{ key: 'navigation', value: JSON.stringify(newNavigation) }] },
+        })
+      );
+      expect(result.diff.navigation).toEqual({ before: navigation, after: newNavigation });
+    });
+
+    it('should treat null and missing values as equal', async () => {
+      const result = await updateSettings({ meta_title: null });
+
+      expect(mockAxios).toHaveBeenCalledTimes(1);
+      expect(mockAxios.mock.calls[0][0].method).toBe('GET');
+      expect(result).toEqual({ updated: [], unchanged: ['meta_title'], diff: {} });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule, mockAdminTokenModule } from '../../__tests__/helpers/mockGhostApi.js';
+import { buildZip } from '../../__tests__/helpers/zipBuilder.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// The SDK cannot list themes, so they are requested directly
+const mockAxios = vi.fn();
+vi.mock('axios', () => ({ default: (...args) => mockAxios(...args) }));
+vi.mock('@tryghost/admin-api/lib/token.js', () => mockAdminTokenModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  getThemes,
+  uploadTheme,
+  activateTheme,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { validateThemeZip } from '../themes.js';
+import { ValidationError, NotFoundError } from '../../errors/index.js';
+
+const tmpDir = path.join(os.tmpdir(), `themes-test-${Date.now()}`);
+const packageJson = JSON.stringify({ name: 'my-theme', version: '1.2.0' });
+
+async function writeZip(name, files, options) {
+  const zipPath = path.join(tmpDir, name);
+  await fs.writeFile(zipPath, buildZip(files, options));
+  return zipPath;
+}
+
+async function validationErrors(promise) {
+  const error = await promise.catch((e) => e);
+  expect(error).toBeInstanceOf(ValidationError);
+  return error.errors.map((e) => e.message);
+}
+
+describe('ghostServiceImproved - Themes', () => {
+  beforeAll(async () => {
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  describe('validateThemeZip', () => {
+    it('should accept a theme with files at the archive root', async () => {
+      const zipPath = await writeZip('root.zip', {
+        'package.json': packageJson,
+        'index.hbs': '{{!< default}}',
+        'post.hbs': '{{!< default}}',
+        'default.hbs': '{{{body}}}',
+      });
+
+      expect(await validateThemeZip(zipPath)).toEqual({
+        name: 'my-theme',
+        version: '1.2.0',
+        templates: ['default.hbs', 'index.hbs', 'post.hbs'],
+      });
+    });
+
+    it('should accept a theme inside a single top-level folder, ignoring macOS metadata', async () => {
+      const zipPath = await writeZip(
+        'nested.zip',
+        {
+          'my-theme/': '',
+          'my-theme/package.json': packageJson,
+          'my-theme/index.hbs': 'x',
+          'my-theme/post.hbs': 'x',
+          '__MACOSX/my-theme/._index.hbs': 'x',
+        },
+        { deflate: true }
+      );
+
+      expect((await validateThemeZip(zipPath)).name).toBe('my-theme');
+    });
+
+    it('should report every structural problem at once', async () => {
+      const zipPath = await writeZip('broken.zip', { 'index.hbs': 'x' });
+
+      expect(await validationErrors(validateThemeZip(zipPath))).toEqual([
+        'package.json is missing',
+        'Required template post.hbs is missing',
+      ]);
+    });
+
+    it('should require name and version in package.json', async () => {
+      const zipPath = await writeZip('no-version.zip', {
+        'package.json': JSON.stringify({ name: 'my-theme' }),
+        'index.hbs': 'x',
+        'post.hbs': 'x',
+      });
+
+      expect(await validationErrors(validateThemeZip(zipPath))).toEqual([
+        'package.json must have a "version"',
+      ]);
+    });
+
+    it('should reject unparseable package.json', async () => {
+      const zipPath = await writeZip('bad-json.zip', {
+        'package.json': '{ nope',
+        'index.hbs': 'x',
+        'post.hbs': 'x',
+      });
+
+      const messages = await validationErrors(validateThemeZip(zipPath));
+      expect(messages[0]).toMatch(/package.json is unreadable/);
+    });
+
+    it('should reject files that are not zips', async () => {
+      const notZip = path.join(tmpDir, 'theme.zip.txt');
+      await fs.writeFile(notZip, 'text');
+      const fakeZip = path.join(tmpDir, 'fake.zip');
+      await fs.writeFile(fakeZip, 'this is not really a zip archive');
+
+      expect(await validationErrors(validateThemeZip(notZip))).toEqual([
+        'Theme must be a .zip file',
+      ]);
+      expect((await validationErrors(validateThemeZip(fakeZip)))[0]).toMatch(/Not a ZIP archive/);
+    });
+  });
+
+  describe('getThemes', () => {
+    it('should list themes with a boolean active flag', async () => {
+      mockAxios.mockResolvedValue({
+        data: {
+          themes: [
+            { name: 'casper', package: { name: 'casper', version: '5.0.0' }, active: true },
+            { name: 'my-theme', package: { name: 'my-theme', version: '1.2.0' } },
+          ],
+        },
+      });
+
+      const themes = await getThemes();
+
+      expect(mockAxios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: 'https://test.ghost.io/ghost/api/admin/themes/',
+          method: 'GET',
+        })
+      );
+
+      expect(themes.map((t) => [t.name, t.active])).toEqual([
+        ['casper', true],
+        ['my-theme', false],
+      ]);
+    });
+
+    it('should not rely on an SDK themes.browse method', () => {
+      expect(api.themes.browse).not.toHaveProperty('mock');
+    });
+  });
+
+  describe('uploadTheme', () => {
+    it('should upload a valid theme zip', async () => {
+      const zipPath = await writeZip('my-theme.zip', {
+        'package.json': packageJson,
+        'index.hbs': 'x',
+        'post.hbs': 'x',
+      });
+      api.themes.upload.mockResolvedValue({ name: 'my-theme', active: false });
+
+      const result = await uploadTheme(zipPath);
+
+      expect(api.themes.upload).toHaveBeenCalledWith({ file: zipPath });
+      expect(result.theme.name).toBe('my-theme');
+      expect(result.package).toMatchObject({ name: 'my-theme', version: '1.2.0' });
+    });
+
+    it('should not upload an invalid theme', async () => {
+      const zipPath = await writeZip('invalid.zip', { 'package.json': packageJson });
+
+      await expect(uploadTheme(zipPath)).rejects.toThrow(ValidationError);
+      expect(api.themes.upload).not.toHaveBeenCalled();
+    });
+
+    it('should map Ghost 422 errors to ValidationError', async () => {
+      const zipPath = await writeZip('rejected.zip', {
+        'package.json': packageJson,
+        'index.hbs': 'x',
+        'post.hbs': 'x',
+      });
+      const error = new Error('Theme is not compatible');
+      error.response = { status: 422 };
+      api.themes.upload.mockRejectedValue(error);
+
+      await expect(uploadTheme(zipPath)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('activateTheme', () => {
+    beforeEach(() => {
+      mockAxios.mockResolvedValue({
+        data: { themes: [{ name: 'casper', active: true }, { name: 'my-theme' }] },
+      });
+    });
+
+    it('should activate an installed theme', async () => {
+      api.themes.activate.mockResolvedValue({ name: 'my-theme', active: true });
+
+      const theme = await activateTheme('my-theme');
+
+      expect(api.themes.activate).toHaveBeenCalledWith('my-theme');
+      expect(theme.active).toBe(true);
+    });
+
+    it('should throw NotFoundError for a theme that is not installed', async () => {
+      await expect(activateTheme('missing')).rejects.toThrow(NotFoundError);
+      expect(api.themes.activate).not.toHaveBeenCalled();
+    });
+  });
+});
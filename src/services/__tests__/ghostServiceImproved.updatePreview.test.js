@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { previewUpdate, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { NotFoundError, ValidationError } from '../../errors/index.js';
+
+const post = {
+  id: 'post-1',
+  title: 'Old title',
+  status: 'published',
+  featured: false,
+  html: '<p>First</p><p>Second</p>',
+  tags: [
+    { id: 'tag-1', name: 'News', slug: 'news' },
+    { id: 'tag-2', name: 'Tech', slug: 'tech' },
+  ],
+  authors: [{ id: 'user-1', name: 'Ada', email: 'ada@example.com', slug: 'ada' }],
+};
+
+describe('ghostServiceImproved - Update preview', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  it('should diff the changed fields against the current post without writing', async () => {
+    api.posts.read.mockResolvedValue(post);
+
+    const preview = await previewUpdate('posts', 'post-1', {
+      title: 'New title',
+      status: 'published',
+    });
+
+    expect(api.posts.read).toHaveBeenCalledWith(
+      { formats: 'html', include: 'tags,authors' },
+      { id: 'post-1' }
+    );
+    expect(api.posts.edit).not.toHaveBeenCalled();
+    expect(preview).toEqual({
+      dry_run: true,
+      resource: 'posts',
+      id: 'post-1',
+      changes: { title: { before: 'Old title', after: 'New title' } },
+      unchanged: ['status'],
+    });
+  });
+
+  it('should compare tags by name and author refs by the current names', async () => {
+    api.posts.read.mockResolvedValue(post);
+
+    const preview = await previewUpdate('posts', 'post-1', {
+      tags: ['News', 'Guides'],
+      authors: [{ id: 'user-1' }],
+    });
+
+    expect(preview.changes).toEqual({
+      tags: { before: ['News', 'Tech'], after: ['News', 'Guides'] },
+    });
+    expect(preview.unchanged).toEqual(['authors']);
+  });
+
+  it('should show content changes as a line diff', async () => {
+    api.posts.read.mockResolvedValue(post);
+
+    const preview = await previewUpdate('posts', 'post-1', {
+      html: '<p>First</p><p>Changed</p>',
+    });
+
+    expect(preview.changes).toEqual({});
+    expect(preview.html_diff).toBe(
+      [
+        '--- current',
+        '+++ proposed',
+        '@@ -1,2 +1,2 @@',
+        ' <p>First</p>',
+        '-<p>Second</p>',
+        '+<p>Changed</p>',
+      ].join('\n')
+    );
+  });
+
+  it('should list identical content as unchanged', async () => {
+    api.pages.read.mockResolvedValue({ ...post, id: 'page-1' });
+
+    const preview = await previewUpdate('pages', 'page-1', { html: post.html });
+
+    expect(preview.html_diff).toBe('');
+    expect(preview.unchanged).toEqual(['html']);
+  });
+
+  it('should resolve member newsletter IDs to names', async () => {
+    api.members.read.mockResolvedValue({
+      id: 'member-1',
+      email: 'reader@example.com',
+      labels: [{ id: 'label-1', name: 'VIP', slug: 'vip' }],
+      newsletters: [{ id: 'nl-1', name: 'Weekly' }],
+    });
+
+    const preview = await previewUpdate('members', 'member-1', {
+      labels: ['VIP'],
+      newsletters: [],
+    });
+
+    expect(api.members.read).toHaveBeenCalledWith(
+      { include: 'labels,newsletters' },
+      { id: 'member-1' }
+    );
+    expect(preview.changes).toEqual({ newsletters: { before: ['Weekly'], after: [] } });
+    expect(preview.unchanged).toEqual(['labels']);
+  });
+
+  it('should diff tier prices and benefits', async () => {
+    api.tiers.read.mockResolvedValue({
+      id: 'tier-1',
+      name: 'Gold',
+      monthly_price: 500,
+      benefits: ['Early access'],
+    });
+
+    const preview = await previewUpdate('tiers', 'tier-1', {
+      monthly_price: 700,
+      benefits: ['Early access', 'Discord'],
+    });
+
+    expect(preview.changes).toEqual({
+      monthly_price: { before: 500, after: 700 },
+      benefits: { before: ['Early access'], after: ['Early access', 'Discord'] },
+    });
+  });
+
+  it('should throw NotFoundError when the item does not exist', async () => {
+    const error = new Error('Tag not found');
+    error.response = { status: 404 };
+    api.tags.read.mockRejectedValue(error);
+    vi.useFakeTimers();
+
+    // Failed reads are retried with backoff before the error surfaces
+    const result = previewUpdate('tags', 'missing', { name: 'x' }).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(10000);
+
+    expect(await result).toBeInstanceOf(NotFoundError);
+    vi.useRealTimers();
+  });
+
+  it('should reject unsupported resources', async () => {
+    await expect(previewUpdate('offers', 'offer-1', {})).rejects.toThrow(ValidationError);
+  });
+});
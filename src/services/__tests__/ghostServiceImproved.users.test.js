@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  getUsers,
+  getUser,
+  resolveAuthors,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ValidationError, NotFoundError } from '../../errors/index.js';
+
+const JANE_ID = '507f1f77bcf86cd799439011';
+const JOHN_ID = '507f1f77bcf86cd799439022';
+
+describe('ghostServiceImproved - Users', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  describe('getUsers', () => {
+    it('should list users including roles by default', async () => {
+      api.users.browse.mockResolvedValue([{ id: JANE_ID, name: 'Jane' }]);
+
+      const result = await getUsers();
+
+      expect(result).toHaveLength(1);
+      expect(api.users.browse).toHaveBeenCalledWith({ limit: 15, include: 'roles' }, {});
+    });
+
+    it('should translate role into an NQL filter', async () => {
+      api.users.browse.mockResolvedValue([]);
+
+      await getUsers({ role: 'Author' });
+
+      expect(api.users.browse).toHaveBeenCalledWith(
+        { limit: 15, include: 'roles', filter: "roles.name:'Author'" },
+        {}
+      );
+    });
+
+    it('should combine role with an existing filter', async () => {
+      api.users.browse.mockResolvedValue([]);
+
+      await getUsers({ role: 'Editor', filter: 'status:active' });
+
+      expect(api.users.browse).toHaveBeenCalledWith(
+        expect.objectContaining({ filter: "roles.name:'Editor'+(status:active)" }),
+        {}
+      );
+    });
+
+    it('should return an empty array when Ghost returns nothing', async () => {
+      api.users.browse.mockResolvedValue(null);
+
+      expect(await getUsers()).toEqual([]);
+    });
+  });
+
+  describe('getUser', () => {
+    it('should read a user by ID', async () => {
+      api.users.read.mockResolvedValue({ id: JANE_ID });
+
+      await getUser({ id: JANE_ID });
+
+      expect(api.users.read).toHaveBeenCalledWith({ include: 'roles' }, { id: JANE_ID });
+    });
+
+    it('should read a user by slug', async () => {
+      api.users.read.mockResolvedValue({ id: JANE_ID });
+
+      await getUser({ slug: 'jane' });
+
+      expect(api.users.read).toHaveBeenCalledWith({ include: 'roles' }, { slug: 'jane' });
+    });
+
+    it('should read a user by email', async () => {
+      api.users.read.mockResolvedValue({ id: JANE_ID });
+
+      await getUser({ email: 'jane@example.com' });
+
+      expect(api.users.read).toHaveBeenCalledWith(
+        { include: 'roles' },
+        { email: 'jane@example.com' }
+      );
+    });
+
+    it('should throw ValidationError without an identifier', async () => {
+      await expect(getUser({})).rejects.toThrow(ValidationError);
+      expect(api.users.read).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError on 404', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      api.users.read.mockRejectedValue(error);
+
+      await expect(getUser({ slug: 'ghost' })).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('resolveAuthors', () => {
+    it('should pass IDs through without a lookup', async () => {
+      const result = await resolveAuthors([JANE_ID]);
+
+      expect(result).toEqual([{ id: JANE_ID }]);
+      expect(api.users.browse).not.toHaveBeenCalled();
+    });
+
+    it('should resolve emails by email filter', async () => {
+      api.users.browse.mockResolvedValue([{ id: JANE_ID, slug: 'jane' }]);
+
+      const result = await resolveAuthors(['jane@example.com']);
+
+      expect(result).toEqual([{ id: JANE_ID }]);
+      expect(api.users.browse).toHaveBeenCalledWith(
+        { filter: "email:'jane@example.com'", limit: 5 },
+        {}
+      );
+    });
+
+    it('should resolve slugs and names', async () => {
+      api.users.browse
+        .mockResolvedValueOnce([{ id: JANE_ID, slug: 'jane' }])
+        .mockResolvedValueOnce([{ id: JOHN_ID, slug: 'john-smith', name: 'John Smith' }]);
+
+      const result = await resolveAuthors(['jane', 'John Smith']);
+
+      expect(result).toEqual([{ id: JANE_ID }, { id: JOHN_ID }]);
+      expect(api.users.browse).toHaveBeenLastCalledWith(
+        { filter: "slug:'John Smith',name:'John Smith'", limit: 5 },
+        {}
+      );
+    });
+
+    it('should prefer an exact slug match over name matches', async () => {
+      api.users.browse.mockResolvedValue([
+        { id: JOHN_ID, slug: 'john-2', name: 'john' },
+        { id: JANE_ID, slug: 'john', name: 'Someone Else' },
+      ]);
+
+      expect(await resolveAuthors(['john'])).toEqual([{ id: JANE_ID }]);
+    });
+
+    it('should drop duplicate authors', async () => {
+      api.users.browse.mockResolvedValue([{ id: JANE_ID, slug: 'jane' }]);
+
+      expect(await resolveAuthors([JANE_ID, 'jane'])).toEqual([{ id: JANE_ID }]);
+    });
+
+    it('should reject ambiguous names', async () => {
+      api.users.browse.mockResolvedValue([
+        { id: JANE_ID, slug: 'alex-1', name: 'Alex' },
+        { id: JOHN_ID, slug: 'alex-2', name: 'Alex' },
+      ]);
+
+      await expect(resolveAuthors(['Alex'])).rejects.toMatchObject({
+        errors: [{ field: 'authors', message: '"Alex" matches 2 staff users' }],
+      });
+    });
+
+    it('should reject unknown authors', async () => {
+      api.users.browse.mockResolvedValue([]);
+
+      await expect(resolveAuthors(['nobody@example.com'])).rejects.toThrow(ValidationError);
+    });
+
+    it('should escape quotes in references', async () => {
+      api.users.browse.mockResolvedValue([{ id: JANE_ID, slug: 'x' }]);
+
+      await resolveAuthors(["O'Brien"]);
+
+      expect(api.users.browse).toHaveBeenCalledWith(
+        { filter: "slug:'O\\'Brien',name:'O\\'Brien'", limit: 5 },
+        {}
+      );
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import {
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  api,
+  ghostCircuitBreaker,
+} from '../ghostServiceImproved.js';
+import { ValidationError, NotFoundError } from '../../errors/index.js';
+
+describe('ghostServiceImproved - Webhooks', () => {
+  const webhookData = {
+    event: 'post.published',
+    target_url: 'https://example.com/api/webhooks/post.published',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+  });
+
+  describe('createWebhook', () => {
+    it('should create a webhook', async () => {
+      api.webhooks.add.mockResolvedValue({ id: 'webhook-1', ...webhookData });
+
+      const result = await createWebhook(webhookData);
+
+      expect(api.webhooks.add).toHaveBeenCalledWith(webhookData, {});
+      expect(result.id).toBe('webhook-1');
+    });
+
+    it('should map Ghost 422 errors to ValidationError', async () => {
+      const error = new Error('Target URL has already been used for this event');
+      error.response = { status: 422 };
+      api.webhooks.add.mockRejectedValue(error);
+
+      await expect(createWebhook(webhookData)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('should edit the webhook directly without a read', async () => {
+      api.webhooks.edit.mockResolvedValue({ id: 'webhook-1', name: 'Renamed' });
+
+      const result = await updateWebhook('webhook-1', { name: 'Renamed' });
+
+      expect(api.webhooks.edit).toHaveBeenCalledWith({ id: 'webhook-1', name: 'Renamed' }, {});
+      expect(result.name).toBe('Renamed');
+    });
+
+    it('should throw ValidationError if ID is missing', async () => {
+      await expect(updateWebhook(undefined, { name: 'x' })).rejects.toThrow(
+        'Webhook ID is required'
+      );
+      expect(api.webhooks.edit).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError on 404', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      api.webhooks.edit.mockRejectedValue(error);
+
+      await expect(updateWebhook('missing', { name: 'x' })).rejects.toThrow(NotFoundError);
+    });
+
+    it('should map Ghost 422 errors to ValidationError', async () => {
+      const error = new Error('Invalid target URL');
+      error.response = { status: 422 };
+      api.webhooks.edit.mockRejectedValue(error);
+
+      await expect(updateWebhook('webhook-1', { target_url: 'x' })).rejects.toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe('deleteWebhook', () => {
+    it('should delete a webhook by ID', async () => {
+      api.webhooks.delete.mockResolvedValue({});
+
+      await deleteWebhook('webhook-1');
+
+      expect(api.webhooks.delete).toHaveBeenCalledWith('webhook-1', {});
+    });
+
+    it('should throw NotFoundError on 404', async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      api.webhooks.delete.mockRejectedValue(error);
+
+      await expect(deleteWebhook('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
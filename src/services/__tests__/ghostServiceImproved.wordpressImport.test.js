@@ -0,0 +1,320 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+
+// Mock the Ghost Admin API using shared mock factory
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+
+// Mock dotenv
+vi.mock('dotenv', () => mockDotenv());
+
+// Mock logger
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Import after setting up mocks
+import { importWordPress, api, ghostCircuitBreaker } from '../ghostServiceImproved.js';
+import { ValidationError } from '../../errors/index.js';
+
+const tmpDir = path.join(os.tmpdir(), `wordpress-import-test-${Date.now()}`);
+
+const AUTHOR_ID = '507f1f77bcf86cd799439011';
+
+const item = ({
+  id,
+  title = `Item ${id}`,
+  slug = `item-${id}`,
+  type = 'post',
+  status = 'publish',
+  creator = 'admin',
+  date = '2023-05-01 10:00:00',
+  content = '<p>Body</p>',
+  excerpt = '',
+  categories = '',
+  meta = '',
+  attachmentUrl = '',
+}) => `<item>
+  <title>${title}</title>
+  <dc:creator>${creator}</dc:creator>
+  <content:encoded><![CDATA[${content}]]></content:encoded>
+  <excerpt:encoded><![CDATA[${excerpt}]]></excerpt:encoded>
+  <wp:post_id>${id}</wp:post_id>
+  <wp:post_date_gmt>${date}</wp:post_date_gmt>
+  <wp:post_name>${slug}</wp:post_name>
+  <wp:status>${status}</wp:status>
+  <wp:post_type>${type}</wp:post_type>
+  ${attachmentUrl && `<wp:attachment_url>${attachmentUrl}</wp:attachment_url>`}
+  ${categories}
+  ${meta}
+</item>`;
+
+const wxr = (...items) => `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0">
+<channel>
+  <title>My Blog</title>
+  <link>https://blog.example.com</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  <wp:author>
+    <wp:author_login>admin</wp:author_login>
+    <wp:author_email>admin@example.com</wp:author_email>
+  </wp:author>
+  ${items.join('\n')}
+</channel>
+</rss>`;
+
+async function writeWxr(name, ...items) {
+  const wxrPath = path.join(tmpDir, name);
+  await fs.writeFile(wxrPath, wxr(...items));
+  return wxrPath;
+}
+
+const noDelay = { delayMs: 0 };
+
+describe('ghostServiceImproved - WordPress import', () => {
+  beforeAll(async () => {
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    // Reset circuit breaker to closed state
+    ghostCircuitBreaker.state = 'CLOSED';
+    ghostCircuitBreaker.failureCount = 0;
+    ghostCircuitBreaker.lastFailureTime = null;
+    ghostCircuitBreaker.nextAttempt = null;
+
+    api.posts.browse.mockResolvedValue([]);
+    api.pages.browse.mockResolvedValue([]);
+    api.tags.browse.mockResolvedValue([]);
+    api.users.browse.mockResolvedValue([{ id: AUTHOR_ID, email: 'admin@example.com' }]);
+    api.posts.add.mockImplementation(async (data) => ({ id: `post-${data.slug}`, ...data }));
+    api.pages.add.mockImplementation(async (data) => ({ id: `page-${data.slug}`, ...data }));
+    api.tags.add.mockImplementation(async (data) => ({ id: `tag-${data.slug}`, ...data }));
+  });
+
+  it('should create posts and pages as drafts with their WordPress metadata', async () => {
+    const wxrPath = await writeWxr(
+      'basic.xml',
+      item({
+        id: '1',
+        title: 'Hello',
+        slug: 'hello',
+        excerpt: 'Intro',
+        categories: '<category domain="category" nicename="news"><![CDATA[News]]></category>',
+      }),
+      item({ id: '2', title: 'About', slug: 'about', type: 'page' })
+    );
+
+    const report = await importWordPress(wxrPath, noDelay);
+
+    expect(report.summary).toEqual({
+      total: 2,
+      created: 2,
+      skipped: 0,
+      failed: 0,
+      conflicts: 0,
+      images_rehosted: 0,
+    });
+    expect(report.site).toEqual({ title: 'My Blog', link: 'https://blog.example.com' });
+    expect(report.tags).toEqual({ existing: [], created: ['News'], failed: [] });
+    expect(report.items[0]).toEqual({
+      wordpress_id: '1',
+      type: 'post',
+      title: 'Hello',
+      slug: 'hello',
+      wordpress_status: 'publish',
+      status: 'created',
+      id: 'post-hello',
+      published_at: '2023-05-01T10:00:00.000Z',
+      tags: ['News'],
+      authors: ['admin'],
+      images: 0,
+    });
+    expect(api.posts.add).toHaveBeenCalledWith(
+      {
+        title: 'Hello',
+        html: '<p>Body</p>',
+        status: 'draft',
+        slug: 'hello',
+        published_at: '2023-05-01T10:00:00.000Z',
+        custom_excerpt: 'Intro',
+        tags: [{ id: 'tag-news' }],
+        authors: [{ id: AUTHOR_ID }],
+      },
+      { source: 'html' }
+    );
+    expect(api.pages.add).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'About', slug: 'about', status: 'draft' }),
+      { source: 'html' }
+    );
+  });
+
+  it('should report conflicts and skipped items without writing on a dry run', async () => {
+    api.posts.browse.mockResolvedValue([{ id: 'ghost-1', slug: 'taken' }]);
+    api.tags.browse.mockResolvedValue([{ id: 'tag-1', name: 'News', slug: 'news' }]);
+    const wxrPath = await writeWxr(
+      'dry-run.xml',
+      item({
+        id: '1',
+        slug: 'fresh',
+        content: '<img src="https://blog.example.com/a.jpg">',
+        categories: `<category domain="category" nicename="news"><![CDATA[News]]></category>
+          <category domain="post_tag" nicename="new-tag"><![CDATA[New Tag]]></category>
+          <category domain="category" nicename="uncategorized"><![CDATA[Uncategorized]]></category>`,
+      }),
+      item({ id: '2', slug: 'fresh' }),
+      item({ id: '3', slug: 'taken' }),
+      item({ id: '4', slug: 'old', status: 'trash' }),
+      item({ id: '5', type: 'attachment', attachmentUrl: 'https://blog.example.com/b.jpg' })
+    );
+
+    const report = await importWordPress(wxrPath, {
+      dryRun: true,
+      uploadImage: vi.fn(),
+    });
+
+    expect(report.dry_run).toBe(true);
+    expect(report.summary).toEqual({
+      total: 4,
+      would_create: 1,
+      skipped: 3,
+      failed: 0,
+      conflicts: 2,
+      images_to_rehost: 1,
+    });
+    expect(report.tags).toEqual({ existing: ['News'], to_create: ['New Tag'], failed: [] });
+    expect(report.items.map(({ status, reason }) => [status, reason])).toEqual([
+      ['would_create', undefined],
+      ['skipped', 'Duplicate of WordPress item 1'],
+      ['skipped', 'Slug already used by post ghost-1'],
+      ['skipped', 'WordPress status is trash'],
+    ]);
+    expect(api.posts.browse).toHaveBeenCalledWith(
+      { filter: "slug:['fresh','taken']", limit: 2, fields: 'id,slug' },
+      {}
+    );
+    expect(api.posts.add).not.toHaveBeenCalled();
+    expect(api.tags.add).not.toHaveBeenCalled();
+  });
+
+  it('should convert WordPress markup to HTML', async () => {
+    const wxrPath = await writeWxr(
+      'content.xml',
+      item({
+        id: '1',
+        content: `<!-- wp:paragraph -->
+First line
+second line
+
+[caption id="attachment_5" align="alignnone"]<img src="/a.jpg" /> A caption[/caption]
+
+[gallery ids="1,2"]
+<!-- /wp:paragraph -->`,
+      })
+    );
+
+    const report = await importWordPress(wxrPath, noDelay);
+
+    expect(api.posts.add.mock.calls[0][0].html).toBe(
+      '<p>First line<br />second line</p>\n' +
+        '<figure><img src="/a.jpg" /><figcaption>A caption</figcaption></figure>\n' +
+        '<p>[gallery ids="1,2"]</p>'
+    );
+    expect(report.items[0].warnings).toEqual(['Shortcodes left as text: gallery']);
+  });
+
+  it('should re-host each image once and rewrite content and featured image URLs', async () => {
+    const image = 'https://blog.example.com/wp-content/a.jpg';
+    const wxrPath = await writeWxr(
+      'images.xml',
+      item({ id: '1', content: `<p><img src="${image}"></p>` }),
+      item({
+        id: '2',
+        content: `<p><img src="${image}"></p><p><img src="https://cdn.example.com/broken.png"></p>`,
+        meta: `<wp:postmeta><wp:meta_key>_thumbnail_id</wp:meta_key><wp:meta_value>9</wp:meta_value></wp:postmeta>`,
+      }),
+      item({ id: '9', type: 'attachment', attachmentUrl: 'https://blog.example.com/cover.jpg' })
+    );
+    const uploadImage = vi.fn(async (url) => {
+      if (url.includes('broken')) throw new Error('Download failed');
+      return `https://ghost.example.com/content/images/${path.basename(url)}`;
+    });
+
+    const report = await importWordPress(wxrPath, { ...noDelay, uploadImage });
+
+    expect(uploadImage).toHaveBeenCalledTimes(3);
+    expect(report.summary.images_rehosted).toBe(2);
+    expect(api.posts.add.mock.calls[0][0].html).toBe(
+      '<p><img src="https://ghost.example.com/content/images/a.jpg" /></p>'
+    );
+    expect(api.posts.add.mock.calls[1][0]).toMatchObject({
+      feature_image: 'https://ghost.example.com/content/images/cover.jpg',
+    });
+    expect(api.posts.add.mock.calls[1][0].html).toContain('https://cdn.example.com/broken.png');
+    expect(report.items[1].warnings).toEqual([
+      'Image https://cdn.example.com/broken.png kept at its original URL: Download failed',
+    ]);
+  });
+
+  it('should use the author map and report authors it cannot resolve', async () => {
+    api.users.browse.mockResolvedValue([]);
+    const wxrPath = await writeWxr(
+      'authors.xml',
+      item({ id: '1', creator: 'admin' }),
+      item({ id: '2', creator: 'guest' })
+    );
+
+    const report = await importWordPress(wxrPath, {
+      ...noDelay,
+      authorMap: { admin: AUTHOR_ID },
+    });
+
+    expect(report.unresolved_authors).toEqual([
+      { login: 'guest', reference: 'guest', reason: 'No staff user found for "guest"' },
+    ]);
+    expect(api.posts.add.mock.calls[0][0].authors).toEqual([{ id: AUTHOR_ID }]);
+    expect(api.posts.add.mock.calls[1][0]).not.toHaveProperty('authors');
+    expect(report.items[1].warnings).toEqual([
+      'Author guest not found in Ghost; Ghost assigns the default author',
+    ]);
+  });
+
+  it('should report items Ghost rejects as failed', async () => {
+    const error = new Error('Slug is invalid');
+    error.response = { status: 422 };
+    api.posts.add.mockImplementation(async (data) => {
+      if (data.slug === 'item-1') throw error;
+      return { id: 'new', ...data };
+    });
+    const wxrPath = await writeWxr('failure.xml', item({ id: '1' }), item({ id: '2' }));
+
+    const report = await importWordPress(wxrPath, { ...noDelay, batchSize: 1 });
+
+    expect(report.summary).toMatchObject({ created: 1, failed: 1 });
+    expect(report.items[0].status).toBe('failed');
+    expect(report.items[0].errors[0].field).toBe('post');
+  });
+
+  it('should reject files that are not WordPress exports', async () => {
+    const wxrPath = path.join(tmpDir, 'feed.xml');
+    await fs.writeFile(wxrPath, '<rss><channel><title>Feed</title></channel></rss>');
+
+    const error = await importWordPress(wxrPath).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors[0]).toEqual({
+      field: 'wxr_path',
+      message: 'Not a WordPress export: expected rss/channel with wp:wxr_version',
+    });
+  });
+});
@@ -11,7 +11,7 @@ vi.mock('../../utils/logger.js', () => ({
 
 // Stub path validation so these tests focus on argument shaping, not FS.
 vi.mock('../validators.js', () => ({
-  validators: { validateImagePath: vi.fn().mockResolvedValue(undefined) },
+  validators: { validateFilePath: vi.fn().mockResolvedValue(undefined) },
 }));
 
 import { uploadImage } from '../images.js';
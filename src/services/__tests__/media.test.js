@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mockGhostApiModule } from '../../__tests__/helpers/mockGhostApi.js';
+import { createMockContextLogger } from '../../__tests__/helpers/mockLogger.js';
+import { mockDotenv } from '../../__tests__/helpers/testUtils.js';
+
+vi.mock('@tryghost/admin-api', () => mockGhostApiModule());
+vi.mock('dotenv', () => mockDotenv());
+vi.mock('../../utils/logger.js', () => ({
+  createContextLogger: createMockContextLogger(),
+}));
+
+// Stub path validation so these tests focus on argument shaping, not FS.
+vi.mock('../validators.js', () => ({
+  validators: { validateFilePath: vi.fn().mockResolvedValue(undefined) },
+}));
+
+import { uploadMedia } from '../media.js';
+import { api } from '../ghostApiClient.js';
+import { validators } from '../validators.js';
+import { ValidationError } from '../../errors/index.js';
+
+describe('media.uploadMedia', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('uploads media with thumbnail and ref', async () => {
+    const expected = {
+      url: 'https://cdn/clip.mp4',
+      thumbnail_url: 'https://cdn/clip_thumb.jpg',
+      ref: 'clip.mp4',
+    };
+    api.media.upload.mockResolvedValue(expected);
+
+    const result = await uploadMedia('/tmp/clip.mp4', {
+      thumbnailPath: '/tmp/poster.jpg',
+      ref: 'clip.mp4',
+    });
+
+    expect(result).toEqual(expected);
+    expect(api.media.upload).toHaveBeenCalledWith({
+      file: '/tmp/clip.mp4',
+      thumbnail: '/tmp/poster.jpg',
+      ref: 'clip.mp4',
+    });
+    expect(validators.validateFilePath).toHaveBeenCalledWith('/tmp/clip.mp4', 'Media');
+    expect(validators.validateFilePath).toHaveBeenCalledWith('/tmp/poster.jpg', 'Thumbnail');
+  });
+
+  it('omits thumbnail/ref when not provided', async () => {
+    api.media.upload.mockResolvedValue({ url: 'https://cdn/talk.mp3' });
+    await uploadMedia('/tmp/talk.mp3');
+    expect(api.media.upload).toHaveBeenCalledWith({ file: '/tmp/talk.mp3' });
+  });
+
+  it('rejects extensions outside the media allowlist', async () => {
+    await expect(uploadMedia('/tmp/movie.avi')).rejects.toBeInstanceOf(ValidationError);
+    await expect(uploadMedia('/tmp/doc.pdf')).rejects.toThrow(/Unsupported media type/);
+    expect(api.media.upload).not.toHaveBeenCalled();
+  });
+
+  it('rejects ref longer than 200 chars', async () => {
+    await expect(uploadMedia('/tmp/clip.mp4', { ref: 'x'.repeat(201) })).rejects.toThrow(
+      /cannot exceed 200/
+    );
+  });
+
+  it('wraps Ghost rejections in a ValidationError', async () => {
+    const error = new Error('Please select a valid media file');
+    error.response = { status: 415 };
+    api.media.upload.mockRejectedValue(error);
+
+    await expect(uploadMedia('/tmp/clip.webm')).rejects.toThrow(/Media upload failed/);
+  });
+});
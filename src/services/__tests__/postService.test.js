@@ -17,9 +17,15 @@ vi.mock('../ghostService.js', () => ({
   createTag: vi.fn(),
 }));
 
+// Mock author resolution
+vi.mock('../users.js', () => ({
+  resolveAuthors: vi.fn(),
+}));
+
 // Import after mocks are set up
 import { createPostService } from '../postService.js';
 import { createPost, getTags, createTag } from '../ghostService.js';
+import { resolveAuthors } from '../users.js';
 
 describe('postService', () => {
   beforeEach(() => {
@@ -409,4 +415,40 @@ describe('postService', () => {
       expect(createTag).not.toHaveBeenCalled();
     });
   });
+
+  describe('createPostService - author resolution', () => {
+    it('should resolve author references and pass IDs to Ghost', async () => {
+      resolveAuthors.mockResolvedValue([{ id: '507f1f77bcf86cd799439011' }]);
+      createPost.mockResolvedValue({ id: '1', title: 'Test' });
+
+      await createPostService({
+        title: 'Test Post',
+        html: '<p>Content</p>',
+        authors: ['jane-doe'],
+      });
+
+      expect(resolveAuthors).toHaveBeenCalledWith(['jane-doe']);
+      expect(createPost).toHaveBeenCalledWith(
+        expect.objectContaining({ authors: [{ id: '507f1f77bcf86cd799439011' }] })
+      );
+    });
+
+    it('should leave authors unset when none are provided', async () => {
+      createPost.mockResolvedValue({ id: '1', title: 'Test' });
+
+      await createPostService({ title: 'Test Post', html: '<p>Content</p>' });
+
+      expect(resolveAuthors).not.toHaveBeenCalled();
+      expect(createPost.mock.calls[0][0]).not.toHaveProperty('authors');
+    });
+
+    it('should propagate resolution errors instead of creating the post', async () => {
+      resolveAuthors.mockRejectedValue(new Error('Author resolution failed'));
+
+      await expect(
+        createPostService({ title: 'Test Post', html: '<p>Content</p>', authors: ['nobody'] })
+      ).rejects.toThrow('Author resolution failed');
+      expect(createPost).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,402 @@
+import { ValidationError } from '../errors/index.js';
+import { createContextLogger } from '../utils/logger.js';
+import { addDays, startOfZonedDay, toZonedDateTime } from '../utils/timezone.js';
+import { handleApiRequest, readResource } from './ghostApiClient.js';
+import { resolveTimezone } from './scheduling.js';
+
+const logger = createContextLogger('analytics');
+
+// Relations Ghost attaches to a post for email and attribution stats
+export const ANALYTICS_INCLUDE =
+  'email,newsletter,count.clicks,count.signups,count.paid_conversions,count.comments';
+
+const PAGE_SIZE = 100;
+
+// Longest range one report covers
+const MAX_REPORT_DAYS = 366;
+
+const METRICS = [
+  'emails',
+  'recipients',
+  'delivered',
+  'opened',
+  'clicked',
+  'signups',
+  'paid_conversions',
+  'comments',
+];
+
+// Percentage with one decimal, or null when nothing was delivered
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+/**
+ * Email, attribution and comment stats of one post.
+ */
+function postMetrics(post) {
+  const counts = post.count || {};
+  const { email } = post;
+  let emailStats = null;
+  if (email) {
+    const delivered = email.delivered_count ?? email.email_count - (email.failed_count || 0);
+    const clicked = counts.clicks ?? 0;
+    emailStats = {
+      status: email.status,
+      sent_at: email.submitted_at || post.published_at,
+      recipients: email.email_count,
+      delivered,
+      opened: email.opened_count ?? 0,
+      failed: email.failed_count ?? 0,
+      clicked,
+      open_rate: rate(email.opened_count ?? 0, delivered),
+      click_rate: rate(clicked, delivered),
+    };
+  }
+
+  return {
+    post: {
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      url: post.url,
+      published_at: post.published_at,
+    },
+    newsletter: post.newsletter
+      ? { id: post.newsletter.id, slug: post.newsletter.slug, name: post.newsletter.name }
+      : null,
+    email: emailStats,
+    signups: counts.signups ?? 0,
+    paid_conversions: counts.paid_conversions ?? 0,
+    comments: counts.comments ?? 0,
+  };
+}
+
+/**
+ * Gets the analytics of one post: email delivery, opens and clicks, member
+ * signups and paid conversions attributed to it, and its comment count.
+ * @param {string} postId - The post ID
+ * @returns {Promise<Object>} { post, newsletter, email, signups, paid_conversions, comments };
+ *   email is null when the post was not sent as an email. Rates are percentages.
+ * @throws {NotFoundError} If the post is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getPostAnalytics(postId) {
+  const post = await readResource('posts', postId, 'Post', { include: ANALYTICS_INCLUDE });
+  return postMetrics(post);
+}
+
+/**
+ * Pages through every item of a resource matching the query.
+ */
+async function browseAll(resource, query) {
+  const items = [];
+  let page = 1;
+
+  while (true) {
+    const batch =
+      (await handleApiRequest(resource, 'browse', {}, { ...query, limit: PAGE_SIZE, page })) || [];
+    items.push(...batch);
+
+    const hasNext = batch.meta?.pagination
+      ? Boolean(batch.meta.pagination.next)
+      : batch.length === PAGE_SIZE;
+    if (batch.length === 0 || !hasNext) break;
+    page += 1;
+  }
+
+  return items;
+}
+
+/**
+ * Resolves a report's timezone and its first and last day, defaulting to
+ * the last 7 days in the site timezone.
+ * @param {Object} [options={}] - Range options
+ * @param {string} [options.from] - First day, "YYYY-MM-DD" (defaults to 6 days before `to`)
+ * @param {string} [options.to] - Last day, "YYYY-MM-DD" (defaults to today)
+ * @param {string} [options.timezone] - IANA timezone (defaults to the site timezone)
+ * @returns {Promise<Object>} { timeZone, from, to, start, end }; start and end are the
+ *   UTC instants bounding the range, end exclusive
+ * @throws {ValidationError} If the range is reversed or longer than 366 days
+ */
+export async function resolveReportRange(options = {}) {
+  const timeZone = await resolveTimezone(options.timezone);
+  const to = options.to || toZonedDateTime(new Date(), timeZone).date;
+  const from = options.from || addDays(to, -6);
+
+  if (from > to) {
+    throw new ValidationError('Report range is reversed', [
+      { field: 'from', message: `from (${from}) must not be after to (${to})` },
+    ]);
+  }
+  if (addDays(from, MAX_REPORT_DAYS) <= to) {
+    throw new ValidationError(`Report range cannot exceed ${MAX_REPORT_DAYS} days`, [
+      { field: 'from', message: 'Narrow the range or run one report per year' },
+    ]);
+  }
+
+  return {
+    timeZone,
+    from,
+    to,
+    start: startOfZonedDay(from, timeZone),
+    end: startOfZonedDay(addDays(to, 1), timeZone),
+  };
+}
+
+/**
+ * Names the chart period a day falls in: the day itself, the Monday that
+ * starts its week, or its month.
+ */
+function periodOf(date, groupBy) {
+  if (groupBy === 'month') return date.slice(0, 7);
+  if (groupBy === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+/**
+ * One point per period in the range, so charts show quiet periods as zero.
+ */
+function emptySeries(from, to, groupBy, empty) {
+  const periods = new Map();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const period = periodOf(day, groupBy);
+    if (!periods.has(period)) periods.set(period, empty());
+  }
+  return periods;
+}
+
+const emptyTotals = () => Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+
+function addToTotals(totals, row) {
+  totals.emails += 1;
+  totals.recipients += row.email.recipients || 0;
+  totals.delivered += row.email.delivered || 0;
+  totals.opened += row.email.opened;
+  totals.clicked += row.email.clicked;
+  totals.signups += row.signups;
+  totals.paid_conversions += row.paid_conversions;
+  totals.comments += row.comments;
+}
+
+const withRates = (totals) => ({
+  ...totals,
+  open_rate: rate(totals.opened, totals.delivered),
+  click_rate: rate(totals.clicked, totals.delivered),
+});
+
+const formatRate = (value) => (value === null ? '–' : `${value}%`);
+
+// Pipes would split a Markdown table cell
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|');
+
+/**
+ * Renders the per-email rows and the totals as a Markdown table.
+ */
+function formatTable(rows, totals) {
+  const lines = [
+    '| Sent | Post | Newsletter | Recipients | Opened | Open rate | Clicked | Click rate | Signups | Comments |',
+    '| --- | --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+  ];
+  for (const row of rows) {
+    lines.push(
+      `| ${row.local_date} | ${cell(row.post.title)} | ${cell(row.newsletter?.name)} | ${row.email.recipients} | ${row.email.opened} | ${formatRate(row.email.open_rate)} | ${row.email.clicked} | ${formatRate(row.email.click_rate)} | ${row.signups} | ${row.comments} |`
+    );
+  }
+  lines.push(
+    `| **Total** | ${totals.emails} emails | | ${totals.recipients} | ${totals.opened} | ${formatRate(totals.open_rate)} | ${totals.clicked} | ${formatRate(totals.click_rate)} | ${totals.signups} | ${totals.comments} |`
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Reports on the posts sent as emails in a date range: a row per email,
+ * totals, a Markdown summary table and a series per day, week or month for
+ * charting. Days are calendar days in the report's timezone.
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.from] - First day, "YYYY-MM-DD" (defaults to 6 days before `to`)
+ * @param {string} [options.to] - Last day, "YYYY-MM-DD" (defaults to today)
+ * @param {string} [options.timezone] - IANA timezone (defaults to the site timezone)
+ * @param {string} [options.newsletter] - Only count emails sent to this newsletter (ID or slug)
+ * @param {'day'|'week'|'month'} [options.groupBy='day'] - Period of each series point
+ * @returns {Promise<Object>} { timezone, from, to, group_by, summary, table, series, emails }
+ * @throws {ValidationError} If the range is reversed or longer than 366 days
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getEmailReport(options = {}) {
+  const { newsletter, groupBy = 'day' } = options;
+  const { timeZone, from, to, start, end } = await resolveReportRange(options);
+
+  const posts = await browseAll('posts', {
+    filter: `status:[published,sent]+published_at:>='${start.toISOString()}'+published_at:<'${end.toISOString()}'`,
+    include: ANALYTICS_INCLUDE,
+    order: 'published_at asc',
+  });
+  const rows = posts
+    .filter((post) => post.email)
+    .filter(
+      (post) =>
+        !newsletter || post.newsletter?.id === newsletter || post.newsletter?.slug === newsletter
+    )
+    .map((post) => {
+      const row = postMetrics(post);
+      row.local_date = toZonedDateTime(new Date(post.published_at), timeZone).date;
+      return row;
+    });
+
+  const periods = emptySeries(from, to, groupBy, emptyTotals);
+  const totals = emptyTotals();
+  for (const row of rows) {
+    addToTotals(totals, row);
+    addToTotals(periods.get(periodOf(row.local_date, groupBy)), row);
+  }
+
+  const summary = withRates(totals);
+  logger.info('Email report built', { from, to, emails: summary.emails });
+  return {
+    timezone: timeZone,
+    from,
+    to,
+    group_by: groupBy,
+    summary,
+    table: formatTable(rows, summary),
+    series: [...periods].map(([period, values]) => ({ period, ...withRates(values) })),
+    emails: rows,
+  };
+}
+
+// Ghost returns each member's subscriptions; tiers must be asked for
+const MEMBER_INCLUDE = 'tiers';
+
+// Subscription states Ghost still bills, so they count towards MRR
+const BILLED_STATUSES = new Set(['active', 'trialing', 'past_due']);
+
+/**
+ * The amount, currency, interval and tier of a subscription. Ghost puts these
+ * under price; older versions under plan.
+ */
+function subscriptionPlan(subscription) {
+  const price = subscription.price || subscription.plan || {};
+  const tier = subscription.tier || price.tier || null;
+  return {
+    amount: price.amount || 0,
+    currency: price.currency?.toUpperCase() ?? null,
+    interval: price.interval,
+    tier: tier ? { id: tier.id, name: tier.name } : null,
+  };
+}
+
+// Monthly value in the currency's smallest unit; yearly plans are spread over 12 months
+const monthlyAmount = ({ amount, interval }) => (interval === 'year' ? amount / 12 : amount);
+
+/**
+ * Sums MRR per tier and currency, and per currency.
+ */
+function summarizeMrr(plans) {
+  const byTier = new Map();
+  const byCurrency = {};
+  for (const plan of plans) {
+    const key = `${plan.tier?.id}:${plan.currency}`;
+    if (!byTier.has(key)) {
+      byTier.set(key, { tier: plan.tier, currency: plan.currency, subscriptions: 0, mrr: 0 });
+    }
+    const entry = byTier.get(key);
+    entry.subscriptions += 1;
+    entry.mrr += monthlyAmount(plan);
+    byCurrency[plan.currency] = (byCurrency[plan.currency] || 0) + monthlyAmount(plan);
+  }
+
+  return {
+    by_currency: Object.fromEntries(
+      Object.entries(byCurrency).map(([currency, mrr]) => [currency, Math.round(mrr)])
+    ),
+    by_tier: [...byTier.values()]
+      .map((entry) => ({ ...entry, mrr: Math.round(entry.mrr) }))
+      .sort((a, b) => b.mrr - a.mrr),
+  };
+}
+
+/**
+ * Reports on membership: members by status now, signups and cancellations
+ * per day, week or month of a date range, churn over the range and current
+ * MRR by tier and currency. Pages through every member, so callers should
+ * cache the result.
+ *
+ * A cancellation is a paid subscription that ended in the range. Churn is
+ * cancellations as a percentage of the paid subscriptions running when the
+ * range began. Complimentary subscriptions are not paid and count for neither.
+ * @param {Object} [options={}] - Report options
+ * @param {string} [options.from] - First day, "YYYY-MM-DD" (defaults to 6 days before `to`)
+ * @param {string} [options.to] - Last day, "YYYY-MM-DD" (defaults to today)
+ * @param {string} [options.timezone] - IANA timezone (defaults to the site timezone)
+ * @param {'day'|'week'|'month'} [options.groupBy='day'] - Period of each series point
+ * @returns {Promise<Object>} { timezone, from, to, group_by, generated_at, totals, signups,
+ *   cancellations, paid_at_start, churn_rate, mrr, series }; MRR amounts are in the
+ *   currency's smallest unit, e.g. cents
+ * @throws {ValidationError} If the range is reversed or longer than 366 days
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getMemberStats(options = {}) {
+  const { groupBy = 'day' } = options;
+  const { timeZone, from, to, start, end } = await resolveReportRange(options);
+  const members = await browseAll('members', {
+    include: MEMBER_INCLUDE,
+    order: 'created_at asc',
+  });
+
+  const inRange = (timestamp) => {
+    const time = new Date(timestamp);
+    return time >= start && time < end;
+  };
+  const periods = emptySeries(from, to, groupBy, () => ({ signups: 0, cancellations: 0 }));
+  const countIn = (timestamp, metric) => {
+    const day = toZonedDateTime(new Date(timestamp), timeZone).date;
+    periods.get(periodOf(day, groupBy))[metric] += 1;
+  };
+
+  const totals = { total: members.length, free: 0, paid: 0, comped: 0 };
+  const billed = [];
+  let signups = 0;
+  let cancellations = 0;
+  let paidAtStart = 0;
+
+  for (const member of members) {
+    if (member.status in totals) totals[member.status] += 1;
+    if (inRange(member.created_at)) {
+      signups += 1;
+      countIn(member.created_at, 'signups');
+    }
+
+    for (const subscription of member.subscriptions || []) {
+      const plan = subscriptionPlan(subscription);
+      if (plan.amount <= 0) continue;
+
+      const endedAt = subscription.status === 'canceled' ? subscription.current_period_end : null;
+      if (new Date(subscription.start_date) < start && (!endedAt || new Date(endedAt) >= start)) {
+        paidAtStart += 1;
+      }
+      if (endedAt && inRange(endedAt)) {
+        cancellations += 1;
+        countIn(endedAt, 'cancellations');
+      }
+      if (BILLED_STATUSES.has(subscription.status)) billed.push(plan);
+    }
+  }
+
+  logger.info('Member stats built', { from, to, members: totals.total });
+  return {
+    timezone: timeZone,
+    from,
+    to,
+    group_by: groupBy,
+    generated_at: new Date().toISOString(),
+    totals,
+    signups,
+    cancellations,
+    paid_at_start: paidAtStart,
+    churn_rate: rate(cancellations, paidAtStart),
+    mrr: summarizeMrr(billed),
+    series: [...periods].map(([period, values]) => ({ period, ...values })),
+  };
+}
@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { runInBatches } from '../utils/batch.js';
+import { createContextLogger } from '../utils/logger.js';
+import { deleteResource, handleApiRequest, readResource } from './ghostApiClient.js';
+
+const logger = createContextLogger('bulk-delete');
+
+// How long a preview's confirmation token stays valid
+export const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+const PAGE_SIZE = 100;
+
+const RESOURCES = {
+  posts: {
+    label: 'Post',
+    // Backups keep everything needed to recreate the post
+    readOptions: { formats: 'html,lexical', include: 'tags,authors' },
+    describe: ({ id, title, slug, status, published_at }) => ({
+      id,
+      title,
+      slug,
+      status,
+      published_at,
+    }),
+  },
+  pages: {
+    label: 'Page',
+    readOptions: { formats: 'html,lexical', include: 'tags,authors' },
+    describe: ({ id, title, slug, status, published_at }) => ({
+      id,
+      title,
+      slug,
+      status,
+      published_at,
+    }),
+  },
+  members: {
+    label: 'Member',
+    readOptions: { include: 'labels,newsletters' },
+    describe: ({ id, email, name, status, created_at }) => ({
+      id,
+      email,
+      name,
+      status,
+      created_at,
+    }),
+  },
+};
+
+export const BULK_DELETE_RESOURCES = Object.keys(RESOURCES);
+
+// token → { resource, filter, ids, expiresAt }
+const pendingDeletes = new Map();
+
+function forgetExpiredTokens(now = Date.now()) {
+  for (const [token, pending] of pendingDeletes) {
+    if (pending.expiresAt <= now) pendingDeletes.delete(token);
+  }
+}
+
+function resourceConfig(resource) {
+  const config = RESOURCES[resource];
+  if (!config) {
+    throw new ValidationError(`Bulk delete is not supported for ${resource}`);
+  }
+  return config;
+}
+
+/**
+ * Collects up to maxItems + 1 matching items, oldest first.
+ */
+async function collectMatches(resource, filter, maxItems) {
+  const items = [];
+  let page = 1;
+
+  while (items.length <= maxItems) {
+    const batch =
+      (await handleApiRequest(
+        resource,
+        'browse',
+        {},
+        { filter, limit: PAGE_SIZE, page, order: 'created_at asc' }
+      )) || [];
+    items.push(...batch);
+
+    const hasNext = batch.meta?.pagination
+      ? Boolean(batch.meta.pagination.next)
+      : batch.length === PAGE_SIZE;
+    if (batch.length === 0 || !hasNext) break;
+    page += 1;
+  }
+
+  return items;
+}
+
+/**
+ * Previews a bulk delete: counts the items matching an NQL filter and issues
+ * a single-use confirmation token for exactly those items. Nothing is deleted.
+ * @param {string} resource - 'posts', 'pages' or 'members'
+ * @param {string} filter - NQL filter selecting the items
+ * @param {Object} [options={}] - Preview options
+ * @param {number} [options.maxItems=1000] - Refuse if more items match
+ * @param {number} [options.sampleSize=10] - Number of matching items to include in the preview
+ * @returns {Promise<Object>} { resource, filter, count, sample, confirmation_token, expires_at };
+ *   the token is null when nothing matches
+ * @throws {ValidationError} If the filter is missing or matches too many items
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function previewBulkDelete(resource, filter, options = {}) {
+  const { maxItems = 1000, sampleSize = 10 } = options;
+  const config = resourceConfig(resource);
+
+  if (!filter) {
+    throw new ValidationError(
+      `A ${config.label.toLowerCase()} filter is required for bulk deletes`
+    );
+  }
+
+  const matched = await collectMatches(resource, filter, maxItems);
+  if (matched.length > maxItems) {
+    throw new ValidationError(
+      `Filter matches more than ${maxItems} ${resource}; narrow the filter or raise max_items`
+    );
+  }
+
+  forgetExpiredTokens();
+  let token = null;
+  let expiresAt = null;
+  if (matched.length > 0) {
+    token = crypto.randomBytes(16).toString('hex');
+    expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+    pendingDeletes.set(token, {
+      resource,
+      filter,
+      ids: matched.map((item) => item.id),
+      expiresAt,
+    });
+  }
+
+  logger.info('Bulk delete previewed', { resource, filter, count: matched.length });
+  return {
+    resource,
+    filter,
+    count: matched.length,
+    sample: matched.slice(0, sampleSize).map(config.describe),
+    confirmation_token: token,
+    expires_at: expiresAt && new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Takes a confirmation token, checking it is live and was issued for this
+ * resource and filter. Tokens are single-use.
+ */
+function redeemToken(token, resource, filter) {
+  forgetExpiredTokens();
+  const pending = pendingDeletes.get(token);
+  if (!pending) {
+    throw new ValidationError('Confirmation token is invalid or has expired', [
+      {
+        field: 'confirmation_token',
+        message: 'Run the bulk delete without a token to get a new preview and token',
+      },
+    ]);
+  }
+  if (pending.resource !== resource || pending.filter !== filter) {
+    throw new ValidationError('Confirmation token does not match this bulk delete', [
+      {
+        field: 'confirmation_token',
+        message: `The token was issued for ${pending.resource} matching "${pending.filter}"`,
+      },
+    ]);
+  }
+  pendingDeletes.delete(token);
+  return pending;
+}
+
+/**
+ * Deletes the items shown in a bulk delete preview. Only the previewed items
+ * are deleted, even if the filter now matches others. With a backup directory,
+ * each item is re-read and written to <backupDir>/<id>.json before it is
+ * deleted; an item whose backup fails is not deleted.
+ * @param {string} resource - 'posts', 'pages' or 'members'
+ * @param {string} filter - The NQL filter the token was issued for
+ * @param {string} token - Confirmation token from previewBulkDelete
+ * @param {Object} [options={}] - Delete options
+ * @param {string} [options.backupDir] - Directory for JSON backups (already checked against the
+ *   allowed root); created if missing
+ * @param {number} [options.batchSize=10] - Items deleted concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @returns {Promise<Object>} { resource, filter, backup_dir, summary, items } with a
+ *   deleted/not_found/failed status per item
+ * @throws {ValidationError} If the token is invalid, expired or issued for another filter
+ */
+export async function confirmBulkDelete(resource, filter, token, options = {}) {
+  const { backupDir, batchSize = 10, delayMs = 1000 } = options;
+  const config = resourceConfig(resource);
+  const { ids } = redeemToken(token, resource, filter);
+
+  if (backupDir) await fs.mkdir(backupDir, { recursive: true });
+
+  const backups = new Map();
+  const results = await runInBatches(
+    ids,
+    async (id) => {
+      if (backupDir) {
+        const item = await readResource(resource, id, config.label, config.readOptions);
+        const backupPath = path.join(backupDir, `${id}.json`);
+        await fs.writeFile(backupPath, `${JSON.stringify(item, null, 2)}\n`);
+        backups.set(id, backupPath);
+      }
+      await deleteResource(resource, id, config.label);
+    },
+    {
+      batchSize,
+      delayMs,
+      onBatchComplete: (progress) =>
+        logger.info('Bulk delete batch complete', { resource, ...progress }),
+    }
+  );
+
+  const items = results.map((result, index) => {
+    const id = ids[index];
+    const row = { id };
+    if (result.status === 'fulfilled') {
+      row.status = 'deleted';
+    } else if (result.reason instanceof NotFoundError) {
+      row.status = 'not_found';
+    } else {
+      row.status = 'failed';
+      row.error = result.reason?.message || 'Unknown error';
+    }
+    if (backups.has(id)) row.backup = backups.get(id);
+    return row;
+  });
+
+  const count = (status) => items.filter((item) => item.status === status).length;
+  const summary = {
+    confirmed: ids.length,
+    deleted: count('deleted'),
+    not_found: count('not_found'),
+    failed: count('failed'),
+  };
+
+  logger.info('Bulk delete complete', { resource, filter, ...summary });
+  return { resource, filter, backup_dir: backupDir || null, summary, items };
+}
@@ -0,0 +1,243 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError } from '../errors/index.js';
+import { createContextLogger } from '../utils/logger.js';
+import { formatFrontMatter, htmlToMarkdown } from '../utils/markdown.js';
+import { getSiteInfo, handleApiRequest } from './ghostApiClient.js';
+
+const logger = createContextLogger('content-export');
+
+// Bump when the archive layout or manifest fields change incompatibly
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const EXPORT_TYPES = ['posts', 'pages', 'tags', 'tiers', 'newsletters'];
+
+const PAGE_SIZE = 100;
+
+const BROWSE_QUERIES = {
+  posts: { formats: 'html,lexical', include: 'tags,authors' },
+  pages: { formats: 'html,lexical', include: 'tags,authors' },
+  tags: {},
+  tiers: { include: 'monthly_price,yearly_price,benefits' },
+  newsletters: {},
+};
+
+// Relations exported as join rows, and fields Ghost computes on read
+const POST_OMITTED_FIELDS = [
+  'tags',
+  'authors',
+  'primary_tag',
+  'primary_author',
+  'tiers',
+  'newsletter',
+  'email',
+  'count',
+  'url',
+  'excerpt',
+  'reading_time',
+];
+
+const FRONT_MATTER_FIELDS = [
+  'title',
+  'slug',
+  'status',
+  'visibility',
+  'featured',
+  'published_at',
+  'custom_excerpt',
+  'feature_image',
+  'feature_image_alt',
+  'feature_image_caption',
+  'meta_title',
+  'meta_description',
+  'canonical_url',
+];
+
+/**
+ * Pages through every item of a resource.
+ */
+async function browseAll(resource) {
+  const items = [];
+  let page = 1;
+
+  while (true) {
+    const query = { ...BROWSE_QUERIES[resource], limit: PAGE_SIZE, page };
+    const batch = (await handleApiRequest(resource, 'browse', {}, query)) || [];
+    items.push(...batch);
+
+    const hasNext = batch.meta?.pagination
+      ? Boolean(batch.meta.pagination.next)
+      : batch.length === PAGE_SIZE;
+    if (batch.length === 0 || !hasNext) break;
+    page += 1;
+  }
+
+  // Stable order so exports of unchanged content diff cleanly
+  return items.sort(
+    (a, b) => (a.slug || '').localeCompare(b.slug || '') || a.id.localeCompare(b.id)
+  );
+}
+
+const omit = (item, fields) =>
+  Object.fromEntries(Object.entries(item).filter(([key]) => !fields.includes(key)));
+
+/**
+ * Builds the Ghost import format (Settings → Labs → Import content).
+ * Pages are posts with type 'page'; tags and authors become join rows.
+ */
+function toGhostImport(content, site, exportedAt) {
+  const data = {};
+  const items = [
+    ...(content.posts || []).map((post) => ({ type: 'post', item: post })),
+    ...(content.pages || []).map((page) => ({ type: 'page', item: page })),
+  ];
+
+  if (content.posts || content.pages) {
+    const users = new Map();
+    data.posts = items.map(({ type, item }) => ({ ...omit(item, POST_OMITTED_FIELDS), type }));
+    data.posts_tags = items.flatMap(({ item }) =>
+      (item.tags || []).map((tag, index) => ({
+        post_id: item.id,
+        tag_id: tag.id,
+        sort_order: index,
+      }))
+    );
+    data.posts_authors = items.flatMap(({ item }) =>
+      (item.authors || []).map((author, index) => {
+        users.set(author.id, {
+          id: author.id,
+          name: author.name,
+          slug: author.slug,
+          email: author.email,
+        });
+        return { post_id: item.id, author_id: author.id, sort_order: index };
+      })
+    );
+    data.users = [...users.values()];
+  }
+  if (content.tags) data.tags = content.tags.map((tag) => omit(tag, ['url', 'count']));
+  if (content.tiers) data.products = content.tiers;
+  if (content.newsletters) data.newsletters = content.newsletters;
+
+  return {
+    db: [{ meta: { exported_on: Date.parse(exportedAt), version: site.version }, data }],
+  };
+}
+
+const fileSlug = (item) => (item.slug || '').replace(/[^\p{L}\p{N}_-]+/gu, '-') || item.id;
+
+/**
+ * Renders a post or page as Markdown with YAML front matter.
+ */
+function toMarkdownFile(item) {
+  const frontMatter = {};
+  for (const field of FRONT_MATTER_FIELDS) {
+    if (item[field] !== null && item[field] !== undefined && item[field] !== '') {
+      frontMatter[field] = item[field];
+    }
+  }
+  frontMatter.tags = (item.tags || []).map((tag) => tag.slug);
+  frontMatter.authors = (item.authors || []).map((author) => author.slug);
+
+  return `${formatFrontMatter(frontMatter)}\n${htmlToMarkdown(item.html)}`;
+}
+
+/**
+ * Refuses to mix a new export into the files of an old one.
+ */
+async function assertEmptyOutputDir(outputDir) {
+  const existing = await fs.readdir(outputDir).catch((error) => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  if (existing.length > 0) {
+    throw new ValidationError('Export directory is not empty', [
+      {
+        field: 'output_dir',
+        message: `${outputDir} already contains files; choose a new directory for each export`,
+      },
+    ]);
+  }
+}
+
+/**
+ * Exports site content to a directory.
+ *
+ * The 'json' format writes ghost-import.json in Ghost's import format (pages
+ * become posts with type 'page', tiers go under 'products'). The 'markdown'
+ * format writes one Markdown file with YAML front matter per post and page
+ * (posts/<slug>.md, pages/<slug>.md) and JSON files for tags, tiers and
+ * newsletters. Both write manifest.json with the archive format version,
+ * the Ghost version, counts and the file list. Items are sorted by slug so
+ * exports of unchanged content diff cleanly. Types the Admin API client has
+ * no resource for are left out and listed under `skipped` in the manifest.
+ *
+ * @param {string} outputDir - Directory to write to (already checked against the allowed root);
+ *   created if missing, and must be empty
+ * @param {Object} [options={}] - Export options
+ * @param {'json'|'markdown'} [options.format='json'] - Archive format
+ * @param {string[]} [options.types=EXPORT_TYPES] - Content types to export
+ * @returns {Promise<Object>} The manifest plus the output path
+ * @throws {ValidationError} If the output directory is not empty
+ * @throws {GhostAPIError} If reading content from Ghost fails
+ */
+export async function exportContent(outputDir, options = {}) {
+  const { format = 'json', types = EXPORT_TYPES } = options;
+  await assertEmptyOutputDir(outputDir);
+
+  const site = (await getSiteInfo()) || {};
+  const exportedAt = new Date().toISOString();
+  const content = {};
+  const skipped = {};
+  for (const type of EXPORT_TYPES.filter((t) => types.includes(t))) {
+    try {
+      content[type] = await browseAll(type);
+    } catch (error) {
+      // handleApiRequest only rejects a browse up front when the Admin API
+      // client has no such resource, as for tiers
+      if (!(error instanceof ValidationError)) throw error;
+      logger.warn('Skipping a content type the Admin API client cannot read', { type });
+      skipped[type] = error.message;
+    }
+  }
+
+  const files = new Map();
+  if (format === 'markdown') {
+    for (const type of ['posts', 'pages']) {
+      for (const item of content[type] || []) {
+        files.set(`${type}/${fileSlug(item)}.md`, toMarkdownFile(item));
+      }
+    }
+    for (const type of ['tags', 'tiers', 'newsletters']) {
+      if (content[type]) files.set(`${type}.json`, `${JSON.stringify(content[type], null, 2)}\n`);
+    }
+  } else {
+    const archive = toGhostImport(content, site, exportedAt);
+    files.set('ghost-import.json', `${JSON.stringify(archive, null, 2)}\n`);
+  }
+
+  const manifest = {
+    format_version: EXPORT_FORMAT_VERSION,
+    format,
+    exported_at: exportedAt,
+    site: { title: site.title, url: site.url, version: site.version },
+    counts: Object.fromEntries(
+      Object.entries(content).map(([type, items]) => [type, items.length])
+    ),
+    files: [...files.keys()],
+  };
+  if (Object.keys(skipped).length > 0) manifest.skipped = skipped;
+
+  for (const [name, body] of files) {
+    const filePath = path.join(outputDir, name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+  }
+  await fs.writeFile(
+    path.join(outputDir, 'manifest.json'),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+
+  logger.info('Content exported', { outputDir, format, counts: manifest.counts });
+  return { path: outputDir, ...manifest };
+}
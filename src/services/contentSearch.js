@@ -0,0 +1,232 @@
+import { ValidationError } from '../errors/index.js';
+import { SearchIndex, buildSnippet, tokenize } from '../utils/searchIndex.js';
+import { handleApiRequest } from './ghostApiClient.js';
+
+const RESOURCES = { post: 'posts', page: 'pages' };
+const PAGE_SIZE = 100;
+// Searches in quick succession reuse the index without asking Ghost for changes
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+const FIELD_WEIGHTS = { title: 3, excerpt: 2, plaintext: 1 };
+
+let state = createState();
+
+function createState() {
+  return {
+    index: new SearchIndex({ fields: FIELD_WEIGHTS }),
+    watermarks: { post: null, page: null }, // latest updated_at seen per type
+    lastRefreshAt: null,
+    refreshing: null,
+  };
+}
+
+/**
+ * Shapes a Ghost post or page into an index document.
+ */
+function toDocument(type, item) {
+  return {
+    id: `${type}:${item.id}`,
+    type,
+    ghostId: item.id,
+    title: item.title || '',
+    slug: item.slug,
+    url: item.url,
+    status: item.status,
+    excerpt: item.custom_excerpt || item.excerpt || '',
+    plaintext: item.plaintext || '',
+    published_at: item.published_at || null,
+    updated_at: item.updated_at,
+    tags: (item.tags || []).map((tag) => tag.slug),
+    authors: (item.authors || []).map((author) => author.slug),
+    authorEmails: (item.authors || []).map((author) => author.email?.toLowerCase()).filter(Boolean),
+  };
+}
+
+/**
+ * Pages through posts or pages updated at or after a timestamp.
+ */
+async function* iterateChanged(type, since) {
+  let page = 1;
+  while (true) {
+    const query = {
+      limit: PAGE_SIZE,
+      page,
+      formats: 'plaintext',
+      include: 'tags,authors',
+      order: 'updated_at asc',
+    };
+    // >= so edits sharing the watermark's second are not missed; re-adding is harmless
+    if (since) query.filter = `updated_at:>='${since}'`;
+
+    const items = (await handleApiRequest(RESOURCES[type], 'browse', {}, query)) || [];
+    if (items.length === 0) return;
+    yield items;
+
+    const hasNext = items.meta?.pagination
+      ? Boolean(items.meta.pagination.next)
+      : items.length === PAGE_SIZE;
+    if (!hasNext) return;
+    page += 1;
+  }
+}
+
+async function refreshType(type) {
+  let updated = 0;
+  for await (const items of iterateChanged(type, state.watermarks[type])) {
+    for (const item of items) {
+      state.index.add(toDocument(type, item));
+      if (!state.watermarks[type] || item.updated_at > state.watermarks[type]) {
+        state.watermarks[type] = item.updated_at;
+      }
+      updated += 1;
+    }
+  }
+
+  // Deleting content does not touch updated_at, so compare ids to find removals
+  const live =
+    (await handleApiRequest(RESOURCES[type], 'browse', {}, { limit: 'all', fields: 'id' })) || [];
+  const liveIds = new Set(live.map((item) => `${type}:${item.id}`));
+  let removed = 0;
+  for (const id of state.index.ids()) {
+    if (id.startsWith(`${type}:`) && !liveIds.has(id)) {
+      state.index.remove(id);
+      removed += 1;
+    }
+  }
+
+  return { updated, removed };
+}
+
+/**
+ * Brings the content index up to date. The first call indexes every post
+ * and page; later calls fetch only items whose updated_at moved past the
+ * last one seen, and drop items that no longer exist.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.force=false] - Refresh even if the index was refreshed moments ago
+ * @returns {Promise<{documents: number, updated: Object, removed: Object, refreshed_at: string, skipped: boolean}>}
+ *   Index size and per-type counts of re-indexed and removed items
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function refreshContentIndex(options = {}) {
+  const recent = state.lastRefreshAt && Date.now() - state.lastRefreshAt < MIN_REFRESH_INTERVAL_MS;
+  if (recent && !options.force) {
+    return {
+      documents: state.index.size,
+      updated: { post: 0, page: 0 },
+      removed: { post: 0, page: 0 },
+      refreshed_at: new Date(state.lastRefreshAt).toISOString(),
+      skipped: true,
+    };
+  }
+
+  // Concurrent searches share one refresh
+  if (!state.refreshing) {
+    const current = state;
+    current.refreshing = (async () => {
+      try {
+        const post = await refreshType('post');
+        const page = await refreshType('page');
+        current.lastRefreshAt = Date.now();
+        return {
+          documents: current.index.size,
+          updated: { post: post.updated, page: page.updated },
+          removed: { post: post.removed, page: page.removed },
+          refreshed_at: new Date(current.lastRefreshAt).toISOString(),
+          skipped: false,
+        };
+      } finally {
+        current.refreshing = null;
+      }
+    })();
+  }
+  return state.refreshing;
+}
+
+/**
+ * Empties the content index so the next search rebuilds it from scratch.
+ */
+export function resetContentIndex() {
+  state = createState();
+}
+
+function buildFilter(options) {
+  const { type = 'all', status = 'all', tag, author, publishedAfter, publishedBefore } = options;
+  const after = publishedAfter ? new Date(publishedAfter) : null;
+  const before = publishedBefore ? new Date(publishedBefore) : null;
+  const authorKey = author?.toLowerCase();
+
+  return (doc) => {
+    if (type !== 'all' && doc.type !== type) return false;
+    if (status !== 'all' && doc.status !== status) return false;
+    if (tag && !doc.tags.includes(tag)) return false;
+    if (authorKey && !doc.authors.includes(authorKey) && !doc.authorEmails.includes(authorKey)) {
+      return false;
+    }
+    if (after || before) {
+      if (!doc.published_at) return false;
+      const published = new Date(doc.published_at);
+      if (after && published < after) return false;
+      if (before && published > before) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Full-text search over post and page titles, excerpts and body text.
+ * Results are ranked with BM25 (title matches count most, then excerpt,
+ * then body) and include a snippet with matching words in **bold**.
+ * @param {string} query - Free-text query
+ * @param {Object} [options={}]
+ * @param {'post'|'page'|'all'} [options.type='all'] - Content type
+ * @param {'published'|'draft'|'scheduled'|'all'} [options.status='all'] - Status
+ * @param {string} [options.tag] - Tag slug
+ * @param {string} [options.author] - Author slug or email
+ * @param {string} [options.publishedAfter] - Earliest published_at (inclusive)
+ * @param {string} [options.publishedBefore] - Latest published_at (inclusive)
+ * @param {number} [options.limit=10] - Maximum results
+ * @param {boolean} [options.refresh=true] - Sync the index with Ghost before searching
+ * @returns {Promise<{query: string, total: number, results: Array, index: Object}>}
+ * @throws {ValidationError} If the query has no searchable words
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function searchContent(query, options = {}) {
+  if (tokenize(query).length === 0) {
+    throw new ValidationError('Search query has no searchable words', [
+      { field: 'query', message: 'Use at least one word that is not a common stop word' },
+    ]);
+  }
+
+  const { limit = 10, refresh = true } = options;
+  if (refresh) await refreshContentIndex();
+
+  const { total, results, terms } = state.index.search(query, {
+    filter: buildFilter(options),
+    limit,
+  });
+
+  return {
+    query,
+    total,
+    results: results.map(({ doc, score, matchedTerms }) => ({
+      type: doc.type,
+      id: doc.ghostId,
+      title: doc.title,
+      slug: doc.slug,
+      url: doc.url,
+      status: doc.status,
+      published_at: doc.published_at,
+      tags: doc.tags,
+      authors: doc.authors,
+      score: Math.round(score * 1000) / 1000,
+      matched_terms: matchedTerms,
+      snippet:
+        buildSnippet(doc.plaintext, terms) ||
+        buildSnippet(doc.excerpt, terms) ||
+        buildSnippet(doc.title, terms),
+    })),
+    index: {
+      documents: state.index.size,
+      refreshed_at: state.lastRefreshAt ? new Date(state.lastRefreshAt).toISOString() : null,
+    },
+  };
+}
@@ -0,0 +1,18 @@
+import { FILE_UPLOAD_TYPE } from '../utils/uploadTypes.js';
+import { uploadToGhost } from './uploads.js';
+
+/**
+ * Uploads a downloadable file (PDF, zip, document, ...) to Ghost CMS from a
+ * local file path. The returned URL can be used in a file card.
+ *
+ * @param {string} filePath - Absolute path to the file.
+ * @param {object} [opts]
+ * @param {string} [opts.ref] - Caller-supplied identifier echoed back by Ghost. Max 200 chars.
+ * @returns {Promise<Object>} The uploaded file object ({ url, ref }).
+ * @throws {ValidationError} If the file type is not allowed or upload fails.
+ * @throws {NotFoundError} If the file does not exist.
+ * @throws {GhostAPIError} If the API request fails.
+ */
+export async function uploadFile(filePath, opts = {}) {
+  return uploadToGhost(FILE_UPLOAD_TYPE, filePath, { ref: opts.ref });
+}
@@ -1,4 +1,6 @@
 import GhostAdminAPI from '@tryghost/admin-api';
+import signAdminToken from '@tryghost/admin-api/lib/token.js';
+import axios from 'axios';
 import dotenv from 'dotenv';
 import {
   GhostAPIError,
@@ -10,6 +12,7 @@ import {
   retryWithBackoff,
 } from '../errors/index.js';
 import { createContextLogger } from '../utils/logger.js';
+import { isRevisioned, saveRevision, SNAPSHOT_READ_OPTIONS } from './revisionStore.js';
 import { validators } from './validators.js';
 
 dotenv.config();
@@ -26,13 +29,103 @@ if (!GHOST_ADMIN_API_URL || !GHOST_ADMIN_API_KEY) {
   );
 }
 
+const ADMIN_API_VERSION = 'v5.0';
+
 // Configure the Ghost Admin API client
 const api = new GhostAdminAPI({
   url: GHOST_ADMIN_API_URL,
   key: GHOST_ADMIN_API_KEY,
-  version: 'v5.0',
+  version: ADMIN_API_VERSION,
 });
 
+/**
+ * Sends one request straight to the Admin API, for endpoints the SDK does not
+ * wrap. Signs it with the SDK's own token function, so it authenticates exactly
+ * like SDK requests. Errors are axios errors, which ErrorHandler.fromGhostError
+ * understands.
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path below /ghost/api/admin/, e.g. 'settings/'
+ * @param {Object} [request={}]
+ * @param {Object} [request.params] - Query parameters; arrays are sent comma-joined like the SDK does
+ * @param {Object} [request.data] - JSON body
+ * @returns {Promise<Object>} The parsed response body
+ */
+async function adminApiRequest(method, endpoint, { params = {}, data } = {}) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${encodeURIComponent([].concat(value).join(','))}`)
+    .join('&');
+
+  const response = await axios({
+    url: `${GHOST_ADMIN_API_URL}/ghost/api/admin/${endpoint}${query ? `?${query}` : ''}`,
+    method,
+    data,
+    headers: {
+      Authorization: `Ghost ${signAdminToken(GHOST_ADMIN_API_KEY, '/admin/')}`,
+      'Accept-Version': ADMIN_API_VERSION,
+    },
+  });
+  return response.data;
+}
+
+/**
+ * SDK-style methods for a standard Admin API resource, built on adminApiRequest.
+ * Takes arguments the way handleApiRequest passes them. browse always returns
+ * an array (with `meta` when Ghost sends it); the other actions return the
+ * single item.
+ * @param {string} resource - Admin API resource name (e.g. 'offers')
+ * @returns {Object} browse, read, add, edit and delete methods
+ */
+function directResource(resource) {
+  const collection = `${resource}/`;
+  const one = async (method, endpoint, request) =>
+    (await adminApiRequest(method, endpoint, request))[resource]?.[0];
+
+  return {
+    async browse(params = {}) {
+      const body = await adminApiRequest('GET', collection, { params });
+      const items = body[resource] || [];
+      return body.meta ? Object.assign(items, { meta: body.meta }) : items;
+    },
+    read(options = {}, data = {}) {
+      const { id, slug, ...params } = { ...options, ...data };
+      return one('GET', id ? `${collection}${id}/` : `${collection}slug/${slug}/`, { params });
+    },
+    add(data, params = {}) {
+      return one('POST', collection, { params, data: { [resource]: [data] } });
+    },
+    edit({ id, ...data }, params = {}) {
+      return one('PUT', `${collection}${id}/`, { params, data: { [resource]: [data] } });
+    },
+    delete(id, params = {}) {
+      return adminApiRequest('DELETE', `${collection}${id?.id ?? id}/`, { params });
+    },
+  };
+}
+
+// Resources and actions the SDK (@tryghost/admin-api) does not provide. They
+// are added to `api` so handleApiRequest serves them like SDK resources; SDK
+// methods win wherever both exist.
+const DIRECT_RESOURCES = {
+  // Settings are a flat [{ key, value }] list rather than a collection of items
+  settings: {
+    async browse(params = {}) {
+      return (await adminApiRequest('GET', 'settings/', { params })).settings;
+    },
+    async edit(settings, params = {}) {
+      return (await adminApiRequest('PUT', 'settings/', { params, data: { settings } })).settings;
+    },
+  },
+  // The SDK can upload and activate themes but not list them
+  themes: { browse: directResource('themes').browse },
+  offers: directResource('offers'),
+  labels: directResource('labels'),
+};
+
+for (const [resource, methods] of Object.entries(DIRECT_RESOURCES)) {
+  api[resource] = { ...methods, ...api[resource] };
+}
+
 // Circuit breaker for Ghost API
 const ghostCircuitBreaker = new CircuitBreaker({
   failureThreshold: 5,
@@ -151,9 +244,27 @@ async function readResource(resource, id, label, options = {}) {
   }
 }
 
+/**
+ * Stores the version of a post or page about to be changed. A failed snapshot
+ * is logged and does not block the change.
+ */
+async function snapshotRevision(resource, item, action) {
+  try {
+    await saveRevision(resource, item, action);
+  } catch (error) {
+    logger.warn('Failed to save revision snapshot', {
+      resource,
+      id: item?.id,
+      action,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Updates a resource using optimistic concurrency control (OCC).
  * Reads the current version first to obtain updated_at, then merges it into the edit payload.
+ * Posts and pages are snapshotted to the revision store first when it is enabled.
  * @param {string} resource - Ghost API resource name (e.g., 'posts', 'tags')
  * @param {string} id - The resource ID to update
  * @param {Object} updateData - Fields to update on the resource
@@ -165,7 +276,9 @@ async function readResource(resource, id, label, options = {}) {
  * @throws {GhostAPIError} If the API request fails for other reasons
  */
 async function updateWithOCC(resource, id, updateData, options = {}, label = resource) {
-  const existing = await readResource(resource, id, label);
+  const snapshot = isRevisioned(resource);
+  const existing = await readResource(resource, id, label, snapshot ? SNAPSHOT_READ_OPTIONS : {});
+  if (snapshot) await snapshotRevision(resource, existing, 'update');
   const editData = { ...updateData, updated_at: existing.updated_at };
   try {
     return await handleApiRequest(resource, 'edit', { id, ...editData }, options);
@@ -179,6 +292,7 @@ async function updateWithOCC(resource, id, updateData, options = {}, label = res
 
 /**
  * Deletes a resource by ID with 404-to-NotFoundError handling.
+ * Posts and pages are read and snapshotted to the revision store first when it is enabled.
  * @param {string} resource - Ghost API resource name (e.g., 'posts', 'tags')
  * @param {string} id - The resource ID to delete
  * @param {string} label - Human-readable resource label for error messages
@@ -189,6 +303,10 @@ async function updateWithOCC(resource, id, updateData, options = {}, label = res
  */
 async function deleteResource(resource, id, label) {
   validators.requireId(id, label);
+  if (isRevisioned(resource)) {
+    const existing = await readResource(resource, id, label, SNAPSHOT_READ_OPTIONS);
+    await snapshotRevision(resource, existing, 'delete');
+  }
   try {
     return await handleApiRequest(resource, 'delete', { id });
   } catch (error) {
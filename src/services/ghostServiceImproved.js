@@ -5,12 +5,27 @@
  *   - ghostApiClient.js  — API client, circuit breaker, retry logic, CRUD helpers
  *   - validators.js      — Input validation helpers
  *   - posts.js           — Post CRUD operations
+ *   - scheduling.js      — Timezone-aware post scheduling
+ *   - contentSearch.js   — Full-text search index over posts and pages
  *   - pages.js           — Page CRUD operations
  *   - tags.js            — Tag CRUD operations
- *   - members.js         — Member CRUD operations
+ *   - members.js         — Member CRUD operations and complimentary access
+ *   - memberCsv.js       — Member CSV import/export
+ *   - wordpressImport.js — WordPress WXR import
+ *   - contentExport.js   — Content export to JSON or Markdown archives
+ *   - bulkDelete.js      — Filter-driven deletes with preview and confirmation token
+ *   - revisions.js       — Post and page revision history (list, diff, restore)
+ *   - updatePreview.js   — Dry-run diffs of updates against the current version
+ *   - publishing.js      — Publishing posts, optionally as newsletter emails
+ *   - analytics.js       — Post analytics, email reports and member stats
  *   - newsletters.js     — Newsletter CRUD operations
  *   - tiers.js           — Tier CRUD operations
+ *   - offers.js          — Offer (tier discount) operations
+ *   - webhooks.js        — Webhook management
+ *   - users.js           — Staff user lookups and author resolution
  *   - images.js          — Image upload
+ *   - media.js           — Audio/video upload
+ *   - files.js           — File upload
  */
 
 // Infrastructure
@@ -29,7 +44,17 @@ export {
 export { validators } from './validators.js';
 
 // Posts
-export { createPost, updatePost, deletePost, getPost, getPosts, searchPosts } from './posts.js';
+export {
+  createPost,
+  updatePost,
+  deletePost,
+  getPost,
+  getPosts,
+  searchPosts,
+  bulkUpdatePosts,
+} from './posts.js';
+export { schedulePost, getScheduledPosts } from './scheduling.js';
+export { searchContent, refreshContentIndex, resetContentIndex } from './contentSearch.js';
 
 // Pages
 export { createPage, updatePage, deletePage, getPage, getPages, searchPages } from './pages.js';
@@ -45,7 +70,48 @@ export {
   getMembers,
   getMember,
   searchMembers,
+  getMemberSubscriptions,
+  grantMemberComp,
+  removeMemberComp,
 } from './members.js';
+export { importMembers, exportMembers } from './memberCsv.js';
+
+// WordPress import
+export { importWordPress } from './wordpressImport.js';
+
+// Content export
+export { exportContent } from './contentExport.js';
+
+// Bulk delete
+export { previewBulkDelete, confirmBulkDelete } from './bulkDelete.js';
+
+// Revision history
+export { listRevisions, diffRevisions, restoreRevision } from './revisions.js';
+
+// Update previews
+export { previewUpdate } from './updatePreview.js';
+
+// Publishing
+export { publishPost } from './publishing.js';
+
+// Analytics
+export {
+  getPostAnalytics,
+  getEmailReport,
+  getMemberStats,
+  resolveReportRange,
+} from './analytics.js';
+
+// Labels
+export {
+  getLabels,
+  getLabel,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addLabelToMembers,
+  removeLabelFromMembers,
+} from './labels.js';
 
 // Newsletters
 export {
@@ -59,12 +125,41 @@ export {
 // Tiers
 export { createTier, updateTier, deleteTier, getTiers, getTier } from './tiers.js';
 
+// Offers
+export { getOffers, getOffer, createOffer, updateOffer } from './offers.js';
+
+// Webhooks
+export { createWebhook, updateWebhook, deleteWebhook } from './webhooks.js';
+
+// Users
+export { getUsers, getUser, resolveAuthors } from './users.js';
+
+// Settings
+export { getSettings, updateSettings } from './settings.js';
+
+// Themes
+export { getThemes, uploadTheme, activateTheme } from './themes.js';
+
 // Images
 export { uploadImage } from './images.js';
 
+// Media & files
+export { uploadMedia } from './media.js';
+export { uploadFile } from './files.js';
+
 // Re-import for default export object
 import { getSiteInfo, checkHealth } from './ghostApiClient.js';
-import { createPost, updatePost, deletePost, getPost, getPosts, searchPosts } from './posts.js';
+import {
+  createPost,
+  updatePost,
+  deletePost,
+  getPost,
+  getPosts,
+  searchPosts,
+  bulkUpdatePosts,
+} from './posts.js';
+import { schedulePost, getScheduledPosts } from './scheduling.js';
+import { searchContent, refreshContentIndex } from './contentSearch.js';
 import { createPage, updatePage, deletePage, getPage, getPages, searchPages } from './pages.js';
 import { createTag, getTags, getTag, updateTag, deleteTag } from './tags.js';
 import {
@@ -74,7 +169,32 @@ import {
   getMembers,
   getMember,
   searchMembers,
+  getMemberSubscriptions,
+  grantMemberComp,
+  removeMemberComp,
 } from './members.js';
+import { importMembers, exportMembers } from './memberCsv.js';
+import { importWordPress } from './wordpressImport.js';
+import { exportContent } from './contentExport.js';
+import { previewBulkDelete, confirmBulkDelete } from './bulkDelete.js';
+import { listRevisions, diffRevisions, restoreRevision } from './revisions.js';
+import { previewUpdate } from './updatePreview.js';
+import { publishPost } from './publishing.js';
+import {
+  getPostAnalytics,
+  getEmailReport,
+  getMemberStats,
+  resolveReportRange,
+} from './analytics.js';
+import {
+  getLabels,
+  getLabel,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addLabelToMembers,
+  removeLabelFromMembers,
+} from './labels.js';
 import {
   getNewsletters,
   getNewsletter,
@@ -83,7 +203,14 @@ import {
   deleteNewsletter,
 } from './newsletters.js';
 import { createTier, updateTier, deleteTier, getTiers, getTier } from './tiers.js';
+import { getOffers, getOffer, createOffer, updateOffer } from './offers.js';
+import { createWebhook, updateWebhook, deleteWebhook } from './webhooks.js';
+import { getUsers, getUser, resolveAuthors } from './users.js';
+import { getSettings, updateSettings } from './settings.js';
+import { getThemes, uploadTheme, activateTheme } from './themes.js';
 import { uploadImage } from './images.js';
+import { uploadMedia } from './media.js';
+import { uploadFile } from './files.js';
 
 export default {
   getSiteInfo,
@@ -93,6 +220,11 @@ export default {
   getPost,
   getPosts,
   searchPosts,
+  bulkUpdatePosts,
+  schedulePost,
+  getScheduledPosts,
+  searchContent,
+  refreshContentIndex,
   createPage,
   updatePage,
   deletePage,
@@ -100,6 +232,8 @@ export default {
   getPages,
   searchPages,
   uploadImage,
+  uploadMedia,
+  uploadFile,
   createTag,
   getTags,
   getTag,
@@ -111,6 +245,31 @@ export default {
   getMembers,
   getMember,
   searchMembers,
+  getMemberSubscriptions,
+  grantMemberComp,
+  removeMemberComp,
+  importMembers,
+  exportMembers,
+  importWordPress,
+  exportContent,
+  previewBulkDelete,
+  confirmBulkDelete,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+  previewUpdate,
+  publishPost,
+  getPostAnalytics,
+  getEmailReport,
+  getMemberStats,
+  resolveReportRange,
+  getLabels,
+  getLabel,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addLabelToMembers,
+  removeLabelFromMembers,
   getNewsletters,
   getNewsletter,
   createNewsletter,
@@ -121,5 +280,20 @@ export default {
   deleteTier,
   getTiers,
   getTier,
+  getOffers,
+  getOffer,
+  createOffer,
+  updateOffer,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getUsers,
+  getUser,
+  resolveAuthors,
+  getSettings,
+  updateSettings,
+  getThemes,
+  uploadTheme,
+  activateTheme,
   checkHealth,
 };
@@ -1,9 +1,8 @@
-import { GhostAPIError, ValidationError } from '../errors/index.js';
-import { handleApiRequest } from './ghostApiClient.js';
-import { validators } from './validators.js';
+import { ValidationError } from '../errors/index.js';
+import { IMAGE_UPLOAD_TYPE } from '../utils/uploadTypes.js';
+import { uploadToGhost } from './uploads.js';
 
 const ALLOWED_PURPOSES = new Set(['image', 'profile_image', 'icon']);
-const REF_MAX_LENGTH = 200;
 
 /**
  * Uploads an image to Ghost CMS from a local file path.
@@ -22,33 +21,11 @@ const REF_MAX_LENGTH = 200;
  * @throws {GhostAPIError} If the API request fails.
  */
 export async function uploadImage(imagePath, opts = {}) {
-  await validators.validateImagePath(imagePath);
-
   const { purpose, ref } = opts;
   if (purpose !== undefined && !ALLOWED_PURPOSES.has(purpose)) {
     throw new ValidationError(
       `Invalid purpose "${purpose}". Must be one of: ${[...ALLOWED_PURPOSES].join(', ')}`
     );
   }
-  if (ref !== undefined) {
-    if (typeof ref !== 'string') {
-      throw new ValidationError('ref must be a string');
-    }
-    if (ref.length > REF_MAX_LENGTH) {
-      throw new ValidationError(`ref cannot exceed ${REF_MAX_LENGTH} characters`);
-    }
-  }
-
-  const imageData = { file: imagePath };
-  if (purpose !== undefined) imageData.purpose = purpose;
-  if (ref !== undefined) imageData.ref = ref;
-
-  try {
-    return await handleApiRequest('images', 'upload', imageData);
-  } catch (error) {
-    if (error instanceof GhostAPIError) {
-      throw new ValidationError(`Image upload failed: ${error.originalError}`);
-    }
-    throw error;
-  }
+  return uploadToGhost(IMAGE_UPLOAD_TYPE, imagePath, { purpose, ref });
 }
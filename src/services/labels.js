@@ -0,0 +1,183 @@
+import { ValidationError } from '../errors/index.js';
+import { runInBatches } from '../utils/batch.js';
+import { createContextLogger } from '../utils/logger.js';
+import { readResource } from './ghostApiClient.js';
+import { createResourceService } from './createResourceService.js';
+import { iterateMembers, updateMember } from './members.js';
+
+const logger = createContextLogger('labels');
+
+const service = createResourceService({
+  resource: 'labels',
+  label: 'Label',
+  listDefaults: { limit: 15 },
+  catch422OnUpdate: true,
+});
+
+/**
+ * Lists member labels with optional filtering and pagination.
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.limit=15] - Number of labels to return
+ * @param {string} [options.filter] - NQL filter string
+ * @param {string} [options.order] - Order string
+ * @returns {Promise<Array>} Array of label objects (empty array if none found)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const getLabels = service.getList;
+
+/**
+ * Retrieves a single label by ID.
+ * @param {string} labelId - The label ID to retrieve
+ * @returns {Promise<Object>} The label object
+ * @throws {ValidationError} If the label ID is missing
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const getLabel = service.getOne;
+
+/**
+ * Creates a new member label.
+ * @param {Object} labelData - The label data
+ * @param {string} labelData.name - Label name
+ * @returns {Promise<Object>} The created label object
+ * @throws {ValidationError} If Ghost returns a 422 (e.g. duplicate name)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const createLabel = service.create;
+
+/**
+ * Renames a label with optimistic concurrency control. Members keep the label.
+ * @param {string} labelId - The label ID to update
+ * @param {Object} updateData - Fields to update ({ name })
+ * @returns {Promise<Object>} The updated label object
+ * @throws {ValidationError} If the label ID is missing or Ghost returns a 422
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const updateLabel = service.update;
+
+/**
+ * Deletes a label. Ghost removes it from every member that had it.
+ * @param {string} labelId - The label ID to delete
+ * @returns {Promise<Object>} Deletion confirmation
+ * @throws {ValidationError} If the label ID is missing
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const deleteLabel = service.remove;
+
+/**
+ * Adds or removes a label on every member matching an NQL filter.
+ *
+ * Matching members are collected before any write, so changing labels cannot
+ * shift later pages of the filter. Members that already have (or lack) the
+ * label are left untouched. Member updates send the full label list by name,
+ * since Ghost replaces a member's labels on edit.
+ *
+ * @param {'add'|'remove'} action - Whether to add or remove the label
+ * @param {string} labelId - The label ID
+ * @param {string} filter - NQL filter selecting members
+ * @param {Object} [options={}] - Bulk options
+ * @param {number} [options.maxMembers=10000] - Refuse to run if more members match
+ * @param {number} [options.batchSize=10] - Members updated concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @returns {Promise<Object>} Summary with matched/updated/unchanged/failed counts and failures
+ * @throws {ValidationError} If the filter is missing or matches more than maxMembers
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+async function changeMemberLabel(action, labelId, filter, options = {}) {
+  const { maxMembers = 10000, batchSize = 10, delayMs = 1000 } = options;
+
+  if (!filter) {
+    throw new ValidationError('A member filter is required for bulk label changes');
+  }
+
+  const label = await readResource('labels', labelId, 'Label');
+
+  const matched = [];
+  for await (const page of iterateMembers({
+    filter,
+    include: 'labels',
+    maxRows: maxMembers + 1,
+  })) {
+    matched.push(...page);
+  }
+
+  if (matched.length > maxMembers) {
+    throw new ValidationError(
+      `Filter matches more than ${maxMembers} members; narrow the filter or raise max_members`
+    );
+  }
+
+  const hasLabel = (member) => (member.labels || []).some((l) => l.id === label.id);
+  const toChange = matched.filter((member) =>
+    action === 'add' ? !hasLabel(member) : hasLabel(member)
+  );
+
+  const results = await runInBatches(
+    toChange,
+    (member) => {
+      const names = (member.labels || []).filter((l) => l.id !== label.id).map((l) => l.name);
+      return updateMember(member.id, {
+        labels: action === 'add' ? [...names, label.name] : names,
+      });
+    },
+    {
+      batchSize,
+      delayMs,
+      onBatchComplete: (progress) =>
+        logger.info('Bulk label batch complete', { action, labelId, ...progress }),
+    }
+  );
+
+  const failures = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      const member = toChange[index];
+      failures.push({
+        id: member.id,
+        email: member.email,
+        message: result.reason?.message || 'Unknown error',
+      });
+    }
+  });
+
+  return {
+    label: { id: label.id, name: label.name },
+    action,
+    matched: matched.length,
+    updated: toChange.length - failures.length,
+    unchanged: matched.length - toChange.length,
+    failed: failures.length,
+    failures,
+  };
+}
+
+/**
+ * Adds a label to every member matching an NQL filter.
+ * @param {string} labelId - The label ID
+ * @param {string} filter - NQL filter selecting members (e.g., 'status:paid')
+ * @param {Object} [options={}] - Bulk options (maxMembers, batchSize, delayMs)
+ * @returns {Promise<Object>} Summary of the bulk change
+ * @throws {ValidationError} If the filter is missing or matches too many members
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function addLabelToMembers(labelId, filter, options = {}) {
+  return changeMemberLabel('add', labelId, filter, options);
+}
+
+/**
+ * Removes a label from every member matching an NQL filter.
+ * @param {string} labelId - The label ID
+ * @param {string} filter - NQL filter selecting members (e.g., 'label:vip+status:free')
+ * @param {Object} [options={}] - Bulk options (maxMembers, batchSize, delayMs)
+ * @returns {Promise<Object>} Summary of the bulk change
+ * @throws {ValidationError} If the filter is missing or matches too many members
+ * @throws {NotFoundError} If the label is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function removeLabelFromMembers(labelId, filter, options = {}) {
+  return changeMemberLabel('remove', labelId, filter, options);
+}
@@ -0,0 +1,22 @@
+import { MEDIA_UPLOAD_TYPE } from '../utils/uploadTypes.js';
+import { uploadToGhost } from './uploads.js';
+import { validators } from './validators.js';
+
+/**
+ * Uploads an audio or video file to Ghost CMS from a local file path.
+ *
+ * @param {string} mediaPath - Absolute path to the media file.
+ * @param {object} [opts]
+ * @param {string} [opts.thumbnailPath] - Absolute path to a thumbnail image
+ *   (shown as the video poster / audio card image).
+ * @param {string} [opts.ref] - Caller-supplied identifier echoed back by Ghost. Max 200 chars.
+ * @returns {Promise<Object>} The uploaded media object ({ url, thumbnail_url, ref }).
+ * @throws {ValidationError} If the file type is not allowed or upload fails.
+ * @throws {NotFoundError} If a file does not exist.
+ * @throws {GhostAPIError} If the API request fails.
+ */
+export async function uploadMedia(mediaPath, opts = {}) {
+  const { thumbnailPath, ref } = opts;
+  if (thumbnailPath !== undefined) await validators.validateFilePath(thumbnailPath, 'Thumbnail');
+  return uploadToGhost(MEDIA_UPLOAD_TYPE, mediaPath, { thumbnail: thumbnailPath, ref });
+}
@@ -0,0 +1,263 @@
+import { ValidationError } from '../errors/index.js';
+import { createMemberSchema } from '../schemas/memberSchemas.js';
+import { runInBatches } from '../utils/batch.js';
+import { parseCsv, formatCsvRow } from '../utils/csv.js';
+import { createContextLogger } from '../utils/logger.js';
+import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
+import { handleApiRequest } from './ghostApiClient.js';
+import { createMember, updateMember, iterateMembers } from './members.js';
+
+const logger = createContextLogger('member-csv');
+
+// CSV header → member field. Ghost's own export names are accepted so a
+// Ghost-to-Ghost migration needs no column renaming.
+const COLUMN_ALIASES = {
+  email: 'email',
+  name: 'name',
+  note: 'note',
+  subscribed: 'subscribed',
+  subscribed_to_emails: 'subscribed',
+  comped: 'comped',
+  complimentary_plan: 'comped',
+  labels: 'labels',
+  newsletters: 'newsletters',
+};
+
+const BOOLEAN_FIELDS = new Set(['subscribed', 'comped']);
+const LIST_FIELDS = new Set(['labels', 'newsletters']);
+
+// Existing members are looked up in chunks of this many emails per browse call
+const LOOKUP_CHUNK_SIZE = 50;
+
+export const EXPORT_COLUMNS = [
+  'id',
+  'email',
+  'name',
+  'note',
+  'status',
+  'subscribed',
+  'comped',
+  'labels',
+  'newsletters',
+  'created_at',
+];
+
+/**
+ * Converts a CSV cell into the value createMemberSchema expects.
+ * Unrecognised booleans are passed through so the schema reports them.
+ * @param {string} field - Member field name
+ * @param {string} raw - Trimmed cell value
+ * @returns {*} Parsed value, or undefined for an empty cell
+ */
+function parseCell(field, raw) {
+  if (raw === '') return undefined;
+
+  if (BOOLEAN_FIELDS.has(field)) {
+    const normalized = raw.toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+    return raw;
+  }
+
+  if (LIST_FIELDS.has(field)) {
+    return raw
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  return raw;
+}
+
+/**
+ * Maps a CSV record onto member fields, keeping only columns that had a value.
+ * @param {Object} record - CSV record keyed by lower-cased header
+ * @returns {Object} Member data with only provided fields
+ */
+function recordToMemberData(record) {
+  const data = {};
+  for (const [column, raw] of Object.entries(record)) {
+    const field = COLUMN_ALIASES[column];
+    if (!field) continue;
+    const value = parseCell(field, raw);
+    if (value !== undefined) data[field] = value;
+  }
+  return data;
+}
+
+/**
+ * Fetches existing members for a set of emails.
+ * @param {string[]} emails - Lower-cased emails to look up
+ * @returns {Promise<Map<string, Object>>} Existing members keyed by lower-cased email
+ */
+async function findExistingMembers(emails) {
+  const existing = new Map();
+
+  for (let i = 0; i < emails.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = emails.slice(i, i + LOOKUP_CHUNK_SIZE);
+    const filter = `email:[${chunk.map((email) => `'${sanitizeNqlValue(email)}'`).join(',')}]`;
+    const members =
+      (await handleApiRequest('members', 'browse', {}, { filter, limit: chunk.length })) || [];
+
+    for (const member of members) {
+      existing.set(member.email.toLowerCase(), member);
+    }
+  }
+
+  return existing;
+}
+
+/**
+ * Imports members from CSV content.
+ *
+ * Every data row is validated against createMemberSchema. Rows repeating an
+ * email seen earlier in the file are skipped. Rows for emails that already
+ * exist in Ghost are updated with only the columns that had a value (or
+ * skipped, if onExisting is 'skip'); all other rows are created. Writes run
+ * in concurrent batches with a pause between batches.
+ *
+ * @param {string} csv - CSV content with a header row containing an email column
+ * @param {Object} [options={}] - Import options
+ * @param {'update'|'skip'} [options.onExisting='update'] - Handling of emails that already exist
+ * @param {number} [options.batchSize=10] - Members written concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @returns {Promise<{summary: Object, rows: Object[]}>} Totals per outcome and a per-row report
+ * @throws {ValidationError} If the CSV cannot be parsed or has no email column
+ * @throws {GhostAPIError} If looking up existing members fails
+ */
+export async function importMembers(csv, options = {}) {
+  const { onExisting = 'update', batchSize = 10, delayMs = 1000 } = options;
+
+  let parsed;
+  try {
+    parsed = parseCsv(csv);
+  } catch (error) {
+    throw new ValidationError('Invalid CSV', [{ field: 'csv', message: error.message }]);
+  }
+
+  if (!parsed.headers.includes('email')) {
+    throw new ValidationError('Invalid CSV', [
+      { field: 'csv', message: 'CSV header must include an email column' },
+    ]);
+  }
+
+  // Header is row 1, so data rows are numbered from 2
+  const rows = parsed.records.map((record, index) => ({
+    row: index + 2,
+    email: record.email || null,
+  }));
+  const pending = [];
+  const firstRowByEmail = new Map();
+
+  parsed.records.forEach((record, index) => {
+    const report = rows[index];
+    const provided = recordToMemberData(record);
+    const result = createMemberSchema.safeParse(provided);
+
+    if (!result.success) {
+      report.status = 'failed';
+      report.errors = result.error.issues.map((issue) => ({
+        field: issue.path.join('.'),
+        message: issue.message,
+      }));
+      return;
+    }
+
+    const key = result.data.email.toLowerCase();
+    if (firstRowByEmail.has(key)) {
+      report.status = 'skipped';
+      report.reason = `Duplicate of row ${firstRowByEmail.get(key)}`;
+      return;
+    }
+    firstRowByEmail.set(key, report.row);
+
+    pending.push({ report, key, provided, data: result.data });
+  });
+
+  const existing = await findExistingMembers(pending.map((item) => item.key));
+
+  const writes = [];
+  for (const item of pending) {
+    const match = existing.get(item.key);
+    if (match && onExisting === 'skip') {
+      item.report.status = 'skipped';
+      item.report.id = match.id;
+      item.report.reason = 'Member already exists';
+    } else {
+      writes.push({ ...item, existingId: match?.id });
+    }
+  }
+
+  const results = await runInBatches(
+    writes,
+    (item) =>
+      item.existingId ? updateMember(item.existingId, item.provided) : createMember(item.data),
+    {
+      batchSize,
+      delayMs,
+      onBatchComplete: (progress) => logger.info('Member import batch complete', progress),
+    }
+  );
+
+  results.forEach((result, index) => {
+    const { report, existingId } = writes[index];
+    if (result.status === 'fulfilled') {
+      report.status = existingId ? 'updated' : 'created';
+      report.id = result.value?.id ?? existingId;
+    } else {
+      report.status = 'failed';
+      report.errors = [{ field: 'member', message: result.reason?.message || 'Unknown error' }];
+    }
+  });
+
+  const summary = { total: rows.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  for (const report of rows) {
+    summary[report.status] += 1;
+  }
+
+  return { summary, rows };
+}
+
+/**
+ * Converts a member into a CSV row in EXPORT_COLUMNS order.
+ * Labels are exported by name and newsletters by ID so the file can be re-imported.
+ * @param {Object} member - Member object with labels and newsletters included
+ * @returns {Array} Row values
+ */
+function memberToRow(member) {
+  return [
+    member.id,
+    member.email,
+    member.name,
+    member.note,
+    member.status,
+    member.subscribed ?? (member.newsletters?.length ?? 0) > 0,
+    member.status === 'comped',
+    (member.labels || []).map((label) => label.name).join(','),
+    (member.newsletters || []).map((newsletter) => newsletter.id).join(','),
+    member.created_at,
+  ];
+}
+
+/**
+ * Exports members (with labels and newsletters) to CSV, paging through the
+ * Admin API so large lists are never fetched in a single request.
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.filter] - NQL filter string (e.g., 'status:paid')
+ * @param {number} [options.maxRows=10000] - Maximum number of members to export
+ * @returns {Promise<{csv: string, count: number}>} CSV content and number of members exported
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function exportMembers(options = {}) {
+  const lines = [formatCsvRow(EXPORT_COLUMNS)];
+  let count = 0;
+
+  for await (const members of iterateMembers(options)) {
+    for (const member of members) {
+      lines.push(formatCsvRow(memberToRow(member)));
+    }
+    count += members.length;
+  }
+
+  return { csv: `${lines.join('\n')}\n`, count };
+}
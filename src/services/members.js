@@ -1,7 +1,8 @@
-import { GhostAPIError, NotFoundError } from '../errors/index.js';
+import { GhostAPIError, NotFoundError, ValidationError } from '../errors/index.js';
 import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
-import { handleApiRequest } from './ghostApiClient.js';
+import { handleApiRequest, readResource, updateWithOCC } from './ghostApiClient.js';
 import { createResourceService } from './createResourceService.js';
+import { getTier } from './tiers.js';
 
 const service = createResourceService({
   resource: 'members',
@@ -125,3 +126,223 @@ export async function searchMembers(query, options = {}) {
   const members = await handleApiRequest('members', 'browse', {}, { filter, limit });
   return members || [];
 }
+
+/**
+ * Pages through members matching a filter, yielding one page at a time.
+ * @param {Object} [options={}] - Iteration options
+ * @param {string} [options.filter] - NQL filter string
+ * @param {string} [options.include='labels,newsletters'] - Related resources to include
+ * @param {number} [options.maxRows=10000] - Stop after this many members
+ * @yields {Object[]} A page of member objects
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function* iterateMembers(options = {}) {
+  const { filter, include = 'labels,newsletters', maxRows = 10000 } = options;
+  const pageSize = 100;
+  let page = 1;
+  let yielded = 0;
+
+  while (yielded < maxRows) {
+    // Ghost offsets pages by (page - 1) * limit, so every request keeps the
+    // full page size and the last page is trimmed here instead
+    const query = { limit: pageSize, page, include, order: 'created_at ASC' };
+    if (filter) query.filter = filter;
+
+    const members = (await handleApiRequest('members', 'browse', {}, query)) || [];
+    if (members.length === 0) return;
+
+    const rows = members.slice(0, maxRows - yielded);
+    yield rows;
+    yielded += rows.length;
+
+    const hasNext = members.meta?.pagination
+      ? Boolean(members.meta.pagination.next)
+      : members.length === pageSize;
+    if (!hasNext) return;
+    page += 1;
+  }
+}
+
+// Ghost returns each member's subscriptions; tiers must be asked for
+const ACCESS_INCLUDE = { include: 'tiers' };
+
+// Subscription states Ghost still bills
+const BILLED_STATUSES = new Set(['active', 'trialing', 'past_due']);
+
+const subscriptionPrice = (subscription) => subscription.price || subscription.plan || {};
+
+const subscriptionTier = (subscription) =>
+  subscription.tier || subscriptionPrice(subscription).tier || null;
+
+/**
+ * IDs of the tiers a member pays for. Ghost ties these to the subscription,
+ * so they cannot be comped or removed here.
+ */
+function paidTierIds(member) {
+  return new Set(
+    (member.subscriptions || [])
+      .filter(
+        (subscription) =>
+          BILLED_STATUSES.has(subscription.status) && subscriptionPrice(subscription).amount > 0
+      )
+      .map((subscription) => subscriptionTier(subscription)?.id)
+      .filter(Boolean)
+  );
+}
+
+const compTiers = (member) => {
+  const paid = paidTierIds(member);
+  return (member.tiers || []).filter((tier) => !paid.has(tier.id));
+};
+
+/**
+ * A member's paid access: complimentary tiers with their expiry, and every
+ * subscription, newest first.
+ */
+function describeAccess(member) {
+  return {
+    member: { id: member.id, email: member.email, name: member.name, status: member.status },
+    comps: compTiers(member).map((tier) => ({
+      tier: { id: tier.id, name: tier.name },
+      expires_at: tier.expiry_at ?? null,
+    })),
+    subscriptions: (member.subscriptions || [])
+      .map((subscription) => {
+        const price = subscriptionPrice(subscription);
+        const tier = subscriptionTier(subscription);
+        const renews =
+          BILLED_STATUSES.has(subscription.status) && !subscription.cancel_at_period_end;
+        return {
+          id: subscription.id,
+          tier: tier ? { id: tier.id, name: tier.name } : null,
+          price: {
+            amount: price.amount ?? 0,
+            currency: price.currency?.toUpperCase() ?? null,
+            interval: price.interval ?? null,
+            nickname: price.nickname ?? null,
+          },
+          status: subscription.status,
+          start_date: subscription.start_date,
+          current_period_end: subscription.current_period_end ?? null,
+          renewal_date: renews ? (subscription.current_period_end ?? null) : null,
+          cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+          cancellation_reason: subscription.cancellation_reason ?? null,
+        };
+      })
+      .sort((a, b) => String(b.start_date).localeCompare(String(a.start_date))),
+  };
+}
+
+// The tiers payload Ghost expects: every tier the member keeps, with its expiry
+const tiersPayload = (tiers) =>
+  tiers.map((tier) => ({ id: tier.id, expiry_at: tier.expiry_at ?? null }));
+
+/**
+ * Gets a member's complimentary tiers and subscription history: tier, price,
+ * status and renewal date of each subscription, newest first.
+ * @param {string} memberId - The member ID
+ * @returns {Promise<Object>} { member, comps, subscriptions }; renewal_date is null for
+ *   subscriptions that are canceled or set to cancel at the end of their period
+ * @throws {NotFoundError} If the member is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getMemberSubscriptions(memberId) {
+  const member = await readResource('members', memberId, 'Member', ACCESS_INCLUDE);
+  return describeAccess(member);
+}
+
+/**
+ * Gives a member free access to a paid tier, optionally until a date.
+ * Granting a tier the member already has for free replaces its expiry.
+ * @param {string} memberId - The member ID
+ * @param {string} tierId - The tier ID; the tier must be paid and active
+ * @param {Object} [options={}] - Grant options
+ * @param {string} [options.expiresAt] - ISO 8601 end of the access; omit for no expiry
+ * @returns {Promise<Object>} The member's access after the change, as getMemberSubscriptions
+ * @throws {ValidationError} If the tier is free or archived, the member already pays for it,
+ *   or the expiry is in the past
+ * @throws {NotFoundError} If the member or tier is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function grantMemberComp(memberId, tierId, options = {}) {
+  const { expiresAt = null } = options;
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new ValidationError('Expiry must be in the future', [
+      { field: 'expires_at', message: `${expiresAt} has already passed` },
+    ]);
+  }
+
+  const tier = await getTier(tierId);
+  if (tier.type !== 'paid') {
+    throw new ValidationError('Only paid tiers can be granted', [
+      { field: 'tier_id', message: `${tier.name} is free to every member` },
+    ]);
+  }
+  if (!tier.active) {
+    throw new ValidationError('Tier is archived', [
+      { field: 'tier_id', message: `${tier.name} is not active and cannot be granted` },
+    ]);
+  }
+
+  const member = await readResource('members', memberId, 'Member', ACCESS_INCLUDE);
+  if (paidTierIds(member).has(tier.id)) {
+    throw new ValidationError('Member already pays for this tier', [
+      { field: 'tier_id', message: `${member.email} has a paid ${tier.name} subscription` },
+    ]);
+  }
+
+  const tiers = [
+    ...(member.tiers || []).filter((existing) => existing.id !== tier.id),
+    { id: tier.id, expiry_at: expiresAt },
+  ];
+  const updated = await updateWithOCC(
+    'members',
+    memberId,
+    { tiers: tiersPayload(tiers) },
+    ACCESS_INCLUDE,
+    'Member'
+  );
+  return describeAccess(updated);
+}
+
+/**
+ * Removes a member's complimentary access to one tier, or to all of them.
+ * Paid subscriptions are never touched.
+ * @param {string} memberId - The member ID
+ * @param {string} [tierId] - The tier to remove; omit to remove every comp
+ * @returns {Promise<Object>} The member's access after the change, as getMemberSubscriptions
+ * @throws {ValidationError} If the member pays for the tier or has no comp to remove
+ * @throws {NotFoundError} If the member is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function removeMemberComp(memberId, tierId) {
+  const member = await readResource('members', memberId, 'Member', ACCESS_INCLUDE);
+  if (tierId && paidTierIds(member).has(tierId)) {
+    throw new ValidationError('Tier is a paid subscription', [
+      { field: 'tier_id', message: 'Cancel the subscription instead of removing the tier' },
+    ]);
+  }
+
+  const removed = compTiers(member).filter((tier) => !tierId || tier.id === tierId);
+  if (removed.length === 0) {
+    throw new ValidationError('Member has no complimentary access to remove', [
+      {
+        field: 'tier_id',
+        message: tierId
+          ? `${member.email} has no comp for tier ${tierId}`
+          : `${member.email} has no comps`,
+      },
+    ]);
+  }
+
+  const removedIds = new Set(removed.map((tier) => tier.id));
+  const tiers = (member.tiers || []).filter((tier) => !removedIds.has(tier.id));
+  const updated = await updateWithOCC(
+    'members',
+    memberId,
+    { tiers: tiersPayload(tiers) },
+    ACCESS_INCLUDE,
+    'Member'
+  );
+  return describeAccess(updated);
+}
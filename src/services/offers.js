@@ -0,0 +1,93 @@
+import { ValidationError } from '../errors/index.js';
+import { readResource } from './ghostApiClient.js';
+import { createResourceService } from './createResourceService.js';
+
+/**
+ * Checks that the tier an offer points at can actually carry it: it must
+ * exist, be a paid tier, be active, and (for fixed offers) be priced in the
+ * same currency as the discount.
+ * @param {Object} offerData - Offer creation data
+ * @throws {ValidationError} If the tier cannot carry the offer
+ * @throws {NotFoundError} If the tier does not exist
+ */
+async function validateOfferTier(offerData) {
+  const tierId = offerData.tier?.id;
+  if (!tierId) {
+    throw new ValidationError('Offer validation failed', [
+      { field: 'tier', message: 'A tier reference is required' },
+    ]);
+  }
+
+  const tier = await readResource('tiers', tierId, 'Tier');
+  const errors = [];
+
+  if (tier.type !== 'paid') {
+    errors.push({ field: 'tier', message: 'Offers can only be created for paid tiers' });
+  }
+  if (tier.active === false) {
+    errors.push({ field: 'tier', message: 'Offers cannot be created for an archived tier' });
+  }
+  if (offerData.type === 'fixed' && tier.currency && offerData.currency !== tier.currency) {
+    errors.push({
+      field: 'currency',
+      message: `Offer currency ${offerData.currency} does not match tier currency ${tier.currency}`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Offer validation failed', errors);
+  }
+}
+
+const service = createResourceService({
+  resource: 'offers',
+  label: 'Offer',
+  listDefaults: { limit: 15 },
+  validateCreate: (data) => validateOfferTier(data),
+  catch422OnUpdate: true,
+});
+
+/**
+ * Lists offers with optional filtering and pagination.
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.limit=15] - Number of offers to return
+ * @param {string} [options.filter] - NQL filter string (e.g., 'status:active')
+ * @param {string} [options.order] - Order string
+ * @returns {Promise<Array>} Array of offer objects (empty array if none found)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const getOffers = service.getList;
+
+/**
+ * Retrieves a single offer by ID.
+ * @param {string} offerId - The offer ID to retrieve
+ * @returns {Promise<Object>} The offer object
+ * @throws {ValidationError} If the offer ID is missing
+ * @throws {NotFoundError} If the offer is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const getOffer = service.getOne;
+
+/**
+ * Creates a new offer on a paid tier. Verifies the referenced tier exists,
+ * is paid and active, and shares the offer's currency for fixed discounts.
+ * @param {Object} offerData - The offer data (validated by createOfferSchema)
+ * @param {Object} [options] - API request options
+ * @returns {Promise<Object>} The created offer object
+ * @throws {ValidationError} If the tier cannot carry the offer or Ghost returns a 422
+ * @throws {NotFoundError} If the referenced tier is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const createOffer = service.create;
+
+/**
+ * Updates an existing offer with optimistic concurrency control.
+ * Ghost only accepts changes to name, code, display fields and status.
+ * @param {string} offerId - The offer ID to update
+ * @param {Object} updateData - Fields to update on the offer
+ * @returns {Promise<Object>} The updated offer object
+ * @throws {ValidationError} If the offer ID is missing or Ghost returns a 422
+ * @throws {NotFoundError} If the offer is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const updateOffer = service.update;
@@ -5,6 +5,7 @@ import {
   getTags as getGhostTags,
   createTag as createGhostTag,
 } from './ghostService.js';
+import { resolveAuthors } from './users.js';
 
 /**
  * Helper to generate a simple meta description from HTML content.
@@ -34,7 +35,7 @@ const generateSimpleMetaDescription = (htmlContent, maxLength = 500) => {
 
 /**
  * Service layer function to handle the business logic of creating a post.
- * Transforms input data, handles/resolves tags, includes feature image and metadata.
+ * Transforms input data, handles/resolves tags and authors, includes feature image and metadata.
  * Input validation is handled at the MCP layer using Zod schemas.
  * @param {object} postInput - Validated data received from the MCP tool.
  * @returns {Promise<object>} The created post object from the Ghost API.
@@ -49,6 +50,7 @@ const createPostService = async (postInput) => {
     status,
     published_at,
     tags, // Expecting array of strings (tag names) here now
+    authors, // Author IDs, emails, slugs or names
     feature_image,
     feature_image_alt,
     feature_image_caption,
@@ -107,6 +109,14 @@ const createPostService = async (postInput) => {
   }
   // --- End Tag Resolution ---
 
+  // --- Resolve Author References to IDs ---
+  // Unlike tags, unknown authors are an error: Ghost would reject them anyway
+  let resolvedAuthors;
+  if (authors && authors.length > 0) {
+    resolvedAuthors = await resolveAuthors(authors);
+    logger.debug('Resolved authors for API', { resolvedAuthors });
+  }
+
   // --- Metadata Defaults/Generation ---
   const finalMetaTitle = meta_title || title; // Default meta_title to title
   const finalMetaDescription =
@@ -133,6 +143,9 @@ const createPostService = async (postInput) => {
     meta_description: truncatedMetaDescription, // Use final, truncated value
     // Add metadata fields here if needed in the future
   };
+  if (resolvedAuthors) {
+    postDataForApi.authors = resolvedAuthors;
+  }
 
   logger.info('Creating Ghost post', {
     title: postDataForApi.title,
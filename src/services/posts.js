@@ -1,9 +1,20 @@
 import { ValidationError } from '../errors/index.js';
+import { runInBatches } from '../utils/batch.js';
+import { createContextLogger } from '../utils/logger.js';
 import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
-import { handleApiRequest, readResource } from './ghostApiClient.js';
+import { handleApiRequest, readResource, updateWithOCC } from './ghostApiClient.js';
 import { createResourceService } from './createResourceService.js';
+import { createTag, getTags } from './tags.js';
+import { resolveAuthors } from './users.js';
 import { validators } from './validators.js';
 
+const logger = createContextLogger('posts');
+
+const GHOST_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// Matching posts are browsed in pages of this size
+const BULK_PAGE_SIZE = 100;
+
 const service = createResourceService({
   resource: 'posts',
   label: 'Post',
@@ -114,3 +125,249 @@ export async function searchPosts(query, options = {}) {
 
   return handleApiRequest('posts', 'browse', {}, searchOptions);
 }
+
+/**
+ * Collects every post matching a filter, up to one more than maxPosts so the
+ * caller can tell the limit was exceeded.
+ */
+async function collectPosts(filter, maxPosts) {
+  const posts = [];
+  let page = 1;
+
+  while (posts.length <= maxPosts) {
+    const batch =
+      (await handleApiRequest(
+        'posts',
+        'browse',
+        {},
+        { filter, include: 'tags,authors', limit: BULK_PAGE_SIZE, page, order: 'created_at asc' }
+      )) || [];
+    posts.push(...batch);
+
+    const hasNext = batch.meta?.pagination
+      ? Boolean(batch.meta.pagination.next)
+      : batch.length === BULK_PAGE_SIZE;
+    if (batch.length === 0 || !hasNext) break;
+    page += 1;
+  }
+
+  return posts;
+}
+
+/**
+ * Looks up a tag by ID, slug or name.
+ * @returns {Promise<Object|null>} The tag, or null if none matches
+ */
+async function findTag(reference) {
+  const value = sanitizeNqlValue(reference);
+  const filter = GHOST_ID_PATTERN.test(reference)
+    ? `id:'${value}'`
+    : `slug:'${value}',name:'${value}'`;
+  const tags = await getTags({ filter, limit: 2 });
+  return tags.find((tag) => tag.slug === reference) || tags[0] || null;
+}
+
+/**
+ * Resolves the tag references in a bulk patch. Tags to add that don't exist
+ * yet are kept by name until createBulkTags creates them.
+ * @returns {Promise<{add: Object[], removeIds: Set<string>, newTags: string[]}>}
+ * @throws {ValidationError} If a tag to remove, or a tag ID to add, does not exist
+ */
+async function resolveBulkTags(addTags = [], removeTags = []) {
+  const errors = [];
+  const add = [];
+  const newTags = [];
+
+  for (const reference of addTags) {
+    const tag = await findTag(reference);
+    if (tag) {
+      add.push({ id: tag.id, name: tag.name });
+    } else if (GHOST_ID_PATTERN.test(reference)) {
+      errors.push({ field: 'add_tags', message: `No tag found with ID ${reference}` });
+    } else {
+      add.push({ name: reference });
+      newTags.push(reference);
+    }
+  }
+
+  const removeIds = new Set();
+  for (const reference of removeTags) {
+    const tag = await findTag(reference);
+    if (tag) {
+      removeIds.add(tag.id);
+    } else {
+      errors.push({ field: 'remove_tags', message: `No tag found for "${reference}"` });
+    }
+  }
+
+  if (add.some((tag) => tag.id && removeIds.has(tag.id))) {
+    errors.push({ field: 'add_tags', message: 'A tag cannot be both added and removed' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Tag resolution failed', errors);
+  }
+
+  return { add, removeIds, newTags };
+}
+
+/**
+ * Creates the new tags of a resolved bulk patch, once each, before any post
+ * is written. Sending them by name would let every concurrent edit create
+ * its own copy of the tag.
+ * @returns {Promise<Object>} The resolved tags, with every tag to add referenced by ID
+ */
+async function createBulkTags(tags) {
+  const add = [];
+  for (const tag of tags.add) {
+    if (tag.id) {
+      add.push(tag);
+    } else {
+      const created = await createTag({ name: tag.name });
+      add.push({ id: created.id, name: created.name });
+    }
+  }
+  return { ...tags, add };
+}
+
+const sameTag = (a, b) =>
+  a.id && b.id ? a.id === b.id : a.name.toLowerCase() === b.name.toLowerCase();
+
+/**
+ * Works out which fields a patch would change on one post.
+ * @returns {{changes: Object, data: Object}} Before/after per changed field, and the edit payload
+ */
+function planPostChange(post, patch, tags, authorIds) {
+  const changes = {};
+  const data = {};
+
+  for (const field of ['visibility', 'featured', 'status']) {
+    if (patch[field] !== undefined && post[field] !== patch[field]) {
+      changes[field] = { before: post[field], after: patch[field] };
+      data[field] = patch[field];
+    }
+  }
+
+  if (authorIds) {
+    const before = (post.authors || []).map((author) => author.id);
+    if (before.join() !== authorIds.join()) {
+      changes.authors = { before, after: authorIds };
+      data.authors = authorIds.map((id) => ({ id }));
+    }
+  }
+
+  const current = post.tags || [];
+  const kept = current.filter((tag) => !tags.removeIds.has(tag.id));
+  const added = tags.add.filter((tag) => !kept.some((existing) => sameTag(existing, tag)));
+  if (kept.length !== current.length || added.length > 0) {
+    const after = [...kept, ...added];
+    changes.tags = { before: current.map((tag) => tag.name), after: after.map((tag) => tag.name) };
+    data.tags = after.map((tag) => (tag.id ? { id: tag.id } : { name: tag.name }));
+  }
+
+  return { changes, data };
+}
+
+/**
+ * Applies one patch to every post matching an NQL filter.
+ *
+ * Matching posts are collected before any write, so the changes cannot shift
+ * later pages of the filter. Tags are added to and removed from each post's
+ * existing list, since Ghost replaces the list on edit; authors are replaced.
+ * Posts the patch would not change are left untouched. New tags are created
+ * once before the first write. Each update goes through updateWithOCC, so it
+ * is based on the post's latest updated_at.
+ *
+ * @param {string} filter - NQL filter selecting posts (e.g., 'tag:recipes')
+ * @param {Object} patch - Changes to apply
+ * @param {string[]} [patch.addTags] - Tag IDs, slugs or names to add; unknown names are created
+ * @param {string[]} [patch.removeTags] - Tag IDs, slugs or names to remove
+ * @param {string} [patch.visibility] - New visibility
+ * @param {boolean} [patch.featured] - New featured flag
+ * @param {string} [patch.status] - New status ('draft' or 'published')
+ * @param {string[]} [patch.authors] - Staff user IDs, emails, slugs or names; replaces the authors
+ * @param {Object} [options={}] - Bulk options
+ * @param {boolean} [options.dryRun=false] - Report the changes without writing them
+ * @param {number} [options.maxPosts=1000] - Refuse to run if more posts match
+ * @param {number} [options.batchSize=10] - Posts updated concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @returns {Promise<Object>} Summary, tags that will be created and a row per matched post
+ * @throws {ValidationError} If the filter or patch is empty, a tag or author cannot be
+ *   resolved, or the filter matches more than maxPosts
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function bulkUpdatePosts(filter, patch = {}, options = {}) {
+  const { dryRun = false, maxPosts = 1000, batchSize = 10, delayMs = 1000 } = options;
+
+  if (!filter) {
+    throw new ValidationError('A post filter is required for bulk updates');
+  }
+  if (!Object.values(patch).some((value) => value !== undefined)) {
+    throw new ValidationError('The patch does not change anything');
+  }
+
+  let tags = await resolveBulkTags(patch.addTags, patch.removeTags);
+  const authorIds = patch.authors
+    ? (await resolveAuthors(patch.authors)).map((author) => author.id)
+    : null;
+
+  const matched = await collectPosts(filter, maxPosts);
+  if (matched.length > maxPosts) {
+    throw new ValidationError(
+      `Filter matches more than ${maxPosts} posts; narrow the filter or raise max_posts`
+    );
+  }
+
+  if (!dryRun && matched.length > 0 && tags.newTags.length > 0) {
+    tags = await createBulkTags(tags);
+  }
+
+  const rows = matched.map((post) => ({ id: post.id, title: post.title, slug: post.slug }));
+  const plans = matched.map((post) => planPostChange(post, patch, tags, authorIds));
+  const toChange = [];
+  plans.forEach(({ changes }, index) => {
+    if (Object.keys(changes).length === 0) {
+      rows[index].status = 'unchanged';
+    } else {
+      rows[index].changes = changes;
+      toChange.push(index);
+    }
+  });
+
+  if (dryRun) {
+    for (const index of toChange) rows[index].status = 'would_update';
+  } else {
+    const results = await runInBatches(
+      toChange,
+      (index) => updateWithOCC('posts', matched[index].id, plans[index].data, {}, 'Post'),
+      {
+        batchSize,
+        delayMs,
+        onBatchComplete: (progress) => logger.info('Bulk post update batch complete', progress),
+      }
+    );
+
+    results.forEach((result, position) => {
+      const row = rows[toChange[position]];
+      if (result.status === 'fulfilled') {
+        row.status = 'updated';
+      } else {
+        row.status = 'failed';
+        row.errors = [{ field: 'post', message: result.reason?.message || 'Unknown error' }];
+      }
+    });
+  }
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    filter,
+    dry_run: dryRun,
+    summary: {
+      matched: matched.length,
+      [dryRun ? 'would_update' : 'updated']: count(dryRun ? 'would_update' : 'updated'),
+      unchanged: count('unchanged'),
+      failed: count('failed'),
+    },
+    new_tags: tags.newTags,
+    posts: rows,
+  };
+}
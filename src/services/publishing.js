@@ -0,0 +1,160 @@
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { createContextLogger } from '../utils/logger.js';
+import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
+import { handleApiRequest, readResource, updateWithOCC } from './ghostApiClient.js';
+
+const logger = createContextLogger('publishing');
+
+const GHOST_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+// Member filters for each segment; label:<slug> segments are already filters
+const SEGMENT_FILTERS = { all: null, free: 'status:free', paid: 'status:-free' };
+
+const segmentFilter = (segment) =>
+  segment in SEGMENT_FILTERS ? SEGMENT_FILTERS[segment] : segment;
+
+const describePost = ({ id, title, slug, status, url, published_at }) => ({
+  id,
+  title,
+  slug,
+  status,
+  url,
+  published_at,
+});
+
+const describeEmail = (email) =>
+  email
+    ? {
+        id: email.id,
+        status: email.status,
+        email_count: email.email_count,
+        recipient_filter: email.recipient_filter,
+        submitted_at: email.submitted_at,
+        error: email.error,
+      }
+    : null;
+
+/**
+ * Looks up a newsletter by ID or slug.
+ * @throws {NotFoundError} If no newsletter matches
+ */
+async function findNewsletter(reference) {
+  const value = sanitizeNqlValue(reference);
+  const filter = GHOST_ID_PATTERN.test(reference) ? `id:'${value}'` : `slug:'${value}'`;
+  const [newsletter] =
+    (await handleApiRequest('newsletters', 'browse', {}, { filter, limit: 1 })) || [];
+  if (!newsletter) throw new NotFoundError('Newsletter', reference);
+  return newsletter;
+}
+
+/**
+ * Counts the members who would receive a newsletter email: subscribed to the
+ * newsletter, with email enabled, and in the segment.
+ */
+async function countRecipients(newsletter, segment) {
+  const filter = [
+    `newsletters.id:'${newsletter.id}'`,
+    'email_disabled:false',
+    segmentFilter(segment),
+  ]
+    .filter(Boolean)
+    .join('+');
+  const members = (await handleApiRequest('members', 'browse', {}, { filter, limit: 1 })) || [];
+  return members.meta?.pagination?.total ?? members.length;
+}
+
+/**
+ * Ghost sends a post's email once, when the post is first published.
+ * @throws {ValidationError} If the post was already emailed or published
+ */
+function assertEmailable(post) {
+  if (post.email || post.status === 'sent') {
+    throw new ValidationError('Post has already been sent as an email', [
+      {
+        field: 'id',
+        message: `Email status: ${post.email?.status || 'sent'}. Ghost emails a post only once.`,
+      },
+    ]);
+  }
+  if (post.status === 'published') {
+    throw new ValidationError('Post is already published', [
+      {
+        field: 'id',
+        message: 'Ghost only emails a post when it is first published',
+      },
+    ]);
+  }
+}
+
+/**
+ * Publishes a draft or scheduled post now, optionally emailing it to a
+ * newsletter's subscribers. With a newsletter, a call without confirm only
+ * previews the number of recipients; nothing is published or sent.
+ * @param {string} postId - The post ID
+ * @param {Object} [options={}] - Publish options
+ * @param {string} [options.newsletter] - Newsletter ID or slug to email; omit to publish only
+ * @param {string} [options.segment='all'] - 'all', 'free', 'paid' or 'label:<slug>'
+ * @param {boolean} [options.confirm=false] - Publish and send the email
+ * @returns {Promise<Object>} { published, post, newsletter, segment, recipient_count, email };
+ *   email holds Ghost's send status once the post is published
+ * @throws {ValidationError} If the post was already emailed or published, or the newsletter is archived
+ * @throws {NotFoundError} If the post or newsletter does not exist
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function publishPost(postId, options = {}) {
+  const { newsletter: newsletterRef, segment = 'all', confirm = false } = options;
+  const post = await readResource('posts', postId, 'Post', { include: 'email,newsletter' });
+
+  if (!newsletterRef) {
+    if (post.status === 'published') {
+      throw new ValidationError('Post is already published');
+    }
+    const published = await updateWithOCC('posts', postId, { status: 'published' }, {}, 'Post');
+    logger.info('Post published without email', { postId });
+    return { published: true, post: describePost(published), email: null };
+  }
+
+  assertEmailable(post);
+  const newsletter = await findNewsletter(newsletterRef);
+  if (newsletter.status !== 'active') {
+    throw new ValidationError('Newsletter is archived', [
+      { field: 'newsletter', message: `${newsletter.name} is not active and cannot send email` },
+    ]);
+  }
+
+  const recipientCount = await countRecipients(newsletter, segment);
+  const result = {
+    newsletter: { id: newsletter.id, slug: newsletter.slug, name: newsletter.name },
+    segment,
+    recipient_count: recipientCount,
+  };
+  if (!confirm) {
+    logger.info('Post email previewed', { postId, newsletter: newsletter.slug, recipientCount });
+    return { published: false, post: describePost(post), ...result, email: null };
+  }
+
+  const published = await updateWithOCC(
+    'posts',
+    postId,
+    { status: 'published' },
+    {
+      newsletter: newsletter.slug,
+      email_segment: segmentFilter(segment) ?? 'all',
+      include: 'email',
+    },
+    'Post'
+  );
+
+  logger.info('Post published and emailed', {
+    postId,
+    newsletter: newsletter.slug,
+    segment,
+    emailStatus: published.email?.status,
+  });
+  return {
+    published: true,
+    post: describePost(published),
+    ...result,
+    email: describeEmail(published.email),
+  };
+}
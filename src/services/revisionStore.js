@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ConfigurationError, NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * File-based store of post and page snapshots, taken before this server
+ * updates or deletes them. Each snapshot is one JSON file:
+ *   <GHOST_MCP_REVISIONS_DIR>/<posts|pages>/<id>/<revision_id>.json
+ * Revision IDs start with the capture time, so they sort oldest first.
+ * The store is off unless GHOST_MCP_REVISIONS_DIR is set.
+ */
+
+export const REVISIONED_RESOURCES = ['posts', 'pages'];
+
+// Snapshots keep both content formats plus relations, so they can be restored
+export const SNAPSHOT_READ_OPTIONS = { formats: 'html,lexical', include: 'tags,authors' };
+
+// Snapshots kept per post or page unless GHOST_MCP_REVISIONS_LIMIT says otherwise
+export const DEFAULT_REVISION_LIMIT = 50;
+
+const SAFE_SEGMENT = /^[A-Za-z0-9_-]+$/;
+
+// Capture times never repeat within a process, so revision IDs sort in save order
+let lastCaptureTime = 0;
+
+/**
+ * Whether snapshots are taken for a resource.
+ * @param {string} resource - Ghost API resource name
+ * @returns {boolean}
+ */
+export function isRevisioned(resource) {
+  return Boolean(process.env.GHOST_MCP_REVISIONS_DIR) && REVISIONED_RESOURCES.includes(resource);
+}
+
+function storeRoot() {
+  const root = process.env.GHOST_MCP_REVISIONS_DIR;
+  if (!root) {
+    throw new ConfigurationError(
+      'Revision history is disabled: GHOST_MCP_REVISIONS_DIR is not set. Set it to the directory where post and page snapshots should be kept.',
+      ['GHOST_MCP_REVISIONS_DIR']
+    );
+  }
+  return path.resolve(root);
+}
+
+function revisionLimit() {
+  const limit = Number.parseInt(process.env.GHOST_MCP_REVISIONS_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_REVISION_LIMIT;
+}
+
+// IDs become path segments, so anything but plain word characters is refused
+function itemDir(resource, id) {
+  if (!REVISIONED_RESOURCES.includes(resource)) {
+    throw new ValidationError(`Revision history is not kept for ${resource}`);
+  }
+  if (typeof id !== 'string' || !SAFE_SEGMENT.test(id)) {
+    throw new ValidationError('Invalid ID for revision history', [
+      { field: 'id', message: 'Must contain only letters, digits, hyphens and underscores' },
+    ]);
+  }
+  return path.join(storeRoot(), resource, id);
+}
+
+const summarize = (record) => ({
+  revision_id: record.revision_id,
+  action: record.action,
+  captured_at: record.captured_at,
+  title: record.item.title,
+  status: record.item.status,
+  updated_at: record.item.updated_at,
+});
+
+/**
+ * Saves a snapshot of a post or page, then prunes the oldest snapshots of
+ * that item beyond GHOST_MCP_REVISIONS_LIMIT (default 50).
+ * @param {string} resource - 'posts' or 'pages'
+ * @param {Object} item - The item as read from Ghost, before the change
+ * @param {'update'|'delete'} action - The change about to be made
+ * @returns {Promise<Object>} Summary of the saved revision
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ * @throws {ValidationError} If the resource or item ID is not supported
+ */
+export async function saveRevision(resource, item, action) {
+  const dir = itemDir(resource, item?.id);
+  lastCaptureTime = Math.max(Date.now(), lastCaptureTime + 1);
+  const capturedAt = new Date(lastCaptureTime).toISOString();
+  const record = {
+    revision_id: `${capturedAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`,
+    resource,
+    id: item.id,
+    action,
+    captured_at: capturedAt,
+    item,
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${record.revision_id}.json`),
+    `${JSON.stringify(record, null, 2)}\n`
+  );
+
+  const files = (await fs.readdir(dir)).filter((name) => name.endsWith('.json')).sort();
+  const excess = files.slice(0, Math.max(0, files.length - revisionLimit()));
+  await Promise.all(excess.map((name) => fs.rm(path.join(dir, name), { force: true })));
+
+  return summarize(record);
+}
+
+/**
+ * Lists the snapshots of a post or page, newest first.
+ * @param {string} resource - 'posts' or 'pages'
+ * @param {string} id - Post or page ID
+ * @returns {Promise<Object[]>} { revision_id, action, captured_at, title, status, updated_at }
+ *   for each snapshot; empty when none were taken
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ * @throws {ValidationError} If the resource or ID is not supported
+ */
+export async function listRevisionRecords(resource, id) {
+  const dir = itemDir(resource, id);
+  const files = await fs.readdir(dir).catch((error) => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  const records = await Promise.all(
+    files
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(async (name) => JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')))
+  );
+  return records.map(summarize);
+}
+
+/**
+ * Reads one snapshot of a post or page.
+ * @param {string} resource - 'posts' or 'pages'
+ * @param {string} id - Post or page ID
+ * @param {string} revisionId - Revision ID from listRevisionRecords
+ * @returns {Promise<Object>} { revision_id, resource, id, action, captured_at, item }
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ * @throws {ValidationError} If the resource, ID or revision ID is malformed
+ * @throws {NotFoundError} If there is no such revision
+ */
+export async function readRevisionRecord(resource, id, revisionId) {
+  const dir = itemDir(resource, id);
+  if (typeof revisionId !== 'string' || !SAFE_SEGMENT.test(revisionId)) {
+    throw new ValidationError('Invalid revision ID', [
+      { field: 'revision_id', message: 'Use a revision_id from ghost_list_revisions' },
+    ]);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, `${revisionId}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new NotFoundError('Revision', revisionId);
+    throw error;
+  }
+}
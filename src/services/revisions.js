@@ -0,0 +1,150 @@
+import { NotFoundError } from '../errors/index.js';
+import { diffFields, diffHtml } from '../utils/diff.js';
+import { createContextLogger } from '../utils/logger.js';
+import { handleApiRequest, readResource, updateWithOCC } from './ghostApiClient.js';
+import { listRevisionRecords, readRevisionRecord, SNAPSHOT_READ_OPTIONS } from './revisionStore.js';
+
+const logger = createContextLogger('revisions');
+
+const LABELS = { posts: 'Post', pages: 'Page' };
+
+// Fields a restore writes back. Status and publish date are left alone so a
+// restore never publishes or unpublishes anything.
+const RESTORED_FIELDS = [
+  'title',
+  'slug',
+  'custom_excerpt',
+  'feature_image',
+  'feature_image_alt',
+  'feature_image_caption',
+  'featured',
+  'visibility',
+  'meta_title',
+  'meta_description',
+  'og_image',
+  'og_title',
+  'og_description',
+  'twitter_image',
+  'twitter_title',
+  'twitter_description',
+  'canonical_url',
+  'codeinjection_head',
+  'codeinjection_foot',
+  'custom_template',
+];
+
+const COMPARED_FIELDS = [...RESTORED_FIELDS, 'status', 'published_at', 'tags', 'authors'];
+
+// Relations are compared by name so diffs stay readable
+const comparable = (item) => ({
+  ...item,
+  tags: (item.tags || []).map((tag) => tag.name),
+  authors: (item.authors || []).map((author) => author.name || author.email || author.id),
+});
+
+/**
+ * Lists the stored snapshots of a post or page, newest first.
+ * @param {'posts'|'pages'} resource - Resource type
+ * @param {string} id - Post or page ID
+ * @returns {Promise<Object>} { resource, id, revisions }
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ */
+export async function listRevisions(resource, id) {
+  return { resource, id, revisions: await listRevisionRecords(resource, id) };
+}
+
+/**
+ * Loads a snapshot, or the live version for 'current'.
+ */
+async function loadVersion(resource, id, ref) {
+  if (ref === 'current') {
+    const item = await readResource(resource, id, LABELS[resource], SNAPSHOT_READ_OPTIONS);
+    return { ref: { revision_id: 'current', updated_at: item.updated_at }, item };
+  }
+  const record = await readRevisionRecord(resource, id, ref);
+  return {
+    ref: {
+      revision_id: record.revision_id,
+      action: record.action,
+      captured_at: record.captured_at,
+    },
+    item: record.item,
+  };
+}
+
+/**
+ * Compares two versions of a post or page. Either side may be a revision ID
+ * or 'current' for the live version in Ghost.
+ * @param {'posts'|'pages'} resource - Resource type
+ * @param {string} id - Post or page ID
+ * @param {string} from - Earlier version: revision ID or 'current'
+ * @param {string} [to='current'] - Later version: revision ID or 'current'
+ * @returns {Promise<Object>} { resource, id, from, to, changes, html_diff } where changes maps
+ *   each changed field to { before, after } and html_diff is a unified diff ('' if unchanged)
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ * @throws {NotFoundError} If a revision, or the live post or page, does not exist
+ */
+export async function diffRevisions(resource, id, from, to = 'current') {
+  const before = await loadVersion(resource, id, from);
+  const after = await loadVersion(resource, id, to);
+
+  return {
+    resource,
+    id,
+    from: before.ref,
+    to: after.ref,
+    changes: diffFields(comparable(before.item), comparable(after.item), COMPARED_FIELDS),
+    html_diff: diffHtml(before.item.html, after.item.html, {
+      fromLabel: before.ref.revision_id,
+      toLabel: after.ref.revision_id,
+    }),
+  };
+}
+
+/**
+ * Writes a snapshot's content and metadata back to Ghost as a new update,
+ * which is itself snapshotted first, so a restore can be undone too. Status
+ * and publish date are not changed. If the post or page has been deleted, it
+ * is recreated as a draft with a new ID.
+ * @param {'posts'|'pages'} resource - Resource type
+ * @param {string} id - Post or page ID
+ * @param {string} revisionId - Revision ID from listRevisions
+ * @returns {Promise<Object>} { resource, revision_id, recreated, item } with the saved item
+ * @throws {ConfigurationError} If GHOST_MCP_REVISIONS_DIR is not set
+ * @throws {NotFoundError} If the revision does not exist
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function restoreRevision(resource, id, revisionId) {
+  const label = LABELS[resource];
+  const { item: snapshot } = await readRevisionRecord(resource, id, revisionId);
+
+  const data = Object.fromEntries(
+    RESTORED_FIELDS.filter((field) => field in snapshot).map((field) => [field, snapshot[field]])
+  );
+  // Tags by slug, so tags deleted since the snapshot are recreated
+  data.tags = (snapshot.tags || []).map(({ name, slug }) => ({ name, slug }));
+  if (snapshot.authors?.length)
+    data.authors = snapshot.authors.map(({ id: authorId }) => ({ id: authorId }));
+
+  // Lexical round-trips exactly; HTML is the fallback for snapshots without it
+  let options = {};
+  if (snapshot.lexical) {
+    data.lexical = snapshot.lexical;
+  } else {
+    data.html = snapshot.html || '';
+    options = { source: 'html' };
+  }
+
+  let item;
+  let recreated = false;
+  try {
+    item = await updateWithOCC(resource, id, data, options, label);
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+    item = await handleApiRequest(resource, 'add', { ...data, status: 'draft' }, options);
+    recreated = true;
+  }
+
+  logger.info('Revision restored', { resource, id, revisionId, recreated, newId: item.id });
+  return { resource, revision_id: revisionId, recreated, item };
+}
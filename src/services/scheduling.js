@@ -0,0 +1,140 @@
+import { GhostAPIError, ValidationError } from '../errors/index.js';
+import { createContextLogger } from '../utils/logger.js';
+import { addDays, startOfZonedDay, toZonedDateTime, zonedTimeToUtc } from '../utils/timezone.js';
+import { getPost, getPosts, updatePost } from './posts.js';
+import { getSettings } from './settings.js';
+
+const logger = createContextLogger('scheduling');
+
+// Ghost's own default when the timezone setting is empty
+const DEFAULT_TIMEZONE = 'Etc/UTC';
+
+// Settings answers that mean the timezone cannot be read on this site or with
+// this key at all, as opposed to a failure worth surfacing
+const SETTINGS_UNAVAILABLE_STATUSES = new Set([403, 404]);
+
+/**
+ * Returns the timezone to work in: the one given, else the site's, else
+ * DEFAULT_TIMEZONE when the site's settings cannot be read.
+ * @param {string} [timezone] - IANA timezone name
+ * @returns {Promise<string>}
+ * @throws {GhostAPIError} If reading settings fails for another reason
+ */
+export async function resolveTimezone(timezone) {
+  if (timezone) return timezone;
+  try {
+    const settings = await getSettings({ keys: ['timezone'] });
+    return settings.timezone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    const unavailable =
+      error instanceof ValidationError ||
+      (error instanceof GhostAPIError && SETTINGS_UNAVAILABLE_STATUSES.has(error.ghostStatusCode));
+    if (!unavailable) throw error;
+    logger.warn('Site timezone unavailable, using the default', {
+      timezone: DEFAULT_TIMEZONE,
+      error: error.message,
+    });
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Schedules a post for a wall-clock time in a timezone.
+ * @param {string} postId - The post ID to schedule
+ * @param {Object} schedule
+ * @param {string} schedule.publishAt - Local date/time without offset ("YYYY-MM-DDTHH:mm[:ss]")
+ * @param {string} [schedule.timezone] - IANA timezone (defaults to the site timezone)
+ * @returns {Promise<{post: Object, published_at: string, local_time: string, timezone: string}>}
+ *   The updated post, the UTC publish time, and the local time it corresponds to
+ * @throws {ValidationError} If the time is invalid or in the past, or the post is already published
+ * @throws {NotFoundError} If the post is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function schedulePost(postId, { publishAt, timezone } = {}) {
+  const timeZone = await resolveTimezone(timezone);
+
+  let publishDate;
+  try {
+    publishDate = zonedTimeToUtc(publishAt, timeZone);
+  } catch (error) {
+    throw new ValidationError('Invalid publish time', [
+      { field: 'publish_at', message: error.message },
+    ]);
+  }
+
+  if (publishDate <= new Date()) {
+    throw new ValidationError('Invalid publish time', [
+      {
+        field: 'publish_at',
+        message: `${publishAt} in ${timeZone} (${publishDate.toISOString()}) is in the past`,
+      },
+    ]);
+  }
+
+  const existing = await getPost(postId);
+  if (existing.status === 'published') {
+    throw new ValidationError('Post is already published', [
+      { field: 'id', message: 'Unpublish the post before scheduling it' },
+    ]);
+  }
+
+  const published_at = publishDate.toISOString();
+  const post = await updatePost(postId, { status: 'scheduled', published_at });
+  const local = toZonedDateTime(publishDate, timeZone);
+
+  return {
+    post,
+    published_at,
+    local_time: `${local.date} ${local.time}`,
+    timezone: timeZone,
+  };
+}
+
+/**
+ * Lists upcoming scheduled posts grouped by local calendar day.
+ * @param {Object} [options={}]
+ * @param {string} [options.from] - First day to include ("YYYY-MM-DD", defaults to now)
+ * @param {number} [options.days=30] - Number of days to cover
+ * @param {string} [options.timezone] - IANA timezone for grouping (defaults to the site timezone)
+ * @returns {Promise<{timezone: string, from: string, to: string, total: number, days: Array}>}
+ *   Days that have posts, in order, each as { date, weekday, posts: [{ id, title, slug, local_time, published_at }] }
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getScheduledPosts(options = {}) {
+  const { from, days = 30 } = options;
+  const timeZone = await resolveTimezone(options.timezone);
+
+  const now = new Date();
+  const firstDay = from || toZonedDateTime(now, timeZone).date;
+  const start = from ? startOfZonedDay(from, timeZone) : now;
+  const end = startOfZonedDay(addDays(firstDay, days), timeZone);
+
+  const posts = await getPosts({
+    filter: `status:scheduled+published_at:>='${start.toISOString()}'+published_at:<'${end.toISOString()}'`,
+    order: 'published_at asc',
+    limit: 'all',
+  });
+
+  const calendar = new Map();
+  for (const post of posts) {
+    const local = toZonedDateTime(new Date(post.published_at), timeZone);
+    if (!calendar.has(local.date)) {
+      calendar.set(local.date, { date: local.date, weekday: local.weekday, posts: [] });
+    }
+    calendar.get(local.date).posts.push({
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      local_time: local.time,
+      published_at: post.published_at,
+    });
+  }
+
+  return {
+    timezone: timeZone,
+    from: firstDay,
+    to: addDays(firstDay, days - 1),
+    total: posts.length,
+    days: [...calendar.values()],
+  };
+}
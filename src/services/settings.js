@@ -0,0 +1,84 @@
+import { handleApiRequest } from './ghostApiClient.js';
+
+// Ghost stores these settings as JSON-encoded strings
+const JSON_SETTING_KEYS = new Set(['navigation', 'secondary_navigation']);
+
+/**
+ * Converts Ghost's settings payload into a plain key/value object.
+ * Accepts either the raw [{ key, value }] list or an already-keyed object.
+ * @param {Array|Object} settings - Settings as returned by the Admin API
+ * @returns {Object} Settings keyed by setting name, with JSON values parsed
+ */
+function toSettingsMap(settings) {
+  const entries = Array.isArray(settings)
+    ? settings.map(({ key, value }) => [key, value])
+    : Object.entries(settings || {});
+
+  const map = {};
+  for (const [key, value] of entries) {
+    if (JSON_SETTING_KEYS.has(key) && typeof value === 'string') {
+      try {
+        map[key] = JSON.parse(value);
+        continue;
+      } catch {
+        // Leave unparseable values as Ghost returned them
+      }
+    }
+    map[key] = value;
+  }
+  return map;
+}
+
+/**
+ * Retrieves site settings.
+ * @param {Object} [options={}] - Read options
+ * @param {string[]} [options.keys] - Only return these setting keys
+ * @returns {Promise<Object>} Settings keyed by setting name
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getSettings(options = {}) {
+  const settings = toSettingsMap(await handleApiRequest('settings', 'browse'));
+
+  if (!options.keys) return settings;
+  return Object.fromEntries(
+    options.keys.filter((key) => key in settings).map((key) => [key, settings[key]])
+  );
+}
+
+/**
+ * Updates site settings and reports what changed.
+ *
+ * Current values are read first; only keys whose value actually differs are
+ * sent to Ghost. Callers must validate keys (see updateSettingsSchema) — this
+ * function sends whatever it is given.
+ *
+ * @param {Object} changes - New values keyed by setting name
+ * @returns {Promise<{updated: string[], unchanged: string[], diff: Object}>}
+ *   Changed keys, keys already at the requested value, and { key: { before, after } } for each change
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function updateSettings(changes) {
+  const before = await getSettings();
+
+  const changedKeys = Object.keys(changes).filter(
+    (key) => JSON.stringify(before[key] ?? null) !== JSON.stringify(changes[key] ?? null)
+  );
+  const unchanged = Object.keys(changes).filter((key) => !changedKeys.includes(key));
+
+  if (changedKeys.length === 0) {
+    return { updated: [], unchanged, diff: {} };
+  }
+
+  const payload = changedKeys.map((key) => ({
+    key,
+    value: JSON_SETTING_KEYS.has(key) ? JSON.stringify(changes[key]) : changes[key],
+  }));
+  const after = toSettingsMap(await handleApiRequest('settings', 'edit', payload));
+
+  const diff = {};
+  for (const key of changedKeys) {
+    diff[key] = { before: before[key] ?? null, after: after[key] ?? changes[key] };
+  }
+
+  return { updated: changedKeys, unchanged, diff };
+}
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { GhostAPIError, NotFoundError, ValidationError } from '../errors/index.js';
+import { listZipEntries, readZipEntry } from '../utils/zipReader.js';
+import { handleApiRequest } from './ghostApiClient.js';
+
+// Templates gscan treats as fatal when missing; Ghost refuses to activate without them
+export const REQUIRED_THEME_TEMPLATES = ['index.hbs', 'post.hbs'];
+
+export const MAX_THEME_ZIP_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Works out which directory inside the archive holds the theme. Ghost accepts
+ * files at the archive root or inside a single top-level folder.
+ * @param {string[]} names - File entry names (macOS metadata already removed)
+ * @returns {string} Prefix to strip from entry names ('' or 'folder/')
+ */
+function findThemeRoot(names) {
+  if (names.includes('package.json')) return '';
+
+  const topLevel = new Set(names.map((name) => name.split('/')[0]));
+  if (topLevel.size === 1) {
+    const [folder] = topLevel;
+    if (names.includes(`${folder}/package.json`)) return `${folder}/`;
+  }
+  return '';
+}
+
+/**
+ * Checks that a theme zip has the structure Ghost needs before it is uploaded:
+ * a package.json with name and version, and the required templates.
+ * @param {string} zipPath - Path to the theme zip
+ * @returns {Promise<{name: string, version: string, templates: string[]}>} Package details and templates found
+ * @throws {ValidationError} Listing every problem found, if the zip is not a valid theme
+ */
+export async function validateThemeZip(zipPath) {
+  if (path.extname(zipPath).toLowerCase() !== '.zip') {
+    throw new ValidationError('Invalid theme', [
+      { field: 'theme_path', message: 'Theme must be a .zip file' },
+    ]);
+  }
+
+  const stat = await fs.stat(zipPath);
+  if (stat.size > MAX_THEME_ZIP_BYTES) {
+    throw new ValidationError('Invalid theme', [
+      {
+        field: 'theme_path',
+        message: `Theme zip is ${stat.size} bytes; the limit is ${MAX_THEME_ZIP_BYTES}`,
+      },
+    ]);
+  }
+
+  const buffer = await fs.readFile(zipPath);
+  let entries;
+  try {
+    entries = listZipEntries(buffer).filter(
+      (entry) => !entry.isDirectory && !entry.name.startsWith('__MACOSX/')
+    );
+  } catch (error) {
+    throw new ValidationError('Invalid theme', [{ field: 'theme_path', message: error.message }]);
+  }
+
+  const root = findThemeRoot(entries.map((entry) => entry.name));
+  const files = new Map(
+    entries
+      .filter((entry) => entry.name.startsWith(root))
+      .map((entry) => [entry.name.slice(root.length), entry])
+  );
+
+  const errors = [];
+  let pkg = {};
+  const pkgEntry = files.get('package.json');
+  if (!pkgEntry) {
+    errors.push({ field: 'package.json', message: 'package.json is missing' });
+  } else {
+    try {
+      pkg = JSON.parse(readZipEntry(buffer, pkgEntry).toString('utf8'));
+      if (typeof pkg.name !== 'string') {
+        errors.push({ field: 'package.json', message: 'package.json must have a "name"' });
+      }
+      if (typeof pkg.version !== 'string') {
+        errors.push({ field: 'package.json', message: 'package.json must have a "version"' });
+      }
+    } catch (error) {
+      errors.push({
+        field: 'package.json',
+        message: `package.json is unreadable: ${error.message}`,
+      });
+    }
+  }
+
+  for (const template of REQUIRED_THEME_TEMPLATES) {
+    if (!files.has(template)) {
+      errors.push({ field: template, message: `Required template ${template} is missing` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid theme', errors);
+  }
+
+  return {
+    name: pkg.name,
+    version: pkg.version,
+    templates: [...files.keys()].filter((name) => name.endsWith('.hbs')).sort(),
+  };
+}
+
+/**
+ * Lists installed themes.
+ * @returns {Promise<Array>} Themes with name, package details and an active flag
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getThemes() {
+  const themes = (await handleApiRequest('themes', 'browse')) || [];
+  return themes.map((theme) => ({ ...theme, active: Boolean(theme.active) }));
+}
+
+/**
+ * Validates and uploads a theme zip. Ghost names the theme after the zip file
+ * and replaces any installed theme with that name, so the zip is checked
+ * first and nothing is sent if it is invalid.
+ * @param {string} zipPath - Path to the theme zip (already resolved against the allowed root)
+ * @returns {Promise<{theme: Object, package: Object}>} The uploaded theme and the validated package details
+ * @throws {ValidationError} If the zip is invalid or Ghost rejects the theme
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function uploadTheme(zipPath) {
+  const pkg = await validateThemeZip(zipPath);
+
+  try {
+    const theme = await handleApiRequest('themes', 'upload', { file: zipPath });
+    return { theme, package: pkg };
+  } catch (error) {
+    if (error instanceof GhostAPIError && error.ghostStatusCode === 422) {
+      throw new ValidationError(`Theme upload failed: ${error.originalError}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Activates an installed theme.
+ * @param {string} name - Installed theme name
+ * @returns {Promise<Object>} The activated theme
+ * @throws {NotFoundError} If no installed theme has that name
+ * @throws {ValidationError} If Ghost refuses to activate it (e.g. fatal theme errors)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function activateTheme(name) {
+  const themes = await getThemes();
+  if (!themes.some((theme) => theme.name === name)) {
+    throw new NotFoundError('Theme', name);
+  }
+
+  try {
+    return await handleApiRequest('themes', 'activate', name);
+  } catch (error) {
+    if (error instanceof GhostAPIError && error.ghostStatusCode === 422) {
+      throw new ValidationError(`Theme activation failed: ${error.originalError}`);
+    }
+    throw error;
+  }
+}
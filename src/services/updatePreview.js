@@ -0,0 +1,95 @@
+import { ValidationError } from '../errors/index.js';
+import { diffFields, diffHtml } from '../utils/diff.js';
+import { createContextLogger } from '../utils/logger.js';
+import { readResource } from './ghostApiClient.js';
+
+const logger = createContextLogger('update-preview');
+
+// Reads include the relations and formats an update can change
+const RESOURCES = {
+  posts: { label: 'Post', readOptions: { formats: 'html', include: 'tags,authors' } },
+  pages: { label: 'Page', readOptions: { formats: 'html', include: 'tags,authors' } },
+  tags: { label: 'Tag', readOptions: {} },
+  members: { label: 'Member', readOptions: { include: 'labels,newsletters' } },
+  newsletters: { label: 'Newsletter', readOptions: {} },
+  tiers: { label: 'Tier', readOptions: { include: 'monthly_price,yearly_price,benefits' } },
+};
+
+export const PREVIEW_RESOURCES = Object.keys(RESOURCES);
+
+const displayName = (entry) =>
+  entry?.name ?? entry?.email ?? entry?.slug ?? entry?.id ?? entry ?? null;
+
+/**
+ * Puts a relation (tags, authors, labels, newsletters, tiers) into comparable
+ * form on both sides. Ghost returns objects, while updates may send names,
+ * IDs or { id } refs, so everything is shown by name where the current item
+ * knows it.
+ */
+function normalizeRelation(current, proposed) {
+  const namesById = new Map((current || []).map((entry) => [entry.id, displayName(entry)]));
+  const resolve = (entry) => {
+    const id = typeof entry === 'string' ? entry : entry?.id;
+    return namesById.get(id) ?? displayName(entry);
+  };
+  return {
+    before: (current || []).map(displayName),
+    after: proposed.map(resolve),
+  };
+}
+
+const isRelation = (value) =>
+  Array.isArray(value) && value.some((entry) => entry !== null && typeof entry === 'object');
+
+/**
+ * Previews an update without writing it: reads the current version and
+ * compares each field in the update against it. Relations are compared by
+ * name, and HTML content changes are also shown as a line diff.
+ * @param {string} resource - 'posts', 'pages', 'tags', 'members', 'newsletters' or 'tiers'
+ * @param {string} id - ID of the item to update
+ * @param {Object} updateData - The fields the update would send
+ * @returns {Promise<Object>} { dry_run: true, resource, id, changes, unchanged, html_diff? };
+ *   changes maps each changed field to { before, after }
+ * @throws {ValidationError} If the resource is not supported
+ * @throws {NotFoundError} If the item does not exist
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function previewUpdate(resource, id, updateData) {
+  const config = RESOURCES[resource];
+  if (!config) {
+    throw new ValidationError(`Update preview is not supported for ${resource}`);
+  }
+
+  const current = await readResource(resource, id, config.label, config.readOptions);
+  const before = {};
+  const after = {};
+  for (const [field, value] of Object.entries(updateData)) {
+    if (field === 'html') continue;
+    if (Array.isArray(value) && (isRelation(current[field]) || isRelation(value))) {
+      ({ before: before[field], after: after[field] } = normalizeRelation(current[field], value));
+    } else {
+      before[field] = current[field];
+      after[field] = value;
+    }
+  }
+
+  const changes = diffFields(before, after, Object.keys(after));
+  const unchanged = Object.keys(after).filter((field) => !(field in changes));
+  const preview = { dry_run: true, resource, id, changes, unchanged };
+
+  // Full HTML before/after is unreadable, so content changes are shown as a diff
+  if (updateData.html !== undefined) {
+    preview.html_diff = diffHtml(current.html, updateData.html, {
+      fromLabel: 'current',
+      toLabel: 'proposed',
+    });
+    if (!preview.html_diff) unchanged.push('html');
+  }
+
+  logger.info('Update previewed', {
+    resource,
+    id,
+    changed: Object.keys(changes).length + (preview.html_diff ? 1 : 0),
+  });
+  return preview;
+}
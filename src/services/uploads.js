@@ -0,0 +1,58 @@
+import path from 'path';
+import { GhostAPIError, ValidationError } from '../errors/index.js';
+import { allowedExtensions } from '../utils/uploadTypes.js';
+import { handleApiRequest } from './ghostApiClient.js';
+import { validators } from './validators.js';
+
+const REF_MAX_LENGTH = 200;
+
+/**
+ * Uploads a local file to the Ghost endpoint of an upload type, checking the
+ * path, the extension allowlist (for types with `enforceExtension`) and `ref`.
+ *
+ * @param {Object} uploadType - One of the *_UPLOAD_TYPE configs from utils/uploadTypes.js.
+ * @param {string} filePath - Absolute path to the file.
+ * @param {Object} [fields] - Extra upload fields (e.g. ref, purpose, thumbnail);
+ *   undefined values are dropped.
+ * @returns {Promise<Object>} The uploaded object returned by Ghost ({ url, ref, ... }).
+ * @throws {ValidationError} If the file type or ref is invalid, or the upload fails.
+ * @throws {NotFoundError} If the file does not exist.
+ * @throws {GhostAPIError} If the API request fails.
+ */
+export async function uploadToGhost(uploadType, filePath, fields = {}) {
+  const { label } = uploadType;
+  await validators.validateFilePath(filePath, label);
+
+  if (uploadType.enforceExtension) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!allowedExtensions(uploadType).includes(ext)) {
+      throw new ValidationError(
+        `Unsupported ${label.toLowerCase()} type "${ext}". Allowed: ${allowedExtensions(uploadType).join(', ')}`
+      );
+    }
+  }
+
+  const { ref } = fields;
+  if (ref !== undefined) {
+    if (typeof ref !== 'string') {
+      throw new ValidationError('ref must be a string');
+    }
+    if (ref.length > REF_MAX_LENGTH) {
+      throw new ValidationError(`ref cannot exceed ${REF_MAX_LENGTH} characters`);
+    }
+  }
+
+  const data = { file: filePath };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) data[key] = value;
+  }
+
+  try {
+    return await handleApiRequest(uploadType.endpoint, 'upload', data);
+  } catch (error) {
+    if (error instanceof GhostAPIError) {
+      throw new ValidationError(`${label} upload failed: ${error.originalError}`);
+    }
+    throw error;
+  }
+}
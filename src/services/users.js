@@ -0,0 +1,130 @@
+import { GhostAPIError, NotFoundError, ValidationError } from '../errors/index.js';
+import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
+import { handleApiRequest } from './ghostApiClient.js';
+import { createResourceService } from './createResourceService.js';
+
+const GHOST_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+const service = createResourceService({
+  resource: 'users',
+  label: 'User',
+  listDefaults: { limit: 15, include: 'roles' },
+});
+
+/**
+ * Lists staff users with optional role filtering and pagination.
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.limit=15] - Number of users to return
+ * @param {string} [options.role] - Only return users with this role name (e.g., 'Author')
+ * @param {string} [options.filter] - NQL filter string, combined with the role filter using AND
+ * @param {string} [options.include='roles'] - Related resources to include
+ * @param {string} [options.order] - Order string
+ * @returns {Promise<Array>} Array of user objects (empty array if none found)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getUsers(options = {}) {
+  const { role, ...queryOptions } = options;
+
+  if (role) {
+    const roleFilter = `roles.name:'${sanitizeNqlValue(role)}'`;
+    queryOptions.filter = queryOptions.filter
+      ? `${roleFilter}+(${queryOptions.filter})`
+      : roleFilter;
+  }
+
+  return service.getList(queryOptions);
+}
+
+/**
+ * Retrieves a single staff user by ID, slug or email.
+ * @param {Object} identifier - Exactly one of id, slug or email
+ * @param {string} [identifier.id] - User ID
+ * @param {string} [identifier.slug] - User slug
+ * @param {string} [identifier.email] - User email
+ * @param {Object} [options={}] - API request options (e.g., { include: 'roles' })
+ * @returns {Promise<Object>} The user object
+ * @throws {ValidationError} If no identifier is given
+ * @throws {NotFoundError} If the user is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function getUser(identifier = {}, options = {}) {
+  const { id, slug, email } = identifier;
+  const lookup = id ? { id } : slug ? { slug } : email ? { email } : null;
+
+  if (!lookup) {
+    throw new ValidationError('User id, slug or email is required');
+  }
+
+  try {
+    return await handleApiRequest('users', 'read', lookup, { include: 'roles', ...options });
+  } catch (error) {
+    if (error instanceof GhostAPIError && error.ghostStatusCode === 404) {
+      throw new NotFoundError('User', id || slug || email);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the staff user an author reference points at.
+ * Slugs win over names, and a name shared by several users is rejected
+ * rather than guessed.
+ * @param {string} reference - Author email, slug or display name
+ * @returns {Promise<{user: Object|null, reason?: string}>} Match, or the reason there is none
+ */
+async function findAuthor(reference) {
+  const value = sanitizeNqlValue(reference);
+  const filter = reference.includes('@') ? `email:'${value}'` : `slug:'${value}',name:'${value}'`;
+  const users = (await handleApiRequest('users', 'browse', {}, { filter, limit: 5 })) || [];
+
+  const bySlug = users.find((user) => user.slug === reference);
+  if (bySlug) {
+    return { user: bySlug };
+  }
+  if (users.length > 1) {
+    return { user: null, reason: `"${reference}" matches ${users.length} staff users` };
+  }
+  if (users.length === 0) {
+    return { user: null, reason: `No staff user found for "${reference}"` };
+  }
+  return { user: users[0] };
+}
+
+/**
+ * Resolves author references (IDs, emails, slugs or display names) to the
+ * `[{ id }]` form Ghost expects, preserving order and dropping duplicates.
+ * @param {string[]} authors - Author references
+ * @returns {Promise<Array<{id: string}>>} Resolved author references
+ * @throws {ValidationError} If any reference does not match exactly one staff user
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function resolveAuthors(authors = []) {
+  const errors = [];
+  const ids = [];
+
+  for (const rawReference of authors) {
+    const reference = typeof rawReference === 'string' ? rawReference.trim() : '';
+    if (!reference) {
+      errors.push({ field: 'authors', message: 'Author references cannot be empty' });
+      continue;
+    }
+
+    if (GHOST_ID_PATTERN.test(reference)) {
+      ids.push(reference);
+      continue;
+    }
+
+    const { user, reason } = await findAuthor(reference);
+    if (user) {
+      ids.push(user.id);
+    } else {
+      errors.push({ field: 'authors', message: reason });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Author resolution failed', errors);
+  }
+
+  return [...new Set(ids)].map((id) => ({ id }));
+}
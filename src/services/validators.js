@@ -150,15 +150,27 @@ export const validators = {
    * @throws {NotFoundError} If the file does not exist at the given path
    */
   async validateImagePath(imagePath) {
-    if (!imagePath || typeof imagePath !== 'string') {
-      throw new ValidationError('Image path is required and must be a string');
+    return validators.validateFilePath(imagePath, 'Image');
+  },
+
+  /**
+   * Validates that an upload path is a non-empty string and that the file exists on disk.
+   * @param {string} filePath - Absolute path to the file
+   * @param {string} [label='File'] - Kind of file, used in error messages (e.g., 'Media')
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If filePath is falsy or not a string
+   * @throws {NotFoundError} If the file does not exist at the given path
+   */
+  async validateFilePath(filePath, label = 'File') {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new ValidationError(`${label} path is required and must be a string`);
     }
 
     // Check if file exists
     try {
-      await fs.access(imagePath);
+      await fs.access(filePath);
     } catch {
-      throw new NotFoundError('Image file', imagePath);
+      throw new NotFoundError(`${label} file`, filePath);
     }
   },
 
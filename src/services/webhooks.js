@@ -0,0 +1,61 @@
+import { GhostAPIError, NotFoundError, ValidationError } from '../errors/index.js';
+import { handleApiRequest, deleteResource } from './ghostApiClient.js';
+import { createResourceService } from './createResourceService.js';
+import { validators } from './validators.js';
+
+// Ghost exposes no browse/read endpoint for webhooks, so only create and
+// delete go through the shared factory; update cannot use OCC (it needs a read).
+const service = createResourceService({
+  resource: 'webhooks',
+  label: 'Webhook',
+});
+
+/**
+ * Creates a new webhook on the integration that owns the Admin API key.
+ * @param {Object} webhookData - The webhook data (validated by createWebhookSchema)
+ * @param {Object} [options] - API request options
+ * @returns {Promise<Object>} The created webhook object
+ * @throws {ValidationError} If Ghost returns a 422 (e.g. duplicate event/target pair)
+ * @throws {GhostAPIError} If the API request fails
+ */
+export const createWebhook = service.create;
+
+/**
+ * Updates an existing webhook. Sent as a direct edit: Ghost has no read
+ * endpoint for webhooks, so there is no updated_at to check against.
+ * @param {string} webhookId - The webhook ID to update
+ * @param {Object} updateData - Fields to update on the webhook
+ * @returns {Promise<Object>} The updated webhook object
+ * @throws {ValidationError} If the webhook ID is missing or Ghost returns a 422
+ * @throws {NotFoundError} If the webhook is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function updateWebhook(webhookId, updateData) {
+  validators.requireId(webhookId, 'Webhook');
+
+  try {
+    return await handleApiRequest('webhooks', 'edit', { id: webhookId, ...updateData });
+  } catch (error) {
+    if (error instanceof GhostAPIError && error.ghostStatusCode === 404) {
+      throw new NotFoundError('Webhook', webhookId);
+    }
+    if (error instanceof GhostAPIError && error.ghostStatusCode === 422) {
+      throw new ValidationError('Webhook update failed', [
+        { field: 'webhook', message: error.originalError },
+      ]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes a webhook by ID.
+ * @param {string} webhookId - The webhook ID to delete
+ * @returns {Promise<Object>} Deletion confirmation
+ * @throws {ValidationError} If the webhook ID is missing
+ * @throws {NotFoundError} If the webhook is not found
+ * @throws {GhostAPIError} If the API request fails
+ */
+export async function deleteWebhook(webhookId) {
+  return deleteResource('webhooks', webhookId, 'Webhook');
+}
@@ -0,0 +1,462 @@
+import fs from 'fs/promises';
+import { ValidationError } from '../errors/index.js';
+import { htmlContentSchema } from '../schemas/common.js';
+import { runInBatches } from '../utils/batch.js';
+import { createContextLogger } from '../utils/logger.js';
+import { sanitizeNqlValue } from '../utils/nqlSanitizer.js';
+import { parseWxr } from '../utils/wxr.js';
+import { handleApiRequest } from './ghostApiClient.js';
+import { createPage } from './pages.js';
+import { createPost } from './posts.js';
+import { createTag, getTags } from './tags.js';
+import { resolveAuthors } from './users.js';
+
+const logger = createContextLogger('wordpress-import');
+
+export const MAX_WXR_BYTES = 50 * 1024 * 1024;
+
+// WordPress statuses that never hold content worth importing
+const SKIPPED_STATUSES = new Set(['trash', 'auto-draft', 'inherit']);
+
+// Ghost rejects longer custom excerpts
+const MAX_EXCERPT_LENGTH = 300;
+
+// Existing slugs are looked up in chunks of this many per browse call
+const LOOKUP_CHUNK_SIZE = 50;
+
+// WordPress files every uncategorized post here; it isn't a real topic
+const DEFAULT_CATEGORY_SLUG = 'uncategorized';
+
+const TAG_SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+const BLOCK_START =
+  /^<(?:p|div|h[1-6]|ul|ol|li|dl|blockquote|pre|figure|table|hr|img|iframe)[\s>/]/i;
+
+const IMAGE_SRC_PATTERN = /<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+
+const SHORTCODE_PATTERN = /\[([a-z][\w-]*)(?:\s[^\]]*)?\]/gi;
+
+/**
+ * Reads and parses a WXR file.
+ * @throws {ValidationError} If the file is too large or not a WordPress export
+ */
+async function readWxr(wxrPath) {
+  const stat = await fs.stat(wxrPath);
+  if (stat.size > MAX_WXR_BYTES) {
+    throw new ValidationError('Invalid WordPress export', [
+      {
+        field: 'wxr_path',
+        message: `Export is ${stat.size} bytes; the limit is ${MAX_WXR_BYTES}`,
+      },
+    ]);
+  }
+
+  try {
+    return parseWxr(await fs.readFile(wxrPath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid WordPress export', [
+      { field: 'wxr_path', message: error.message },
+    ]);
+  }
+}
+
+/**
+ * WordPress stores non-ASCII slugs percent-encoded.
+ */
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug);
+  } catch {
+    return slug;
+  }
+}
+
+/**
+ * Converts wp:post_date_gmt ('YYYY-MM-DD HH:MM:SS', UTC) to ISO 8601.
+ * @returns {string|undefined} ISO date, or undefined for never-published drafts
+ */
+function toPublishedAt(dateGmt) {
+  if (!dateGmt || dateGmt.startsWith('0000')) return undefined;
+  const date = new Date(`${dateGmt.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Turns a [caption] shortcode body (an optionally linked image followed by
+ * the caption text) into a figure.
+ */
+function captionToFigure(match, body) {
+  const [, image, caption] =
+    body.match(/^\s*((?:<a\b[^>]*>)?\s*<img\b[^>]*>\s*(?:<\/a>)?)([\s\S]*)$/i) || [];
+  if (!image) return body;
+  const text = caption.trim();
+  return `<figure>${image.trim()}${text ? `<figcaption>${text}</figcaption>` : ''}</figure>`;
+}
+
+/**
+ * Converts WordPress post content to HTML Ghost can import. Block editor
+ * comments are dropped, [caption] becomes a figure, and classic-editor text
+ * gets paragraphs the way WordPress's wpautop would: blank-line separated
+ * runs of inline content become <p>, single newlines inside them <br>.
+ * @param {string} content - content:encoded from the export
+ * @returns {{html: string, shortcodes: string[]}} HTML and shortcodes left in it
+ */
+function wordpressContentToHtml(content) {
+  const html = content
+    .replace(/<!--\s*\/?wp:[\s\S]*?-->/g, '')
+    .replace(/\[caption\b[^\]]*\]([\s\S]*?)\[\/caption\]/gi, captionToFigure)
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => (BLOCK_START.test(block) ? block : `<p>${block.replace(/\n/g, '<br>')}</p>`))
+    .join('\n');
+
+  const shortcodes = [...new Set([...html.matchAll(SHORTCODE_PATTERN)].map(([, name]) => name))];
+  return { html, shortcodes };
+}
+
+/**
+ * Remote (http/https) image URLs referenced by img tags, without duplicates.
+ */
+function imageUrls(html) {
+  const urls = [...html.matchAll(IMAGE_SRC_PATTERN)].map(([, src]) => src);
+  return [...new Set(urls.filter((url) => /^https?:\/\//i.test(url)))];
+}
+
+/**
+ * Finds posts and pages already using any of the given slugs. Posts and pages
+ * share one slug space in Ghost.
+ * @param {string[]} slugs - Slugs to look up
+ * @returns {Promise<Map<string, {type: string, id: string}>>} Existing owner by slug
+ */
+async function findExistingSlugs(slugs) {
+  const existing = new Map();
+
+  for (const [resource, type] of [
+    ['posts', 'post'],
+    ['pages', 'page'],
+  ]) {
+    for (let i = 0; i < slugs.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = slugs.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const filter = `slug:[${chunk.map((slug) => `'${sanitizeNqlValue(slug)}'`).join(',')}]`;
+      const found =
+        (await handleApiRequest(
+          resource,
+          'browse',
+          {},
+          { filter, limit: chunk.length, fields: 'id,slug' }
+        )) || [];
+
+      for (const item of found) {
+        existing.set(item.slug, { type, id: item.id });
+      }
+    }
+  }
+
+  return existing;
+}
+
+/**
+ * Maps WordPress categories and tags to Ghost tag IDs, creating missing tags
+ * through tags.js unless this is a dry run.
+ * @param {Map<string, {name: string, slug: string}>} wanted - Tags by key
+ * @param {boolean} dryRun - Only report what would be created
+ * @returns {Promise<{ids: Map<string, string>, report: Object}>} Tag ID by key (absent when
+ *   not created) and the tag section of the import report
+ */
+async function resolveTags(wanted, dryRun) {
+  const ids = new Map();
+  const report = { existing: [], [dryRun ? 'to_create' : 'created']: [], failed: [] };
+  const bySlug = new Map(
+    [...wanted].filter(([, tag]) => tag.slug).map(([key, tag]) => [tag.slug, key])
+  );
+
+  const slugs = [...bySlug.keys()];
+  for (let i = 0; i < slugs.length; i += LOOKUP_CHUNK_SIZE) {
+    const chunk = slugs.slice(i, i + LOOKUP_CHUNK_SIZE);
+    const filter = `slug:[${chunk.map((slug) => `'${sanitizeNqlValue(slug)}'`).join(',')}]`;
+    for (const tag of await getTags({ filter, limit: chunk.length })) {
+      const key = bySlug.get(tag.slug);
+      if (key && !ids.has(key)) {
+        ids.set(key, tag.id);
+        report.existing.push(tag.name);
+      }
+    }
+  }
+
+  for (const [key, tag] of wanted) {
+    if (ids.has(key)) continue;
+    if (dryRun) {
+      report.to_create.push(tag.name);
+      continue;
+    }
+    try {
+      const created = await createTag(tag.slug ? tag : { name: tag.name });
+      ids.set(key, created.id);
+      report.created.push(tag.name);
+    } catch (error) {
+      report.failed.push({ name: tag.name, reason: error.message });
+    }
+  }
+
+  return { ids, report };
+}
+
+/**
+ * Resolves each WordPress author login to a Ghost staff user: through
+ * authorMap when given, otherwise by the author's email in the export.
+ * @returns {Promise<{ids: Map<string, Array<{id: string}>>, unresolved: Object[]}>}
+ */
+async function resolveWordPressAuthors(logins, wxrAuthors, authorMap) {
+  const emailByLogin = new Map(wxrAuthors.map((author) => [author.login, author.email]));
+  const ids = new Map();
+  const unresolved = [];
+
+  for (const login of logins) {
+    const reference = authorMap[login] || emailByLogin.get(login) || login;
+    try {
+      ids.set(login, await resolveAuthors([reference]));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      unresolved.push({ login, reference, reason: error.errors[0]?.message || error.message });
+    }
+  }
+
+  return { ids, unresolved };
+}
+
+/**
+ * Imports posts and pages from a WordPress WXR export as Ghost drafts.
+ *
+ * Slugs, publish dates (as published_at on the draft), excerpts, featured
+ * images, authors, categories and tags are carried over. Items whose slug is
+ * already used in Ghost, or repeated in the file, are skipped and reported as
+ * conflicts. Categories and tags become Ghost tags. With uploadImage, images
+ * in the content and featured images are re-hosted on Ghost and their URLs
+ * rewritten; an image that fails keeps its original URL. Content goes through
+ * the same HTML sanitizer as the post tools.
+ *
+ * @param {string} wxrPath - Path to the WXR file (already checked against the allowed root)
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.dryRun=false] - Report what would happen without writing anything
+ * @param {string[]} [options.types=['post','page']] - WordPress post types to import
+ * @param {Object<string, string>} [options.authorMap={}] - WordPress login → Ghost author
+ *   (ID, email, slug or name)
+ * @param {Function} [options.uploadImage] - async (url) => Ghost URL; images stay remote without it
+ * @param {number} [options.batchSize=5] - Items written concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @returns {Promise<Object>} Report with summary, tags, unresolved_authors and a row per item
+ * @throws {ValidationError} If the file is too large or not a WordPress export
+ * @throws {GhostAPIError} If looking up existing slugs, tags or authors fails
+ */
+export async function importWordPress(wxrPath, options = {}) {
+  const {
+    dryRun = false,
+    types = ['post', 'page'],
+    authorMap = {},
+    uploadImage,
+    batchSize = 5,
+    delayMs = 1000,
+  } = options;
+
+  const wxr = await readWxr(wxrPath);
+  const attachmentUrls = new Map(
+    wxr.items
+      .filter((item) => item.type === 'attachment' && item.attachmentUrl)
+      .map((item) => [item.id, item.attachmentUrl])
+  );
+
+  const rows = [];
+  const pending = [];
+  const firstItemBySlug = new Map();
+
+  for (const item of wxr.items) {
+    if (!types.includes(item.type)) continue;
+
+    const report = {
+      wordpress_id: item.id,
+      type: item.type,
+      title: item.title,
+      slug: decodeSlug(item.slug) || null,
+      wordpress_status: item.status,
+    };
+    rows.push(report);
+
+    if (SKIPPED_STATUSES.has(item.status)) {
+      report.status = 'skipped';
+      report.reason = `WordPress status is ${item.status}`;
+      continue;
+    }
+    if (report.slug && firstItemBySlug.has(report.slug)) {
+      report.status = 'skipped';
+      report.conflict = true;
+      report.reason = `Duplicate of WordPress item ${firstItemBySlug.get(report.slug)}`;
+      continue;
+    }
+    if (report.slug) firstItemBySlug.set(report.slug, item.id);
+
+    pending.push({ item, report, warnings: [] });
+  }
+
+  const existingSlugs = await findExistingSlugs([...firstItemBySlug.keys()]);
+  const toImport = pending.filter(({ report }) => {
+    const owner = existingSlugs.get(report.slug);
+    if (!owner) return true;
+    report.status = 'skipped';
+    report.conflict = true;
+    report.reason = `Slug already used by ${owner.type} ${owner.id}`;
+    return false;
+  });
+
+  const wantedTags = new Map();
+  for (const entry of toImport) {
+    entry.tagKeys = [];
+    for (const category of entry.item.categories) {
+      if (!['category', 'post_tag'].includes(category.domain) || !category.name) continue;
+      if (category.slug === DEFAULT_CATEGORY_SLUG) continue;
+      const slug = decodeSlug(category.slug);
+      const key = slug || category.name.toLowerCase();
+      if (!wantedTags.has(key)) {
+        wantedTags.set(key, {
+          name: category.name,
+          ...(TAG_SLUG_PATTERN.test(slug) && { slug }),
+        });
+      }
+      if (!entry.tagKeys.includes(key)) entry.tagKeys.push(key);
+    }
+  }
+  const tags = await resolveTags(wantedTags, dryRun);
+
+  const logins = [...new Set(toImport.map(({ item }) => item.creator).filter(Boolean))];
+  const authors = await resolveWordPressAuthors(logins, wxr.authors, authorMap);
+
+  for (const entry of toImport) {
+    const { item, report, warnings } = entry;
+    const { html, shortcodes } = wordpressContentToHtml(item.content);
+    const featureImage = attachmentUrls.get(item.meta._thumbnail_id);
+
+    entry.html = html;
+    entry.featureImage = featureImage;
+    entry.images = [...new Set([featureImage, ...imageUrls(html)].filter(Boolean))];
+
+    report.published_at = toPublishedAt(item.dateGmt) ?? null;
+    report.tags = entry.tagKeys.map((key) => wantedTags.get(key).name);
+    report.authors = item.creator ? [item.creator] : [];
+    report.images = entry.images.length;
+
+    if (!item.title) warnings.push('WordPress item has no title; imported as "(Untitled)"');
+    if (shortcodes.length > 0) {
+      warnings.push(`Shortcodes left as text: ${shortcodes.join(', ')}`);
+    }
+    if (item.excerpt.length > MAX_EXCERPT_LENGTH) {
+      warnings.push(`Excerpt truncated to ${MAX_EXCERPT_LENGTH} characters`);
+    }
+    if (item.creator && !authors.ids.has(item.creator)) {
+      warnings.push(`Author ${item.creator} not found in Ghost; Ghost assigns the default author`);
+    }
+    const missingTags = entry.tagKeys.filter((key) => !dryRun && !tags.ids.has(key));
+    if (missingTags.length > 0) {
+      warnings.push(
+        `Tags not created: ${missingTags.map((key) => wantedTags.get(key).name).join(', ')}`
+      );
+    }
+  }
+
+  // Each image is uploaded once, however many items use it
+  const uploads = new Map();
+  const rehost = (url) => {
+    if (!uploads.has(url)) uploads.set(url, uploadImage(url));
+    return uploads.get(url);
+  };
+
+  const importItem = async (entry) => {
+    const { item, warnings } = entry;
+    let { html, featureImage } = entry;
+
+    if (uploadImage) {
+      for (const url of entry.images) {
+        try {
+          const hosted = await rehost(url);
+          html = html.split(url).join(hosted);
+          if (featureImage === url) featureImage = hosted;
+        } catch (error) {
+          warnings.push(`Image ${url} kept at its original URL: ${error.message}`);
+        }
+      }
+    }
+
+    const data = {
+      title: item.title || '(Untitled)',
+      html: html.trim() ? htmlContentSchema.parse(html) : '<p></p>',
+      status: 'draft',
+    };
+    if (entry.report.slug) data.slug = entry.report.slug;
+    if (entry.report.published_at) data.published_at = entry.report.published_at;
+    if (item.excerpt) data.custom_excerpt = item.excerpt.slice(0, MAX_EXCERPT_LENGTH);
+    if (featureImage) data.feature_image = featureImage;
+
+    const tagIds = entry.tagKeys.filter((key) => tags.ids.has(key));
+    if (tagIds.length > 0) data.tags = tagIds.map((key) => ({ id: tags.ids.get(key) }));
+    const authorIds = authors.ids.get(item.creator);
+    if (authorIds) data.authors = authorIds;
+
+    return item.type === 'page' ? createPage(data) : createPost(data);
+  };
+
+  if (dryRun) {
+    for (const { report } of toImport) report.status = 'would_create';
+  } else {
+    const results = await runInBatches(toImport, importItem, {
+      batchSize,
+      delayMs,
+      onBatchComplete: (progress) => logger.info('WordPress import batch complete', progress),
+    });
+
+    results.forEach((result, index) => {
+      const { report } = toImport[index];
+      if (result.status === 'fulfilled') {
+        report.status = 'created';
+        report.id = result.value?.id;
+        report.slug = result.value?.slug ?? report.slug;
+      } else {
+        report.status = 'failed';
+        report.errors = [
+          { field: report.type, message: result.reason?.message || 'Unknown error' },
+        ];
+      }
+    });
+  }
+
+  for (const { report, warnings } of toImport) {
+    if (warnings.length > 0) report.warnings = warnings;
+  }
+
+  const summary = {
+    total: rows.length,
+    [dryRun ? 'would_create' : 'created']: 0,
+    skipped: 0,
+    failed: 0,
+    conflicts: rows.filter((report) => report.conflict).length,
+    [dryRun ? 'images_to_rehost' : 'images_rehosted']: 0,
+  };
+  for (const report of rows) {
+    summary[report.status] += 1;
+  }
+  if (dryRun) {
+    summary.images_to_rehost = uploadImage
+      ? new Set(toImport.flatMap((entry) => entry.images)).size
+      : 0;
+  } else {
+    const settled = await Promise.allSettled(uploads.values());
+    summary.images_rehosted = settled.filter((result) => result.status === 'fulfilled').length;
+  }
+
+  return {
+    dry_run: dryRun,
+    site: { title: wxr.title, link: wxr.link },
+    summary,
+    tags: tags.report,
+    unresolved_authors: authors.unresolved,
+    items: rows,
+  };
+}
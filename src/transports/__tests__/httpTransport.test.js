@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {
+  createHttpApp,
+  startHttpTransport,
+  startWebhookListener,
+  MCP_ENDPOINT,
+  WEBHOOK_PATH,
+} from '../httpTransport.js';
+import { ConfigurationError } from '../../errors/index.js';
+
+const API_KEY = 'test-key';
+
+const createServer = () => {
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  server.registerTool(
+    'echo',
+    { description: 'Echoes text', inputSchema: z.object({ text: z.string() }) },
+    async ({ text }) => ({ content: [{ type: 'text', text }] })
+  );
+  return server;
+};
+
+const webhookRouter = express.Router().post('/:event', (req, res) => {
+  res.json({ received: true, event: req.params.event });
+});
+
+const initializeBody = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 'curl', version: '1.0.0' },
+  },
+};
+
+describe('httpTransport', () => {
+  let running;
+  let baseUrl;
+
+  const connectClient = async (apiKey = API_KEY) => {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}${MCP_ENDPOINT}`), {
+      requestInit: { headers: { Authorization: `Bearer ${apiKey}` } },
+    });
+    await client.connect(transport);
+    return { client, transport };
+  };
+
+  const post = (body, headers = {}) =>
+    request(baseUrl)
+      .post(MCP_ENDPOINT)
+      .set({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...headers,
+      })
+      .send(typeof body === 'string' ? body : JSON.stringify(body));
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    running = await startHttpTransport({
+      createServer,
+      apiKey: API_KEY,
+      allowedOrigins: ['https://app.example.com'],
+      port: 0,
+      host: '127.0.0.1',
+      webhookRouter,
+    });
+    baseUrl = `http://127.0.0.1:${running.httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    await running.shutdown();
+    running.httpServer.closeAllConnections();
+    vi.restoreAllMocks();
+  });
+
+  it('refuses to build without an API key', () => {
+    expect(() => createHttpApp({ createServer })).toThrow(ConfigurationError);
+  });
+
+  it('rejects requests without a valid API key', async () => {
+    const missing = await post(initializeBody);
+    expect(missing.status).toBe(401);
+
+    const wrong = await post(initializeBody, { 'X-API-Key': 'nope' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error.code).toBe('AUTHENTICATION_ERROR');
+  });
+
+  it('rejects browser requests from origins that are not allowed', async () => {
+    const response = await post(initializeBody, {
+      'X-API-Key': API_KEY,
+      Origin: 'https://evil.example.com',
+    });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('AUTHORIZATION_ERROR');
+  });
+
+  it('answers CORS preflight for allowed origins without requiring a key', async () => {
+    const response = await request(baseUrl)
+      .options(MCP_ENDPOINT)
+      .set('Origin', 'https://app.example.com');
+
+    expect(response.status).toBe(204);
+    expect(response.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(response.headers['access-control-allow-methods']).toContain('DELETE');
+    expect(response.headers['access-control-expose-headers']).toBe('Mcp-Session-Id');
+  });
+
+  it('requires initialize before any other request', async () => {
+    const response = await post(
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      { 'X-API-Key': API_KEY }
+    );
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toMatch(/initialize/);
+  });
+
+  it('returns 404 for unknown sessions so clients re-initialize', async () => {
+    const response = await post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { 'X-API-Key': API_KEY, 'Mcp-Session-Id': 'does-not-exist' }
+    );
+
+    expect(response.status).toBe(404);
+  });
+
+  it('returns a JSON-RPC parse error for malformed bodies', async () => {
+    const response = await post('{not json', { 'X-API-Key': API_KEY });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe(-32700);
+  });
+
+  it('gives each client its own session', async () => {
+    const first = await connectClient();
+    const second = await connectClient();
+
+    expect(first.transport.sessionId).toBeDefined();
+    expect(first.transport.sessionId).not.toBe(second.transport.sessionId);
+    expect(running.sessions.size).toBe(2);
+
+    const result = await first.client.callTool({ name: 'echo', arguments: { text: 'hi' } });
+    expect(result.content[0].text).toBe('hi');
+    const { tools } = await second.client.listTools();
+    expect(tools.map((t) => t.name)).toEqual(['echo']);
+
+    await first.transport.terminateSession();
+    expect(running.sessions.size).toBe(1);
+
+    await second.client.close();
+  });
+
+  it('closes every session on shutdown', async () => {
+    const { client } = await connectClient();
+    expect(running.sessions.size).toBe(1);
+
+    await running.shutdown();
+
+    expect(running.sessions.size).toBe(0);
+    await client.close();
+  });
+
+  it('mounts the webhook receiver outside API key authentication', async () => {
+    const response = await request(baseUrl).post(`${WEBHOOK_PATH}/post.published`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, event: 'post.published' });
+  });
+
+  it('reports health without authentication', async () => {
+    const response = await request(baseUrl).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'ok', sessions: 0 });
+  });
+});
+
+describe('startWebhookListener', () => {
+  it('serves only the webhook receiver', async () => {
+    const httpServer = await startWebhookListener({ webhookRouter, port: 0, host: '127.0.0.1' });
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    try {
+      const webhook = await request(baseUrl).post(`${WEBHOOK_PATH}/member.added`);
+      expect(webhook.body).toEqual({ received: true, event: 'member.added' });
+
+      const mcp = await request(baseUrl).post(MCP_ENDPOINT);
+      expect(mcp.status).toBe(404);
+    } finally {
+      await new Promise((resolve) => httpServer.close(resolve));
+    }
+  });
+});
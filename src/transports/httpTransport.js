@@ -0,0 +1,226 @@
+/**
+ * Streamable HTTP transport for the main MCP server. Each client session gets
+ * its own McpServer (an McpServer serves one transport at a time); sessions
+ * are keyed by the Mcp-Session-Id header the SDK transport assigns during
+ * initialize.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { AuthorizationError, ConfigurationError } from '../errors/index.js';
+import {
+  apiKeyAuth,
+  asyncHandler,
+  expressErrorHandler,
+  GracefulShutdown,
+  mcpCors,
+} from '../middleware/errorMiddleware.js';
+
+export const MCP_ENDPOINT = '/mcp';
+
+// Same path as the REST server's receiver, so Ghost webhooks only change port
+export const WEBHOOK_PATH = '/api/webhooks';
+
+// Base64 uploads are capped at 5MB decoded (MAX_BASE64_BYTES), ~7MB encoded
+const MAX_BODY_SIZE = '10mb';
+
+const SESSION_HEADER = 'mcp-session-id';
+
+const CORS_OPTIONS = {
+  methods: 'GET, POST, DELETE, OPTIONS',
+  allowedHeaders:
+    'Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID',
+  exposedHeaders: 'Mcp-Session-Id',
+};
+
+/**
+ * Sends a JSON-RPC error for requests rejected before they reach a session.
+ */
+const sendJsonRpcError = (res, status, message) => {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+};
+
+/**
+ * Rejects browser requests from origins that are not allowed, guarding local
+ * servers against DNS rebinding. Requests without an Origin header (non-browser
+ * clients) pass through to API key authentication.
+ * @param {string[]} allowedOrigins - Allowed origins, or ['*']
+ * @returns {Function} Express middleware
+ */
+export function originGuard(allowedOrigins) {
+  return (req, res, next) => {
+    const { origin } = req.headers;
+    if (origin && !allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+      return next(new AuthorizationError(`Origin ${origin} is not allowed`));
+    }
+    next();
+  };
+}
+
+/**
+ * Builds the Express app that serves MCP over Streamable HTTP.
+ * @param {Object} options
+ * @param {Function} options.createServer - Returns a new McpServer with all tools and resources registered
+ * @param {string} options.apiKey - Key clients must send as a Bearer token or X-API-Key header
+ * @param {string[]} [options.allowedOrigins=['*']] - Origins allowed to call the endpoint
+ * @param {string[]} [options.corsOrigins=allowedOrigins] - Origins that receive CORS headers
+ * @param {GracefulShutdown} [options.gracefulShutdown] - Rejects new requests once shutdown starts
+ * @param {Object} [options.webhookRouter] - Ghost webhook receiver to mount at WEBHOOK_PATH;
+ *   it authenticates deliveries by signature, not API key
+ * @returns {{app: Object, sessions: Map, closeSessions: Function}} The app, live sessions by id,
+ *   and a function that closes every session
+ * @throws {ConfigurationError} If no API key is given
+ */
+export function createHttpApp(options) {
+  const { createServer, apiKey, allowedOrigins = ['*'], gracefulShutdown, webhookRouter } = options;
+  const { corsOrigins = allowedOrigins } = options;
+
+  if (!apiKey) {
+    throw new ConfigurationError('MCP_API_KEY is required for the http transport', ['MCP_API_KEY']);
+  }
+
+  // Session id -> { transport, server }
+  const sessions = new Map();
+  const app = express();
+
+  if (gracefulShutdown) {
+    app.use(gracefulShutdown.middleware());
+  }
+  app.use(mcpCors(corsOrigins, CORS_OPTIONS));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', sessions: sessions.size });
+  });
+
+  if (webhookRouter) {
+    app.use(WEBHOOK_PATH, webhookRouter);
+  }
+
+  app.use(MCP_ENDPOINT, originGuard(allowedOrigins), apiKeyAuth(apiKey));
+
+  app.post(
+    MCP_ENDPOINT,
+    express.json({ limit: MAX_BODY_SIZE }),
+    asyncHandler(async (req, res) => {
+      const sessionId = req.headers[SESSION_HEADER];
+
+      if (sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+          return sendJsonRpcError(res, 404, 'Session not found');
+        }
+        return session.transport.handleRequest(req, res, req.body);
+      }
+
+      if (!isInitializeRequest(req.body)) {
+        return sendJsonRpcError(res, 400, 'No session: send an initialize request first');
+      }
+
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server });
+          console.error(`MCP session ${id} started (${sessions.size} active)`);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          console.error(`MCP session ${transport.sessionId} closed (${sessions.size} active)`);
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    })
+  );
+
+  // GET opens the server-to-client notification stream; DELETE ends a session
+  const handleSessionRequest = asyncHandler(async (req, res) => {
+    const session = sessions.get(req.headers[SESSION_HEADER]);
+    if (!session) {
+      return sendJsonRpcError(res, 404, 'Session not found');
+    }
+    await session.transport.handleRequest(req, res);
+  });
+  app.get(MCP_ENDPOINT, handleSessionRequest);
+  app.delete(MCP_ENDPOINT, handleSessionRequest);
+
+  app.use((err, req, res, next) => {
+    // Malformed JSON bodies get a JSON-RPC parse error rather than a 500
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        error: { code: -32700, message: 'Parse error' },
+        id: null,
+      });
+    }
+    next(err);
+  });
+  app.use(expressErrorHandler);
+
+  const closeSessions = async () => {
+    const open = [...sessions.values()];
+    await Promise.allSettled(open.map(({ server }) => server.close()));
+  };
+
+  return { app, sessions, closeSessions };
+}
+
+const listen = (app, port, host) =>
+  new Promise((resolve, reject) => {
+    const listening = app.listen(port, host, (error) => {
+      if (error) reject(error);
+      else resolve(listening);
+    });
+  });
+
+/**
+ * Starts the Streamable HTTP server. The returned shutdown function makes new
+ * requests get 503, closes every session and ends open connections; callers
+ * wire it to SIGINT/SIGTERM.
+ * @param {Object} options - createHttpApp options plus:
+ * @param {number} options.port - Port to listen on
+ * @param {string} [options.host] - Interface to bind (default: all)
+ * @returns {Promise<{httpServer: Object, sessions: Map, shutdown: Function}>} The listening server,
+ *   live sessions, and the shutdown function
+ */
+export async function startHttpTransport(options) {
+  const { port, host } = options;
+  const gracefulShutdown = new GracefulShutdown();
+  const { app, sessions, closeSessions } = createHttpApp({ ...options, gracefulShutdown });
+
+  const httpServer = await listen(app, port, host);
+  httpServer.on('connection', (connection) => gracefulShutdown.trackConnection(connection));
+
+  const shutdown = async () => {
+    if (gracefulShutdown.isShuttingDown) return;
+    console.error('Shutting down Ghost MCP Server...');
+    await closeSessions();
+    await gracefulShutdown.shutdown(httpServer);
+  };
+
+  return { httpServer, sessions, shutdown };
+}
+
+/**
+ * Starts a server that only receives Ghost webhooks, for the stdio transport,
+ * which has no HTTP server of its own.
+ * @param {Object} options
+ * @param {Object} options.webhookRouter - Ghost webhook receiver to mount at WEBHOOK_PATH
+ * @param {number} options.port - Port to listen on
+ * @param {string} [options.host] - Interface to bind (default: all)
+ * @returns {Promise<Object>} The listening HTTP server
+ */
+export async function startWebhookListener({ webhookRouter, port, host }) {
+  const app = express();
+  app.use(WEBHOOK_PATH, webhookRouter);
+  app.use(expressErrorHandler);
+  return listen(app, port, host);
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runInBatches } from '../batch.js';
+
+describe('runInBatches', () => {
+  it('should return outcomes in item order, including failures', async () => {
+    const outcomes = await runInBatches(
+      [1, 2, 3],
+      async (n) => {
+        if (n === 2) throw new Error('boom');
+        return n * 10;
+      },
+      { batchSize: 2, delayMs: 0 }
+    );
+
+    expect(outcomes).toEqual([
+      { status: 'fulfilled', value: 10 },
+      { status: 'rejected', reason: expect.objectContaining({ message: 'boom' }) },
+      { status: 'fulfilled', value: 30 },
+    ]);
+  });
+
+  it('should pass the item index to the worker', async () => {
+    const worker = vi.fn().mockResolvedValue(null);
+
+    await runInBatches(['a', 'b', 'c'], worker, { batchSize: 2, delayMs: 0 });
+
+    expect(worker.mock.calls).toEqual([
+      ['a', 0],
+      ['b', 1],
+      ['c', 2],
+    ]);
+  });
+
+  it('should report progress after each batch', async () => {
+    const onBatchComplete = vi.fn();
+
+    await runInBatches([1, 2, 3], async () => null, {
+      batchSize: 2,
+      delayMs: 0,
+      onBatchComplete,
+    });
+
+    expect(onBatchComplete.mock.calls).toEqual([
+      [{ batch: 1, processed: 2, total: 3 }],
+      [{ batch: 2, processed: 3, total: 3 }],
+    ]);
+  });
+
+  it('should pause between batches but not before the first', async () => {
+    vi.useFakeTimers();
+    try {
+      const worker = vi.fn().mockResolvedValue(null);
+      const promise = runInBatches([1, 2, 3], worker, { batchSize: 2, delayMs: 500 });
+
+      await vi.advanceTimersByTimeAsync(0);
+      expect(worker).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(499);
+      expect(worker).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(1);
+      await promise;
+      expect(worker).toHaveBeenCalledTimes(3);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should return an empty array for no items', async () => {
+    const worker = vi.fn();
+    expect(await runInBatches([], worker)).toEqual([]);
+    expect(worker).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi } from 'vitest';
+import { findReferences, resolveReferences, runBatchOperations } from '../batchOperations.js';
+import { ValidationError } from '../../errors/index.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+describe('findReferences', () => {
+  it('should find references nested in objects and arrays', () => {
+    expect(
+      findReferences({
+        id: '$ops.post.id',
+        tags: ['News', '$ops.tag1.name', { id: '$ops.tag2.id' }],
+        title: 'Costs $ops.notes',
+      })
+    ).toEqual(['post', 'tag1', 'tag2']);
+  });
+});
+
+describe('resolveReferences', () => {
+  const outputs = new Map([['post', { id: 'p1', tags: [{ slug: 'news' }] }]]);
+
+  it('should replace references with the values they point to', () => {
+    expect(
+      resolveReferences({ id: '$ops.post.id', tag: '$ops.post.tags.0.slug', n: 2 }, outputs)
+    ).toEqual({ id: 'p1', tag: 'news', n: 2 });
+  });
+
+  it('should throw when a reference points at nothing', () => {
+    expect(() => resolveReferences({ id: '$ops.post.uuid' }, outputs)).toThrow(ValidationError);
+  });
+});
+
+describe('runBatchOperations', () => {
+  it('should pass earlier outputs to later operations', async () => {
+    const execute = vi.fn(async (tool, input) =>
+      tool === 'create_tag' ? { id: 't1', name: input.name } : { id: 'p1', ...input }
+    );
+
+    const result = await runBatchOperations(
+      [
+        { id: 'tag', tool: 'create_tag', input: { name: 'News' } },
+        { id: 'post', tool: 'create_post', input: { title: 'Hi', tags: ['$ops.tag.name'] } },
+      ],
+      { execute }
+    );
+
+    expect(execute).toHaveBeenLastCalledWith('create_post', { title: 'Hi', tags: ['News'] });
+    expect(result.status).toBe('succeeded');
+    expect(result.operations[1]).toEqual({
+      id: 'post',
+      tool: 'create_post',
+      status: 'succeeded',
+      output: { id: 'p1', title: 'Hi', tags: ['News'] },
+    });
+  });
+
+  it('should run independent operations concurrently up to the limit', async () => {
+    const gates = { a: deferred(), b: deferred(), c: deferred() };
+    const started = [];
+    const execute = vi.fn(async (tool) => {
+      started.push(tool);
+      return gates[tool].promise;
+    });
+
+    const run = runBatchOperations(
+      ['a', 'b', 'c'].map((tool) => ({ id: tool, tool, input: {} })),
+      { execute, concurrency: 2 }
+    );
+    await vi.waitFor(() => expect(started).toEqual(['a', 'b']));
+
+    gates.b.resolve({});
+    await vi.waitFor(() => expect(started).toEqual(['a', 'b', 'c']));
+    gates.a.resolve({});
+    gates.c.resolve({});
+
+    expect((await run).summary.succeeded).toBe(3);
+  });
+
+  it('should stop starting operations after a failure and skip the rest', async () => {
+    const execute = vi.fn(async (tool) => {
+      if (tool === 'bad') {
+        const error = new Error('Error in bad: Validation failed');
+        error.details = { code: 'VALIDATION_ERROR' };
+        throw error;
+      }
+      return { id: tool };
+    });
+
+    const result = await runBatchOperations(
+      [
+        { id: 'one', tool: 'bad', input: {} },
+        { id: 'two', tool: 'good', input: { parent: '$ops.one.id' } },
+        { id: 'three', tool: 'good', input: {} },
+      ],
+      { execute, concurrency: 1 }
+    );
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(result.status).toBe('failed');
+    expect(result.operations.map((row) => row.status)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(result.operations[0].details).toEqual({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('should compensate succeeded operations newest first when rolling back', async () => {
+    const execute = vi.fn(async (tool, input) => {
+      if (tool === 'fail') throw new Error('boom');
+      return { id: input.name };
+    });
+    const compensate = vi.fn(async (tool, output) => {
+      if (output.id === 'b') throw new Error('delete failed');
+      return 'deleted';
+    });
+
+    const result = await runBatchOperations(
+      [
+        { id: 'a', tool: 'create', input: { name: 'a' } },
+        { id: 'b', tool: 'create', input: { name: 'b', after: '$ops.a.id' } },
+        { id: 'c', tool: 'fail', input: { after: '$ops.b.id' } },
+      ],
+      { execute, compensate, rollback: true }
+    );
+
+    expect(compensate.mock.calls.map(([, output]) => output.id)).toEqual(['b', 'a']);
+    expect(result.status).toBe('rollback_incomplete');
+    expect(result.operations[0].rollback).toBe('deleted');
+    expect(result.operations[1]).toMatchObject({
+      rollback: 'failed',
+      rollback_error: 'delete failed',
+    });
+    expect(result.summary).toEqual({
+      total: 3,
+      succeeded: 2,
+      failed: 1,
+      skipped: 0,
+      rolled_back: 1,
+      rollback_failed: 1,
+      rollback_not_supported: 0,
+    });
+  });
+
+  it('should report operations that cannot be undone', async () => {
+    const result = await runBatchOperations(
+      [
+        { id: 'a', tool: 'create', input: {} },
+        { id: 'b', tool: 'update', input: {} },
+        { id: 'c', tool: 'fail', input: { after: '$ops.a.id' } },
+      ],
+      {
+        execute: async (tool) => {
+          if (tool === 'fail') throw new Error('boom');
+          return { id: tool };
+        },
+        compensate: async (tool) => (tool === 'create' ? 'not_supported' : null),
+        rollback: true,
+      }
+    );
+
+    expect(result.status).toBe('rollback_incomplete');
+    expect(result.operations[0].rollback).toBe('not_supported');
+    expect(result.operations[1].rollback).toBeUndefined();
+    expect(result.summary).toMatchObject({ rolled_back: 0, rollback_not_supported: 1 });
+  });
+
+  it('should not compensate without rollback', async () => {
+    const compensate = vi.fn();
+    await runBatchOperations(
+      [
+        { id: 'a', tool: 'create', input: {} },
+        { id: 'b', tool: 'fail', input: { after: '$ops.a.id' } },
+      ],
+      {
+        execute: async (tool) => {
+          if (tool === 'fail') throw new Error('boom');
+          return { id: 'x' };
+        },
+        compensate,
+      }
+    );
+
+    expect(compensate).not.toHaveBeenCalled();
+  });
+
+  it('should reject references to later or unknown operations before running', async () => {
+    const execute = vi.fn();
+
+    await expect(
+      runBatchOperations(
+        [
+          { id: 'a', tool: 't', input: { id: '$ops.b.id' } },
+          { id: 'b', tool: 't', input: {} },
+        ],
+        { execute }
+      )
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      runBatchOperations(
+        [
+          { id: 'a', tool: 't', input: {} },
+          { id: 'a', tool: 't', input: {} },
+        ],
+        { execute }
+      )
+    ).rejects.toThrow('Duplicate operation ID: a');
+    expect(execute).not.toHaveBeenCalled();
+  });
+});
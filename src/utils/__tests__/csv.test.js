@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsvRows, parseCsv, escapeCsvValue, formatCsvRow } from '../csv.js';
+
+describe('csv', () => {
+  describe('parseCsvRows', () => {
+    it('should split simple rows and fields', () => {
+      expect(parseCsvRows('a,b\n1,2')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      expect(parseCsvRows('name,note\n"Doe, Jane","said ""hi""\nthen left"')).toEqual([
+        ['name', 'note'],
+        ['Doe, Jane', 'said "hi"\nthen left'],
+      ]);
+    });
+
+    it('should handle CRLF line endings and a trailing newline', () => {
+      expect(parseCsvRows('a,b\r\n1,2\r\n')).toEqual([
+        ['a', 'b'],
+        ['1', '2'],
+      ]);
+    });
+
+    it('should drop blank lines and strip a BOM', () => {
+      expect(parseCsvRows('﻿a\n\n1\n')).toEqual([['a'], ['1']]);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parseCsvRows('a,,c')).toEqual([['a', '', 'c']]);
+    });
+
+    it('should throw on an unterminated quote', () => {
+      expect(() => parseCsvRows('a\n"unterminated')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should key records by trimmed, lower-cased header', () => {
+      const { headers, records } = parseCsv(' Email ,Name\na@example.com, Jane ');
+
+      expect(headers).toEqual(['email', 'name']);
+      expect(records).toEqual([{ email: 'a@example.com', name: 'Jane' }]);
+    });
+
+    it('should fill missing trailing cells with empty strings', () => {
+      expect(parseCsv('email,name\na@example.com').records).toEqual([
+        { email: 'a@example.com', name: '' },
+      ]);
+    });
+
+    it('should throw on empty content', () => {
+      expect(() => parseCsv('\n\n')).toThrow('CSV content is empty');
+    });
+  });
+
+  describe('escapeCsvValue', () => {
+    it('should quote values containing separators or quotes', () => {
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should render null and undefined as empty', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+
+    it('should neutralise spreadsheet formulas', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+  });
+
+  describe('formatCsvRow', () => {
+    it('should join escaped values', () => {
+      expect(formatCsvRow(['a', 1, true, null, 'x,y'])).toBe('a,1,true,,"x,y"');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { diffFields, unifiedDiff, diffHtml } from '../diff.js';
+
+describe('diff', () => {
+  describe('diffFields', () => {
+    it('should report only the fields that changed', () => {
+      const before = { title: 'Old', featured: false, tags: ['News'], slug: 'same' };
+      const after = { title: 'New', featured: false, tags: ['News', 'Tech'], slug: 'same' };
+
+      expect(diffFields(before, after, ['title', 'featured', 'tags', 'slug'])).toEqual({
+        title: { before: 'Old', after: 'New' },
+        tags: { before: ['News'], after: ['News', 'Tech'] },
+      });
+    });
+
+    it('should treat missing and null values as equal', () => {
+      expect(diffFields({ meta_title: null }, {}, ['meta_title'])).toEqual({});
+      expect(diffFields({}, { meta_title: 'SEO' }, ['meta_title'])).toEqual({
+        meta_title: { before: null, after: 'SEO' },
+      });
+    });
+  });
+
+  describe('unifiedDiff', () => {
+    it('should return an empty string for identical texts', () => {
+      expect(unifiedDiff('a\nb', 'a\nb')).toBe('');
+    });
+
+    it('should produce hunks with context and line numbers', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+      const after = ['a', 'b', 'C', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+
+      expect(unifiedDiff(before, after, { fromLabel: 'rev-1', toLabel: 'current' })).toBe(
+        [
+          '--- rev-1',
+          '+++ current',
+          '@@ -1,6 +1,6 @@',
+          ' a',
+          ' b',
+          '-c',
+          '+C',
+          ' d',
+          ' e',
+          ' f',
+          '@@ -8,3 +8,4 @@',
+          ' h',
+          ' i',
+          ' j',
+          '+k',
+        ].join('\n')
+      );
+    });
+
+    it('should merge changes whose context overlaps into one hunk', () => {
+      const diff = unifiedDiff('a\nb\nc\nd', 'A\nb\nc\nD', { context: 1 });
+
+      expect(diff.split('\n').filter((line) => line.startsWith('@@'))).toEqual(['@@ -1,4 +1,4 @@']);
+    });
+
+    it('should replace a changed stretch too long to align in one hunk', () => {
+      const lines = (prefix) => Array.from({ length: 1500 }, (_, i) => `${prefix}${i}`);
+      const before = ['intro', ...lines('old '), 'outro'].join('\n');
+      const after = ['intro', ...lines('new '), 'outro'].join('\n');
+
+      const diff = unifiedDiff(before, after).split('\n');
+
+      expect(diff.filter((line) => line.startsWith('@@'))).toEqual(['@@ -1,1502 +1,1502 @@']);
+      expect(diff.slice(2, 5)).toEqual(['@@ -1,1502 +1,1502 @@', ' intro', '-old 0']);
+      expect(diff.filter((line) => line.startsWith('-old '))).toHaveLength(1500);
+      expect(diff.filter((line) => line.startsWith('+new '))).toHaveLength(1500);
+      expect(diff.at(-1)).toBe(' outro');
+    });
+
+    it('should handle an empty side', () => {
+      expect(unifiedDiff('', 'x')).toBe('--- before\n+++ after\n@@ -0,0 +1,1 @@\n+x');
+      expect(unifiedDiff('x', '')).toBe('--- before\n+++ after\n@@ -1,1 +0,0 @@\n-x');
+    });
+  });
+
+  describe('diffHtml', () => {
+    it('should compare HTML one block element per line', () => {
+      const diff = diffHtml(
+        '<h2>Intro</h2><p>Hello</p><p>World</p>',
+        '<h2>Intro</h2><p>Hello</p><p>Brave new</p><p>World</p>'
+      );
+
+      expect(diff).toBe(
+        [
+          '--- before',
+          '+++ after',
+          '@@ -1,3 +1,4 @@',
+          ' <h2>Intro</h2>',
+          ' <p>Hello</p>',
+          '+<p>Brave new</p>',
+          ' <p>World</p>',
+        ].join('\n')
+      );
+    });
+
+    it('should treat missing HTML as empty', () => {
+      expect(diffHtml(null, undefined)).toBe('');
+    });
+  });
+});
@@ -131,4 +131,26 @@ describe('decodeBase64ToTempFile', () => {
       await fs.unlink(out).catch(() => {});
     }
   });
+
+  it('uses a custom extension map and input name when given', async () => {
+    const payload = Buffer.from('%PDF-1.4');
+    const out = await decodeBase64ToTempFile(payload.toString('base64'), 'application/pdf', {
+      extByMime: { 'application/pdf': '.pdf' },
+      inputName: 'fileBase64',
+    });
+    try {
+      expect(path.extname(out)).toBe('.pdf');
+    } finally {
+      await fs.unlink(out).catch(() => {});
+    }
+
+    await expect(
+      decodeBase64ToTempFile('', 'application/pdf', { inputName: 'fileBase64' })
+    ).rejects.toThrow(/fileBase64 must be a non-empty string/);
+    await expect(
+      decodeBase64ToTempFile(payload.toString('base64'), 'image/png', {
+        extByMime: { 'application/pdf': '.pdf' },
+      })
+    ).rejects.toThrow(/Unsupported mimeType/);
+  });
 });
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+import { resolveLocalPathInRoot, resolveOutputPathInRoot } from '../localPathResolver.js';
+
+const tmpRoot = path.join(os.tmpdir(), `path-resolver-${Date.now()}`);
+const allowedRoot = path.join(tmpRoot, 'themes');
+const opts = { rootEnvVar: 'TEST_LOCAL_PATH_ROOT', inputName: 'theme_path' };
+
+beforeAll(async () => {
+  await fs.mkdir(allowedRoot, { recursive: true });
+  await fs.writeFile(path.join(allowedRoot, 'theme.zip'), 'zip');
+  await fs.writeFile(path.join(tmpRoot, 'other.zip'), 'zip');
+});
+
+afterAll(async () => {
+  await fs.rm(tmpRoot, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.TEST_LOCAL_PATH_ROOT;
+});
+
+// Containment rules are covered in depth by imageInputResolver.test.js;
+// these tests check that the env var and input name are configurable.
+describe('resolveLocalPathInRoot', () => {
+  it('resolves files inside the root named by the given env var', async () => {
+    process.env.TEST_LOCAL_PATH_ROOT = allowedRoot;
+    const resolved = await resolveLocalPathInRoot(path.join(allowedRoot, 'theme.zip'), opts);
+    expect(resolved).toBe(await fs.realpath(path.join(allowedRoot, 'theme.zip')));
+  });
+
+  it('names the env var when it is unset', async () => {
+    await expect(resolveLocalPathInRoot('/x.zip', opts)).rejects.toThrow(
+      'theme_path input is disabled: TEST_LOCAL_PATH_ROOT is not set'
+    );
+  });
+
+  it('names the input when the path escapes the root', async () => {
+    process.env.TEST_LOCAL_PATH_ROOT = allowedRoot;
+    await expect(
+      resolveLocalPathInRoot(path.join(allowedRoot, '..', 'other.zip'), opts)
+    ).rejects.toThrow(/^theme_path is outside the allowed root/);
+  });
+});
+
+describe('resolveOutputPathInRoot', () => {
+  const outputOpts = { rootEnvVar: 'TEST_LOCAL_PATH_ROOT', inputName: 'output_dir' };
+
+  it('resolves relative paths against the root, whether or not they exist yet', async () => {
+    process.env.TEST_LOCAL_PATH_ROOT = allowedRoot;
+    const realRoot = await fs.realpath(allowedRoot);
+
+    expect(await resolveOutputPathInRoot('exports/nightly', outputOpts)).toBe(
+      path.join(realRoot, 'exports', 'nightly')
+    );
+    expect(await resolveOutputPathInRoot(path.join(allowedRoot, 'a'), outputOpts)).toBe(
+      path.join(realRoot, 'a')
+    );
+  });
+
+  it('names the env var when it is unset', async () => {
+    await expect(resolveOutputPathInRoot('exports', outputOpts)).rejects.toThrow(
+      'output_dir input is disabled: TEST_LOCAL_PATH_ROOT is not set'
+    );
+  });
+
+  it('refuses the root itself and paths outside it', async () => {
+    process.env.TEST_LOCAL_PATH_ROOT = allowedRoot;
+
+    await expect(resolveOutputPathInRoot('.', outputOpts)).rejects.toThrow(
+      /^output_dir must be a directory inside the allowed root/
+    );
+    await expect(resolveOutputPathInRoot('../elsewhere', outputOpts)).rejects.toThrow(
+      /^output_dir must be a directory inside the allowed root/
+    );
+  });
+
+  it('refuses symlinks that lead out of the root', async () => {
+    process.env.TEST_LOCAL_PATH_ROOT = allowedRoot;
+    await fs.symlink(tmpRoot, path.join(allowedRoot, 'escape'));
+
+    await expect(resolveOutputPathInRoot('escape/exports', outputOpts)).rejects.toThrow(
+      /^output_dir symlink escapes the allowed root/
+    );
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { markdownToHtml, wrapHtmlCards, htmlToMarkdown, formatFrontMatter } from '../markdown.js';
+
+describe('markdownToHtml', () => {
+  it('renders basic GFM', () => {
+    expect(markdownToHtml('# Title\n\nSome *emphasis* and ~~strike~~.')).toBe(
+      '<h1>Title</h1>\n<p>Some <em>emphasis</em> and <del>strike</del>.</p>\n'
+    );
+  });
+
+  it('renders fenced code with a language class for Ghost code cards', () => {
+    expect(markdownToHtml('```python\nprint("<hi>")\n```')).toBe(
+      '<pre><code class="language-python">print(&quot;&lt;hi&gt;&quot;)\n</code></pre>\n'
+    );
+  });
+
+  it('turns a standalone image into an image card with the title as caption', () => {
+    expect(markdownToHtml('![A cat](https://example.com/cat.jpg "Our cat")')).toBe(
+      '<figure class="kg-card kg-image-card"><img src="https://example.com/cat.jpg" alt="A cat" class="kg-image"><figcaption>Our cat</figcaption></figure>\n'
+    );
+  });
+
+  it('keeps inline images inside their paragraph', () => {
+    const html = markdownToHtml('Before ![icon](https://example.com/i.png) after');
+    expect(html).toMatch(
+      /^<p>Before <img src="https:\/\/example.com\/i.png" alt="icon"> after<\/p>/
+    );
+  });
+
+  it('renders tables with column alignment', () => {
+    const html = markdownToHtml('| a | b |\n|:--|--:|\n| 1 | 2 |');
+    expect(html).toContain('<table>');
+    expect(html).toContain('<th align="left">a</th>');
+    expect(html).toContain('<td align="right">2</td>');
+  });
+
+  it('numbers footnotes by first reference and lists them at the end', () => {
+    const html = markdownToHtml(
+      'First[^b] then[^a], again[^b].\n\n[^a]: Note A\n[^b]: Note *B*\n  continued'
+    );
+
+    expect(html).toContain('First<sup id="fnref-b"><a href="#fn-b">1</a></sup>');
+    expect(html).toContain('then<sup id="fnref-a"><a href="#fn-a">2</a></sup>');
+    expect(html).toMatch(
+      /<ol class="footnotes">\n<li id="fn-b">Note <em>B<\/em> continued <a href="#fnref-b">↩<\/a><\/li>\n<li id="fn-a">Note A/
+    );
+  });
+
+  it('leaves references without a definition as text', () => {
+    const html = markdownToHtml('Missing[^nope].');
+    expect(html).toBe('<p>Missing[^nope].</p>\n');
+  });
+
+  it('does not treat footnote syntax inside code as a footnote', () => {
+    const html = markdownToHtml('`[^1]`\n\n[^1]: unused');
+    expect(html).toBe('<p><code>[^1]</code></p>\n');
+  });
+
+  it('keeps footnote numbering separate between conversions', () => {
+    markdownToHtml('One[^x]\n\n[^x]: x');
+    expect(markdownToHtml('Two[^y]\n\n[^y]: y')).toContain('<a href="#fn-y">1</a>');
+  });
+});
+
+describe('wrapHtmlCards', () => {
+  it('wraps each table in an HTML card', () => {
+    expect(wrapHtmlCards('<p>x</p><table><tr><td>1</td></tr></table>')).toBe(
+      '<p>x</p><!--kg-card-begin: html--><table><tr><td>1</td></tr></table><!--kg-card-end: html-->'
+    );
+  });
+});
+
+describe('htmlToMarkdown', () => {
+  it('converts headings, paragraphs and inline formatting', () => {
+    expect(
+      htmlToMarkdown(
+        '<h2>Intro</h2><p>Some <strong>bold </strong>and <em>it</em>, <s>old</s>, ' +
+          '<code>a`b</code> and <a href="https://example.com/?a=1&amp;b=2" title="Home">a link</a>.<br>Next</p>'
+      )
+    ).toBe(
+      '## Intro\n\nSome **bold** and *it*, ~~old~~, ``a`b`` and ' +
+        '[a link](https://example.com/?a=1&b=2 "Home").\\\nNext\n'
+    );
+  });
+
+  it('escapes text that Markdown would otherwise interpret', () => {
+    expect(htmlToMarkdown('<p>*not* [a] link</p><p>1. not a list</p><p># not a heading</p>')).toBe(
+      '\\*not\\* \\[a\\] link\n\n1\\. not a list\n\n\\# not a heading\n'
+    );
+  });
+
+  it('converts nested lists, quotes and fenced code', () => {
+    expect(
+      htmlToMarkdown(
+        '<ul><li>One</li><li>Two<ol start="3"><li>Three</li></ol></li></ul>' +
+          '<blockquote><p>Quote</p><p>More</p></blockquote>' +
+          '<pre><code class="language-js">if (a &lt; b) {}\n</code></pre><hr>'
+      )
+    ).toBe('- One\n- Two\n  3. Three\n\n> Quote\n>\n> More\n\n```js\nif (a < b) {}\n```\n\n---\n');
+  });
+
+  it('turns image cards into images with the caption as title', () => {
+    expect(
+      htmlToMarkdown(
+        '<figure class="kg-card kg-image-card"><img src="https://example.com/cat.jpg" class="kg-image" alt="A cat" loading="lazy">' +
+          '<figcaption><span>Our "cat"</span></figcaption></figure>'
+      )
+    ).toBe('![A cat](https://example.com/cat.jpg "Our \\"cat\\"")\n');
+  });
+
+  it('keeps markup Markdown cannot express as raw HTML', () => {
+    const callout = '<div class="kg-card kg-callout-card"><div>Hi</div></div>';
+    const table = '<table><tr><td>1</td></tr></table>';
+
+    expect(
+      htmlToMarkdown(
+        `${callout}<!--kg-card-begin: html-->${table}<!--kg-card-end: html--><p>x<sup>1</sup></p>`
+      )
+    ).toBe(`${callout}\n\n${table}\n\nx<sup>1</sup>\n`);
+  });
+
+  it('round-trips through markdownToHtml', () => {
+    const html =
+      '<h2>Title</h2>\n<p>Text with <strong>bold</strong> and <a href="https://example.com">link</a>.</p>\n' +
+      '<figure class="kg-card kg-image-card"><img src="https://example.com/a.jpg" alt="A" class="kg-image"><figcaption>Cap</figcaption></figure>\n';
+
+    expect(markdownToHtml(htmlToMarkdown(html))).toBe(html);
+  });
+
+  it('returns an empty string for empty content', () => {
+    expect(htmlToMarkdown('')).toBe('');
+    expect(htmlToMarkdown(null)).toBe('');
+  });
+});
+
+describe('formatFrontMatter', () => {
+  it('quotes strings and nests arrays and objects', () => {
+    expect(
+      formatFrontMatter({
+        title: 'Yes: "no"',
+        featured: false,
+        published_at: null,
+        skipped: undefined,
+        tags: ['news', '1.0'],
+        authors: [{ slug: 'jane', name: 'Jane' }],
+        labels: [],
+        seo: { meta_title: 'SEO' },
+        'og:image': 'x',
+      })
+    ).toBe(
+      '---\n' +
+        'title: "Yes: \\"no\\""\n' +
+        'featured: false\n' +
+        'published_at: null\n' +
+        'tags:\n- "news"\n- "1.0"\n' +
+        'authors:\n- slug: "jane"\n  name: "Jane"\n' +
+        'labels: []\n' +
+        'seo:\n  meta_title: "SEO"\n' +
+        '"og:image": "x"\n' +
+        '---\n'
+    );
+  });
+});
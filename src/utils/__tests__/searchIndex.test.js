@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { SearchIndex, buildSnippet, tokenize } from '../searchIndex.js';
+
+describe('tokenize', () => {
+  it('lowercases, folds accents and drops stop words', () => {
+    expect(tokenize('The Café and the Déjà-vu')).toEqual(['cafe', 'deja', 'vu']);
+  });
+
+  it('folds simple plurals', () => {
+    expect(tokenize('containers policies class')).toEqual(['container', 'policy', 'class']);
+  });
+
+  it('returns an empty list for empty input', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('highlights every matching word', () => {
+    expect(buildSnippet('Run Kubernetes, then kubernetes again.', ['kubernete'])).toBe(
+      'Run **Kubernetes**, then **kubernetes** again.'
+    );
+  });
+
+  it('does not highlight partial words', () => {
+    expect(buildSnippet('pods and podcasts', ['pod'])).toBe('**pods** and podcasts');
+  });
+
+  it('trims long text around the first match with ellipses', () => {
+    const text = `${'lorem '.repeat(100)}needle ${'ipsum '.repeat(100)}`;
+    const snippet = buildSnippet(text, ['needle'], 60);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('**needle**');
+    expect(snippet.length).toBeLessThan(80);
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(buildSnippet('nothing here', ['absent'])).toBeNull();
+  });
+});
+
+describe('SearchIndex', () => {
+  const build = () => {
+    const index = new SearchIndex({ fields: { title: 3, plaintext: 1 } });
+    index.add({ id: 'a', title: 'Intro to Kubernetes', plaintext: 'Pods and deployments.' });
+    index.add({ id: 'b', title: 'Docker', plaintext: 'We mention kubernetes once.' });
+    index.add({ id: 'c', title: 'Cooking', plaintext: 'Pasta and sauce.', tag: 'food' });
+    return index;
+  };
+
+  it('ranks title matches above body matches', () => {
+    const { results, total } = build().search('kubernetes');
+    expect(total).toBe(2);
+    expect(results.map((r) => r.doc.id)).toEqual(['a', 'b']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  it('ranks documents matching every term first', () => {
+    const { results } = build().search('kubernetes docker');
+    expect(results[0].doc.id).toBe('b');
+    expect(results[0].matchedTerms).toEqual(['kubernete', 'docker']);
+  });
+
+  it('applies the filter and limit', () => {
+    const index = build();
+    expect(index.search('kubernetes', { filter: (doc) => doc.id !== 'a' }).results).toHaveLength(1);
+    const limited = index.search('kubernetes', { limit: 1 });
+    expect(limited.results).toHaveLength(1);
+    expect(limited.total).toBe(2);
+  });
+
+  it('replaces a document re-added with the same id', () => {
+    const index = build();
+    index.add({ id: 'a', title: 'Renamed', plaintext: 'No longer relevant.' });
+    expect(index.size).toBe(3);
+    expect(index.search('kubernetes').results.map((r) => r.doc.id)).toEqual(['b']);
+  });
+
+  it('removes documents and their terms', () => {
+    const index = build();
+    index.remove('c');
+    expect(index.has('c')).toBe(false);
+    expect(index.search('pasta').total).toBe(0);
+    expect(index.postings.has('pasta')).toBe(false);
+  });
+
+  it('returns nothing for a query of stop words', () => {
+    expect(build().search('the and of')).toEqual({ total: 0, results: [], terms: [] });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { addDays, startOfZonedDay, toZonedDateTime, zonedTimeToUtc } from '../timezone.js';
+
+describe('zonedTimeToUtc', () => {
+  it('converts using the offset in force at that date', () => {
+    expect(zonedTimeToUtc('2030-01-15T09:00', 'America/New_York').toISOString()).toBe(
+      '2030-01-15T14:00:00.000Z'
+    );
+    expect(zonedTimeToUtc('2030-07-15T09:00', 'America/New_York').toISOString()).toBe(
+      '2030-07-15T13:00:00.000Z'
+    );
+  });
+
+  it('handles non-hour offsets and seconds', () => {
+    expect(zonedTimeToUtc('2030-01-01T09:00:30', 'Asia/Kolkata').toISOString()).toBe(
+      '2030-01-01T03:30:30.000Z'
+    );
+  });
+
+  it('treats UTC wall-clock time as UTC', () => {
+    expect(zonedTimeToUtc('2030-06-01T00:00', 'Etc/UTC').toISOString()).toBe(
+      '2030-06-01T00:00:00.000Z'
+    );
+  });
+
+  it('resolves a time repeated by a DST change to its first occurrence', () => {
+    // Clocks go back 02:00 BST -> 01:00 GMT, so 01:30 happens twice
+    expect(zonedTimeToUtc('2030-10-27T01:30', 'Europe/London').toISOString()).toBe(
+      '2030-10-27T00:30:00.000Z'
+    );
+  });
+
+  it('rejects a time skipped by a DST change', () => {
+    expect(() => zonedTimeToUtc('2030-03-31T01:30', 'Europe/London')).toThrow(/does not exist/);
+  });
+
+  it('rejects malformed and impossible dates', () => {
+    expect(() => zonedTimeToUtc('2030-01-31 09:30', 'Etc/UTC')).toThrow(/local date\/time/);
+    expect(() => zonedTimeToUtc('2030-01-31T09:30Z', 'Etc/UTC')).toThrow(/local date\/time/);
+    expect(() => zonedTimeToUtc('2030-02-30T09:30', 'Etc/UTC')).toThrow(/not a valid/);
+    expect(() => zonedTimeToUtc('2030-01-31T24:00', 'Etc/UTC')).toThrow(/not a valid/);
+  });
+});
+
+describe('toZonedDateTime', () => {
+  it('describes an instant in the given timezone', () => {
+    expect(toZonedDateTime(new Date('2030-01-31T23:30:00Z'), 'Asia/Tokyo')).toEqual({
+      date: '2030-02-01',
+      time: '08:30',
+      weekday: 'Friday',
+    });
+  });
+
+  it('round-trips with zonedTimeToUtc', () => {
+    const instant = zonedTimeToUtc('2030-05-05T18:45', 'Australia/Sydney');
+    expect(toZonedDateTime(instant, 'Australia/Sydney')).toMatchObject({
+      date: '2030-05-05',
+      time: '18:45',
+    });
+  });
+});
+
+describe('addDays', () => {
+  it('crosses month and year boundaries', () => {
+    expect(addDays('2030-12-31', 1)).toBe('2031-01-01');
+    expect(addDays('2032-03-01', -1)).toBe('2032-02-29');
+  });
+
+  it('rejects malformed dates', () => {
+    expect(() => addDays('2030/01/01', 1)).toThrow(/must be a date/);
+  });
+});
+
+describe('startOfZonedDay', () => {
+  it('returns local midnight', () => {
+    expect(startOfZonedDay('2030-07-01', 'America/New_York').toISOString()).toBe(
+      '2030-07-01T04:00:00.000Z'
+    );
+  });
+
+  it('uses the first existing hour when midnight is skipped', () => {
+    // Chile moves clocks forward at 24:00 on the first Saturday of September
+    const start = startOfZonedDay('2030-09-08', 'America/Santiago');
+    expect(toZonedDateTime(start, 'America/Santiago')).toMatchObject({
+      date: '2030-09-08',
+      time: '01:00',
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MEDIA_UPLOAD_TYPE,
+  FILE_UPLOAD_TYPE,
+  allowedExtensions,
+  resolveUploadExtension,
+} from '../uploadTypes.js';
+
+describe('allowedExtensions', () => {
+  it('lists each extension once', () => {
+    const exts = allowedExtensions(MEDIA_UPLOAD_TYPE);
+    expect(exts).toContain('.mp4');
+    expect(exts).toContain('.mp3');
+    expect(exts.filter((ext) => ext === '.wav')).toHaveLength(1);
+  });
+
+  it('keeps media and file allowlists separate', () => {
+    expect(allowedExtensions(FILE_UPLOAD_TYPE)).not.toContain('.mp4');
+    expect(allowedExtensions(MEDIA_UPLOAD_TYPE)).not.toContain('.pdf');
+  });
+});
+
+describe('resolveUploadExtension', () => {
+  it('uses an allowed extension from the file name', () => {
+    expect(resolveUploadExtension(FILE_UPLOAD_TYPE, '/downloads/Report.PDF')).toBe('.pdf');
+    expect(resolveUploadExtension(MEDIA_UPLOAD_TYPE, 'https://x.test/a/b/clip.webm')).toBe('.webm');
+  });
+
+  it('falls back to the MIME type, ignoring parameters', () => {
+    expect(resolveUploadExtension(FILE_UPLOAD_TYPE, '/download', 'text/csv; charset=utf-8')).toBe(
+      '.csv'
+    );
+    expect(resolveUploadExtension(MEDIA_UPLOAD_TYPE, 'stream.bin', 'audio/MPEG')).toBe('.mp3');
+  });
+
+  it('returns null when neither name nor MIME type is allowed', () => {
+    expect(resolveUploadExtension(FILE_UPLOAD_TYPE, 'setup.exe')).toBeNull();
+    expect(resolveUploadExtension(MEDIA_UPLOAD_TYPE, 'movie', 'video/x-msvideo')).toBeNull();
+    expect(resolveUploadExtension(MEDIA_UPLOAD_TYPE, '')).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { parseGhostSignatureHeader, verifyGhostSignature } from '../webhookSignature.js';
+
+const SECRET = 'webhook-secret';
+const NOW = 1_700_000_000_000;
+
+function sign(body, timestamp = NOW, secret = SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${body}${timestamp}`).digest('hex');
+  return `sha256=${digest}, t=${timestamp}`;
+}
+
+describe('webhookSignature', () => {
+  const body = JSON.stringify({ post: { current: { id: 'post-1' } } });
+
+  describe('parseGhostSignatureHeader', () => {
+    it('should parse signature and timestamp', () => {
+      const header = sign(body);
+      const parsed = parseGhostSignatureHeader(header);
+
+      expect(parsed.timestamp).toBe(NOW);
+      expect(parsed.signature).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should return null for missing or malformed headers', () => {
+      expect(parseGhostSignatureHeader(undefined)).toBeNull();
+      expect(parseGhostSignatureHeader('')).toBeNull();
+      expect(parseGhostSignatureHeader('sha256=abc, t=1')).toBeNull();
+      expect(parseGhostSignatureHeader(`sha256=${'a'.repeat(64)}`)).toBeNull();
+    });
+  });
+
+  describe('verifyGhostSignature', () => {
+    it('should accept a correctly signed body', () => {
+      expect(verifyGhostSignature(Buffer.from(body), sign(body), SECRET, { now: NOW })).toEqual({
+        valid: true,
+      });
+    });
+
+    it('should reject a tampered body', () => {
+      const result = verifyGhostSignature('{"post":{}}', sign(body), SECRET, { now: NOW });
+      expect(result).toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('should reject a signature made with a different secret', () => {
+      const result = verifyGhostSignature(body, sign(body, NOW, 'other-secret'), SECRET, {
+        now: NOW,
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject deliveries outside the tolerance window', () => {
+      const result = verifyGhostSignature(body, sign(body), SECRET, {
+        now: NOW + 10 * 60 * 1000,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('outside the allowed window');
+    });
+
+    it('should reject when no secret is configured', () => {
+      const result = verifyGhostSignature(body, sign(body), undefined, { now: NOW });
+      expect(result).toEqual({ valid: false, reason: 'Webhook secret is not configured' });
+    });
+
+    it('should reject a missing header', () => {
+      expect(verifyGhostSignature(body, undefined, SECRET, { now: NOW }).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { decodeXmlEntities, parseXml, parseWxr } from '../wxr.js';
+
+const wxr = (items, channel = '') => `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <title>My Blog</title>
+  <link>https://blog.example.com</link>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  ${channel}
+  ${items}
+</channel>
+</rss>`;
+
+describe('wxr', () => {
+  describe('decodeXmlEntities', () => {
+    it('should decode predefined and numeric entities', () => {
+      expect(decodeXmlEntities('a &amp; b &lt;c&gt; &quot;d&quot; &apos;e&apos;')).toBe(
+        'a & b <c> "d" \'e\''
+      );
+      expect(decodeXmlEntities('&#8217; &#x2014;')).toBe('’ —');
+    });
+
+    it('should leave undefined named entities alone', () => {
+      expect(decodeXmlEntities('a&nbsp;b')).toBe('a&nbsp;b');
+    });
+  });
+
+  describe('parseXml', () => {
+    it('should build an element tree with attributes and text', () => {
+      const doc = parseXml('<a x="1" y=\'two &amp; three\'><b>hi</b><c/></a>');
+      const [a] = doc.children;
+
+      expect(a.name).toBe('a');
+      expect(a.attributes).toEqual({ x: '1', y: 'two & three' });
+      expect(a.children.map((child) => child.name)).toEqual(['b', 'c']);
+      expect(a.children[0].text).toBe('hi');
+    });
+
+    it('should keep CDATA verbatim and skip comments and processing instructions', () => {
+      const doc = parseXml('<?xml version="1.0"?><!-- note --><a><![CDATA[<p>&amp;</p>]]></a>');
+
+      expect(doc.children[0].text).toBe('<p>&amp;</p>');
+    });
+
+    it('should skip DOCTYPE declarations without expanding their entities', () => {
+      const doc = parseXml('<!DOCTYPE a [<!ENTITY boom "boom">]><a>&boom;</a>');
+
+      expect(doc.children[0].text).toBe('&boom;');
+    });
+
+    it('should allow > inside quoted attribute values', () => {
+      const doc = parseXml('<a title="1 > 0">x</a>');
+
+      expect(doc.children[0].attributes.title).toBe('1 > 0');
+    });
+
+    it('should reject mismatched, unclosed and unterminated markup', () => {
+      expect(() => parseXml('<a><b></a>')).toThrow('Unexpected closing tag </a>');
+      expect(() => parseXml('<a><b></b>')).toThrow('Unclosed tag <a>');
+      expect(() => parseXml('<a><![CDATA[x</a>')).toThrow('Unterminated CDATA section');
+    });
+  });
+
+  describe('parseWxr', () => {
+    it('should read site details, authors and items', () => {
+      const result = parseWxr(
+        wxr(
+          `<item>
+            <title>Hello &amp; welcome</title>
+            <link>https://blog.example.com/hello</link>
+            <dc:creator><![CDATA[admin]]></dc:creator>
+            <content:encoded><![CDATA[First paragraph.
+
+Second paragraph.]]></content:encoded>
+            <excerpt:encoded><![CDATA[ Short intro ]]></excerpt:encoded>
+            <wp:post_id>12</wp:post_id>
+            <wp:post_date_gmt>2023-05-01 10:00:00</wp:post_date_gmt>
+            <wp:post_name>hello-welcome</wp:post_name>
+            <wp:status>publish</wp:status>
+            <wp:post_type>post</wp:post_type>
+            <category domain="category" nicename="news"><![CDATA[News]]></category>
+            <category domain="post_tag" nicename="ghost"><![CDATA[Ghost]]></category>
+            <wp:postmeta>
+              <wp:meta_key>_thumbnail_id</wp:meta_key>
+              <wp:meta_value>30</wp:meta_value>
+            </wp:postmeta>
+          </item>`,
+          `<wp:author>
+            <wp:author_login>admin</wp:author_login>
+            <wp:author_email>admin@example.com</wp:author_email>
+            <wp:author_display_name><![CDATA[Site Admin]]></wp:author_display_name>
+          </wp:author>`
+        )
+      );
+
+      expect(result.title).toBe('My Blog');
+      expect(result.link).toBe('https://blog.example.com');
+      expect(result.authors).toEqual([
+        { login: 'admin', email: 'admin@example.com', displayName: 'Site Admin' },
+      ]);
+      expect(result.items).toEqual([
+        {
+          id: '12',
+          title: 'Hello & welcome',
+          link: 'https://blog.example.com/hello',
+          slug: 'hello-welcome',
+          type: 'post',
+          status: 'publish',
+          creator: 'admin',
+          dateGmt: '2023-05-01 10:00:00',
+          content: 'First paragraph.\n\nSecond paragraph.',
+          excerpt: 'Short intro',
+          attachmentUrl: '',
+          categories: [
+            { domain: 'category', slug: 'news', name: 'News' },
+            { domain: 'post_tag', slug: 'ghost', name: 'Ghost' },
+          ],
+          meta: { _thumbnail_id: '30' },
+        },
+      ]);
+    });
+
+    it('should reject XML that is not a WordPress export', () => {
+      expect(() => parseWxr('<rss><channel><title>Feed</title></channel></rss>')).toThrow(
+        'Not a WordPress export'
+      );
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { listZipEntries, readZipEntry } from '../zipReader.js';
+import { buildZip } from '../../__tests__/helpers/zipBuilder.js';
+
+describe('zipReader', () => {
+  describe('listZipEntries', () => {
+    it('should list files and directories in order', () => {
+      const zip = buildZip({ 'theme/': '', 'theme/index.hbs': '{{body}}' });
+
+      const entries = listZipEntries(zip);
+
+      expect(entries.map((e) => [e.name, e.isDirectory])).toEqual([
+        ['theme/', true],
+        ['theme/index.hbs', false],
+      ]);
+      expect(entries[1].size).toBe(8);
+    });
+
+    it('should find the directory behind a trailing archive comment', () => {
+      const zip = buildZip({ 'a.txt': 'a' });
+      const withComment = Buffer.concat([zip, Buffer.from('comment')]);
+      withComment.writeUInt16LE(7, zip.length - 2);
+
+      expect(listZipEntries(withComment).map((e) => e.name)).toEqual(['a.txt']);
+    });
+
+    it('should reject data that is not a zip', () => {
+      expect(() => listZipEntries(Buffer.from('definitely not a zip archive'))).toThrow(
+        /Not a ZIP archive/
+      );
+      expect(() => listZipEntries(Buffer.alloc(4))).toThrow(/too small/);
+    });
+
+    it('should reject encrypted entries', () => {
+      const zip = buildZip({ 'secret.txt': 'x' });
+      const centralOffset = zip.readUInt32LE(zip.length - 6);
+      zip.writeUInt16LE(0x1, centralOffset + 8);
+
+      expect(() => listZipEntries(zip)).toThrow(/Encrypted/);
+    });
+  });
+
+  describe('readZipEntry', () => {
+    it('should read stored entries', () => {
+      const zip = buildZip({ 'package.json': '{"name":"x"}' });
+      const [entry] = listZipEntries(zip);
+
+      expect(readZipEntry(zip, entry).toString()).toBe('{"name":"x"}');
+    });
+
+    it('should inflate deflated entries', () => {
+      const contents = 'hello '.repeat(100);
+      const zip = buildZip({ 'a.txt': contents }, { deflate: true });
+      const [entry] = listZipEntries(zip);
+
+      expect(entry.method).toBe(8);
+      expect(readZipEntry(zip, entry).toString()).toBe(contents);
+    });
+
+    it('should refuse entries larger than maxBytes', () => {
+      const zip = buildZip({ 'big.txt': 'x'.repeat(100) }, { deflate: true });
+      const [entry] = listZipEntries(zip);
+
+      expect(() => readZipEntry(zip, entry, { maxBytes: 10 })).toThrow(/larger than 10 bytes/);
+      // A forged size in the directory must not bypass the cap during inflation
+      expect(() => readZipEntry(zip, { ...entry, size: 1 }, { maxBytes: 10 })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Throttled batch execution for bulk operations against the Ghost Admin API.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs a worker over items in concurrent batches, pausing between batches.
+ * Never rejects: each item's outcome is reported like Promise.allSettled.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function called as worker(item, index)
+ * @param {Object} [options={}] - Batch options
+ * @param {number} [options.batchSize=10] - Items processed concurrently per batch
+ * @param {number} [options.delayMs=1000] - Pause between batches in milliseconds
+ * @param {Function} [options.onBatchComplete] - Called as onBatchComplete({ batch, processed, total })
+ * @returns {Promise<Array<{status: 'fulfilled'|'rejected', value?: *, reason?: *}>>} Outcomes in item order
+ */
+export async function runInBatches(items, worker, options = {}) {
+  const { batchSize = 10, delayMs = 1000, onBatchComplete } = options;
+  const outcomes = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    if (i > 0 && delayMs > 0) {
+      await sleep(delayMs);
+    }
+
+    const batch = items.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map((item, offset) => worker(item, i + offset)));
+    outcomes.push(...results);
+
+    onBatchComplete?.({
+      batch: i / batchSize + 1,
+      processed: Math.min(i + batchSize, items.length),
+      total: items.length,
+    });
+  }
+
+  return outcomes;
+}
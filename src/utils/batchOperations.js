@@ -0,0 +1,189 @@
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Dependency-aware execution of a list of operations. An operation's input may
+ * reference the output of an earlier operation with a string such as
+ * "$ops.tag1.id" or "$ops.post.tags.0.slug"; the operation waits for the one
+ * it references and the string is replaced by the value found there.
+ * Operations that do not depend on each other run concurrently.
+ */
+
+const REFERENCE = /^\$ops\.([A-Za-z0-9_-]+)((?:\.[A-Za-z0-9_-]+)*)$/;
+
+/**
+ * Walks an input value and calls visit(id) for every referenced operation ID.
+ */
+function walkReferences(value, visit) {
+  if (typeof value === 'string') {
+    const match = REFERENCE.exec(value);
+    if (match) visit(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach((entry) => walkReferences(entry, visit));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((entry) => walkReferences(entry, visit));
+  }
+}
+
+/**
+ * Lists the operation IDs an input references.
+ * @param {*} input - Operation input
+ * @returns {string[]} Referenced operation IDs, without duplicates
+ */
+export function findReferences(input) {
+  const ids = new Set();
+  walkReferences(input, (id) => ids.add(id));
+  return [...ids];
+}
+
+/**
+ * Replaces every reference string in an input with the value it points to.
+ * @param {*} input - Operation input
+ * @param {Map<string, *>} outputs - Outputs of completed operations by ID
+ * @returns {*} A copy of the input with references resolved
+ * @throws {ValidationError} If a reference points at a missing value
+ */
+export function resolveReferences(input, outputs) {
+  if (typeof input === 'string') {
+    const match = REFERENCE.exec(input);
+    if (!match) return input;
+    const path = match[2] ? match[2].slice(1).split('.') : [];
+    const value = path.reduce((current, key) => current?.[key], outputs.get(match[1]));
+    if (value === undefined) {
+      throw new ValidationError(`Reference ${input} does not resolve to a value`);
+    }
+    return value;
+  }
+  if (Array.isArray(input)) return input.map((entry) => resolveReferences(entry, outputs));
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(
+      Object.entries(input).map(([key, entry]) => [key, resolveReferences(entry, outputs)])
+    );
+  }
+  return input;
+}
+
+/**
+ * Checks that operation IDs are unique and that every reference points at an
+ * operation listed earlier, which also rules out cycles.
+ */
+function dependencyGraph(operations) {
+  const seen = new Set();
+  const graph = new Map();
+  operations.forEach((operation, index) => {
+    if (seen.has(operation.id)) {
+      throw new ValidationError(`Duplicate operation ID: ${operation.id}`, [
+        { field: `operations.${index}.id`, message: 'Operation IDs must be unique' },
+      ]);
+    }
+    const references = findReferences(operation.input);
+    for (const reference of references) {
+      if (!seen.has(reference)) {
+        throw new ValidationError(`Operation ${operation.id} references unknown operation`, [
+          {
+            field: `operations.${index}.input`,
+            message: `$ops.${reference} must name an operation listed before ${operation.id}`,
+          },
+        ]);
+      }
+    }
+    seen.add(operation.id);
+    graph.set(operation.id, references);
+  });
+  return graph;
+}
+
+// Rollback outcomes that leave a batch's changes in Ghost
+const ROLLBACK_LEFTOVERS = new Set(['failed', 'not_supported']);
+
+/**
+ * Runs operations as soon as the operations they reference have succeeded,
+ * at most `concurrency` at a time. After the first failure no new operation
+ * starts; those still waiting are reported as skipped. With rollback, the
+ * operations that succeeded are then compensated in reverse completion order.
+ * A rollback that fails or cannot be done leaves the batch 'rollback_incomplete'.
+ * @param {Array<{id: string, tool: string, input: Object}>} operations - Operations in order
+ * @param {Object} options - Run options
+ * @param {Function} options.execute - Called as execute(tool, input); resolves to the output
+ * @param {Function} [options.compensate] - Called as compensate(tool, output) during rollback;
+ *   resolves to a description of what was undone, 'not_supported' when the operation cannot
+ *   be undone, or null when there is nothing to undo
+ * @param {number} [options.concurrency=3] - Operations run concurrently
+ * @param {boolean} [options.rollback=false] - Compensate succeeded operations after a failure
+ * @returns {Promise<Object>} { status, summary, operations } with one row per operation,
+ *   in input order; status is 'succeeded', 'failed', 'rolled_back' or 'rollback_incomplete'
+ * @throws {ValidationError} If IDs repeat or a reference does not point at an earlier operation
+ */
+export async function runBatchOperations(operations, options) {
+  const { execute, compensate, concurrency = 3, rollback = false } = options;
+  const graph = dependencyGraph(operations);
+
+  const rows = new Map(operations.map(({ id, tool }) => [id, { id, tool, status: 'skipped' }]));
+  const outputs = new Map();
+  const completed = [];
+  const running = new Map();
+  let pending = [...operations];
+  let failed = false;
+
+  const run = async (operation) => {
+    const row = rows.get(operation.id);
+    try {
+      const output = await execute(operation.tool, resolveReferences(operation.input, outputs));
+      outputs.set(operation.id, output);
+      completed.push(operation);
+      Object.assign(row, { status: 'succeeded', output });
+    } catch (error) {
+      failed = true;
+      Object.assign(row, { status: 'failed', error: error.message });
+      if (error.details) row.details = error.details;
+    }
+  };
+
+  while (true) {
+    if (!failed) {
+      const ready = pending
+        .filter((operation) => graph.get(operation.id).every((id) => outputs.has(id)))
+        .slice(0, concurrency - running.size);
+      for (const operation of ready) {
+        running.set(
+          operation.id,
+          run(operation).finally(() => running.delete(operation.id))
+        );
+      }
+      pending = pending.filter((operation) => !ready.includes(operation));
+    }
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  let status = failed ? 'failed' : 'succeeded';
+  if (failed && rollback && compensate) {
+    for (const operation of [...completed].reverse()) {
+      const row = rows.get(operation.id);
+      try {
+        const undone = await compensate(operation.tool, outputs.get(operation.id));
+        if (undone) row.rollback = undone;
+      } catch (error) {
+        row.rollback = 'failed';
+        row.rollback_error = error.message;
+      }
+    }
+    status = 'rolled_back';
+  }
+
+  const results = operations.map(({ id }) => rows.get(id));
+  const count = (key, value) => results.filter((row) => row[key] === value).length;
+  const summary = {
+    total: results.length,
+    succeeded: count('status', 'succeeded'),
+    failed: count('status', 'failed'),
+    skipped: count('status', 'skipped'),
+    rolled_back: results.filter((row) => row.rollback && !ROLLBACK_LEFTOVERS.has(row.rollback))
+      .length,
+    rollback_failed: count('rollback', 'failed'),
+    rollback_not_supported: count('rollback', 'not_supported'),
+  };
+  if (summary.rollback_failed + summary.rollback_not_supported > 0) {
+    status = 'rollback_incomplete';
+  }
+  return { status, summary, operations: results };
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal RFC 4180 CSV helpers for member import/export.
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * @param {string} text - CSV content
+ * @returns {string[][]} Parsed rows, with fully blank lines dropped
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCsvRows(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // strip BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into records keyed by lower-cased header.
+ * @param {string} text - CSV content whose first row is the header
+ * @returns {{headers: string[], records: Object[]}} Normalized headers and one record per data row
+ * @throws {Error} If the CSV is malformed or has no header row
+ */
+export function parseCsv(text) {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+  if (!headerRow) {
+    throw new Error('CSV content is empty');
+  }
+
+  const headers = headerRow.map((header) => header.trim().toLowerCase());
+  const records = dataRows.map((values) =>
+    Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()]))
+  );
+
+  return { headers, records };
+}
+
+/**
+ * Escapes a single value for CSV output. Values that a spreadsheet would
+ * evaluate as a formula are prefixed with a single quote.
+ * @param {*} value - Value to escape (null/undefined become empty)
+ * @returns {string} CSV-safe field
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one CSV line (without trailing newline).
+ * @param {Array} values - Field values in column order
+ * @returns {string} CSV line
+ */
+export function formatCsvRow(values) {
+  return values.map(escapeCsvValue).join(',');
+}
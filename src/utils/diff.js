@@ -0,0 +1,156 @@
+/**
+ * Field and line diffs for comparing versions of Ghost content.
+ */
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Lists the fields whose values differ between two objects.
+ * @param {Object} before - Earlier version
+ * @param {Object} after - Later version
+ * @param {string[]} fields - Fields to compare; values are compared as JSON
+ * @returns {Object} { field: { before, after } } for each changed field
+ */
+export function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (!isEqual(before?.[field], after?.[field])) {
+      changes[field] = { before: before?.[field] ?? null, after: after?.[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Largest LCS table built for the changed middle (one number per cell). Above
+// it the middle is diffed as removed in full and re-added, which costs linear time
+const MAX_TABLE_CELLS = 1_000_000;
+
+/**
+ * Longest-common-subsequence edit script between two line arrays.
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>}
+ */
+function editScript(a, b) {
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if ((midA.length + 1) * (midB.length + 1) > MAX_TABLE_CELLS) {
+    return [
+      ...a.slice(0, start).map((line) => ({ op: ' ', line })),
+      ...midA.map((line) => ({ op: '-', line })),
+      ...midB.map((line) => ({ op: '+', line })),
+      ...a.slice(endA).map((line) => ({ op: ' ', line })),
+    ];
+  }
+
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        midA[i] === midB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ op: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ op: '-', line: midA[i] });
+      i++;
+    } else {
+      ops.push({ op: '+', line: midB[j] });
+      j++;
+    }
+  }
+  ops.push(...a.slice(endA).map((line) => ({ op: ' ', line })));
+  return ops;
+}
+
+/**
+ * Builds a unified diff between two texts, compared line by line. When the
+ * changed stretch is too long to align line by line, it is shown as one hunk
+ * that removes the old lines and adds the new ones.
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @param {Object} [options={}] - Diff options
+ * @param {string} [options.fromLabel='before'] - Label for the --- header
+ * @param {string} [options.toLabel='after'] - Label for the +++ header
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+export function unifiedDiff(before, after, options = {}) {
+  const { fromLabel = 'before', toLabel = 'after', context = 3 } = options;
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  const ops = editScript(a, b);
+  if (ops.every(({ op }) => op === ' ')) return '';
+
+  // Group changes whose context windows touch into hunks
+  const changed = ops.flatMap(({ op }, index) => (op === ' ' ? [] : [index]));
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+
+    // 1-based line numbers where the hunk starts in each text
+    const preceding = ops.slice(0, from);
+    const oldStart = preceding.filter(({ op }) => op !== '+').length + 1;
+    const newStart = preceding.filter(({ op }) => op !== '-').length + 1;
+    const oldCount = slice.filter(({ op }) => op !== '+').length;
+    const newCount = slice.filter(({ op }) => op !== '-').length;
+
+    lines.push(
+      `@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`
+    );
+    lines.push(...slice.map(({ op, line }) => `${op}${line}`));
+  }
+  return lines.join('\n');
+}
+
+// Ghost renders HTML on one line; break it after block-level elements so diffs are readable
+const BLOCK_END =
+  /(<\/(?:p|h[1-6]|li|ul|ol|blockquote|figure|pre|div|table|tr)>|<hr\s*\/?>|<br\s*\/?>)/gi;
+
+/**
+ * Builds a unified diff between two HTML documents, one block element per line.
+ * @param {string} before - Earlier HTML
+ * @param {string} after - Later HTML
+ * @param {Object} [options={}] - Options passed to unifiedDiff
+ * @returns {string} Unified diff, or '' when the HTML is identical
+ */
+export function diffHtml(before, after, options = {}) {
+  const toLines = (html) =>
+    (html || '')
+      .replace(BLOCK_END, '$1\n')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  return unifiedDiff(toLines(before), toLines(after), options);
+}
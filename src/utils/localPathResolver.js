@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Resolve a caller-supplied local path against a root directory named by an
+ * environment variable.
+ *
+ * Local-file input is *opt-in*: without the env var set, this function
+ * refuses every path. That prevents a compromised MCP client from reading
+ * arbitrary files through an upload or import tool. When set, the path must:
+ *   - resolve inside the root,
+ *   - exist and be a regular file,
+ *   - not be a symlink that escapes the root.
+ *
+ * @param {string} inputPath - Absolute or relative path supplied by caller.
+ * @param {object} opts
+ * @param {string} opts.rootEnvVar - Env var holding the allowed root (e.g. 'GHOST_MCP_IMAGE_ROOT').
+ * @param {string} opts.inputName - Tool input name used in error messages (e.g. 'imagePath').
+ * @returns {Promise<string>} Absolute real path to the file.
+ */
+export async function resolveLocalPathInRoot(inputPath, { rootEnvVar, inputName }) {
+  const root = process.env[rootEnvVar];
+  if (!root) {
+    throw new Error(
+      `${inputName} input is disabled: ${rootEnvVar} is not set. ` +
+        'Set it to the directory from which local uploads are allowed.'
+    );
+  }
+  if (typeof inputPath !== 'string' || inputPath.length === 0) {
+    throw new Error(`${inputName} must be a non-empty string`);
+  }
+
+  // Canonicalize the root too — on macOS `/var` resolves to `/private/var`
+  // via realpath, which would otherwise cause false symlink-escape errors.
+  let canonicalRoot;
+  try {
+    canonicalRoot = await fs.realpath(path.resolve(root));
+  } catch {
+    throw new Error(`${rootEnvVar} does not exist: ${root}`);
+  }
+
+  const resolved = path.resolve(inputPath);
+  // First check the textual path — catches `..` traversal before any FS I/O.
+  const resolvedStart = path.resolve(root);
+  const textuallyInside =
+    resolved === resolvedStart || resolved.startsWith(resolvedStart + path.sep);
+  if (!textuallyInside) {
+    throw new Error(`${inputName} is outside the allowed root (${canonicalRoot})`);
+  }
+
+  let stat;
+  try {
+    stat = await fs.stat(resolved);
+  } catch {
+    throw new Error(`${inputName} does not exist: ${resolved}`);
+  }
+  if (!stat.isFile()) {
+    throw new Error(`${inputName} is not a regular file: ${resolved}`);
+  }
+
+  // Resolve symlinks and re-check containment against the canonical root.
+  const realPath = await fs.realpath(resolved);
+  const realInside = realPath === canonicalRoot || realPath.startsWith(canonicalRoot + path.sep);
+  if (!realInside) {
+    throw new Error(`${inputName} symlink escapes the allowed root (${canonicalRoot})`);
+  }
+
+  return realPath;
+}
+
+/**
+ * Resolve a caller-supplied output directory against a root directory named
+ * by an environment variable. Like resolveLocalPathInRoot, writing is opt-in:
+ * without the env var set, every path is refused.
+ *
+ * Relative paths are taken relative to the root. The directory does not need
+ * to exist yet, but it must resolve strictly inside the root, and the part of
+ * it that already exists may not be a symlink leading out of the root.
+ *
+ * @param {string} outputPath - Absolute path, or a path relative to the root.
+ * @param {object} opts
+ * @param {string} opts.rootEnvVar - Env var holding the allowed root (e.g. 'GHOST_MCP_EXPORT_ROOT').
+ * @param {string} opts.inputName - Tool input name used in error messages (e.g. 'output_dir').
+ * @returns {Promise<string>} Absolute path inside the canonical root.
+ */
+export async function resolveOutputPathInRoot(outputPath, { rootEnvVar, inputName }) {
+  const root = process.env[rootEnvVar];
+  if (!root) {
+    throw new Error(
+      `${inputName} input is disabled: ${rootEnvVar} is not set. ` +
+        'Set it to the directory that exports may be written to.'
+    );
+  }
+  if (typeof outputPath !== 'string' || outputPath.length === 0) {
+    throw new Error(`${inputName} must be a non-empty string`);
+  }
+
+  let canonicalRoot;
+  try {
+    canonicalRoot = await fs.realpath(path.resolve(root));
+  } catch {
+    throw new Error(`${rootEnvVar} does not exist: ${root}`);
+  }
+
+  const resolvedStart = path.resolve(root);
+  const resolved = path.resolve(resolvedStart, outputPath);
+  if (!resolved.startsWith(resolvedStart + path.sep)) {
+    throw new Error(`${inputName} must be a directory inside the allowed root (${canonicalRoot})`);
+  }
+
+  // Find the deepest part that already exists and check where it really leads.
+  const missing = [];
+  let existing = resolved;
+  for (;;) {
+    try {
+      existing = await fs.realpath(existing);
+      break;
+    } catch {
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+  }
+  const realPath = path.join(existing, ...missing);
+  if (!realPath.startsWith(canonicalRoot + path.sep)) {
+    throw new Error(`${inputName} symlink escapes the allowed root (${canonicalRoot})`);
+  }
+
+  return realPath;
+}
@@ -0,0 +1,478 @@
+import { Marked } from 'marked';
+
+/**
+ * Markdown → HTML conversion for post and page content.
+ *
+ * The HTML produced here is shaped so Ghost's HTML importer turns it into
+ * cards: fenced code becomes a code card (`<pre><code class="language-x">`),
+ * a paragraph holding only an image becomes an image card
+ * (`<figure class="kg-card kg-image-card">`), and tables become HTML cards
+ * (see wrapHtmlCards). GFM footnotes are rendered as a numbered list at the
+ * end of the content.
+ *
+ * Output is NOT sanitized. Callers must pass it through the htmlContentSchema
+ * sanitizer config before it reaches Ghost (see markdownContentSchema).
+ */
+
+const FOOTNOTE_REF = /^\[\^([^\]\s]+)\]/;
+const FOOTNOTE_DEF = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/;
+
+const escapeAttribute = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const footnoteSlug = (id) => encodeURIComponent(id).replace(/%/g, '');
+
+/**
+ * Builds a Marked instance whose footnote state lives for one conversion.
+ */
+function createConverter() {
+  const definitions = new Map(); // id -> inline tokens
+  const order = []; // ids in order of first reference
+
+  const marked = new Marked({ gfm: true, breaks: false });
+
+  marked.use({
+    extensions: [
+      {
+        name: 'footnoteDefinition',
+        level: 'block',
+        start(src) {
+          return src.match(/^\[\^[^\]\s]+\]:/m)?.index;
+        },
+        tokenizer(src) {
+          const match = FOOTNOTE_DEF.exec(src);
+          if (!match) return undefined;
+          const token = { type: 'footnoteDefinition', raw: match[0], id: match[1], tokens: [] };
+          this.lexer.inline(match[2].replace(/\n\s+/g, ' ').trim(), token.tokens);
+          return token;
+        },
+        renderer() {
+          return ''; // collected and rendered after the body
+        },
+      },
+      {
+        name: 'footnoteReference',
+        level: 'inline',
+        start(src) {
+          return src.indexOf('[^');
+        },
+        tokenizer(src) {
+          const match = FOOTNOTE_REF.exec(src);
+          if (!match || src[match[0].length] === ':') return undefined;
+          return { type: 'footnoteReference', raw: match[0], id: match[1] };
+        },
+        renderer(token) {
+          if (!definitions.has(token.id)) return escapeAttribute(token.raw);
+          if (!order.includes(token.id)) order.push(token.id);
+          const n = order.indexOf(token.id) + 1;
+          const slug = footnoteSlug(token.id);
+          return `<sup id="fnref-${slug}"><a href="#fn-${slug}">${n}</a></sup>`;
+        },
+      },
+    ],
+    walkTokens(token) {
+      if (token.type === 'footnoteDefinition') definitions.set(token.id, token.tokens);
+    },
+    renderer: {
+      paragraph(token) {
+        const content = token.tokens.filter((t) => !(t.type === 'text' && !t.raw.trim()));
+        if (content.length === 1 && content[0].type === 'image') {
+          const { href, text, title } = content[0];
+          const caption = title ? `<figcaption>${escapeAttribute(title)}</figcaption>` : '';
+          return `<figure class="kg-card kg-image-card"><img src="${escapeAttribute(href)}" alt="${escapeAttribute(text)}" class="kg-image">${caption}</figure>\n`;
+        }
+        return false; // default rendering
+      },
+    },
+  });
+
+  function renderFootnotes() {
+    if (order.length === 0) return '';
+    const items = order.map((id) => {
+      const slug = footnoteSlug(id);
+      const body = marked.Parser.parseInline(definitions.get(id), marked.defaults);
+      return `<li id="fn-${slug}">${body} <a href="#fnref-${slug}">↩</a></li>`;
+    });
+    return `<hr>\n<ol class="footnotes">\n${items.join('\n')}\n</ol>\n`;
+  }
+
+  return { marked, renderFootnotes };
+}
+
+/**
+ * Converts Markdown (GFM) to Ghost-friendly HTML.
+ * @param {string} markdown - Markdown source
+ * @returns {string} Unsanitized HTML
+ */
+export function markdownToHtml(markdown) {
+  const { marked, renderFootnotes } = createConverter();
+  const body = marked.parse(markdown, { async: false });
+  return body + renderFootnotes();
+}
+
+/**
+ * Wraps tables in Ghost HTML card markers so the editor keeps them intact
+ * (Ghost has no table card). Run this AFTER sanitizing — the sanitizer
+ * strips comments.
+ * @param {string} html - Sanitized HTML
+ * @returns {string} HTML with each table wrapped in an HTML card
+ */
+export function wrapHtmlCards(html) {
+  return html.replace(
+    /<table>[\s\S]*?<\/table>/g,
+    (table) => `<!--kg-card-begin: html-->${table}<!--kg-card-end: html-->`
+  );
+}
+
+// ----- HTML → Markdown -----
+
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+const INLINE_ELEMENTS = new Set([
+  'a',
+  'abbr',
+  'b',
+  'br',
+  'cite',
+  'code',
+  'del',
+  'em',
+  'i',
+  'img',
+  'kbd',
+  'mark',
+  'q',
+  's',
+  'small',
+  'span',
+  'strike',
+  'strong',
+  'sub',
+  'sup',
+  'time',
+  'u',
+]);
+
+const HTML_TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+const HTML_ATTRIBUTE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const decodeEntities = (text) =>
+  text.replace(
+    /&(?:#(\d+)|#x([0-9a-fA-F]+)|(amp|lt|gt|quot|apos|nbsp));/g,
+    (match, dec, hex, name) => {
+      if (name) return HTML_ENTITIES[name];
+      const codePoint = dec ? Number(dec) : parseInt(hex, 16);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+  );
+
+/**
+ * Lenient HTML parser: unknown closing tags are ignored and open elements are
+ * closed by their ancestors' closing tags. Text nodes keep their entities.
+ * Each element records its source offsets so unconvertible markup can be
+ * copied through verbatim.
+ */
+function parseHtml(html) {
+  const root = { name: '#root', attributes: {}, children: [], start: 0, end: html.length };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of html.matchAll(HTML_TOKEN)) {
+    const [token, closing, rawName, rawAttributes] = match;
+    if (match.index < last) continue; // inside a raw text element
+    const top = stack[stack.length - 1];
+    if (match.index > last) top.children.push(html.slice(last, match.index));
+    last = match.index + token.length;
+    if (!rawName) continue; // comment
+
+    const name = rawName.toLowerCase();
+    if (closing) {
+      const index = stack.findLastIndex((element) => element.name === name);
+      if (index > 0) {
+        for (const element of stack.splice(index)) element.end = last;
+      }
+      continue;
+    }
+
+    const attributes = {};
+    for (const [, key, doubleQuoted, singleQuoted, bare] of rawAttributes.matchAll(
+      HTML_ATTRIBUTE
+    )) {
+      attributes[key.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+    }
+    const element = { name, attributes, children: [], start: match.index, end: last };
+    top.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const close = html.toLowerCase().indexOf(`</${name}`, last);
+      const contentEnd = close === -1 ? html.length : close;
+      element.children.push(html.slice(last, contentEnd));
+      element.end = close === -1 ? html.length : html.indexOf('>', close) + 1 || html.length;
+      last = element.end;
+    } else if (!VOID_ELEMENTS.has(name) && !rawAttributes.trimEnd().endsWith('/')) {
+      stack.push(element);
+    }
+  }
+
+  if (last < html.length) stack[stack.length - 1].children.push(html.slice(last));
+  for (const element of stack.slice(1)) element.end = html.length;
+  return root;
+}
+
+const isElement = (node) => typeof node !== 'string';
+
+const textContent = (node) =>
+  isElement(node) ? node.children.map(textContent).join('') : decodeEntities(node);
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+// Text that would otherwise start a heading, list or quote
+const BLOCK_MARKER = /^(?:#{1,6}|[-+>])(?=\s)/;
+const ORDERED_MARKER = /^(\d+)([.)])(?=\s)/;
+
+const escapeUrl = (url) => (/[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURI)}>` : url);
+
+const escapeTitle = (title) => title.replace(/["\\]/g, '\\$&');
+
+const imageMarkdown = (img, title) => {
+  const alt = escapeMarkdown(img.attributes.alt || '');
+  const titlePart = title ? ` "${escapeTitle(title)}"` : '';
+  return `![${alt}](${escapeUrl(img.attributes.src || '')}${titlePart})`;
+};
+
+/**
+ * Wraps inline content in a delimiter, keeping surrounding spaces outside it
+ * (`** bold **` is not emphasis in Markdown).
+ */
+function wrapInline(content, delimiter) {
+  const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return inner ? `${leading}${delimiter}${inner}${delimiter}${trailing}` : content;
+}
+
+function renderCode(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function renderInline(nodes, html) {
+  return nodes
+    .map((node) => {
+      if (!isElement(node)) return escapeMarkdown(node.replace(/\s+/g, ' '));
+      const inner = () => renderInline(node.children, html);
+
+      switch (node.name) {
+        case 'strong':
+        case 'b':
+          return wrapInline(inner(), '**');
+        case 'em':
+        case 'i':
+          return wrapInline(inner(), '*');
+        case 's':
+        case 'del':
+        case 'strike':
+          return wrapInline(inner(), '~~');
+        case 'code':
+          return renderCode(textContent(node));
+        case 'br':
+          return '\\\n';
+        case 'img':
+          return imageMarkdown(node);
+        case 'a': {
+          const { href, title } = node.attributes;
+          if (!href) return inner();
+          const titlePart = title ? ` "${escapeTitle(title)}"` : '';
+          return `[${inner().trim()}](${escapeUrl(href)}${titlePart})`;
+        }
+        default:
+          return html.slice(node.start, node.end);
+      }
+    })
+    .join('');
+}
+
+function renderParagraph(nodes, html) {
+  const text = renderInline(nodes, html)
+    .replace(/[ \t]*\\\n[ \t]*/g, '\\\n')
+    .trim();
+  return text.replace(BLOCK_MARKER, '\\$&').replace(ORDERED_MARKER, '$1\\$2');
+}
+
+/**
+ * A figure holding one image (optionally linked) and an optional caption
+ * becomes `![alt](src "caption")`, which markdownToHtml turns back into an
+ * image card. Anything richer is kept as HTML.
+ */
+function renderFigure(node, html) {
+  const elements = node.children.filter(isElement);
+  const caption = elements.find((element) => element.name === 'figcaption');
+  const media = elements.filter((element) => element !== caption);
+  const img =
+    media.length === 1 &&
+    (media[0].name === 'img'
+      ? media[0]
+      : media[0].name === 'a' && media[0].children.filter(isElement).length === 1
+        ? media[0].children.find(isElement)
+        : null);
+
+  if (!img || img.name !== 'img') return html.slice(node.start, node.end).trim();
+  const captionText = caption ? textContent(caption).replace(/\s+/g, ' ').trim() : '';
+  return imageMarkdown(img, captionText);
+}
+
+function renderList(node, html) {
+  const ordered = node.name === 'ol';
+  let number = ordered ? Number(node.attributes.start) || 1 : 0;
+  const items = node.children.filter((child) => isElement(child) && child.name === 'li');
+  // Items wrapped in <p> make a loose list; keep it loose so the round trip does too
+  const loose = items.some((item) => item.children.some((child) => child.name === 'p'));
+
+  return items
+    .map((item) => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const body = renderBlocks(item.children, html).join(loose ? '\n\n' : '\n');
+      const indent = ' '.repeat(marker.length);
+      return marker + body.replace(/\n(?=.)/g, `\n${indent}`);
+    })
+    .join(loose ? '\n\n' : '\n');
+}
+
+function renderBlock(node, html) {
+  switch (node.name) {
+    case 'p':
+      return renderParagraph(node.children, html);
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `${'#'.repeat(Number(node.name[1]))} ${renderInline(node.children, html).trim()}`;
+    case 'blockquote':
+      return renderBlocks(node.children, html)
+        .join('\n\n')
+        .split('\n')
+        .map((line) => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'ul':
+    case 'ol':
+      return renderList(node, html);
+    case 'pre': {
+      const code = node.children.find((child) => isElement(child) && child.name === 'code');
+      const language = (code?.attributes.class || '').match(/language-(\S+)/)?.[1] || '';
+      const text = textContent(code || node).replace(/\n$/, '');
+      const longest = Math.max(0, ...(text.match(/^`{3,}/gm) || []).map((run) => run.length));
+      const fence = '`'.repeat(Math.max(3, longest + 1));
+      return `${fence}${language}\n${text}\n${fence}`;
+    }
+    case 'hr':
+      return '---';
+    case 'figure':
+      return renderFigure(node, html);
+    default:
+      return html.slice(node.start, node.end).trim();
+  }
+}
+
+function renderBlocks(nodes, html) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const paragraph = renderParagraph(inline, html);
+    if (paragraph) blocks.push(paragraph);
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (!isElement(node) || INLINE_ELEMENTS.has(node.name)) {
+      inline.push(node);
+      continue;
+    }
+    flushInline();
+    const block = renderBlock(node, html);
+    if (block) blocks.push(block);
+  }
+  flushInline();
+
+  return blocks;
+}
+
+/**
+ * Converts Ghost HTML to Markdown. Paragraphs, headings, emphasis, links,
+ * lists, quotes, code and image cards are converted; anything Markdown cannot
+ * express (embeds, HTML cards, tables, galleries) is kept as raw HTML, which
+ * Markdown allows.
+ * @param {string} html - HTML content, e.g. a post's `html` field
+ * @returns {string} Markdown ending in a newline, or '' for empty content
+ */
+export function htmlToMarkdown(html) {
+  const source = html || '';
+  const blocks = renderBlocks(parseHtml(source).children, source);
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
+
+// ----- YAML front matter -----
+
+const yamlKey = (key) => (/^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key));
+
+// JSON strings are valid YAML double-quoted scalars, so quoting every string
+// avoids YAML's implicit typing ("no", "1.0", dates) entirely
+const yamlScalar = (value) =>
+  value === null || typeof value !== 'object' ? JSON.stringify(value ?? null) : null;
+
+function yamlLines(value, indent) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      const scalar = yamlScalar(item);
+      if (scalar !== null) return [`${indent}- ${scalar}`];
+      const [first, ...rest] = yamlLines(item, `${indent}  `);
+      return first === undefined ? [`${indent}- {}`] : [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .flatMap(([key, item]) => {
+      const scalar = yamlScalar(item);
+      if (scalar !== null) return [`${indent}${yamlKey(key)}: ${scalar}`];
+      const nested = yamlLines(item, Array.isArray(item) ? indent : `${indent}  `);
+      if (nested.length === 0)
+        return [`${indent}${yamlKey(key)}: ${Array.isArray(item) ? '[]' : '{}'}`];
+      return [`${indent}${yamlKey(key)}:`, ...nested];
+    });
+}
+
+/**
+ * Formats data as a YAML front matter block for a Markdown file. Keys with
+ * undefined values are left out.
+ * @param {Object} data - Plain data (strings, numbers, booleans, null, arrays, objects)
+ * @returns {string} `---` delimited YAML block ending in a newline
+ */
+export function formatFrontMatter(data) {
+  return `---\n${yamlLines(data, '').join('\n')}\n---\n`;
+}
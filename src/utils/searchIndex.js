@@ -0,0 +1,211 @@
+/**
+ * In-memory full-text index with BM25 ranking over weighted fields.
+ *
+ * Documents are plain objects with an `id` and the indexed text fields;
+ * anything else is kept as-is so callers can filter on it. Re-adding a
+ * document with the same id replaces it.
+ */
+
+// Common English words that carry no meaning in a search
+const STOP_WORDS = new Set(
+  'a an and are as at be but by for from has have in is it its of on or that the this to was were will with'.split(
+    ' '
+  )
+);
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Folds simple English plurals so "container" matches "containers".
+ * Deliberately minimal — a real stemmer would over-merge product names.
+ */
+function foldPlural(token) {
+  if (token.length <= 3 || !token.endsWith('s') || token.endsWith('ss')) return token;
+  if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+  return token.slice(0, -1);
+}
+
+/**
+ * Splits text into lowercase, accent-folded word tokens.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens in order, stop words removed and plurals folded
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return (
+    String(text)
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  )
+    .filter((token) => !STOP_WORDS.has(token))
+    .map(foldPlural);
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracts a window of text around the first query term and marks every
+ * matching word with **double asterisks**.
+ * @param {string} text - Source text
+ * @param {string[]} terms - Query tokens
+ * @param {number} [length=200] - Approximate snippet length
+ * @returns {string|null} Snippet, or null if no term occurs in the text
+ */
+export function buildSnippet(text, terms, length = SNIPPET_LENGTH) {
+  if (!text || terms.length === 0) return null;
+
+  // Match whole words, ignoring case and accents, by testing each word's folded form
+  const termSet = new Set(terms);
+  const words = [...String(text).matchAll(/[\p{L}\p{N}]+/gu)];
+  const hits = words.filter((word) => termSet.has(tokenize(word[0])[0]));
+  if (hits.length === 0) return null;
+
+  const first = hits[0].index;
+  let start = Math.max(0, first - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  // Snap to word boundaries
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+
+  const window = text.slice(start, end).replace(/\s+/g, ' ');
+  const pattern = new RegExp(
+    `(${[...new Set(hits.map((hit) => hit[0]))].map(escapeRegExp).join('|')})`,
+    'g'
+  );
+  const highlighted = window.replace(pattern, (match, _group, offset, whole) => {
+    const before = whole[offset - 1];
+    const after = whole[offset + match.length];
+    const isWordChar = (c) => c !== undefined && /[\p{L}\p{N}]/u.test(c);
+    return isWordChar(before) || isWordChar(after) ? match : `**${match}**`;
+  });
+
+  return `${start > 0 ? '…' : ''}${highlighted.trim()}${end < text.length ? '…' : ''}`;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} options
+   * @param {Object<string, number>} options.fields - Indexed field names and their weights
+   * @param {number} [options.k1=1.2] - BM25 term-frequency saturation
+   * @param {number} [options.b=0.75] - BM25 length normalisation
+   */
+  constructor({ fields, k1 = 1.2, b = 0.75 }) {
+    this.fields = fields;
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map(); // id -> { doc, termFreqs: Map<term, weightedTf>, length }
+    this.postings = new Map(); // term -> Set<id>
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  ids() {
+    return [...this.docs.keys()];
+  }
+
+  /**
+   * Adds or replaces a document.
+   * @param {Object} doc - Document with an `id` and the indexed fields
+   */
+  add(doc) {
+    this.remove(doc.id);
+
+    const termFreqs = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(this.fields)) {
+      const tokens = tokenize(doc[field]);
+      length += tokens.length;
+      for (const token of tokens) {
+        termFreqs.set(token, (termFreqs.get(token) || 0) + weight);
+      }
+    }
+
+    for (const term of termFreqs.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(doc.id);
+    }
+    this.docs.set(doc.id, { doc, termFreqs, length });
+    this.totalLength += length;
+  }
+
+  /**
+   * Removes a document if present.
+   * @param {string} id - Document id
+   */
+  remove(id) {
+    const entry = this.docs.get(id);
+    if (!entry) return;
+
+    for (const term of entry.termFreqs.keys()) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(id);
+    this.totalLength -= entry.length;
+  }
+
+  /**
+   * Ranks documents against a query.
+   * @param {string} query - Free-text query
+   * @param {Object} [options={}]
+   * @param {Function} [options.filter] - Predicate on the stored document
+   * @param {number} [options.limit=10] - Maximum results
+   * @returns {{total: number, results: Array<{doc: Object, score: number, matchedTerms: string[]}>, terms: string[]}}
+   *   Matches sorted by score (highest first); `total` counts all matches before the limit
+   */
+  search(query, options = {}) {
+    const { filter, limit = 10 } = options;
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.docs.size === 0) return { total: 0, results: [], terms };
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+      const idf = Math.log(1 + (this.docs.size - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        const entry = this.docs.get(id);
+        if (filter && !filter(entry.doc)) continue;
+
+        const tf = entry.termFreqs.get(term);
+        const norm = this.k1 * (1 - this.b + (this.b * entry.length) / avgLength);
+        const termScore = (idf * tf * (this.k1 + 1)) / (tf + norm);
+
+        const current = scores.get(id) || { score: 0, matchedTerms: [] };
+        current.score += termScore;
+        current.matchedTerms.push(term);
+        scores.set(id, current);
+      }
+    }
+
+    const ranked = [...scores.entries()]
+      .map(([id, { score, matchedTerms }]) => ({
+        doc: this.docs.get(id).doc,
+        // Documents matching every term rank above those matching some
+        score: score * (matchedTerms.length === terms.length ? 1 : 0.5),
+        matchedTerms,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return { total: ranked.length, results: ranked.slice(0, limit), terms };
+  }
+}
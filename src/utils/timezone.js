@@ -0,0 +1,175 @@
+/**
+ * Wall-clock ⇄ UTC conversion for IANA timezones using the runtime's Intl
+ * data. Used for scheduling, where callers think in the site's local time.
+ */
+
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Splits an instant into its wall-clock fields in a timezone.
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getWallClock(date, timeZone) {
+  const fields = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') fields[type] = Number(value);
+  }
+  return {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hour: fields.hour,
+    minute: fields.minute,
+    second: fields.second,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds.
+ */
+function getOffsetMs(epochMs, timeZone) {
+  const wall = getWallClock(new Date(epochMs), timeZone);
+  const wallAsUtc = Date.UTC(
+    wall.year,
+    wall.month - 1,
+    wall.day,
+    wall.hour,
+    wall.minute,
+    wall.second
+  );
+  return wallAsUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date/time in a timezone to a UTC instant.
+ *
+ * Times repeated by a daylight saving change resolve to their first
+ * occurrence. Times skipped by one are rejected.
+ *
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm" or "YYYY-MM-DDTHH:mm:ss", no offset
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The matching instant
+ * @throws {Error} If the value is malformed, not a real date, or does not exist in the timezone
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = LOCAL_DATETIME_PATTERN.exec(localDateTime || '');
+  if (!match) {
+    throw new Error(`"${localDateTime}" must be a local date/time like 2025-01-31T09:30`);
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map((v) => Number(v || 0));
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wallAsUtc);
+  if (
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day ||
+    hour > 23 ||
+    minute > 59 ||
+    second > 59
+  ) {
+    throw new Error(`"${localDateTime}" is not a valid date/time`);
+  }
+
+  // The offset may differ either side of a DST change, so try the offsets in
+  // force a day before and after as well and keep the ones that round-trip.
+  const offsets = new Set(
+    [wallAsUtc - DAY_MS, wallAsUtc, wallAsUtc + DAY_MS].map((ms) => getOffsetMs(ms, timeZone))
+  );
+  const candidates = [...offsets]
+    .map((offset) => wallAsUtc - offset)
+    .filter((epochMs) => {
+      const wall = getWallClock(new Date(epochMs), timeZone);
+      return (
+        wall.year === year &&
+        wall.month === month &&
+        wall.day === day &&
+        wall.hour === hour &&
+        wall.minute === minute &&
+        wall.second === second
+      );
+    });
+
+  if (candidates.length === 0) {
+    throw new Error(
+      `"${localDateTime}" does not exist in ${timeZone} (skipped by a daylight saving change)`
+    );
+  }
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Describes an instant as wall-clock date and time in a timezone.
+ * @param {Date} date - Instant to describe
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{date: string, time: string, weekday: string}} e.g. { date: '2025-01-31', time: '09:30', weekday: 'Friday' }
+ */
+export function toZonedDateTime(date, timeZone) {
+  const wall = getWallClock(date, timeZone);
+  return {
+    date: `${wall.year}-${pad(wall.month)}-${pad(wall.day)}`,
+    time: `${pad(wall.hour)}:${pad(wall.minute)}`,
+    weekday: WEEKDAYS[new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay()],
+  };
+}
+
+/**
+ * Adds whole days to a calendar date.
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function addDays(localDate, days) {
+  const match = LOCAL_DATE_PATTERN.exec(localDate || '');
+  if (!match) throw new Error(`"${localDate}" must be a date like 2025-01-31`);
+  const shifted = new Date(
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + days)
+  );
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * First instant of a calendar day in a timezone. Where midnight is skipped
+ * by a daylight saving change, the day starts at the first hour that exists.
+ * @param {string} localDate - "YYYY-MM-DD"
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+export function startOfZonedDay(localDate, timeZone) {
+  addDays(localDate, 0); // validates the format
+  for (let hour = 0; hour < 3; hour += 1) {
+    try {
+      return zonedTimeToUtc(`${localDate}T${pad(hour)}:00`, timeZone);
+    } catch (error) {
+      if (!/does not exist/.test(error.message)) throw error;
+    }
+  }
+  throw new Error(`Could not find the start of ${localDate} in ${timeZone}`);
+}
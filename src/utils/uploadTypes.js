@@ -0,0 +1,111 @@
+/**
+ * Per-kind upload config: the Ghost endpoint, the env var naming the local
+ * root, the size cap and the MIME allowlist.
+ *
+ * Ghost validates uploads by file extension and content type, so every
+ * accepted MIME type maps to the extension the upload is sent with. Caps
+ * apply to URL downloads and local files; base64 input is additionally
+ * limited by MAX_BASE64_BYTES in imageInputResolver.js. Kinds with
+ * `enforceExtension` also reject file names and Content-Types outside the
+ * allowlist before upload.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Images. Names are not checked against the allowlist because every image is
+ * re-encoded by imageProcessingService first. The cap mirrors
+ * `maxContentLength` in urlValidator.js.
+ */
+export const IMAGE_UPLOAD_TYPE = {
+  label: 'Image',
+  endpoint: 'images',
+  rootEnvVar: 'GHOST_MCP_IMAGE_ROOT',
+  maxBytes: 50 * MB,
+  enforceExtension: false,
+  extByMime: {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'image/vnd.microsoft.icon': '.ico',
+    'image/x-icon': '.ico',
+  },
+};
+
+/**
+ * Audio and video accepted by Ghost's media endpoint.
+ */
+export const MEDIA_UPLOAD_TYPE = {
+  label: 'Media',
+  endpoint: 'media',
+  rootEnvVar: 'GHOST_MCP_MEDIA_ROOT',
+  maxBytes: 100 * MB,
+  enforceExtension: true,
+  extByMime: {
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/ogg': '.ogv',
+    'audio/mpeg': '.mp3',
+    'audio/mp3': '.mp3',
+    'audio/wav': '.wav',
+    'audio/wave': '.wav',
+    'audio/x-wav': '.wav',
+    'audio/vnd.wav': '.wav',
+    'audio/ogg': '.ogg',
+    'audio/mp4': '.m4a',
+    'audio/x-m4a': '.m4a',
+  },
+};
+
+/**
+ * Downloadable documents and archives accepted for the files endpoint.
+ */
+export const FILE_UPLOAD_TYPE = {
+  label: 'File',
+  endpoint: 'files',
+  rootEnvVar: 'GHOST_MCP_FILE_ROOT',
+  maxBytes: 50 * MB,
+  enforceExtension: true,
+  extByMime: {
+    'application/pdf': '.pdf',
+    'application/zip': '.zip',
+    'application/x-zip-compressed': '.zip',
+    'application/epub+zip': '.epub',
+    'application/json': '.json',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  },
+};
+
+/**
+ * Lists the extensions an upload type accepts.
+ * @param {Object} uploadType - One of the *_UPLOAD_TYPE configs
+ * @returns {string[]} Unique extensions including the leading dot
+ */
+export function allowedExtensions(uploadType) {
+  return [...new Set(Object.values(uploadType.extByMime))];
+}
+
+/**
+ * Picks the extension for an upload from its file name, falling back to a
+ * MIME type (e.g. a download's Content-Type header).
+ * @param {Object} uploadType - One of the *_UPLOAD_TYPE configs
+ * @param {string} fileName - File name or URL path
+ * @param {string} [mimeType] - MIME type, parameters (";charset=...") allowed
+ * @returns {string|null} Allowed extension, or null if neither is allowed
+ */
+export function resolveUploadExtension(uploadType, fileName, mimeType) {
+  const allowed = allowedExtensions(uploadType);
+  const match = /\.[a-z0-9]+$/i.exec(fileName || '');
+  const fromName = match ? match[0].toLowerCase() : null;
+  if (fromName && allowed.includes(fromName)) return fromName;
+
+  const baseMime = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return uploadType.extByMime[baseMime] || null;
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+/**
+ * Maximum age of a signed webhook delivery before it is rejected as a replay.
+ */
+export const DEFAULT_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Parses Ghost's X-Ghost-Signature header.
+ * Format: "sha256=<hex digest>, t=<timestamp in ms>"
+ * @param {string} header - Raw header value
+ * @returns {{signature: string, timestamp: number}|null} Parsed parts, or null if malformed
+ */
+export function parseGhostSignatureHeader(header) {
+  if (typeof header !== 'string' || header.length === 0) {
+    return null;
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map((part) => {
+      const [key, ...rest] = part.trim().split('=');
+      return [key, rest.join('=')];
+    })
+  );
+
+  const signature = parts.sha256;
+  const timestamp = Number(parts.t);
+
+  if (!signature || !/^[a-f0-9]{64}$/i.test(signature) || !Number.isFinite(timestamp)) {
+    return null;
+  }
+
+  return { signature: signature.toLowerCase(), timestamp };
+}
+
+/**
+ * Verifies a Ghost webhook delivery.
+ * Ghost signs the raw JSON body concatenated with the timestamp using
+ * HMAC-SHA256 and the webhook secret.
+ * @param {Buffer|string} rawBody - The request body exactly as received
+ * @param {string} header - The X-Ghost-Signature header value
+ * @param {string} secret - The webhook secret configured in Ghost
+ * @param {Object} [options={}] - Verification options
+ * @param {number} [options.toleranceMs=DEFAULT_SIGNATURE_TOLERANCE_MS] - Maximum allowed age of the delivery
+ * @param {number} [options.now=Date.now()] - Current time in ms (for testing)
+ * @returns {{valid: boolean, reason?: string}} Verification result
+ */
+export function verifyGhostSignature(rawBody, header, secret, options = {}) {
+  const { toleranceMs = DEFAULT_SIGNATURE_TOLERANCE_MS, now = Date.now() } = options;
+
+  if (!secret) {
+    return { valid: false, reason: 'Webhook secret is not configured' };
+  }
+
+  const parsed = parseGhostSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: 'Missing or malformed X-Ghost-Signature header' };
+  }
+
+  if (Math.abs(now - parsed.timestamp) > toleranceMs) {
+    return { valid: false, reason: 'Signature timestamp is outside the allowed window' };
+  }
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody ?? '');
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${body}${parsed.timestamp}`)
+    .digest('hex');
+
+  const isValid = crypto.timingSafeEqual(
+    Buffer.from(expected, 'hex'),
+    Buffer.from(parsed.signature, 'hex')
+  );
+
+  return isValid ? { valid: true } : { valid: false, reason: 'Signature mismatch' };
+}
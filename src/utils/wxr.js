@@ -0,0 +1,200 @@
+/**
+ * Minimal XML reader for WordPress WXR exports.
+ * Handles elements, attributes, CDATA, comments, processing instructions and
+ * the predefined and numeric entities. DOCTYPE declarations are skipped and
+ * never expanded, so entity-expansion attacks have nothing to work with.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const ENTITY_PATTERN = /&(?:#(\d+)|#x([0-9a-fA-F]+)|(amp|lt|gt|quot|apos));/g;
+
+const ATTRIBUTE_PATTERN = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replaces the predefined and numeric character references. Other named
+ * entities (&nbsp; and friends) are not defined in XML and are left as-is.
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export function decodeXmlEntities(text) {
+  return text.replace(ENTITY_PATTERN, (match, decimal, hex, named) => {
+    if (named) return NAMED_ENTITIES[named];
+    const codePoint = decimal ? Number(decimal) : parseInt(hex, 16);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+}
+
+/**
+ * Finds the end of a tag, skipping '>' inside quoted attribute values.
+ * @returns {number} Index of the closing '>', or -1
+ */
+function findTagEnd(xml, start) {
+  let quote = null;
+  for (let i = start; i < xml.length; i++) {
+    const char = xml[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Finds the end of a <!DOCTYPE ...> declaration, including an internal subset.
+ * @returns {number} Index of the closing '>', or -1
+ */
+function findDeclarationEnd(xml, start) {
+  let depth = 0;
+  for (let i = start; i < xml.length; i++) {
+    if (xml[i] === '[') depth++;
+    else if (xml[i] === ']') depth--;
+    else if (xml[i] === '>' && depth <= 0) return i;
+  }
+  return -1;
+}
+
+const expectEnd = (index, what) => {
+  if (index === -1) throw new Error(`Unterminated ${what}`);
+  return index;
+};
+
+/**
+ * Parses an XML document into a tree of elements. Each element is
+ * { name, attributes, children, text }, where name keeps its namespace
+ * prefix (e.g. 'wp:post_id') and text joins the element's own text and CDATA.
+ * @param {string} xml - XML document
+ * @returns {{name: string, attributes: Object, children: Object[], text: string}} Document node
+ *   whose children are the root element(s)
+ * @throws {Error} If the document is malformed
+ */
+export function parseXml(xml) {
+  const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [documentNode];
+  const top = () => stack[stack.length - 1];
+  let i = xml.charCodeAt(0) === 0xfeff ? 1 : 0; // strip BOM
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    if (lt === -1) {
+      top().text += decodeXmlEntities(xml.slice(i));
+      break;
+    }
+    if (lt > i) {
+      top().text += decodeXmlEntities(xml.slice(i, lt));
+    }
+
+    if (xml.startsWith('<![CDATA[', lt)) {
+      const end = expectEnd(xml.indexOf(']]>', lt + 9), 'CDATA section');
+      top().text += xml.slice(lt + 9, end);
+      i = end + 3;
+    } else if (xml.startsWith('<!--', lt)) {
+      i = expectEnd(xml.indexOf('-->', lt + 4), 'comment') + 3;
+    } else if (xml.startsWith('<?', lt)) {
+      i = expectEnd(xml.indexOf('?>', lt + 2), 'processing instruction') + 2;
+    } else if (xml.startsWith('<!', lt)) {
+      i = expectEnd(findDeclarationEnd(xml, lt + 2), 'declaration') + 1;
+    } else if (xml.startsWith('</', lt)) {
+      const end = expectEnd(xml.indexOf('>', lt + 2), 'closing tag');
+      const name = xml.slice(lt + 2, end).trim();
+      const open = stack.pop();
+      if (open === documentNode || open.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      i = end + 1;
+    } else {
+      const end = expectEnd(findTagEnd(xml, lt + 1), 'tag');
+      const body = xml.slice(lt + 1, end);
+      const selfClosing = body.endsWith('/');
+      const [name] = body.match(/^[^\s/>]+/) || [];
+      if (!name) throw new Error(`Invalid tag at offset ${lt}`);
+
+      const attributes = {};
+      for (const [, attribute, doubleQuoted, singleQuoted] of body
+        .slice(name.length)
+        .matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[attribute] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      }
+
+      const element = { name, attributes, children: [], text: '' };
+      top().children.push(element);
+      if (!selfClosing) stack.push(element);
+      i = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${top().name}>`);
+  }
+  return documentNode;
+}
+
+const childElement = (node, name) => node?.children.find((child) => child.name === name);
+
+const childElements = (node, name) => node?.children.filter((child) => child.name === name) || [];
+
+const childText = (node, name) => childElement(node, name)?.text.trim() || '';
+
+// Content bodies keep their whitespace: it marks paragraphs in classic-editor posts
+const childContent = (node, name) => childElement(node, name)?.text || '';
+
+/**
+ * Reads one <item>: a post, page, attachment or other WordPress post type.
+ */
+function readItem(item) {
+  return {
+    id: childText(item, 'wp:post_id'),
+    title: childText(item, 'title'),
+    link: childText(item, 'link'),
+    slug: childText(item, 'wp:post_name'),
+    type: childText(item, 'wp:post_type'),
+    status: childText(item, 'wp:status'),
+    creator: childText(item, 'dc:creator'),
+    // 'YYYY-MM-DD HH:MM:SS' in UTC, or all zeros for never-published drafts
+    dateGmt: childText(item, 'wp:post_date_gmt'),
+    content: childContent(item, 'content:encoded'),
+    excerpt: childContent(item, 'excerpt:encoded').trim(),
+    attachmentUrl: childText(item, 'wp:attachment_url'),
+    categories: childElements(item, 'category').map((category) => ({
+      domain: category.attributes.domain || 'category',
+      slug: category.attributes.nicename || '',
+      name: category.text.trim(),
+    })),
+    meta: Object.fromEntries(
+      childElements(item, 'wp:postmeta').map((meta) => [
+        childText(meta, 'wp:meta_key'),
+        childText(meta, 'wp:meta_value'),
+      ])
+    ),
+  };
+}
+
+/**
+ * Parses a WordPress eXtended RSS (WXR) export.
+ * @param {string} xml - WXR document
+ * @returns {{title: string, link: string, authors: Object[], items: Object[]}} Site details,
+ *   authors ({ login, email, displayName }) and every item in document order
+ * @throws {Error} If the document is malformed or is not a WXR export
+ */
+export function parseWxr(xml) {
+  const documentNode = parseXml(xml);
+  const channel = childElement(childElement(documentNode, 'rss'), 'channel');
+  if (!channel || !childElement(channel, 'wp:wxr_version')) {
+    throw new Error('Not a WordPress export: expected rss/channel with wp:wxr_version');
+  }
+
+  return {
+    title: childText(channel, 'title'),
+    link: childText(channel, 'link'),
+    authors: childElements(channel, 'wp:author').map((author) => ({
+      login: childText(author, 'wp:author_login'),
+      email: childText(author, 'wp:author_email'),
+      displayName: childText(author, 'wp:author_display_name'),
+    })),
+    items: childElements(channel, 'item').map(readItem),
+  };
+}
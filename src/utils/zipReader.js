@@ -0,0 +1,117 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP reader for inspecting archives before they are uploaded.
+ * Reads the central directory to list entries and can extract small
+ * stored or deflated entries. ZIP64 and encrypted archives are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Locates the end-of-central-directory record, scanning back over any comment.
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= lowest; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Not a ZIP archive: end of central directory not found');
+}
+
+/**
+ * Lists the entries of a ZIP archive.
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number, isDirectory: boolean}>}
+ *   Entries in central-directory order
+ */
+export function listZipEntries(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < EOCD_MIN_SIZE) {
+    throw new Error('Not a ZIP archive: file is too small');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (directoryOffset + directorySize > eocd) {
+    throw new Error('Corrupt ZIP archive: central directory out of bounds');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i += 1) {
+    if (offset + 46 > eocd || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP archive: bad central directory entry');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported: ${name}`);
+    }
+
+    entries.push({
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      isDirectory: name.endsWith('/'),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extracts one entry's contents.
+ * @param {Buffer} buffer - Archive bytes
+ * @param {Object} entry - Entry from listZipEntries
+ * @param {Object} [options={}]
+ * @param {number} [options.maxBytes=1048576] - Refuse entries that inflate beyond this size
+ * @returns {Buffer} Uncompressed contents
+ */
+export function readZipEntry(buffer, entry, options = {}) {
+  const { maxBytes = 1024 * 1024 } = options;
+  const offset = entry.localHeaderOffset;
+
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP archive: bad local header for ${entry.name}`);
+  }
+  if (entry.size > maxBytes) {
+    throw new Error(`${entry.name} is larger than ${maxBytes} bytes`);
+  }
+
+  const dataStart =
+    offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+  if (data.length !== entry.compressedSize) {
+    throw new Error(`Corrupt ZIP archive: ${entry.name} is truncated`);
+  }
+
+  if (entry.method === METHOD_STORED) return Buffer.from(data);
+  if (entry.method === METHOD_DEFLATE) {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+  }
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}